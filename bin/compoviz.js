@@ -0,0 +1,10 @@
+#!/usr/bin/env node
+import process from 'process';
+import { run } from '../src/cli/index.js';
+
+process.exitCode = await run(process.argv.slice(2), {
+    cwd: process.cwd(),
+    env: process.env,
+    stdout: process.stdout,
+    stderr: process.stderr
+});
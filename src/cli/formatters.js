@@ -0,0 +1,190 @@
+/**
+ * Output formats of `compoviz lint`: readable text, JSON and SARIF 2.1.0 for code scanning.
+ */
+
+import { SuggestionSeverity } from '../utils/suggestions.js';
+import { getSuggestionRule } from '../utils/suggestionRules.js';
+
+/**
+ * Finding levels from most to least severe, as used by `--fail-on` and SARIF.
+ */
+export const LEVELS = ['error', 'warning', 'note'];
+
+const SUGGESTION_LEVELS = {
+    [SuggestionSeverity.CRITICAL]: 'warning',
+    [SuggestionSeverity.HIGH]: 'warning',
+    [SuggestionSeverity.MEDIUM]: 'note',
+    [SuggestionSeverity.LOW]: 'note',
+    [SuggestionSeverity.INFO]: 'note',
+};
+
+/**
+ * Turn analyzer output into findings with a level and a display location.
+ * Validation errors are errors and validation warnings are warnings; critical and high
+ * suggestions are warnings, other suggestions are notes. Suppressed suggestions keep their
+ * `suppression` and are left out of counts and the exit code.
+ *
+ * @param {Array<Object>} issues - Located validation issues and parser errors
+ * @param {Array<Object>} suggestions - Located suggestions
+ * @param {(file: string) => string} [toDisplayPath] - Maps parser paths to reported paths
+ * @returns {Array<{ruleId: string, level: string, severity: string, category?: string, entity: string, name: string, field?: string, message: string, location: Object|null, suppression?: Object}>}
+ *   Findings sorted by file and position
+ */
+export function toFindings(issues, suggestions, toDisplayPath = (file) => file) {
+    const locate = (location) => (location ? { ...location, file: toDisplayPath(location.file) } : null);
+
+    const findings = [
+        ...issues.map((issue) => ({
+            ruleId: issue.rule,
+            level: issue.type === 'warning' ? 'warning' : 'error',
+            severity: issue.type,
+            entity: issue.entity,
+            name: issue.name,
+            ...(issue.field ? { field: issue.field } : {}),
+            message: issue.message,
+            location: locate(issue.location)
+        })),
+        ...suggestions.map((suggestion) => ({
+            ruleId: suggestion.rule,
+            level: SUGGESTION_LEVELS[suggestion.severity] || 'note',
+            severity: suggestion.severity,
+            category: suggestion.category,
+            entity: suggestion.entity,
+            name: suggestion.name,
+            ...(suggestion.field ? { field: suggestion.field } : {}),
+            message: suggestion.message,
+            location: locate(suggestion.location),
+            ...(suggestion.suppression ? {
+                suppression: { ...suggestion.suppression, location: locate(suggestion.suppression.location) }
+            } : {})
+        }))
+    ];
+
+    // Findings without a location go last
+    return findings.sort((a, b) => (
+        (a.location ? 0 : 1) - (b.location ? 0 : 1)
+        || (a.location?.file || '').localeCompare(b.location?.file || '')
+        || (a.location?.line || 0) - (b.location?.line || 0)
+        || (a.location?.column || 0) - (b.location?.column || 0)
+    ));
+}
+
+/**
+ * Count findings per level; suppressed findings are counted on their own.
+ * @param {Array<Object>} findings - Findings
+ * @returns {{error: number, warning: number, note: number, suppressed: number}} Counts
+ */
+export function countLevels(findings) {
+    const counts = { error: 0, warning: 0, note: 0, suppressed: 0 };
+    findings.forEach((finding) => { counts[finding.suppression ? 'suppressed' : finding.level]++; });
+    return counts;
+}
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+/**
+ * Format findings as text grouped by file, like ESLint's stylish output.
+ * @param {Array<Object>} findings - Findings from toFindings
+ * @returns {string} Report
+ */
+export function formatText(findings) {
+    const counts = countLevels(findings);
+    const suppressed = counts.suppressed > 0 ? ` (${counts.suppressed} suppressed)` : '';
+    const problems = findings.filter((finding) => !finding.suppression);
+    if (problems.length === 0) return `No problems found${suppressed}.\n`;
+
+    const groups = new Map();
+    for (const finding of problems) {
+        const file = finding.location?.file || '(project)';
+        if (!groups.has(file)) groups.set(file, []);
+        groups.get(file).push(finding);
+    }
+
+    let output = '';
+    for (const [file, fileFindings] of groups) {
+        output += `${file}\n`;
+        for (const { location, level, message, ruleId } of fileFindings) {
+            const position = location ? `${location.line}:${location.column || 1}` : '-';
+            output += `  ${position.padEnd(8)}${level.padEnd(9)}${message}  ${ruleId}\n`;
+        }
+        output += '\n';
+    }
+
+    output += `${plural(problems.length, 'problem')} (${plural(counts.error, 'error')}, ${plural(counts.warning, 'warning')}, ${plural(counts.note, 'note')})`;
+    output += counts.suppressed > 0 ? `, ${counts.suppressed} suppressed\n` : '\n';
+    return output;
+}
+
+/**
+ * Format findings as JSON.
+ * @param {Array<Object>} findings - Findings from toFindings
+ * @returns {string} `{findings, summary}` document
+ */
+export function formatJson(findings) {
+    return `${JSON.stringify({ findings, summary: countLevels(findings) }, null, 2)}\n`;
+}
+
+/**
+ * Format findings as a SARIF 2.1.0 log, with paths relative to the source root.
+ * Suggestion rules carry their registry description and docs.
+ * @param {Array<Object>} findings - Findings from toFindings
+ * @param {{version: string}} tool - Version of Compoviz
+ * @returns {string} SARIF document
+ */
+export function formatSarif(findings, { version }) {
+    const rules = new Map();
+    for (const finding of findings) {
+        if (!rules.has(finding.ruleId)) {
+            const rule = finding.category ? getSuggestionRule(finding.ruleId) : null;
+            rules.set(finding.ruleId, {
+                id: finding.ruleId,
+                shortDescription: { text: rule ? rule.description : finding.ruleId.replace(/-/g, ' ') },
+                ...(rule ? { fullDescription: { text: rule.docs } } : {}),
+                defaultConfiguration: { level: finding.level },
+                properties: { category: finding.category || (finding.entity === 'parser' ? 'parser' : 'validation') }
+            });
+        }
+    }
+
+    const log = {
+        $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+        version: '2.1.0',
+        runs: [{
+            tool: {
+                driver: {
+                    name: 'compoviz',
+                    version,
+                    informationUri: 'https://github.com/adavesik/compoviz',
+                    rules: [...rules.values()]
+                }
+            },
+            results: findings.map((finding) => ({
+                ruleId: finding.ruleId,
+                level: finding.level,
+                message: { text: finding.message },
+                ...(finding.location ? {
+                    locations: [{
+                        physicalLocation: {
+                            artifactLocation: { uri: finding.location.file, uriBaseId: '%SRCROOT%' },
+                            region: { startLine: finding.location.line, startColumn: finding.location.column || 1 }
+                        }
+                    }]
+                } : {}),
+                ...(finding.suppression ? {
+                    suppressions: [{
+                        kind: 'inSource',
+                        ...(finding.suppression.reason ? { justification: finding.suppression.reason } : {})
+                    }]
+                } : {}),
+                properties: {
+                    severity: finding.severity,
+                    entity: finding.entity,
+                    name: finding.name,
+                    ...(finding.field ? { field: finding.field } : {})
+                }
+            }))
+        }]
+    };
+
+    return `${JSON.stringify(log, null, 2)}\n`;
+}
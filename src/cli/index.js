@@ -0,0 +1,58 @@
+/**
+ * Compoviz command-line interface.
+ * Dispatches `compoviz <command>` to the command modules; each command returns its exit code.
+ */
+
+import packageJson from '../../package.json' with { type: 'json' };
+import { lint, LINT_USAGE } from './lint.js';
+import { render, RENDER_USAGE } from './render.js';
+import { isUsageError } from './project.js';
+
+const COMMANDS = {
+    lint: { run: lint, usage: LINT_USAGE },
+    render: { run: render, usage: RENDER_USAGE }
+};
+
+export const USAGE = `Usage: compoviz <command> [options]
+
+Commands:
+  lint      Check a Compose project and report problems (text, JSON or SARIF)
+  render    Render the architecture diagram of one or more projects to SVG or DOT
+
+Run "compoviz <command> --help" for the options of a command.
+`;
+
+/**
+ * Run the CLI.
+ * @param {string[]} argv - Arguments after the program name
+ * @param {{cwd: string, env: Object, stdout: {write: Function}, stderr: {write: Function}}} io - Process context
+ * @returns {Promise<number>} Exit code: 0 on success, 1 when the command failed its check, 2 on invalid usage
+ */
+export async function run(argv, io) {
+    const [command, ...args] = argv;
+
+    if (!command || command === '--help' || command === '-h' || command === 'help') {
+        io.stdout.write(USAGE);
+        return command ? 0 : 2;
+    }
+    if (command === '--version' || command === '-v') {
+        io.stdout.write(`${packageJson.version}\n`);
+        return 0;
+    }
+    if (!COMMANDS[command]) {
+        io.stderr.write(`Unknown command "${command}"\n\n${USAGE}`);
+        return 2;
+    }
+
+    try {
+        return await COMMANDS[command].run(args, { ...io, version: packageJson.version });
+    } catch (error) {
+        // parseArgs rejects unknown or malformed options with ERR_PARSE_ARGS_* codes
+        if (isUsageError(error) || error.code?.startsWith('ERR_PARSE_ARGS')) {
+            io.stderr.write(`compoviz ${command}: ${error.message}\n\n${COMMANDS[command].usage}`);
+            return 2;
+        }
+        io.stderr.write(`compoviz ${command}: ${error.stack || error.message}\n`);
+        return 2;
+    }
+}
@@ -0,0 +1,91 @@
+/**
+ * `compoviz lint` - runs the parser, validation and suggestions on a Compose project
+ * and exits non-zero when a finding reaches the `--fail-on` level.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { analyzeCompose, collectIssues } from '../lib/index.js';
+import { loadProject, createUsageError } from './project.js';
+import { LEVELS, toFindings, formatText, formatJson, formatSarif } from './formatters.js';
+
+export const LINT_USAGE = `Usage: compoviz lint [options] [compose files...]
+
+Check a Compose project like the editor does and report problems.
+
+Options:
+  -f, --file <path>       Compose file; repeat to merge overrides (default: compose.yaml, docker-compose.yml, ...)
+  --env-file <path>       Env file for interpolation; repeatable (default: .env next to the Compose file)
+  -p, --profile <name>    Profile to enable; repeatable (default: COMPOSE_PROFILES)
+  -c, --config <path>     Rule config (default: .compoviz.yml next to the Compose file)
+  --format <format>       text, json or sarif (default: text)
+  --fail-on <level>       Exit with 1 on findings at or above error, warning or note; never to always pass (default: error)
+  --no-suggestions        Report only validation and parser problems
+  -o, --output <path>     Write the report to a file instead of stdout
+  -h, --help              Show this help
+`;
+
+const FORMATS = ['text', 'json', 'sarif'];
+
+/**
+ * Run `compoviz lint`.
+ * @param {string[]} argv - Arguments after the command name
+ * @param {{cwd: string, env: Object, stdout: {write: Function}, version: string}} io - Process context
+ * @returns {number} Exit code: 0 when no finding reaches the threshold, 1 otherwise
+ */
+export function lint(argv, io) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        allowNegative: true,
+        options: {
+            file: { type: 'string', short: 'f', multiple: true, default: [] },
+            'env-file': { type: 'string', multiple: true, default: [] },
+            profile: { type: 'string', short: 'p', multiple: true, default: [] },
+            config: { type: 'string', short: 'c' },
+            format: { type: 'string', default: 'text' },
+            'fail-on': { type: 'string', default: 'error' },
+            suggestions: { type: 'boolean', default: true },
+            output: { type: 'string', short: 'o' },
+            help: { type: 'boolean', short: 'h', default: false }
+        }
+    });
+
+    if (values.help) {
+        io.stdout.write(LINT_USAGE);
+        return 0;
+    }
+    if (!FORMATS.includes(values.format)) {
+        throw createUsageError(`Unknown format "${values.format}"; expected ${FORMATS.join(', ')}`);
+    }
+    if (values['fail-on'] !== 'never' && !LEVELS.includes(values['fail-on'])) {
+        throw createUsageError(`Unknown level "${values['fail-on']}"; expected ${[...LEVELS, 'never'].join(', ')}`);
+    }
+
+    const project = loadProject([...values.file, ...positionals], {
+        cwd: io.cwd,
+        env: io.env,
+        envFiles: values['env-file'],
+        profiles: values.profile,
+        config: values.config
+    });
+    const analysis = analyzeCompose(project.yaml, project.options);
+    const findings = toFindings(
+        [...collectIssues([], project.errors), ...analysis.issues],
+        values.suggestions ? [...analysis.suggestions, ...analysis.suppressedSuggestions] : [],
+        project.toDisplayPath
+    );
+
+    const report = values.format === 'sarif' ? formatSarif(findings, { version: io.version })
+        : values.format === 'json' ? formatJson(findings)
+            : formatText(findings);
+    if (values.output) {
+        fs.writeFileSync(path.resolve(io.cwd, values.output), report);
+    } else {
+        io.stdout.write(report);
+    }
+
+    const threshold = LEVELS.indexOf(values['fail-on']);
+    return findings.some((finding) => threshold !== -1 && !finding.suppression && LEVELS.indexOf(finding.level) <= threshold) ? 1 : 0;
+}
@@ -0,0 +1,179 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { run } from './index.js';
+
+const createIo = (cwd, env = {}) => {
+    const io = { cwd, env, out: '', err: '' };
+    io.stdout = { write: (text) => { io.out += text; } };
+    io.stderr = { write: (text) => { io.err += text; } };
+    return io;
+};
+
+describe('compoviz lint', () => {
+    let dir;
+    const write = (file, content) => {
+        fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+        fs.writeFileSync(path.join(dir, file), content);
+    };
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'compoviz-lint-'));
+        write('app/compose.yml', [
+            'services:',
+            '  web:',
+            '    image: nginx:${TAG}',
+            '    restart: always',
+            '    depends_on: [api]',
+            '  api:',
+            '    image: node:20',
+            '    restart: always',
+            '    profiles: [backend]',
+            ''
+        ].join('\n'));
+        write('app/.env', 'TAG=1.27\n');
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('reports findings with locations relative to the working directory', async () => {
+        const io = createIo(dir);
+        const code = await run(['lint', 'app/compose.yml', '--format', 'json'], io);
+        const { findings, summary } = JSON.parse(io.out);
+
+        expect(code).toBe(1);
+        expect(findings).toContainEqual(expect.objectContaining({
+            ruleId: 'profiles',
+            level: 'error',
+            location: { file: 'app/compose.yml', line: 5, column: 18 }
+        }));
+        expect(findings.some((finding) => finding.ruleId === 'latest-tag')).toBe(false);
+        expect(summary.error).toBe(1);
+    });
+
+    it('applies profiles, overrides and env files', async () => {
+        write('app/compose.prod.yml', 'services:\n  web:\n    image: nginx:${TAG}\n');
+        write('prod.env', 'TAG=latest\n');
+        const io = createIo(path.join(dir, 'app'));
+        const code = await run([
+            'lint', '-f', 'compose.yml', '-f', 'compose.prod.yml', '--env-file', '../prod.env', '--profile', 'backend', '--format', 'json'
+        ], io);
+        const { findings } = JSON.parse(io.out);
+
+        expect(code).toBe(0);
+        expect(findings.find((finding) => finding.ruleId === 'latest-tag')).toMatchObject({
+            level: 'note',
+            name: 'web',
+            location: { file: 'compose.prod.yml', line: 3 }
+        });
+    });
+
+    it('resolves includes above the directory of the Compose file', async () => {
+        write('shared/common.yaml', 'services:\n  cache:\n    image: redis:latest\n');
+        write('app/compose.yml', 'include:\n  - ../shared/common.yaml\nservices:\n  web:\n    image: nginx:1.27\n');
+        const io = createIo(path.join(dir, 'app'));
+        await run(['lint', '--format', 'json'], io);
+        const { findings } = JSON.parse(io.out);
+
+        expect(findings.filter((finding) => finding.level === 'error')).toEqual([]);
+        expect(findings.find((finding) => finding.ruleId === 'latest-tag')).toMatchObject({
+            name: 'cache',
+            location: { file: '../shared/common.yaml', line: 3 }
+        });
+    });
+
+    it('fails on the chosen level only', async () => {
+        const io = createIo(dir, { COMPOSE_PROFILES: 'backend' });
+
+        expect(await run(['lint', 'app/compose.yml', '--fail-on', 'error'], io)).toBe(0);
+        expect(await run(['lint', 'app/compose.yml', '--fail-on', 'note'], io)).toBe(1);
+        expect(await run(['lint', 'app/compose.yml', '--fail-on', 'never', '--no-suggestions'], io)).toBe(0);
+        expect(io.out).toContain('app/compose.yml\n');
+    });
+
+    it('writes SARIF with rules and source locations', async () => {
+        const io = createIo(dir);
+        await run(['lint', 'app/compose.yml', '--format', 'sarif', '-o', 'report.sarif'], io);
+        const sarif = JSON.parse(fs.readFileSync(path.join(dir, 'report.sarif'), 'utf8'));
+        const [runLog] = sarif.runs;
+
+        expect(io.out).toBe('');
+        expect(sarif.version).toBe('2.1.0');
+        expect(runLog.tool.driver.rules.map((rule) => rule.id)).toContain('profiles');
+        expect(runLog.results.find((result) => result.ruleId === 'profiles').locations[0].physicalLocation).toEqual({
+            artifactLocation: { uri: 'app/compose.yml', uriBaseId: '%SRCROOT%' },
+            region: { startLine: 5, startColumn: 18 }
+        });
+    });
+
+    it('reports env file syntax errors', async () => {
+        write('app/.env', 'TAG=1.27\nnot a pair\n');
+        const io = createIo(path.join(dir, 'app'));
+        const code = await run(['lint', '--no-suggestions', '--profile', 'backend'], io);
+
+        expect(code).toBe(1);
+        expect(io.out).toMatch(/\.env\n {2}2:1 +error +Expected KEY=VALUE/);
+    });
+
+    it('applies the .compoviz.yml next to the Compose file', async () => {
+        write('app/.compoviz.yml', 'rules:\n  no-user: off\n  missing-healthcheck: critical\n  no-resource-limit: off\n');
+        const io = createIo(dir, { COMPOSE_PROFILES: 'backend' });
+        const code = await run(['lint', 'app/compose.yml', '--format', 'json'], io);
+        const { findings } = JSON.parse(io.out);
+
+        expect(code).toBe(1);
+        expect(findings.some((finding) => finding.ruleId === 'no-user')).toBe(false);
+        expect(findings.find((finding) => finding.ruleId === 'missing-healthcheck')).toMatchObject({ severity: 'critical', level: 'warning' });
+        expect(findings.find((finding) => finding.ruleId === 'rule-config')).toMatchObject({
+            level: 'error',
+            message: expect.stringContaining('did you mean "no-resource-limits"?'),
+            location: { file: 'app/.compoviz.yml', line: 4, column: 3 }
+        });
+
+
+        write('strict.yml', 'rules:\n  latest-tag: off\n');
+        const strictIo = createIo(dir, { COMPOSE_PROFILES: 'backend' });
+        await run(['lint', 'app/compose.yml', '--format', 'json', '--config', 'strict.yml'], strictIo);
+        expect(JSON.parse(strictIo.out).findings.some((finding) => finding.ruleId === 'no-user')).toBe(true);
+    });
+
+    it('keeps suppressed findings out of the exit code and marks them in SARIF', async () => {
+        write('app/compose.yml', [
+            'services:',
+            '  web:',
+            '    image: nginx:1.27 # compoviz-ignore: no-user -- drops privileges after binding',
+            '    restart: always',
+            '    healthcheck:',
+            '      test: [CMD, curl, -f, http://localhost]',
+            '    labels:',
+            '      com.compoviz.ignore: no-resource-limits',
+            ''
+        ].join('\n'));
+        const io = createIo(dir);
+
+        expect(await run(['lint', 'app/compose.yml', '--fail-on', 'note'], io)).toBe(0);
+        expect(io.out).toBe('No problems found (2 suppressed).\n');
+
+        await run(['lint', 'app/compose.yml', '--format', 'sarif', '-o', 'report.sarif'], io);
+        const { results } = JSON.parse(fs.readFileSync(path.join(dir, 'report.sarif'), 'utf8')).runs[0];
+        expect(results.find((result) => result.ruleId === 'no-user').suppressions).toEqual([
+            { kind: 'inSource', justification: 'drops privileges after binding' }
+        ]);
+        expect(results.find((result) => result.ruleId === 'no-resource-limits').suppressions).toEqual([{ kind: 'inSource' }]);
+    });
+
+    it('rejects invalid usage with exit code 2', async () => {
+        const io = createIo(dir);
+
+        expect(await run(['lint', '--format', 'xml', 'app/compose.yml'], io)).toBe(2);
+        expect(await run(['lint', 'missing.yml'], io)).toBe(2);
+        expect(await run(['lint'], io)).toBe(2);
+        expect(await run(['frobnicate'], io)).toBe(2);
+        expect(io.err).toContain('Unknown format "xml"');
+        expect(io.err).toContain('File not found: missing.yml');
+        expect(io.err).toContain('none of compose.yaml');
+    });
+});
@@ -0,0 +1,124 @@
+/**
+ * Compose project loading for the command-line tools.
+ * The parser works with paths relative to the filesystem root, so files the project refers
+ * to (includes, extends, env files) resolve like in Compose, also above the directory of the
+ * Compose files; they are read from disk when the parser asks for them.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { dirname, joinPath } from '../utils/pathResolver.js';
+import { RULE_CONFIG_FILES, parseRuleConfig } from '../utils/ruleConfig.js';
+import { DEFAULT_COMPOSE_FILES } from '../utils/overrideResolver.js';
+import { OVERRIDES_SOURCE, loadEnvFiles, resolveEnvironmentSources, getComposeSettings } from '../utils/envSources.js';
+
+/**
+ * Create an error for invalid command-line input; the CLI prints its message and exits with 2.
+ * @param {string} message - Error message
+ * @returns {Error} Usage error
+ */
+export function createUsageError(message) {
+    const error = new Error(message);
+    error.name = 'UsageError';
+    return error;
+}
+
+/**
+ * Check if an error is about invalid command-line input.
+ * @param {Error} error - Error to check
+ * @returns {boolean} True for usage errors
+ */
+export function isUsageError(error) {
+    return error?.name === 'UsageError';
+}
+
+/**
+ * Create a file map that reads files below a root directory on first access.
+ * Only files that were read show up in `Object.keys`, which the parser uses in its error messages.
+ *
+ * @param {string} root - Absolute root directory
+ * @returns {Object<string, string>} File contents by relative path
+ */
+export function createDiskFileMap(root) {
+    const files = {};
+
+    return new Proxy(files, {
+        get(target, key) {
+            if (typeof key !== 'string' || key in target) return target[key];
+            try {
+                // Paths are normalized by the parser and never leave the root
+                const content = fs.readFileSync(path.join(root, key), 'utf8');
+                target[key] = content;
+                return content;
+            } catch {
+                return undefined;
+            }
+        }
+    });
+}
+
+/**
+ * Load a project the way `docker compose -f a.yml -f b.yml --env-file .env --profile p` sees it.
+ *
+ * @param {string[]} files - Compose files; the first is the base file, later ones are merged on top
+ * @param {Object} options
+ * @param {string} options.cwd - Directory relative paths are resolved against
+ * @param {Object} [options.env] - Shell environment; takes precedence over env files
+ * @param {string[]} [options.envFiles] - Env files; defaults to the `.env` next to the base file
+ * @param {string[]} [options.profiles] - Active profiles; defaults to `COMPOSE_PROFILES`
+ * @param {string} [options.config] - Rule config file; defaults to the `.compoviz.yml` next to the base file
+ * @returns {{yaml: string, options: Object, errors: Array<Object>, composeFile: string, projectName: string|null, toDisplayPath: (file: string) => string}}
+ *   Base file content, analyzeCompose options (with the rule config), env and rule config errors, absolute path of the base file,
+ *   `COMPOSE_PROJECT_NAME` and a mapper from parser paths to paths relative to `cwd`
+ */
+export function loadProject(files, { cwd, env = {}, envFiles = [], profiles = [], config }) {
+    const composeFiles = files.length > 0
+        ? files.map((file) => path.resolve(cwd, file))
+        : DEFAULT_COMPOSE_FILES.map((file) => path.resolve(cwd, file)).filter((file) => fs.existsSync(file)).slice(0, 1);
+    if (composeFiles.length === 0) {
+        throw createUsageError(`No Compose file given and none of ${DEFAULT_COMPOSE_FILES.join(', ')} found in ${cwd}`);
+    }
+
+    const envFilePaths = envFiles.map((file) => path.resolve(cwd, file));
+    const configPaths = config ? [path.resolve(cwd, config)] : [];
+    for (const file of [...composeFiles, ...envFilePaths, ...configPaths]) {
+        if (!fs.existsSync(file)) throw createUsageError(`File not found: ${path.relative(cwd, file) || file}`);
+    }
+
+    const root = path.parse(composeFiles[0]).root;
+    const toProjectPath = (file) => path.relative(root, file).split(path.sep).join('/');
+    const fileMap = createDiskFileMap(root);
+    const [basePath, ...overrideFiles] = composeFiles.map(toProjectPath);
+
+    const shellEnvironment = Object.fromEntries(Object.entries(env).filter(([, value]) => value !== undefined));
+    const defaultEnvFile = joinPath(dirname(basePath), '.env');
+    const selectedEnvFiles = envFilePaths.length > 0
+        ? envFilePaths.map(toProjectPath)
+        : (fileMap[defaultEnvFile] !== undefined ? [defaultEnvFile] : []);
+    const { values, errors } = loadEnvFiles(fileMap, selectedEnvFiles, shellEnvironment);
+    const configFile = configPaths.length > 0
+        ? toProjectPath(configPaths[0])
+        : RULE_CONFIG_FILES.map((name) => joinPath(dirname(basePath), name)).find((file) => fileMap[file] !== undefined);
+    const ruleConfig = configFile ? parseRuleConfig(fileMap[configFile], configFile) : { config: undefined, errors: [] };
+    const { environment } = resolveEnvironmentSources([
+        ...selectedEnvFiles.map((file) => ({ source: file, values: values[file] })),
+        { source: OVERRIDES_SOURCE, values: shellEnvironment }
+    ]);
+
+    return {
+        yaml: fileMap[basePath],
+        options: {
+            basePath,
+            fileMap,
+            overrideFiles,
+            environment,
+            processEnvironment: shellEnvironment,
+            activeProfiles: profiles.length > 0 ? profiles : (getComposeSettings(environment).profiles || []),
+            ruleConfig: ruleConfig.config
+        },
+        errors: [...errors, ...ruleConfig.errors],
+        composeFile: composeFiles[0],
+        projectName: getComposeSettings(environment).projectName,
+        toDisplayPath: (file) => path.relative(cwd, path.join(root, file)).split(path.sep).join('/')
+    };
+}
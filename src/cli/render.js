@@ -0,0 +1,110 @@
+/**
+ * `compoviz render` - writes the architecture diagram of one or more Compose projects
+ * as SVG (laid out by the WASM Graphviz build) or as DOT, without a browser.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import {
+    analyzeCompose,
+    compareProjects,
+    generateGraphviz,
+    generateMultiProjectGraphviz,
+    renderSvg
+} from '../lib/index.js';
+import { deriveProjectName } from '../utils/canonicalConfig.js';
+import { formatLocation } from '../utils/sourceMap.js';
+import { loadProject, createUsageError } from './project.js';
+
+export const RENDER_USAGE = `Usage: compoviz render [options] [compose files...]
+
+Render the architecture diagram of a Compose project, or compare several projects in one diagram.
+
+Options:
+  -f, --file <path>       Compose file; repeat to merge overrides (default: compose.yaml, docker-compose.yml, ...)
+  --project <path>        Compose file of a project to compare; repeat for a multi-project diagram
+  --env-file <path>       Env file for interpolation; repeatable (default: .env next to each Compose file)
+  -p, --profile <name>    Profile to enable; repeatable (default: COMPOSE_PROFILES)
+  --format <format>       svg or dot (default: from the output extension, else svg)
+  -o, --output <path>     Write the diagram to a file instead of stdout
+  -h, --help              Show this help
+`;
+
+const FORMATS = ['svg', 'dot'];
+
+/**
+ * Run `compoviz render`.
+ * @param {string[]} argv - Arguments after the command name
+ * @param {{cwd: string, env: Object, stdout: {write: Function}, stderr: {write: Function}}} io - Process context
+ * @returns {Promise<number>} Exit code: 0 when the diagram was written, 1 when a project could not be parsed
+ */
+export async function render(argv, io) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            file: { type: 'string', short: 'f', multiple: true, default: [] },
+            project: { type: 'string', multiple: true, default: [] },
+            'env-file': { type: 'string', multiple: true, default: [] },
+            profile: { type: 'string', short: 'p', multiple: true, default: [] },
+            format: { type: 'string' },
+            output: { type: 'string', short: 'o' },
+            help: { type: 'boolean', short: 'h', default: false }
+        }
+    });
+
+    if (values.help) {
+        io.stdout.write(RENDER_USAGE);
+        return 0;
+    }
+    const files = [...values.file, ...positionals];
+    if (values.project.length > 0 && files.length > 0) {
+        throw createUsageError('Use either --project for a multi-project diagram or Compose files for one project');
+    }
+    const format = values.format || (/\.(dot|gv)$/i.test(values.output || '') ? 'dot' : 'svg');
+    if (!FORMATS.includes(format)) {
+        throw createUsageError(`Unknown format "${format}"; expected ${FORMATS.join(', ')}`);
+    }
+
+    const load = (projectFiles) => {
+        const project = loadProject(projectFiles, {
+            cwd: io.cwd,
+            env: io.env,
+            envFiles: values['env-file'],
+            profiles: values.profile
+        });
+        const { compose, issues } = analyzeCompose(project.yaml, project.options);
+        if (!compose) {
+            issues.forEach((issue) => {
+                const location = issue.location ? `${formatLocation({ ...issue.location, file: project.toDisplayPath(issue.location.file) })}: ` : '';
+                io.stderr.write(`${location}${issue.message}\n`);
+            });
+            return null;
+        }
+        return {
+            name: project.projectName || deriveProjectName(compose.name, project.composeFile.split(path.sep).join('/')),
+            content: compose
+        };
+    };
+
+    let dot;
+    if (values.project.length > 0) {
+        const projects = values.project.map((file) => load([file]));
+        if (projects.includes(null)) return 1;
+        const conflicts = compareProjects(projects).filter((result) => result.severity === 'error');
+        dot = generateMultiProjectGraphviz(projects, conflicts);
+    } else {
+        const project = load(files);
+        if (!project) return 1;
+        dot = generateGraphviz(project.content);
+    }
+
+    const output = format === 'dot' ? dot : await renderSvg(dot);
+    if (values.output) {
+        fs.writeFileSync(path.resolve(io.cwd, values.output), output);
+    } else {
+        io.stdout.write(output);
+    }
+    return 0;
+}
@@ -0,0 +1,92 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { run } from './index.js';
+
+const createIo = (cwd, env = {}) => {
+    const io = { cwd, env, out: '', err: '' };
+    io.stdout = { write: (text) => { io.out += text; } };
+    io.stderr = { write: (text) => { io.err += text; } };
+    return io;
+};
+
+describe('compoviz render', () => {
+    let dir;
+    const write = (file, content) => {
+        fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+        fs.writeFileSync(path.join(dir, file), content);
+    };
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'compoviz-render-'));
+        write('shop/compose.yml', [
+            'services:',
+            '  web:',
+            '    image: nginx:${TAG}',
+            '    ports: ["8080:80"]',
+            '    depends_on: [api]',
+            '  api:',
+            '    image: node:20',
+            ''
+        ].join('\n'));
+        write('shop/.env', 'TAG=1.27\n');
+        write('blog/compose.yml', 'name: blog\nservices:\n  ghost:\n    image: ghost:5\n    ports: ["8080:2368"]\n');
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('writes the DOT of a single project', async () => {
+        const io = createIo(path.join(dir, 'shop'));
+        const code = await run(['render', '--format', 'dot'], io);
+
+        expect(code).toBe(0);
+        expect(io.out).toMatch(/^digraph/);
+        expect(io.out).toContain('<nginx>');
+        expect(io.out).toContain('<node>');
+        expect(io.out).toContain('label="8080"');
+    });
+
+    it('combines several projects and their conflicts in one diagram', async () => {
+        const io = createIo(dir);
+        const code = await run(['render', '--project', 'shop/compose.yml', '--project', 'blog/compose.yml', '-o', 'all.gv'], io);
+        const dot = fs.readFileSync(path.join(dir, 'all.gv'), 'utf8');
+
+        expect(code).toBe(0);
+        expect(io.out).toBe('');
+        expect(dot).toContain('label="shop"');
+        expect(dot).toContain('label="blog"');
+        expect(dot).toContain('8080');
+    });
+
+    it('lays out SVG with the WASM Graphviz build', async () => {
+        const io = createIo(dir);
+        const code = await run(['render', 'shop/compose.yml', '-o', 'shop.svg'], io);
+        const svg = fs.readFileSync(path.join(dir, 'shop.svg'), 'utf8');
+
+        expect(code).toBe(0);
+        expect(svg).toContain('<svg');
+        expect(svg).toContain('</svg>');
+    });
+
+    it('fails when a project cannot be parsed', async () => {
+        write('broken/compose.yml', 'services: [\n');
+        const io = createIo(dir);
+        const code = await run(['render', '--project', 'shop/compose.yml', '--project', 'broken/compose.yml'], io);
+
+        expect(code).toBe(1);
+        expect(io.out).toBe('');
+        expect(io.err).toContain('broken/compose.yml:2');
+    });
+
+    it('rejects invalid usage with exit code 2', async () => {
+        const io = createIo(dir);
+
+        expect(await run(['render', '--format', 'png', 'shop/compose.yml'], io)).toBe(2);
+        expect(await run(['render', '--project', 'blog/compose.yml', 'shop/compose.yml'], io)).toBe(2);
+        expect(io.err).toContain('Unknown format "png"');
+        expect(io.err).toContain('Use either --project');
+    });
+});
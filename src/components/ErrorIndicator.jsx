@@ -1,11 +1,12 @@
 import { useState, useRef, useEffect } from 'react';
 import { AlertCircle, X } from 'lucide-react';
+import { formatLocation } from '../utils/sourceMap.js';
 
 /**
  * Header error indicator with dropdown
  * Shows total error/warning count and expandable list
  */
-export const ErrorIndicator = ({ errors, onSelect }) => {
+export const ErrorIndicator = ({ errors, onSelect, onReveal }) => {
     const [isOpen, setIsOpen] = useState(false);
     const dropdownRef = useRef(null);
 
@@ -94,6 +95,19 @@ export const ErrorIndicator = ({ errors, onSelect }) => {
                                                 {error.entity}: <span className="text-cyber-accent">{error.name}</span>
                                             </p>
                                         )}
+                                        {error.location && (
+                                            <button
+                                                onClick={(e) => {
+                                                    e.stopPropagation();
+                                                    onReveal?.(error.location);
+                                                    setIsOpen(false);
+                                                }}
+                                                className="text-[11px] font-mono text-cyber-text-muted hover:text-cyber-accent mt-1 truncate max-w-full"
+                                                title="Show in code"
+                                            >
+                                                {formatLocation(error.location)}
+                                            </button>
+                                        )}
                                     </div>
                                 </div>
                             </div>
@@ -1,4 +1,4 @@
-import { lazy, Suspense } from 'react';
+import { lazy, Suspense, useMemo } from 'react';
 import {
     Server, Plus, Download, Upload, Search, Menu, Eye, Code,
     Layers, Undo2, Redo2, Sparkles, GitCompare, PenTool,
@@ -11,6 +11,7 @@ import { useUI } from '../context/UIContext';
 import { useFileImport } from '../hooks/useFileImport.js';
 import { useProjectActions } from '../hooks/useProjectActions.js';
 import { generateGraphviz } from '../utils/graphviz';
+import { prepareUploadFiles } from '../utils/uploadFiles.js';
 import { serviceTemplates } from '../data/templates';
 
 // UI Components
@@ -22,9 +23,9 @@ import { ResourceTree } from '../features/sidebar';
 import ErrorIndicator from './ErrorIndicator';
 import { GraphvizDiagram } from '../features/diagram';
 import { CodePreview } from '../features/code-preview';
-import { TemplateModal } from './modals';
+import { TemplateModal, ProfileMatrixModal, FixesModal } from './modals';
 import CompareView from './CompareView';
-import { ProfilesPanel } from '../features/sidebar';
+import { ProfilesPanel, ComposeStackPanel, EnvironmentPanel, IssuesPanel } from '../features/sidebar';
 import Footer from './Footer.jsx';
 import WhatsNewModal from './WhatsNewModal.jsx';
 import { getExample } from '../data/examples.js';
@@ -48,7 +49,7 @@ const BuilderSkeleton = () => (
  */
 export default function MainLayout() {
     // Get data state from ComposeContext
-    const { state, dispatch, errors, undo, redo, canUndo, canRedo, handleExport, loadFiles, resetProject } = useCompose();
+    const { state, dispatch, errors, suppressedSuggestions, undo, redo, canUndo, canRedo, handleExport, loadFiles, resetProject, extendsSources, envFiles } = useCompose();
 
     // Get UI state from UIContext
     const {
@@ -58,6 +59,7 @@ export default function MainLayout() {
         selected,
         searchTerm,
         showTemplates,
+        activeModal,
         codePreviewWidth,
         isResizing,
         showMobileCode,
@@ -68,6 +70,8 @@ export default function MainLayout() {
         setShowTemplates,
         setIsResizing,
         setShowMobileCode,
+        setCodeLocation,
+        closeModal,
     } = useUI();
 
     // File Import Hook
@@ -90,6 +94,13 @@ export default function MainLayout() {
     const handleAddFromTemplate = (templateName) => handleAddFromTemplateBase(templateName, serviceTemplates);
 
     // Additional handlers not extracted to hooks
+    const handleRevealLocation = (location) => {
+        setCodeLocation(location);
+        setActiveView('editor');
+        // The code preview panel is only inline on wide screens
+        if (window.innerWidth < 1280) setShowMobileCode(true);
+    };
+
     const handleExportDiagram = async () => {
         const svg = document.querySelector('.mermaid-container svg');
         if (!svg) return;
@@ -132,22 +143,17 @@ export default function MainLayout() {
                     e.preventDefault();
                     setIsDragging(false);
                     const droppedFiles = await collectDroppedFiles(e.dataTransfer);
-                    const files = droppedFiles.filter(({ file }) => (
-                        file.name.endsWith('.yml') || file.name.endsWith('.yaml') || file.name === '.env'
-                    )).map(({ file, fullPath }) => {
+                    const orderedFiles = prepareUploadFiles(droppedFiles.map(({ file, fullPath }) => {
                         if (!fullPath) return file;
                         return {
                             name: file.name,
                             webkitRelativePath: fullPath.replace(/^\//, ''),
+                            size: file.size,
                             text: () => file.text()
                         };
-                    });
-                    if (files.length === 0) return;
-                    const primaryFile = files.find((file) => (
-                        file.name === 'docker-compose.yml' || file.name === 'docker-compose.yaml'
-                    )) || files[0];
-                    const orderedFiles = [primaryFile, ...files.filter((file) => file !== primaryFile)];
-                    const content = await primaryFile.text();
+                    }));
+                    if (orderedFiles.length === 0) return;
+                    const content = await orderedFiles[0].text();
                     handleImport(content, orderedFiles);
                 }}
             >
@@ -160,7 +166,7 @@ export default function MainLayout() {
                         <div className="flex flex-col items-center gap-2 pointer-events-none">
                             <Upload size={32} className={`transition-colors duration-300 ${isDragging ? 'text-cyber-accent animate-bounce' : 'text-cyber-text-muted'}`} />
                             <p className="text-sm font-medium">Drag & drop docker-compose.yml</p>
-                            <span className="text-xs text-cyber-text-muted">Supports .yml and .yaml</span>
+                            <span className="text-xs text-cyber-text-muted">Or a project folder, with its env files</span>
                         </div>
                     </div>
 
@@ -175,19 +181,12 @@ export default function MainLayout() {
                         <span>Import Files</span>
                         <input
                             type="file"
-                            accept=".yml,.yaml,.env"
                             multiple
                             className="hidden"
                             onChange={async (e) => {
-                                const files = Array.from(e.target.files || []).filter((file) => (
-                                    file.name.endsWith('.yml') || file.name.endsWith('.yaml') || file.name === '.env'
-                                ));
-                                if (files.length === 0) return;
-                                const primaryFile = files.find((file) => (
-                                    file.name === 'docker-compose.yml' || file.name === 'docker-compose.yaml'
-                                )) || files[0];
-                                const orderedFiles = [primaryFile, ...files.filter((file) => file !== primaryFile)];
-                                const content = await primaryFile.text();
+                                const orderedFiles = prepareUploadFiles(Array.from(e.target.files || []));
+                                if (orderedFiles.length === 0) return;
+                                const content = await orderedFiles[0].text();
                                 handleImport(content, orderedFiles);
                             }}
                         />
@@ -197,19 +196,12 @@ export default function MainLayout() {
                         <span>Import Folder</span>
                         <input
                             type="file"
-                            accept=".yml,.yaml,.env"
                             webkitdirectory="true"
                             className="hidden"
                             onChange={async (e) => {
-                                const files = Array.from(e.target.files || []).filter((file) => (
-                                    file.name.endsWith('.yml') || file.name.endsWith('.yaml') || file.name === '.env'
-                                ));
-                                if (files.length === 0) return;
-                                const primaryFile = files.find((file) => (
-                                    file.name === 'docker-compose.yml' || file.name === 'docker-compose.yaml'
-                                )) || files[0];
-                                const orderedFiles = [primaryFile, ...files.filter((file) => file !== primaryFile)];
-                                const content = await primaryFile.text();
+                                const orderedFiles = prepareUploadFiles(Array.from(e.target.files || []));
+                                if (orderedFiles.length === 0) return;
+                                const content = await orderedFiles[0].text();
                                 handleImport(content, orderedFiles);
                             }}
                         />
@@ -223,7 +215,7 @@ export default function MainLayout() {
         if (!item) return null;
 
         switch (type) {
-            case 'services': return <ServiceEditor name={name} service={item} onUpdate={handleUpdate} allNetworks={state.networks} allServices={state.services} allVolumes={state.volumes} errors={errors} />;
+            case 'services': return <ServiceEditor name={name} service={item} onUpdate={handleUpdate} allNetworks={state.networks} allServices={state.services} allVolumes={state.volumes} errors={errors} inheritedFields={extendsSources?.[name]} envFiles={envFiles?.[name]} />;
             case 'networks': return <NetworkEditor name={name} network={item} onUpdate={handleUpdate} />;
             case 'volumes': return <VolumeEditor name={name} volume={item} onUpdate={handleUpdate} />;
             case 'secrets': return <SecretEditor name={name} secret={item} onUpdate={handleUpdate} />;
@@ -232,7 +224,8 @@ export default function MainLayout() {
         }
     };
 
-    const graphvizDot = generateGraphviz(state);
+    // Graphviz lays out the whole graph, so the DOT is rebuilt only when the state changes
+    const graphvizDot = useMemo(() => generateGraphviz(state), [state]);
 
     return (
         <div className="h-screen flex flex-col overflow-hidden">
@@ -274,7 +267,7 @@ export default function MainLayout() {
                         <input type="text" placeholder="Search resources..." value={searchTerm} onChange={e => setSearchTerm(e.target.value)} className="pl-9 pr-4 py-2 w-48 lg:w-64 text-sm" />
                     </div>
                     {/* Error Indicator */}
-                    <ErrorIndicator errors={errors} onSelect={setSelected} />
+                    <ErrorIndicator errors={errors} onSelect={setSelected} onReveal={handleRevealLocation} />
                     {/* View switcher - icons only on mobile */}
                     <div className="header-view-buttons flex gap-1 glass rounded-lg p-1">
                         <button onClick={() => setActiveView('editor')} className={`px-2 md:px-3 py-1.5 rounded text-sm transition-colors flex items-center gap-1 ${activeView === 'editor' ? 'bg-cyber-accent text-white' : 'text-cyber-text-muted hover:text-cyber-text'}`}><Code size={14} /><span className="view-btn-text hidden md:inline">Editor</span></button>
@@ -316,12 +309,15 @@ export default function MainLayout() {
                         <button onClick={() => handleAdd('services')} className="btn btn-primary w-full flex items-center justify-center gap-2"><Plus size={16} />Add Service</button>
                         <button onClick={() => setShowTemplates(true)} className="btn btn-secondary w-full flex items-center justify-center gap-2"><Sparkles size={16} />From Template</button>
                     </div>
-                    <div className="p-2 border-b border-cyber-border/50">
+                    <div className="p-2 border-b border-cyber-border/50 space-y-2">
+                        <ComposeStackPanel />
+                        <EnvironmentPanel />
                         <ProfilesPanel />
                     </div>
                     <div className="flex-1 overflow-auto p-2">
                         <ResourceTree onSelect={(sel) => { setSelected(sel); if (isMobile) setSidebarOpen(false); }} onAdd={handleAdd} onDelete={handleDelete} />
                     </div>
+                    <IssuesPanel errors={errors} suppressed={suppressedSuggestions} onSelect={(sel) => { setSelected(sel); if (isMobile) setSidebarOpen(false); }} onReveal={handleRevealLocation} />
                     {/* Spec Compliance Badge */}
                     <div className="px-3 py-2 border-t border-cyber-border/50">
                         <a
@@ -426,6 +422,8 @@ export default function MainLayout() {
 
             {/* Template Modal */}
             {showTemplates && <TemplateModal onSelect={handleAddFromTemplate} onClose={() => setShowTemplates(false)} />}
+            {activeModal === 'profile-matrix' && <ProfileMatrixModal onClose={closeModal} />}
+            {activeModal === 'fixes' && <FixesModal onClose={closeModal} />}
         </div>
     );
 }
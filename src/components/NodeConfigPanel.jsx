@@ -3,6 +3,8 @@ import { X, Server, Network, Database, Key, FileText, Trash2, Box, AlertCircle,
 
 // Import config components
 import { ServiceConfig, NetworkConfig, VolumeConfig, SecretConfig, ConfigConfig } from '../features/visual-builder/configs';
+import { formatLocation } from '../utils/sourceMap.js';
+import { getSuggestionRule } from '../utils/suggestionRules.js';
 
 /**
  * Comprehensive Node Configuration Panel for the Visual Builder.
@@ -208,6 +210,19 @@ const NodeConfigPanel = memo(({
                                                     {suggestion.category.replace('-', ' ')}
                                                 </span>
                                             )}
+                                            {suggestion.rule && (
+                                                <span
+                                                    className="inline-block mt-1 ml-1 px-1.5 py-0.5 rounded text-[10px] font-mono bg-cyber-surface text-cyber-text-muted cursor-help"
+                                                    title={getSuggestionRule(suggestion.rule)?.docs}
+                                                >
+                                                    {suggestion.rule}
+                                                </span>
+                                            )}
+                                            {suggestion.location && (
+                                                <span className="inline-block mt-1 ml-1 text-[10px] font-mono text-cyber-text-muted">
+                                                    {formatLocation(suggestion.location)}
+                                                </span>
+                                            )}
                                         </div>
                                     </div>
                                 </div>
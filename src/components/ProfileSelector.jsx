@@ -1,9 +1,10 @@
 import { useMemo, useRef, useState, useEffect } from 'react';
 import { Layers, Check, X, Search } from 'lucide-react';
 import { useCompose } from '../hooks/useCompose.jsx';
+import { TargetServicesPicker } from '../features/sidebar/TargetServicesPicker.jsx';
 
 export const ProfileSelector = () => {
-    const { profiles, activeProfiles, setActiveProfiles, profileCounts } = useCompose();
+    const { profiles, activeProfiles, setActiveProfiles, profileCounts, serviceNames } = useCompose();
     const [isOpen, setIsOpen] = useState(false);
     const [query, setQuery] = useState('');
     const dropdownRef = useRef(null);
@@ -38,13 +39,14 @@ export const ProfileSelector = () => {
     const clearAll = () => setActiveProfiles([]);
 
     const hasProfiles = profiles.length > 0;
+    const canOpen = hasProfiles || serviceNames.length > 0;
     const activeLabel = activeProfiles.length > 0 ? activeProfiles.join(', ') : 'None';
 
     return (
         <div className="relative" ref={dropdownRef}>
             <button
-                onClick={() => hasProfiles && setIsOpen(!isOpen)}
-                className={`flex items-center gap-2 px-3 py-1.5 rounded-lg transition-all ${hasProfiles ? 'hover:bg-cyber-surface-light text-cyber-text' : 'text-cyber-text-muted cursor-not-allowed'} ${isOpen ? 'bg-cyber-surface-light' : ''}`}
+                onClick={() => canOpen && setIsOpen(!isOpen)}
+                className={`flex items-center gap-2 px-3 py-1.5 rounded-lg transition-all ${canOpen ? 'hover:bg-cyber-surface-light text-cyber-text' : 'text-cyber-text-muted cursor-not-allowed'} ${isOpen ? 'bg-cyber-surface-light' : ''}`}
                 title={hasProfiles ? 'Filter services by profile' : 'No profiles detected in this compose file'}
             >
                 <Layers size={16} className="text-cyber-accent" />
@@ -110,6 +112,10 @@ export const ProfileSelector = () => {
                         )}
                     </div>
 
+                    <div className="p-3 border-t border-cyber-border/50">
+                        <TargetServicesPicker />
+                    </div>
+
                     <div className="p-2 border-t border-cyber-border/50">
                         <button onClick={() => setIsOpen(false)} className="w-full btn btn-secondary text-xs py-1 flex items-center justify-center gap-2">
                             <X size={12} />
@@ -14,9 +14,9 @@ import { nodeTypes } from './nodes';
 import { edgeTypes } from './edges';
 import BuilderToolbar from './BuilderToolbar';
 import NodeConfigPanel from './NodeConfigPanel';
-import { stateToFlow, handleEdgeConnect, handleEdgeDelete, parseNodeId } from '../utils/flowConverter';
+import { createFlowConverter, handleEdgeConnect, handleEdgeDelete, parseNodeId } from '../utils/flowConverter';
 import { mergeFlowElements } from '../utils/objectUtils';
-import { Download, Lightbulb, LightbulbOff } from 'lucide-react';
+import { Download, Lightbulb, LightbulbOff, Wrench } from 'lucide-react';
 import { useCompose } from '../hooks/useCompose.jsx';
 import { useUI } from '../context/UIContext.jsx';
 
@@ -27,8 +27,9 @@ import { useUI } from '../context/UIContext.jsx';
  */
 export default function VisualBuilder() {
     // Get compose state from context
-    const { state, dispatch, suggestions = [] } = useCompose();
-    const { suggestionsEnabled, setSuggestionsEnabled } = useUI();
+    const { state, dispatch, suggestions = [], ruleConfigFile } = useCompose();
+    const { suggestionsEnabled, setSuggestionsEnabled, openModal } = useUI();
+    const fixableCount = suggestions.filter((suggestion) => suggestion.action).length;
     const reactFlowWrapper = useRef(null);
     const [reactFlowInstance, setReactFlowInstance] = useState(null);
     const [selectedNode, setSelectedNode] = useState(null);
@@ -46,10 +47,11 @@ export default function VisualBuilder() {
         return () => window.removeEventListener('resize', handleResize);
     }, [selectedNode]);
 
-    // Convert compose state to React Flow format
+    // Convert compose state to React Flow format, rebuilding only the services that changed
+    const [convertToFlow] = useState(createFlowConverter);
     const { nodes: initialNodes, edges: initialEdges } = useMemo(
-        () => stateToFlow(state, suggestionsEnabled ? suggestions : []),
-        [state, suggestions, suggestionsEnabled]
+        () => convertToFlow(state, suggestionsEnabled ? suggestions : []),
+        [convertToFlow, state, suggestions, suggestionsEnabled]
     );
 
     const [nodes, setNodes, onNodesChange] = useNodesState(initialNodes);
@@ -57,11 +59,9 @@ export default function VisualBuilder() {
 
     // Sync nodes when state changes externally
     React.useEffect(() => {
-        const { nodes: newNodes, edges: newEdges } = stateToFlow(state, suggestionsEnabled ? suggestions : []);
-
-        setNodes((prevNodes) => mergeFlowElements(prevNodes, newNodes));
-        setEdges((prevEdges) => mergeFlowElements(prevEdges, newEdges));
-    }, [state, suggestions, suggestionsEnabled, setNodes, setEdges]);
+        setNodes((prevNodes) => mergeFlowElements(prevNodes, initialNodes));
+        setEdges((prevEdges) => mergeFlowElements(prevEdges, initialEdges));
+    }, [initialNodes, initialEdges, setNodes, setEdges]);
 
     // Handle new edge connections
     const onConnect = useCallback(
@@ -389,10 +389,18 @@ export default function VisualBuilder() {
                             <button
                                 onClick={() => setSuggestionsEnabled(!suggestionsEnabled)}
                                 className={`builder-action-btn ${suggestions.length > 0 ? 'has-suggestions' : ''}`}
-                                title={suggestionsEnabled ? `${suggestions.length} suggestions (click to hide)` : `${suggestions.length} suggestions (click to show)`}
+                                title={`${suggestions.length} suggestions${ruleConfigFile ? `, rules from ${ruleConfigFile}` : ''} (click to ${suggestionsEnabled ? 'hide' : 'show'})`}
                             >
                                 {suggestions.length > 0 ? <Lightbulb size={16} /> : <LightbulbOff size={16} />}
                             </button>
+                            <button
+                                onClick={() => openModal('fixes')}
+                                className="builder-action-btn"
+                                title={`Fix suggestions (${fixableCount} with a fix)`}
+                                disabled={fixableCount === 0}
+                            >
+                                <Wrench size={16} />
+                            </button>
                             <button
                                 onClick={handleExportSvg}
                                 className="builder-action-btn"
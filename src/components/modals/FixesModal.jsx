@@ -0,0 +1,139 @@
+import { useMemo, useState } from 'react';
+import { X, Wrench, Check } from 'lucide-react';
+import { IconButton } from '../ui';
+import { useCompose } from '../../hooks/useCompose.jsx';
+import { applySuggestionFixes, canApplyFix, isDestructiveFix } from '../../utils/suggestionFixes.js';
+import { diffYaml } from '../../utils/yaml.js';
+
+const LINE_STYLES = {
+    insert: 'bg-cyber-success/10 text-cyber-success',
+    delete: 'bg-cyber-error/10 text-cyber-error',
+    equal: 'text-cyber-text-muted'
+};
+const LINE_PREFIXES = { insert: '+', delete: '-', equal: ' ' };
+
+/**
+ * Fix suggestions - lists the suggestions with a fix, previews the YAML diff of the
+ * selected ones and applies them as a single (undoable) state change.
+ * Fixes that delete something start unselected.
+ */
+export const FixesModal = ({ onClose }) => {
+    const { state, dispatch, suggestions, yamlCode, previewYaml } = useCompose();
+    const fixable = useMemo(() => suggestions.filter((suggestion) => suggestion.action), [suggestions]);
+    const [selected, setSelected] = useState(() => new Set(fixable
+        .filter((suggestion) => !isDestructiveFix(suggestion.action))
+        .map((suggestion) => suggestion.id)));
+    const [inputs, setInputs] = useState({});
+
+    const chosen = useMemo(
+        () => fixable.filter((suggestion) => selected.has(suggestion.id) && canApplyFix(suggestion, inputs[suggestion.id])),
+        [fixable, selected, inputs]
+    );
+    const nextState = useMemo(() => applySuggestionFixes(state, chosen, inputs), [state, chosen, inputs]);
+    const hunks = useMemo(() => diffYaml(yamlCode, previewYaml(nextState)), [yamlCode, previewYaml, nextState]);
+
+    const toggle = (id) => {
+        const next = new Set(selected);
+        if (next.has(id)) next.delete(id); else next.add(id);
+        setSelected(next);
+    };
+
+    const apply = () => {
+        dispatch({ type: 'SET_STATE', payload: nextState });
+        onClose();
+    };
+
+    return (
+        <div
+            className="fixed inset-0 bg-black/60 backdrop-blur-sm z-50 flex items-center justify-center p-4"
+            onClick={onClose}
+        >
+            <div
+                className="glass rounded-2xl p-6 max-w-5xl w-full max-h-[85vh] flex flex-col animate-slide-in"
+                onClick={e => e.stopPropagation()}
+            >
+                <div className="flex items-center justify-between mb-4">
+                    <h2 className="text-xl font-bold flex items-center gap-2">
+                        <Wrench className="text-cyber-accent" />Fix Suggestions
+                    </h2>
+                    <IconButton icon={X} onClick={onClose} title="Close" />
+                </div>
+
+                {fixable.length === 0 ? (
+                    <p className="text-sm text-cyber-text-muted">No suggestion has an automatic fix.</p>
+                ) : (
+                    <div className="flex-1 min-h-0 grid grid-cols-1 md:grid-cols-2 gap-4">
+                        <div className="overflow-auto space-y-2 pr-1">
+                            {fixable.map((suggestion) => {
+                                const isSelected = selected.has(suggestion.id);
+                                const needsTag = suggestion.action.type === 'pin-image';
+                                return (
+                                    <div key={suggestion.id} className="p-2 rounded-lg border border-cyber-border/50 bg-cyber-surface-light/30">
+                                        <div className="flex items-start gap-2">
+                                            <button
+                                                onClick={() => toggle(suggestion.id)}
+                                                className={`mt-0.5 w-4 h-4 shrink-0 rounded border inline-flex items-center justify-center ${isSelected ? 'bg-cyber-accent border-cyber-accent' : 'border-cyber-border/60 hover:border-cyber-accent'}`}
+                                                title={isSelected ? 'Skip this fix' : 'Apply this fix'}
+                                            >
+                                                {isSelected && <Check size={10} className="text-white" />}
+                                            </button>
+                                            <div className="flex-1 min-w-0">
+                                                <p className="text-xs font-medium">{suggestion.action.label}</p>
+                                                <p className="text-xs text-cyber-text-muted mt-0.5">
+                                                    {suggestion.entity}: <span className="text-cyber-accent">{suggestion.name}</span>
+                                                    {' · '}<span className="font-mono">{suggestion.rule}</span>
+                                                </p>
+                                                {suggestion.action.note && (
+                                                    <p className="text-xs text-cyber-warning mt-0.5">{suggestion.action.note}</p>
+                                                )}
+                                                {needsTag && isSelected && (
+                                                    <input
+                                                        type="text"
+                                                        placeholder="Version tag, e.g. 1.27"
+                                                        value={inputs[suggestion.id]?.tag ?? suggestion.action.tag ?? ''}
+                                                        onChange={(e) => setInputs({ ...inputs, [suggestion.id]: { tag: e.target.value } })}
+                                                        className="mt-1 text-xs py-1 px-2 w-40 font-mono"
+                                                    />
+                                                )}
+                                            </div>
+                                        </div>
+                                    </div>
+                                );
+                            })}
+                        </div>
+
+                        <div className="overflow-auto rounded-xl border border-cyber-border/50 bg-cyber-bg font-mono text-xs">
+                            {hunks.length === 0 ? (
+                                <p className="p-3 text-cyber-text-muted font-sans">Select fixes to preview their changes.</p>
+                            ) : hunks.map((hunk) => (
+                                <div key={`${hunk.oldStart}-${hunk.newStart}`} className="border-b border-cyber-border/30 last:border-b-0">
+                                    <div className="px-3 py-1 text-cyber-purple bg-cyber-surface">
+                                        @@ -{hunk.oldStart} +{hunk.newStart} @@
+                                    </div>
+                                    {hunk.lines.map((line, idx) => (
+                                        <div key={idx} className={`px-3 whitespace-pre ${LINE_STYLES[line.type]}`}>
+                                            {LINE_PREFIXES[line.type]} {line.text}
+                                        </div>
+                                    ))}
+                                </div>
+                            ))}
+                        </div>
+                    </div>
+                )}
+
+                <div className="flex items-center justify-end gap-2 mt-4">
+                    <button onClick={onClose} className="btn btn-secondary text-xs py-1.5 px-3">Cancel</button>
+                    <button
+                        onClick={apply}
+                        disabled={chosen.length === 0}
+                        className="btn btn-primary text-xs py-1.5 px-3 disabled:opacity-40"
+                    >
+                        Apply {chosen.length} fix{chosen.length !== 1 && 'es'}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default FixesModal;
@@ -0,0 +1,33 @@
+import { useEffect } from 'react';
+import { describe, it, expect } from 'vitest';
+import { screen, fireEvent } from '@testing-library/react';
+import { render } from '../../test/utils.jsx';
+import { useCompose } from '../../hooks/useCompose.jsx';
+import { FixesModal } from './FixesModal.jsx';
+
+const state = {
+    services: { web: { image: 'nginx:1.27', user: '101', healthcheck: { test: ['CMD', 'true'] }, deploy: { resources: { limits: { cpus: '1' } } } } },
+    volumes: { cache: {} }
+};
+
+// Opens the modal once the project is loaded, like after an import
+const Harness = () => {
+    const { state: current, dispatch } = useCompose();
+    useEffect(() => {
+        dispatch({ type: 'SET_STATE', payload: state });
+    }, [dispatch]);
+    return current.volumes?.cache ? <FixesModal onClose={() => {}} /> : null;
+};
+
+describe('FixesModal', () => {
+    it('leaves fixes that delete something unselected', async () => {
+        render(<Harness />);
+
+        expect(await screen.findByText('Add restart: unless-stopped')).toBeInTheDocument();
+        expect(screen.getByText('Delete volume cache')).toBeInTheDocument();
+        expect(screen.getByText('Apply 1 fix')).toBeInTheDocument();
+
+        fireEvent.click(screen.getByTitle('Apply this fix'));
+        expect(screen.getByText('Apply 2 fixes')).toBeInTheDocument();
+    });
+});
@@ -0,0 +1,167 @@
+import { useMemo, useState } from 'react';
+import { X, Grid3x3, Check, Plus } from 'lucide-react';
+import { IconButton, Select } from '../ui';
+import { useCompose } from '../../hooks/useCompose.jsx';
+import { listAllProfiles, getServiceProfiles } from '../../utils/profileFilter.js';
+import { setServiceProfile, groupServicesByNetwork, groupServicesByTier, assignProfile } from '../../utils/profileMatrix.js';
+
+const GROUPINGS = [
+    { value: 'network', label: 'Network' },
+    { value: 'tier', label: 'Tier' }
+];
+
+/**
+ * Profile × service matrix - services as rows, profiles as columns; a cell toggles
+ * the profile on the service, and whole networks or tiers can be assigned at once.
+ * Services the active profiles hide are listed too, so their profiles can be managed.
+ */
+export const ProfileMatrixModal = ({ onClose }) => {
+    const { state, dispatch, profiles, profileCounts, hiddenServices, setServiceProfiles } = useCompose();
+    const [addedProfiles, setAddedProfiles] = useState([]);
+    const [newProfile, setNewProfile] = useState('');
+    const [grouping, setGrouping] = useState('network');
+    const [group, setGroup] = useState('');
+    const [bulkProfile, setBulkProfile] = useState('');
+
+    // Shown services first; the state wins over a hidden service of the same name
+    const services = useMemo(() => ({ ...state.services, ...hiddenServices, ...state.services }), [state.services, hiddenServices]);
+    const serviceNames = Object.keys(services);
+    const columns = useMemo(
+        () => [...new Set([...profiles, ...listAllProfiles({ services }), ...addedProfiles])].sort(),
+        [profiles, services, addedProfiles]
+    );
+    const groups = useMemo(
+        () => (grouping === 'tier' ? groupServicesByTier(services) : groupServicesByNetwork(services)),
+        [grouping, services]
+    );
+
+    // Shown services are updated in the state (undoable). Hidden services only exist in
+    // the loaded YAML, so a change that touches one is written there and re-parsed.
+    const updateProfiles = (updates) => {
+        const names = Object.keys(updates);
+        for (const name of names.filter((name) => state.services?.[name])) {
+            dispatch({ type: 'UPDATE_SERVICE', name, data: { profiles: updates[name] } });
+        }
+        if (names.some((name) => !state.services?.[name])) setServiceProfiles(updates);
+    };
+
+    const toggleCell = (name, profile) => {
+        const enabled = !getServiceProfiles(services[name]).includes(profile);
+        updateProfiles({ [name]: setServiceProfile(services[name], profile, enabled) });
+    };
+
+    const bulkAssign = (enabled) => {
+        if (!group || !bulkProfile) return;
+        const updates = assignProfile(services, groups[group] || [], bulkProfile, enabled);
+        if (Object.keys(updates).length > 0) updateProfiles(updates);
+    };
+
+    const addProfile = (e) => {
+        e.preventDefault();
+        const profile = newProfile.trim();
+        if (!profile || columns.includes(profile)) return;
+        setAddedProfiles([...addedProfiles, profile]);
+        setNewProfile('');
+    };
+
+    return (
+        <div
+            className="fixed inset-0 bg-black/60 backdrop-blur-sm z-50 flex items-center justify-center p-4"
+            onClick={onClose}
+        >
+            <div
+                className="glass rounded-2xl p-6 max-w-4xl w-full max-h-[85vh] flex flex-col animate-slide-in"
+                onClick={e => e.stopPropagation()}
+            >
+                <div className="flex items-center justify-between mb-4">
+                    <h2 className="text-xl font-bold flex items-center gap-2">
+                        <Grid3x3 className="text-cyber-accent" />Profile Matrix
+                    </h2>
+                    <IconButton icon={X} onClick={onClose} title="Close" />
+                </div>
+
+                <div className="flex flex-wrap items-end gap-3 mb-4">
+                    <div className="w-28">
+                        <Select label="Group by" value={grouping} onChange={(value) => { setGrouping(value); setGroup(''); }} options={GROUPINGS} />
+                    </div>
+                    <div className="w-40">
+                        <Select
+                            label={grouping === 'tier' ? 'Tier' : 'Network'}
+                            value={group}
+                            onChange={setGroup}
+                            placeholder="Select..."
+                            options={Object.keys(groups).map((key) => ({ value: key, label: `${key} (${groups[key].length})` }))}
+                        />
+                    </div>
+                    <div className="w-40">
+                        <Select label="Profile" value={bulkProfile} onChange={setBulkProfile} placeholder="Select..." options={columns} />
+                    </div>
+                    <button onClick={() => bulkAssign(true)} disabled={!group || !bulkProfile} className="btn btn-primary text-xs py-1.5 px-3 disabled:opacity-40">Assign</button>
+                    <button onClick={() => bulkAssign(false)} disabled={!group || !bulkProfile} className="btn btn-secondary text-xs py-1.5 px-3 disabled:opacity-40">Remove</button>
+                    <form onSubmit={addProfile} className="flex items-center gap-1 ml-auto">
+                        <input
+                            type="text"
+                            placeholder="New profile..."
+                            value={newProfile}
+                            onChange={(e) => setNewProfile(e.target.value)}
+                            className="text-sm py-1.5 px-2 w-36"
+                        />
+                        <button type="submit" className="p-1.5 rounded-lg hover:bg-cyber-surface-light" title="Add profile column">
+                            <Plus size={16} />
+                        </button>
+                    </form>
+                </div>
+
+                {serviceNames.length === 0 ? (
+                    <p className="text-sm text-cyber-text-muted">Add services to assign profiles.</p>
+                ) : (
+                    <div className="overflow-auto flex-1 rounded-xl border border-cyber-border/50">
+                        <table className="w-full text-sm border-collapse">
+                            <thead className="sticky top-0 bg-cyber-surface">
+                                <tr>
+                                    <th className="text-left px-3 py-2 font-medium">Service</th>
+                                    {columns.map((profile) => (
+                                        <th key={profile} className="px-3 py-2 font-medium text-center whitespace-nowrap">
+                                            <div>{profile}</div>
+                                            <div className="text-[10px] text-cyber-text-muted font-normal">{profileCounts[profile] || 0} svc</div>
+                                        </th>
+                                    ))}
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {serviceNames.map((name) => {
+                                    const serviceProfiles = getServiceProfiles(services[name]);
+                                    return (
+                                        <tr key={name} className="border-t border-cyber-border/30 hover:bg-cyber-surface-light/40">
+                                            <td className="px-3 py-1.5 whitespace-nowrap">
+                                                {name}
+                                                {serviceProfiles.length === 0 && <span className="ml-2 text-[10px] text-cyber-text-muted">always on</span>}
+                                                {hiddenServices[name] && !state.services?.[name] && <span className="ml-2 text-[10px] text-cyber-text-muted">inactive</span>}
+                                            </td>
+                                            {columns.map((profile) => {
+                                                const isAssigned = serviceProfiles.includes(profile);
+                                                return (
+                                                    <td key={profile} className="px-3 py-1.5 text-center">
+                                                        <button
+                                                            onClick={() => toggleCell(name, profile)}
+                                                            className={`w-5 h-5 rounded border inline-flex items-center justify-center ${isAssigned ? 'bg-cyber-accent border-cyber-accent' : 'border-cyber-border/60 hover:border-cyber-accent'}`}
+                                                            title={`${isAssigned ? 'Remove' : 'Add'} profile "${profile}" ${isAssigned ? 'from' : 'to'} ${name}`}
+                                                        >
+                                                            {isAssigned && <Check size={12} className="text-white" />}
+                                                        </button>
+                                                    </td>
+                                                );
+                                            })}
+                                        </tr>
+                                    );
+                                })}
+                            </tbody>
+                        </table>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default ProfileMatrixModal;
@@ -0,0 +1,61 @@
+import { useEffect } from 'react';
+import { describe, it, expect, vi } from 'vitest';
+import { screen, fireEvent, waitFor, act } from '@testing-library/react';
+import { render } from '../../test/utils.jsx';
+import { useCompose } from '../../hooks/useCompose.jsx';
+import { ProfileMatrixModal } from './ProfileMatrixModal.jsx';
+
+// Parse on the main thread; happy-dom has no workers
+vi.mock('../../utils/workerManager.js');
+
+const compose = [
+    'services:',
+    '  web:',
+    '    image: nginx',
+    '  debug-tools:',
+    '    image: busybox',
+    '    profiles: [debug]',
+    ''
+].join('\n');
+
+const context = { current: null };
+const Probe = () => {
+    const value = useCompose();
+    useEffect(() => {
+        context.current = value;
+    });
+    return null;
+};
+
+describe('ProfileMatrixModal', () => {
+    it('lists services hidden by inactive profiles and manages their profiles', async () => {
+        render(<><Probe /><ProfileMatrixModal onClose={() => {}} /></>);
+        await act(() => context.current.loadFiles(compose));
+
+        expect(context.current.state.services['debug-tools']).toBeUndefined();
+        expect(screen.getByText('debug-tools')).toBeInTheDocument();
+        expect(screen.getByText('inactive')).toBeInTheDocument();
+        expect(screen.getByText('1 svc')).toBeInTheDocument();
+
+        fireEvent.click(screen.getByTitle('Remove profile "debug" from debug-tools'));
+
+        await waitFor(() => {
+            expect(context.current.state.services['debug-tools']).toEqual({ image: 'busybox' });
+        });
+        expect(context.current.yamlCode).not.toContain('profiles');
+        expect(screen.queryByText('inactive')).not.toBeInTheDocument();
+    });
+
+    it('updates shown services in the state so the change can be undone', async () => {
+        render(<><Probe /><ProfileMatrixModal onClose={() => {}} /></>);
+        await act(() => context.current.loadFiles(compose));
+
+        fireEvent.click(screen.getByTitle('Add profile "debug" to web'));
+
+        expect(context.current.state.services.web).toEqual({ image: 'nginx', profiles: ['debug'] });
+        expect(context.current.yamlCode).toContain('profiles');
+
+        act(() => context.current.undo());
+        expect(context.current.state.services.web).toEqual({ image: 'nginx' });
+    });
+});
@@ -2,3 +2,5 @@
  * Modals barrel export
  */
 export { TemplateModal } from './TemplateModal';
+export { ProfileMatrixModal } from './ProfileMatrixModal';
+export { FixesModal } from './FixesModal';
@@ -15,6 +15,10 @@ export const ERROR_HELP = {
         explanation: 'This service depends on another service that doesn\'t exist.',
         solution: 'Create the missing service, or remove this dependency.',
     },
+    'disabled by the active profiles': {
+        explanation: 'This service references a service that only runs with a profile that isn\'t active, so Compose would refuse to start it.',
+        solution: 'Enable the profile named in the message, add this service to the same profile, or remove the reference.',
+    },
     'Volume .* not defined': {
         explanation: 'This service uses a named volume that isn\'t declared in the volumes section.',
         solution: 'Add the volume to the Volumes section, or use a bind mount path instead.',
@@ -28,6 +28,7 @@ export function UIProvider({ children }) {
     const [codePreviewWidth, setCodePreviewWidth] = useState(384); // Default w-96 = 384px
     const [isResizing, setIsResizing] = useState(false);
     const [showMobileCode, setShowMobileCode] = useState(false);
+    const [codeLocation, setCodeLocation] = useState(null); // Source location revealed in the code preview
 
     // Drag state
     const [isDragging, setIsDragging] = useState(false);
@@ -116,6 +117,7 @@ export function UIProvider({ children }) {
         codePreviewWidth,
         isResizing,
         showMobileCode,
+        codeLocation,
         isDragging,
         suggestionsEnabled,
 
@@ -128,6 +130,7 @@ export function UIProvider({ children }) {
         setCodePreviewWidth,
         setIsResizing,
         setShowMobileCode,
+        setCodeLocation,
         setIsDragging,
         setSuggestionsEnabled,
 
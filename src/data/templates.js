@@ -39,6 +39,8 @@ export const serviceTemplates = {
             restart: 'unless-stopped',
         },
         suggestedVolume: { name: 'postgres_data', config: { driver: 'local' } },
+        // Variables the image also reads from the file named by `<VAR>_FILE`
+        fileVariables: ['POSTGRES_USER', 'POSTGRES_PASSWORD', 'POSTGRES_DB', 'POSTGRES_INITDB_ARGS'],
     },
     mysql: {
         name: 'mysql',
@@ -61,6 +63,7 @@ export const serviceTemplates = {
             restart: 'unless-stopped',
         },
         suggestedVolume: { name: 'mysql_data', config: { driver: 'local' } },
+        fileVariables: ['MYSQL_ROOT_PASSWORD', 'MYSQL_DATABASE', 'MYSQL_USER', 'MYSQL_PASSWORD'],
     },
     mongodb: {
         name: 'mongodb',
@@ -72,9 +75,16 @@ export const serviceTemplates = {
                 MONGO_INITDB_ROOT_USERNAME: 'root',
                 MONGO_INITDB_ROOT_PASSWORD: 'changeme',
             },
+            healthcheck: {
+                test: ['CMD', 'mongosh', '--quiet', '--eval', 'db.adminCommand("ping")'],
+                interval: '10s',
+                timeout: '5s',
+                retries: 5,
+            },
             restart: 'unless-stopped',
         },
         suggestedVolume: { name: 'mongo_data', config: { driver: 'local' } },
+        fileVariables: ['MONGO_INITDB_ROOT_USERNAME', 'MONGO_INITDB_ROOT_PASSWORD'],
     },
     nginx: {
         name: 'nginx',
@@ -132,6 +142,12 @@ export const serviceTemplates = {
                 RABBITMQ_DEFAULT_USER: 'guest',
                 RABBITMQ_DEFAULT_PASS: 'guest',
             },
+            healthcheck: {
+                test: ['CMD', 'rabbitmq-diagnostics', '-q', 'ping'],
+                interval: '10s',
+                timeout: '5s',
+                retries: 5,
+            },
             restart: 'unless-stopped',
         },
         suggestedVolume: { name: 'rabbitmq_data', config: { driver: 'local' } },
@@ -1,20 +1,44 @@
-import { useState, useRef } from 'react';
-import { Code, Download, Upload, CheckCircle, X, Eye, Copy, Folder } from 'lucide-react';
+import { useState, useRef, useEffect, useMemo } from 'react';
+import { Code, Download, Upload, CheckCircle, X, Eye, Copy, Folder, FileText, FileCog } from 'lucide-react';
 import { IconButton } from '../../components/ui';
 import { useCompose } from '../../hooks/useCompose.jsx';
+import { useUI } from '../../context/UIContext.jsx';
+import { formatLocation } from '../../utils/sourceMap.js';
+import { renderCanonicalConfig } from '../../utils/canonicalConfig.js';
+import { prepareUploadFiles } from '../../utils/uploadFiles.js';
 
 /**
  * YAML code preview with syntax highlighting and edit mode
  */
 export const CodePreview = () => {
     // Get compose state from context
-    const { yamlCode, handleExport, loadFiles } = useCompose();
+    const { state, yamlCode, projectName, handleExport, loadFiles, sourceFiles } = useCompose();
+    const { codeLocation, setCodeLocation } = useUI();
 
     const [editMode, setEditMode] = useState(false);
     const [editValue, setEditValue] = useState('');
     const [copied, setCopied] = useState(false);
+    const [showConfig, setShowConfig] = useState(false);
     const fileInputRef = useRef(null);
     const folderInputRef = useRef(null);
+    const locationLineRef = useRef(null);
+
+    // Source file view for a revealed location (falls back to the generated YAML)
+    const sourceContent = codeLocation ? sourceFiles?.[codeLocation.file] : undefined;
+    const showSource = sourceContent !== undefined && !editMode;
+
+    // Fully resolved model in canonical form, like `docker compose config`
+    const configYaml = useMemo(
+        () => (showConfig ? renderCanonicalConfig(state, { projectName }) : ''),
+        [showConfig, state, projectName]
+    );
+    const displayedCode = showConfig ? configYaml : yamlCode;
+
+    useEffect(() => {
+        if (showSource) {
+            locationLineRef.current?.scrollIntoView?.({ block: 'center' });
+        }
+    }, [showSource, codeLocation]);
 
     const splitComment = (line) => {
         const hashIndex = line.indexOf('#');
@@ -49,7 +73,7 @@ export const CodePreview = () => {
         return [text];
     };
 
-    const highlightLine = (line, index, totalLines) => {
+    const highlightLine = (line, index, totalLines, highlighted = false) => {
         const { code, comment } = splitComment(line);
         const keyMatch = code.match(/^(\s*)([a-zA-Z_][a-zA-Z0-9_-]*)(:)(.*)$/);
 
@@ -79,15 +103,28 @@ export const CodePreview = () => {
             lineParts.push('\n');
         }
 
+        if (highlighted) {
+            return <span key={index} ref={locationLineRef} className="bg-cyber-warning/20 rounded">{lineParts}</span>;
+        }
         return <span key={index}>{lineParts}</span>;
     };
 
     const handleCopy = () => {
-        navigator.clipboard.writeText(yamlCode);
+        navigator.clipboard.writeText(displayedCode);
         setCopied(true);
         setTimeout(() => setCopied(false), 2000);
     };
 
+    const handleConfigExport = () => {
+        const blob = new Blob([configYaml], { type: 'text/yaml' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = 'docker-compose.config.yml';
+        a.click();
+        URL.revokeObjectURL(url);
+    };
+
     const handleEdit = () => {
         setEditValue(yamlCode);
         setEditMode(true);
@@ -98,7 +135,7 @@ export const CodePreview = () => {
             const result = await loadFiles(editValue);
             if (result.success) {
                 setEditMode(false);
-            } else {
+            } else if (!result.cancelled) {
                 alert('Invalid YAML: ' + (result.error || 'Unknown error'));
             }
         } catch (error) {
@@ -108,21 +145,13 @@ export const CodePreview = () => {
     };
 
     const handleFileSelect = async (e) => {
-        const files = Array.from(e.target.files || []).filter((file) => (
-            file.name.endsWith('.yml') || file.name.endsWith('.yaml') || file.name === '.env'
-        ));
-        if (files.length === 0) return;
-
-        const primaryFile = files.find((file) => (
-            file.name === 'docker-compose.yml' || file.name === 'docker-compose.yaml'
-        )) || files[0];
-
-        const orderedFiles = [primaryFile, ...files.filter((file) => file !== primaryFile)];
+        const orderedFiles = prepareUploadFiles(Array.from(e.target.files || []));
+        if (orderedFiles.length === 0) return;
 
         try {
-            const content = await primaryFile.text();
+            const content = await orderedFiles[0].text();
             const result = await loadFiles(content, orderedFiles);
-            if (!result.success) {
+            if (!result.success && !result.cancelled) {
                 alert('Invalid YAML: ' + (result.error || 'Unknown error'));
             }
         } catch (error) {
@@ -134,11 +163,24 @@ export const CodePreview = () => {
     return (
         <div className="h-full flex flex-col">
             <div className="flex items-center justify-between p-3 border-b border-cyber-border/50">
-                <span className="text-sm font-medium flex items-center gap-2">
-                    <Code size={16} className="text-cyber-accent" />docker-compose.yml
-                </span>
+                {showSource ? (
+                    <span className="text-sm font-medium flex items-center gap-2 min-w-0" title={formatLocation(codeLocation)}>
+                        <FileText size={16} className="text-cyber-warning flex-shrink-0" />
+                        <span className="truncate">{formatLocation(codeLocation)}</span>
+                    </span>
+                ) : showConfig ? (
+                    <span className="text-sm font-medium flex items-center gap-2" title="Resolved model, equivalent to docker compose config">
+                        <FileCog size={16} className="text-cyber-accent" />Resolved config
+                    </span>
+                ) : (
+                    <span className="text-sm font-medium flex items-center gap-2">
+                        <Code size={16} className="text-cyber-accent" />docker-compose.yml
+                    </span>
+                )}
                 <div className="flex gap-1">
-                    {editMode ? (
+                    {showSource ? (
+                        <IconButton icon={X} onClick={() => setCodeLocation(null)} title="Back to generated YAML" />
+                    ) : editMode ? (
                         <>
                             <button onClick={handleSave} className="btn btn-primary text-xs py-1">
                                 <CheckCircle size={14} className="mr-1" />Save
@@ -147,15 +189,22 @@ export const CodePreview = () => {
                                 <X size={14} className="mr-1" />Cancel
                             </button>
                         </>
+                    ) : showConfig ? (
+                        <>
+                            <IconButton icon={copied ? CheckCircle : Copy} onClick={handleCopy} title="Copy" />
+                            <IconButton icon={Download} onClick={handleConfigExport} title="Export resolved config" />
+                            <IconButton icon={X} onClick={() => setShowConfig(false)} title="Back to docker-compose.yml" />
+                        </>
                     ) : (
                         <>
                             <IconButton icon={copied ? CheckCircle : Copy} onClick={handleCopy} title="Copy" />
+                            <IconButton icon={FileCog} onClick={() => setShowConfig(true)} title="Show resolved config" />
                             <IconButton icon={Eye} onClick={handleEdit} title="Edit" />
                             <IconButton icon={Download} onClick={handleExport} title="Export" />
                             <IconButton icon={Upload} onClick={() => fileInputRef.current?.click()} title="Import Files" />
                             <IconButton icon={Folder} onClick={() => folderInputRef.current?.click()} title="Import Folder" />
-                            <input ref={fileInputRef} type="file" accept=".yml,.yaml,.env" multiple className="hidden" onChange={handleFileSelect} />
-                            <input ref={folderInputRef} type="file" accept=".yml,.yaml,.env" webkitdirectory="true" className="hidden" onChange={handleFileSelect} />
+                            <input ref={fileInputRef} type="file" multiple className="hidden" onChange={handleFileSelect} />
+                            <input ref={folderInputRef} type="file" webkitdirectory="true" className="hidden" onChange={handleFileSelect} />
                         </>
                     )}
                 </div>
@@ -168,9 +217,13 @@ export const CodePreview = () => {
                         className="w-full h-full code-preview bg-transparent resize-none focus:outline-none"
                         spellCheck={false}
                     />
+                ) : showSource ? (
+                    <pre className="code-preview">
+                        {sourceContent.split('\n').map((line, i, arr) => highlightLine(line, i, arr.length, i + 1 === codeLocation.line))}
+                    </pre>
                 ) : (
                     <pre className="code-preview">
-                        {yamlCode.split('\n').map((line, i, arr) => highlightLine(line, i, arr.length))}
+                        {displayedCode.split('\n').map((line, i, arr) => highlightLine(line, i, arr.length))}
                     </pre>
                 )}
             </div>
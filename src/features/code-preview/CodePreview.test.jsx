@@ -1,8 +1,15 @@
 import { describe, it, expect, vi, beforeEach } from 'vitest';
-import { screen } from '@testing-library/react';
+import { screen, fireEvent, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
 import { render } from '../../test/utils.jsx';
+import { useCompose } from '../../hooks/useCompose.jsx';
 import { CodePreview } from './CodePreview.jsx';
 
+const EnvFileOptions = () => {
+    const { envFileOptions } = useCompose();
+    return <ul data-testid="env-file-options">{envFileOptions.map((path) => <li key={path}>{path}</li>)}</ul>;
+};
+
 describe('CodePreview Component', () => {
     beforeEach(() => {
         vi.clearAllMocks();
@@ -36,10 +43,37 @@ describe('CodePreview Component', () => {
         expect(codeArea).toBeTruthy();
     });
 
+    it('switches to the resolved config view', () => {
+        const { container } = render(<CodePreview />);
+
+        fireEvent.click(screen.getByTitle('Show resolved config'));
+
+        expect(screen.getByText('Resolved config')).toBeInTheDocument();
+        expect(container.querySelector('pre').textContent).toContain('name: default');
+
+        fireEvent.click(screen.getByTitle('Back to docker-compose.yml'));
+        expect(screen.getByText(/docker-compose.yml/i)).toBeInTheDocument();
+    });
+
     it('has file input for import', () => {
         const { container } = render(<CodePreview />);
 
         const fileInput = container.querySelector('input[type="file"]');
         expect(fileInput).toBeTruthy();
     });
+
+    it('imports env files of any dotenv name along with the Compose file', async () => {
+        const { container } = render(<><CodePreview /><EnvFileOptions /></>);
+        const files = [
+            new File(['services:\n  web:\n    image: nginx\n'], 'compose.yml', { type: 'text/yaml' }),
+            new File(['TAG=1.27\n'], '.env.prod'),
+            new File(['DEBUG=1\n'], 'app.env')
+        ];
+
+        await userEvent.upload(container.querySelector('input[type="file"]'), files);
+
+        await waitFor(() => {
+            expect(screen.getByTestId('env-file-options').textContent).toBe('.env.prodapp.env');
+        });
+    });
 });
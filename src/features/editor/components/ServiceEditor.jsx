@@ -1,13 +1,14 @@
-import { Server, Settings, FolderOpen, Terminal, Globe, FileText, Database, Layers, Cpu, Heart, Tag, AlertCircle, CheckCircle } from 'lucide-react';
+import { Server, Settings, FolderOpen, Terminal, Globe, FileText, Database, Layers, Cpu, Heart, Tag, AlertCircle, CheckCircle, GitFork } from 'lucide-react';
 import { Input, Select, Section, KeyValueEditor, ArrayEditor, Badge } from '../../../components/ui';
 import { getErrorHelp } from '../../../constants/errorHelp';
 import { normalizeDependsOn, normalizeArray } from '../../../utils/validation';
+import { getEffectiveEnvironment } from '../../../utils/envFileResolver';
 
 /**
  * Service configuration editor
  * Handles all Docker Compose service configuration options
  */
-export const ServiceEditor = ({ name, service, onUpdate, allNetworks, allServices, errors = [] }) => {
+export const ServiceEditor = ({ name, service, onUpdate, allNetworks, allServices, errors = [], inheritedFields, envFiles }) => {
     const update = (field, value) => onUpdate({ ...service, [field]: value });
 
     const updateNested = (path, value) => {
@@ -119,6 +120,24 @@ export const ServiceEditor = ({ name, service, onUpdate, allNetworks, allService
             <Section title="Environment" icon={FileText} defaultOpen={false}>
                 <ArrayEditor label="Env Files" value={normalizeArray(service.env_file)} onChange={v => update('env_file', v)} placeholder="./.env" />
                 <KeyValueEditor label="Variables" value={service.environment} onChange={v => update('environment', v)} keyPlaceholder="ENV_VAR" valuePlaceholder="value" />
+                {envFiles?.length > 0 && (
+                    <div className="space-y-2">
+                        <label className="text-xs text-cyber-text-muted">Effective Environment</label>
+                        {envFiles.filter(envFile => !envFile.found).map(envFile => (
+                            <p key={envFile.file} className={`text-xs flex items-center gap-1 ${envFile.required ? 'text-cyber-error' : 'text-cyber-text-muted'}`}>
+                                <AlertCircle size={12} />{envFile.file} not found{envFile.required ? '' : ' (optional)'}
+                            </p>
+                        ))}
+                        <div className="space-y-1">
+                            {getEffectiveEnvironment(service, envFiles).map(({ key, value, source }) => (
+                                <div key={key} className="flex items-start justify-between gap-3 text-xs">
+                                    <span className="font-mono text-cyber-text break-all">{key}={value ?? ''}</span>
+                                    <span className="text-right text-cyber-text-muted flex-shrink-0" title={source}>{source}</span>
+                                </div>
+                            ))}
+                        </div>
+                    </div>
+                )}
             </Section>
 
             <Section title="Volumes" icon={Database} defaultOpen={!!volumesError}>
@@ -178,6 +197,21 @@ export const ServiceEditor = ({ name, service, onUpdate, allNetworks, allService
             <Section title="Labels" icon={Tag} defaultOpen={false}>
                 <KeyValueEditor label="Container Labels" value={service.labels} onChange={v => update('labels', v)} keyPlaceholder="traefik.enable" valuePlaceholder="true" />
             </Section>
+
+            {inheritedFields && Object.keys(inheritedFields).length > 0 && (
+                <Section title="Inherited (extends)" icon={GitFork} defaultOpen={false}>
+                    <div className="space-y-1">
+                        {Object.entries(inheritedFields).map(([field, origins]) => (
+                            <div key={field} className="flex items-start justify-between gap-3 text-xs">
+                                <span className="font-mono text-cyber-text">{field}</span>
+                                <span className="text-right text-cyber-text-muted">
+                                    {origins.map((origin) => `${origin.service}${origin.file ? ` (${origin.file})` : ''}`).join(' → ')}
+                                </span>
+                            </div>
+                        ))}
+                    </div>
+                </Section>
+            )}
         </div>
     );
 };
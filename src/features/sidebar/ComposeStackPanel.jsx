@@ -0,0 +1,103 @@
+import { useState } from 'react';
+import { FileStack, ChevronUp, ChevronDown, Plus, X } from 'lucide-react';
+import { useCompose } from '../../hooks/useCompose.jsx';
+import { isOverrideFile } from '../../utils/overrideResolver.js';
+
+/**
+ * Compose file stack panel - picks and orders the files merged like `docker compose -f a.yml -f b.yml`
+ */
+export const ComposeStackPanel = () => {
+    const { composeFiles, composeStack, setComposeStack } = useCompose();
+    const [expanded, setExpanded] = useState(false);
+
+    const hasFiles = composeFiles.length > 0;
+    const availableFiles = composeFiles.filter((path) => !composeStack.includes(path));
+
+    const moveFile = (index, direction) => {
+        const target = index + direction;
+        if (target < 0 || target >= composeStack.length) return;
+        const next = [...composeStack];
+        [next[index], next[target]] = [next[target], next[index]];
+        setComposeStack(next);
+    };
+
+    const removeFile = (path) => {
+        if (composeStack.length <= 1) return;
+        setComposeStack(composeStack.filter((p) => p !== path));
+    };
+
+    const addFile = (path) => setComposeStack([...composeStack, path]);
+
+    return (
+        <div className="rounded-xl border border-cyber-border/50 glass p-3 space-y-3">
+            <button
+                onClick={() => hasFiles && setExpanded(!expanded)}
+                className={`w-full flex items-center justify-between text-sm font-medium ${hasFiles ? 'text-cyber-text' : 'text-cyber-text-muted cursor-not-allowed'}`}
+            >
+                <span className="flex items-center gap-2">
+                    <FileStack size={14} className="text-cyber-accent" />
+                    Compose Files
+                </span>
+                <span className="text-xs px-2 py-0.5 rounded-full bg-cyber-accent/20 text-cyber-accent">
+                    {composeStack.length}/{composeFiles.length}
+                </span>
+            </button>
+
+            {expanded && (
+                <div className="space-y-3">
+                    {hasFiles ? (
+                        <>
+                            <div className="space-y-1 max-h-48 overflow-auto pr-1">
+                                {composeStack.map((path, index) => (
+                                    <div
+                                        key={path}
+                                        className="flex items-center gap-2 px-2 py-1.5 rounded-lg bg-cyber-accent/15 border border-cyber-accent/40"
+                                    >
+                                        <span className="text-xs text-cyber-text-muted w-4">{index + 1}</span>
+                                        <span className="flex-1 min-w-0 text-xs truncate" title={path}>{path}</span>
+                                        {isOverrideFile(path) && (
+                                            <span className="text-[10px] px-1.5 rounded bg-cyber-purple/20 text-cyber-purple">override</span>
+                                        )}
+                                        <button onClick={() => moveFile(index, -1)} disabled={index === 0} className="p-0.5 rounded hover:bg-cyber-surface-light disabled:opacity-30" title="Move up">
+                                            <ChevronUp size={12} />
+                                        </button>
+                                        <button onClick={() => moveFile(index, 1)} disabled={index === composeStack.length - 1} className="p-0.5 rounded hover:bg-cyber-surface-light disabled:opacity-30" title="Move down">
+                                            <ChevronDown size={12} />
+                                        </button>
+                                        <button onClick={() => removeFile(path)} disabled={composeStack.length <= 1} className="p-0.5 rounded hover:bg-cyber-surface-light disabled:opacity-30" title="Remove from stack">
+                                            <X size={12} />
+                                        </button>
+                                    </div>
+                                ))}
+                            </div>
+
+                            {availableFiles.length > 0 && (
+                                <div className="space-y-1 max-h-32 overflow-auto pr-1">
+                                    {availableFiles.map((path) => (
+                                        <button
+                                            key={path}
+                                            onClick={() => addFile(path)}
+                                            className="w-full flex items-center gap-2 px-2 py-1.5 rounded-lg hover:bg-cyber-surface-light border border-transparent text-left"
+                                            title={`Add ${path} to the stack`}
+                                        >
+                                            <Plus size={12} className="text-cyber-text-muted" />
+                                            <span className="flex-1 min-w-0 text-xs text-cyber-text-muted truncate">{path}</span>
+                                        </button>
+                                    ))}
+                                </div>
+                            )}
+
+                            <p className="text-[11px] text-cyber-text-muted">
+                                Later files override earlier ones, like <code>docker compose -f</code>.
+                            </p>
+                        </>
+                    ) : (
+                        <div className="text-xs text-cyber-text-muted">Upload a folder to combine compose files.</div>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default ComposeStackPanel;
@@ -0,0 +1,154 @@
+import { useState } from 'react';
+import { Variable, ChevronUp, ChevronDown, Plus, X } from 'lucide-react';
+import { useCompose } from '../../hooks/useCompose.jsx';
+import { OVERRIDES_SOURCE } from '../../utils/envSources.js';
+
+/**
+ * Environment panel - stacks env files like `docker compose --env-file a --env-file b`,
+ * with manual overrides on top, and shows which layer supplied each variable
+ */
+export const EnvironmentPanel = () => {
+    const {
+        environment,
+        environmentSources,
+        envFileOptions,
+        envFileSelection,
+        setEnvFileSelection,
+        updateEnvironment
+    } = useCompose();
+    const [expanded, setExpanded] = useState(false);
+    const [newKey, setNewKey] = useState('');
+    const [newValue, setNewValue] = useState('');
+
+    const availableFiles = envFileOptions.filter((path) => !envFileSelection.includes(path));
+    const overrides = Object.entries(environment || {});
+
+    const moveFile = (index, direction) => {
+        const target = index + direction;
+        if (target < 0 || target >= envFileSelection.length) return;
+        const next = [...envFileSelection];
+        [next[index], next[target]] = [next[target], next[index]];
+        setEnvFileSelection(next);
+    };
+
+    const addOverride = (e) => {
+        e.preventDefault();
+        const key = newKey.trim();
+        if (!key) return;
+        updateEnvironment(key, newValue);
+        setNewKey('');
+        setNewValue('');
+    };
+
+    return (
+        <div className="rounded-xl border border-cyber-border/50 glass p-3 space-y-3">
+            <button
+                onClick={() => setExpanded(!expanded)}
+                className="w-full flex items-center justify-between text-sm font-medium text-cyber-text"
+            >
+                <span className="flex items-center gap-2">
+                    <Variable size={14} className="text-cyber-accent" />
+                    Environment
+                </span>
+                <span className="text-xs px-2 py-0.5 rounded-full bg-cyber-accent/20 text-cyber-accent">
+                    {environmentSources.variables.length}
+                </span>
+            </button>
+
+            {expanded && (
+                <div className="space-y-3">
+                    <div className="space-y-1">
+                        <div className="text-[11px] uppercase tracking-wide text-cyber-text-muted">Env files</div>
+                        {envFileOptions.length === 0 && (
+                            <div className="text-xs text-cyber-text-muted">Upload a folder to use its env files.</div>
+                        )}
+                        {envFileSelection.map((path, index) => (
+                            <div
+                                key={path}
+                                className="flex items-center gap-2 px-2 py-1.5 rounded-lg bg-cyber-accent/15 border border-cyber-accent/40"
+                            >
+                                <span className="text-xs text-cyber-text-muted w-4">{index + 1}</span>
+                                <span className="flex-1 min-w-0 text-xs truncate" title={path}>{path}</span>
+                                <button onClick={() => moveFile(index, -1)} disabled={index === 0} className="p-0.5 rounded hover:bg-cyber-surface-light disabled:opacity-30" title="Move up">
+                                    <ChevronUp size={12} />
+                                </button>
+                                <button onClick={() => moveFile(index, 1)} disabled={index === envFileSelection.length - 1} className="p-0.5 rounded hover:bg-cyber-surface-light disabled:opacity-30" title="Move down">
+                                    <ChevronDown size={12} />
+                                </button>
+                                <button onClick={() => setEnvFileSelection(envFileSelection.filter((p) => p !== path))} className="p-0.5 rounded hover:bg-cyber-surface-light" title="Remove env file">
+                                    <X size={12} />
+                                </button>
+                            </div>
+                        ))}
+                        {availableFiles.map((path) => (
+                            <button
+                                key={path}
+                                onClick={() => setEnvFileSelection([...envFileSelection, path])}
+                                className="w-full flex items-center gap-2 px-2 py-1.5 rounded-lg hover:bg-cyber-surface-light border border-transparent text-left"
+                                title={`Add ${path}`}
+                            >
+                                <Plus size={12} className="text-cyber-text-muted" />
+                                <span className="flex-1 min-w-0 text-xs text-cyber-text-muted truncate">{path}</span>
+                            </button>
+                        ))}
+                    </div>
+
+                    <div className="space-y-1">
+                        <div className="text-[11px] uppercase tracking-wide text-cyber-text-muted">Overrides</div>
+                        {overrides.map(([key, value]) => (
+                            <div key={key} className="flex items-center gap-2 px-2 py-1 text-xs">
+                                <span className="flex-1 min-w-0 truncate font-mono" title={`${key}=${value}`}>{key}={value}</span>
+                                <button onClick={() => updateEnvironment(key, null)} className="p-0.5 rounded hover:bg-cyber-surface-light" title={`Remove ${key}`}>
+                                    <X size={12} />
+                                </button>
+                            </div>
+                        ))}
+                        <form onSubmit={addOverride} className="flex items-center gap-1">
+                            <input
+                                type="text"
+                                placeholder="KEY"
+                                value={newKey}
+                                onChange={(e) => setNewKey(e.target.value)}
+                                className="w-1/2 text-xs py-1 px-2 font-mono"
+                            />
+                            <input
+                                type="text"
+                                placeholder="value"
+                                value={newValue}
+                                onChange={(e) => setNewValue(e.target.value)}
+                                className="w-1/2 text-xs py-1 px-2 font-mono"
+                            />
+                            <button type="submit" className="p-1 rounded hover:bg-cyber-surface-light" title="Add override">
+                                <Plus size={12} />
+                            </button>
+                        </form>
+                    </div>
+
+                    {environmentSources.variables.length > 0 && (
+                        <div className="space-y-1 max-h-48 overflow-auto pr-1">
+                            <div className="text-[11px] uppercase tracking-wide text-cyber-text-muted">Resolved</div>
+                            {environmentSources.variables.map(({ key, value, source, overridden }) => (
+                                <div
+                                    key={key}
+                                    className="flex items-center gap-2 px-2 py-1 text-xs"
+                                    title={overridden.map((layer) => `${layer.source}: ${layer.value}`).join('\n') || undefined}
+                                >
+                                    <span className="flex-1 min-w-0 truncate font-mono">{key}={value}</span>
+                                    <span className={`shrink-0 text-[10px] px-1.5 rounded ${source === OVERRIDES_SOURCE ? 'bg-cyber-purple/20 text-cyber-purple' : 'bg-cyber-accent/20 text-cyber-accent'}`}>
+                                        {source === OVERRIDES_SOURCE ? 'override' : source.split('/').pop()}
+                                    </span>
+                                </div>
+                            ))}
+                        </div>
+                    )}
+
+                    <p className="text-[11px] text-cyber-text-muted">
+                        Later layers win, like <code>--env-file</code>. <code>COMPOSE_PROFILES</code> and <code>COMPOSE_PROJECT_NAME</code> apply automatically.
+                    </p>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default EnvironmentPanel;
@@ -1,13 +1,16 @@
 import { useState } from 'react';
-import { AlertCircle } from 'lucide-react';
+import { AlertCircle, EyeOff } from 'lucide-react';
+import { formatLocation } from '../../utils/sourceMap.js';
 
 /**
- * Issues panel for sidebar - shows expandable validation issues
+ * Issues panel for sidebar - shows expandable validation issues, and the suggestions
+ * silenced by ignore comments or labels in a collapsible group with their justification
  */
-export const IssuesPanel = ({ errors, onSelect }) => {
+export const IssuesPanel = ({ errors, suppressed = [], onSelect, onReveal }) => {
     const [expanded, setExpanded] = useState(false);
+    const [showSuppressed, setShowSuppressed] = useState(false);
 
-    if (errors.length === 0) return null;
+    if (errors.length === 0 && suppressed.length === 0) return null;
 
     return (
         <div className="p-3 border-t border-cyber-border/50">
@@ -18,6 +21,9 @@ export const IssuesPanel = ({ errors, onSelect }) => {
                 <div className="flex items-center gap-2">
                     <AlertCircle size={14} />
                     <span>{errors.length} issue{errors.length !== 1 && 's'} found</span>
+                    {suppressed.length > 0 && (
+                        <span className="text-xs text-cyber-text-muted">({suppressed.length} suppressed)</span>
+                    )}
                 </div>
                 <span className="text-xs text-cyber-accent">{expanded ? '▲' : '▼'}</span>
             </button>
@@ -45,17 +51,69 @@ export const IssuesPanel = ({ errors, onSelect }) => {
                                     <AlertCircle size={12} className="text-cyber-warning mt-0.5" />
                                 )}
                                 <div className="flex-1 min-w-0">
-                                    <p className="text-xs font-medium truncate">{error.message}</p>
+                                    <p className="text-xs font-medium line-clamp-2" title={error.message}>{error.message}</p>
                                     {error.entity && error.name && (
                                         <p className="text-xs text-cyber-text-muted mt-0.5">
                                             {error.entity}: <span className="text-cyber-accent">{error.name}</span>
                                         </p>
                                     )}
+                                    {error.location && (
+                                        <button
+                                            onClick={(e) => { e.stopPropagation(); onReveal?.(error.location); }}
+                                            className="text-[11px] font-mono text-cyber-text-muted hover:text-cyber-accent mt-0.5 truncate max-w-full"
+                                            title="Show in code"
+                                        >
+                                            {formatLocation(error.location)}
+                                        </button>
+                                    )}
                                 </div>
                             </div>
                         </div>
                         );
                     })}
+                    {suppressed.length > 0 && (
+                        <div className="pt-1">
+                            <button
+                                onClick={() => setShowSuppressed(!showSuppressed)}
+                                className="w-full flex items-center justify-between text-xs text-cyber-text-muted hover:text-cyber-text transition-colors"
+                            >
+                                <div className="flex items-center gap-2">
+                                    <EyeOff size={12} />
+                                    <span>{suppressed.length} suppressed</span>
+                                </div>
+                                <span className="text-cyber-accent">{showSuppressed ? '▲' : '▼'}</span>
+                            </button>
+                            {showSuppressed && (
+                                <div className="mt-2 space-y-2">
+                                    {suppressed.map((suggestion, idx) => (
+                                        <div
+                                            key={idx}
+                                            onClick={() => onSelect({ type: suggestion.entity + 's', name: suggestion.name })}
+                                            className="p-2 rounded-lg border border-cyber-border/50 bg-cyber-surface-light/30 opacity-80 cursor-pointer transition-all hover:opacity-100"
+                                        >
+                                            <p className="text-xs line-clamp-2" title={suggestion.message}>{suggestion.message}</p>
+                                            <p className="text-xs text-cyber-text-muted mt-0.5">
+                                                {suggestion.entity}: <span className="text-cyber-accent">{suggestion.name}</span>
+                                                {' · '}<span className="font-mono">{suggestion.rule}</span>
+                                            </p>
+                                            <p className="text-xs italic text-cyber-text-muted mt-0.5">
+                                                {suggestion.suppression.reason || 'No justification given'}
+                                            </p>
+                                            {suggestion.suppression.location && (
+                                                <button
+                                                    onClick={(e) => { e.stopPropagation(); onReveal?.(suggestion.suppression.location); }}
+                                                    className="text-[11px] font-mono text-cyber-text-muted hover:text-cyber-accent mt-0.5 truncate max-w-full"
+                                                    title={`Show the ignore ${suggestion.suppression.source} in code`}
+                                                >
+                                                    {formatLocation(suggestion.suppression.location)}
+                                                </button>
+                                            )}
+                                        </div>
+                                    ))}
+                                </div>
+                            )}
+                        </div>
+                    )}
                 </div>
             )}
         </div>
@@ -1,9 +1,12 @@
 import { useMemo, useState } from 'react';
-import { Layers, Check, Search } from 'lucide-react';
+import { Layers, Check, Search, Grid3x3 } from 'lucide-react';
 import { useCompose } from '../../hooks/useCompose.jsx';
+import { useUI } from '../../context/UIContext';
+import { TargetServicesPicker } from './TargetServicesPicker.jsx';
 
 export const ProfilesPanel = () => {
-    const { profiles, activeProfiles, setActiveProfiles, profileCounts } = useCompose();
+    const { state, profiles, activeProfiles, setActiveProfiles, profileCounts, serviceNames } = useCompose();
+    const { openModal } = useUI();
     const [expanded, setExpanded] = useState(false);
     const [query, setQuery] = useState('');
 
@@ -24,12 +27,13 @@ export const ProfilesPanel = () => {
     const selectAll = () => hasProfiles && setActiveProfiles([...profiles]);
     const clearAll = () => hasProfiles && setActiveProfiles([]);
     const hasProfiles = profiles.length > 0;
+    const canExpand = hasProfiles || serviceNames.length > 0 || Object.keys(state.services || {}).length > 0;
 
     return (
         <div className="rounded-xl border border-cyber-border/50 glass p-3 space-y-3">
             <button
-                onClick={() => hasProfiles && setExpanded(!expanded)}
-                className={`w-full flex items-center justify-between text-sm font-medium ${hasProfiles ? 'text-cyber-text' : 'text-cyber-text-muted cursor-not-allowed'}`}
+                onClick={() => canExpand && setExpanded(!expanded)}
+                className={`w-full flex items-center justify-between text-sm font-medium ${canExpand ? 'text-cyber-text' : 'text-cyber-text-muted cursor-not-allowed'}`}
             >
                 <span className="flex items-center gap-2">
                     <Layers size={14} className="text-cyber-accent" />
@@ -42,6 +46,10 @@ export const ProfilesPanel = () => {
 
             {expanded && (
                 <div className="space-y-3">
+                    <button onClick={() => openModal('profile-matrix')} className="btn btn-secondary w-full text-xs py-1 flex items-center justify-center gap-2">
+                        <Grid3x3 size={12} />
+                        Profile Matrix
+                    </button>
                     {hasProfiles ? (
                         <>
                             <div className="flex items-center gap-2">
@@ -95,6 +103,7 @@ export const ProfilesPanel = () => {
                     ) : (
                         <div className="text-xs text-cyber-text-muted">No profiles detected in the loaded compose files.</div>
                     )}
+                    <TargetServicesPicker />
                 </div>
             )}
         </div>
@@ -0,0 +1,71 @@
+import { Check, Crosshair } from 'lucide-react';
+import { useCompose } from '../../hooks/useCompose.jsx';
+
+/**
+ * Target services picker - keeps only the chosen services and their `depends_on`
+ * closure, like `docker compose up svc`, and shows why each dependency was pulled in
+ */
+export const TargetServicesPicker = () => {
+    const { serviceNames, targetServices, implicitServices, setTargetServices } = useCompose();
+
+    if (serviceNames.length === 0) return null;
+
+    const toggleTarget = (name) => {
+        if (targetServices.includes(name)) {
+            setTargetServices(targetServices.filter((target) => target !== name));
+        } else {
+            setTargetServices([...targetServices, name]);
+        }
+    };
+
+    return (
+        <div className="space-y-2">
+            <div className="flex items-center justify-between">
+                <span className="flex items-center gap-2 text-xs font-medium">
+                    <Crosshair size={12} className="text-cyber-accent" />
+                    Target services
+                </span>
+                {targetServices.length > 0 && (
+                    <button onClick={() => setTargetServices([])} className="btn btn-secondary text-xs py-0.5 px-2">All</button>
+                )}
+            </div>
+
+            <div className="space-y-1 max-h-48 overflow-auto pr-1">
+                {serviceNames.map((name) => {
+                    const isTarget = targetServices.includes(name);
+                    const requiredBy = implicitServices?.[name];
+                    return (
+                        <button
+                            key={name}
+                            onClick={() => toggleTarget(name)}
+                            className={`w-full flex items-center justify-between gap-2 px-2 py-1.5 rounded-lg transition-all ${isTarget ? 'bg-cyber-accent/15 border border-cyber-accent/40' : 'hover:bg-cyber-surface-light border border-transparent'}`}
+                        >
+                            <span className="flex items-center gap-2 text-xs min-w-0">
+                                <span className={`w-3.5 h-3.5 shrink-0 rounded border flex items-center justify-center ${isTarget ? 'bg-cyber-accent border-cyber-accent' : 'border-cyber-border/60'}`}>
+                                    {isTarget && <Check size={10} className="text-white" />}
+                                </span>
+                                <span className="truncate">{name}</span>
+                            </span>
+                            {requiredBy && (
+                                <span
+                                    className="shrink-0 text-[10px] px-1.5 rounded bg-cyber-purple/20 text-cyber-purple truncate max-w-[55%]"
+                                    title={`Started because ${requiredBy.join(', ')} depends on it`}
+                                >
+                                    via {requiredBy.join(', ')}
+                                </span>
+                            )}
+                        </button>
+                    );
+                })}
+            </div>
+
+            <p className="text-[11px] text-cyber-text-muted">
+                {targetServices.length > 0
+                    ? <>Only targets and their <code>depends_on</code> services run, whatever their profiles.</>
+                    : <>Pick services to preview <code>docker compose up &lt;service&gt;</code>.</>}
+            </p>
+        </div>
+    );
+};
+
+export default TargetServicesPicker;
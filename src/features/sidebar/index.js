@@ -4,3 +4,6 @@
 export { ResourceTree } from './ResourceTree';
 export { IssuesPanel } from './IssuesPanel';
 export { ProfilesPanel } from './ProfilesPanel.jsx';
+export { ComposeStackPanel } from './ComposeStackPanel.jsx';
+export { EnvironmentPanel } from './EnvironmentPanel.jsx';
+export { TargetServicesPicker } from './TargetServicesPicker.jsx';
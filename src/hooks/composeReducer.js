@@ -23,13 +23,16 @@ export function composeReducer(state, action) {
                 }
                 return result;
             };
+            // Extension fields (`x-*`), `include` and keys the editor does not model are kept as-is
+            const { name, version: _version, services, networks, volumes, secrets, configs, ...extensions } = payload;
             return {
-                name: payload.name || '',
-                services: normalize(payload.services),
-                networks: normalize(payload.networks),
-                volumes: normalize(payload.volumes),
-                secrets: normalize(payload.secrets),
-                configs: normalize(payload.configs),
+                ...extensions,
+                name: name || '',
+                services: normalize(services),
+                networks: normalize(networks),
+                volumes: normalize(volumes),
+                secrets: normalize(secrets),
+                configs: normalize(configs),
             };
         }
         case 'ADD_SERVICE': return { ...state, services: { ...state.services, [action.name]: { image: '', ports: [], environment: {}, depends_on: [], networks: [], volumes: [], labels: {}, deploy: { resources: { limits: {}, reservations: {} } }, healthcheck: {} } } };
@@ -1,15 +1,38 @@
 /* eslint-disable react-refresh/only-export-components */
 import { createContext, useContext, useEffect, useCallback, useMemo, useState, useRef } from 'react';
-import { generateYaml, parseYaml } from '../utils/yaml';
-import { parseEnvFile, mergeEnv } from '../utils/variableInterpolator.js';
-import { validateState } from '../utils/validation';
-import { generateSuggestions } from '../utils/suggestions';
+import { generateYaml, parseYaml, createYamlDocument } from '../utils/yaml';
+import { parseDotenv } from '../utils/variableInterpolator.js';
+import { detectComposeStack } from '../utils/overrideResolver.js';
+import { createParseScheduler, isParseCancelled } from '../utils/workerManager.js';
+import { locateIssue } from '../utils/sourceMap.js';
+import { deriveProjectName } from '../utils/canonicalConfig.js';
+import { OVERRIDES_SOURCE, isEnvFilePath, getDefaultEnvFiles, loadEnvFiles, resolveEnvironmentSources, getComposeSettings } from '../utils/envSources.js';
+import { collectIssues } from '../utils/validation.js';
+import { DEFAULT_RULE_CONFIG, findRuleConfigFile, parseRuleConfig } from '../utils/ruleConfig.js';
+import { isComposeFilePath } from '../utils/uploadFiles.js';
+import { createIncrementalValidator, createIncrementalSuggestions } from '../utils/incrementalPipeline.js';
+import { findIgnoreComments, applySuppressions } from '../utils/suppressions.js';
 import { useHistoryReducer } from './useHistory';
 import { composeReducer, initialState } from './composeReducer';
 
 // Context
 const ComposeContext = createContext(null);
 
+/**
+ * Read a JSON value saved in localStorage.
+ * @param {string} key - Storage key
+ * @param {any} fallback - Value used when nothing (valid) is saved
+ * @returns {any} Saved value or the fallback
+ */
+const readSaved = (key, fallback) => {
+    try {
+        const saved = localStorage.getItem(key);
+        return saved ? JSON.parse(saved) : fallback;
+    } catch {
+        return fallback;
+    }
+};
+
 /**
  * ComposeProvider - Manages Docker Compose data state
  * Enhanced with profile and environment variable support
@@ -20,36 +43,73 @@ export function ComposeProvider({ children }) {
 
     // Parser metadata state
     const [profiles, setProfiles] = useState([]);
-    const [activeProfiles, setActiveProfiles] = useState([]);
-    const [environment, setEnvironment] = useState({});
+    const [activeProfiles, setActiveProfiles] = useState(() => readSaved('docker-compose-active-profiles', []));
+    // Services targeted like `docker compose up svc`, all service names, and the dependencies they pulled in
+    const [targetServices, setTargetServices] = useState([]);
+    const [serviceNames, setServiceNames] = useState([]);
+    // Services of the last parse that the active profiles or target services left out
+    const [hiddenServices, setHiddenServices] = useState({});
+    const [implicitServices, setImplicitServices] = useState({});
+    // Manual overrides layer, on top of the selected env files (like the shell environment)
+    const [environment, setEnvironment] = useState(() => readSaved('docker-compose-environment', {}));
+    // Env files available for interpolation, the ordered selection (like `--env-file`) and their values
+    const [envFileOptions, setEnvFileOptions] = useState([]);
+    const [envFileSelection, setEnvFileSelection] = useState([]);
+    const [envFileValues, setEnvFileValues] = useState({});
     const [variables, setVariables] = useState([]);
     const [undefinedVariables, setUndefinedVariables] = useState([]);
     const [parserErrors, setParserErrors] = useState([]);
+    // Suggestion rule overrides from the project's .compoviz.yml
+    const [ruleConfig, setRuleConfig] = useState(DEFAULT_RULE_CONFIG);
+    const [ruleConfigFile, setRuleConfigFile] = useState(null);
     const [profileCounts, setProfileCounts] = useState({});
+    const [extendsSources, setExtendsSources] = useState({});
+    // Env files loaded for each service (see loadServiceEnvFiles)
+    const [envFiles, setEnvFiles] = useState({});
+    const [sourceMap, setSourceMap] = useState({});
+    const [sourceFiles, setSourceFiles] = useState({});
     const [sourceYaml, setSourceYaml] = useState('');
+    // Loaded file and the state it parsed to; edits are patched into it to keep its formatting
+    const [yamlSource, setYamlSource] = useState(null);
+    const [composeFiles, setComposeFiles] = useState([]);
+    const [composeStack, setComposeStack] = useState([]);
     const lastFilesRef = useRef([]);
+    // Newest loadFiles call, which superseded loads resolve with
+    const latestLoadRef = useRef(null);
+    // COMPOSE_PROFILES value last applied to the active profiles
+    const appliedComposeProfilesRef = useRef(undefined);
+    // Long-lived parser worker: coalesces rapid parses, drops superseded ones and caches results
+    const parserRef = useRef(null);
+
+    // Validation and suggestions keep per-service results between edits (see incrementalPipeline)
+    const [validateState] = useState(createIncrementalValidator);
+    const [generateSuggestions] = useState(createIncrementalSuggestions);
 
     // Generate YAML and errors on state change
-    const yamlCode = useMemo(() => generateYaml(state), [state]);
+    const yamlDocument = useMemo(() => createYamlDocument(yamlSource?.yaml), [yamlSource]);
+    const yamlCode = useMemo(() => generateYaml(
+        state,
+        yamlDocument ? { document: yamlDocument, state: yamlSource.state } : undefined
+    ), [state, yamlDocument, yamlSource]);
     const errors = useMemo(() => {
-        const stateErrors = validateState(state);
-        const parserIssues = (parserErrors || []).map((err) => ({
-            type: err.type === 'warning' ? 'warning' : 'error',
-            entity: 'parser',
-            name: err.stage || 'compose',
-            message: err.message || 'Parser error'
-        }));
-        return [...stateErrors, ...parserIssues];
-    }, [state, parserErrors]);
-
-    // Generate suggestions on state change
-    const suggestions = useMemo(() => generateSuggestions(state), [state]);
-
-    // Load parser metadata from localStorage on mount
+        return collectIssues(validateState(state), parserErrors, sourceMap);
+    }, [validateState, state, parserErrors, sourceMap]);
+
+    // Generate suggestions on state change; ignore comments and labels move some to suppressed
+    const ignoreComments = useMemo(() => findIgnoreComments(sourceFiles), [sourceFiles]);
+    const { suggestions, suppressed: suppressedSuggestions } = useMemo(() => applySuppressions(
+        generateSuggestions(state, ruleConfig).map((suggestion) => ({
+            ...suggestion,
+            location: locateIssue(sourceMap, suggestion)
+        })),
+        state,
+        ignoreComments,
+        sourceMap
+    ), [generateSuggestions, state, ruleConfig, sourceMap, ignoreComments]);
+
+    // Load the saved project on mount (active profiles and environment are read by their useState)
     useEffect(() => {
         const saved = localStorage.getItem('docker-compose-state');
-        const savedProfiles = localStorage.getItem('docker-compose-active-profiles');
-        const savedEnv = localStorage.getItem('docker-compose-environment');
 
         if (saved) {
             try {
@@ -58,22 +118,6 @@ export function ComposeProvider({ children }) {
                 // Silence loading errors
             }
         }
-
-        if (savedProfiles) {
-            try {
-                setActiveProfiles(JSON.parse(savedProfiles));
-            } catch {
-                // Silence errors
-            }
-        }
-
-        if (savedEnv) {
-            try {
-                setEnvironment(JSON.parse(savedEnv));
-            } catch {
-                // Silence errors
-            }
-        }
     }, [dispatch]);
 
     // Save to localStorage on state change
@@ -91,74 +135,133 @@ export function ComposeProvider({ children }) {
         localStorage.setItem('docker-compose-environment', JSON.stringify(environment));
     }, [environment]);
 
-    // Action: Load files (import YAML) - Now with Web Worker!
-    const loadFiles = useCallback(async (content, files = [], overrides = {}) => {
+    // Stop the parser worker on unmount
+    useEffect(() => () => {
+        parserRef.current?.terminate();
+        parserRef.current = null;
+    }, []);
+
+    // Load files (import YAML) - Now with Web Worker!
+    const runLoad = useCallback(async (content, files = [], overrides = {}) => {
         try {
             // Build fileMap from uploaded files
             const fileMap = {};
+            const isNewUpload = files.length > 0 && files !== lastFilesRef.current;
             const effectiveFiles = files.length > 0 ? files : (lastFilesRef.current || []);
-            const envFromFiles = {};
             if (effectiveFiles && effectiveFiles.length > 0) {
                 for (const file of effectiveFiles) {
                     const path = file.webkitRelativePath || file.name;
-                    const text = await file.text();
-                    fileMap[path] = text;
-                    if (file.name === '.env' || path.endsWith('/.env')) {
-                        Object.assign(envFromFiles, parseEnvFile(text));
-                    }
+                    fileMap[path] = await file.text();
                 }
             }
             if (effectiveFiles.length > 0) {
                 lastFilesRef.current = effectiveFiles;
             }
 
-            const mergedEnvironment = mergeEnv(envFromFiles, overrides.environment || environment);
-            const effectiveProfiles = overrides.activeProfiles || activeProfiles;
-            if (Object.keys(envFromFiles).length > 0) {
-                setEnvironment(mergedEnvironment);
+            // Compose file stack: base file first, then overrides (like -f chains).
+            // Content loaded without files (editor) replaces the base file of the loaded stack.
+            let effectiveStack = overrides.composeStack || composeStack;
+            if (isNewUpload && !overrides.composeStack) {
+                const composePaths = Object.keys(fileMap).filter(isComposeFilePath);
+                setComposeFiles(composePaths);
+                effectiveStack = detectComposeStack(composePaths, files[0].webkitRelativePath || files[0].name);
             }
-
-            // Use Web Worker for async parsing
-            const { createParserWorker } = await import('../utils/workerManager.js');
-            const worker = createParserWorker();
-
-            try {
-                const result = await worker.parseAsync(content, {
-                    environment: mergedEnvironment,
-                    activeProfiles: effectiveProfiles,
-                    basePath: effectiveFiles && effectiveFiles.length > 0 && effectiveFiles[0].webkitRelativePath
-                        ? effectiveFiles[0].webkitRelativePath.split('/')[0] + '/docker-compose.yml'
-                        : 'docker-compose.yml',
-                    fileMap,
-                    enableIncludes: Object.keys(fileMap).length > 0,
-                    enableExtends: true,
-                    enableVariables: true,
-                    enableProfiles: true,
-                    addMetadata: false
-                });
-
-                // Update state with parsed compose
-                if (result.compose) {
-                    dispatch({ type: 'SET_STATE', payload: result.compose });
+            setComposeStack(effectiveStack);
+            const [stackBase, ...overrideFiles] = effectiveStack;
+
+            const basePath = stackBase || (effectiveFiles && effectiveFiles.length > 0 && effectiveFiles[0].webkitRelativePath
+                ? effectiveFiles[0].webkitRelativePath.split('/')[0] + '/docker-compose.yml'
+                : 'docker-compose.yml');
+
+            // Environment layers: selected env files in order, then the manual overrides
+            const envPaths = Object.keys(fileMap).filter(isEnvFilePath);
+            const selectedEnvFiles = (overrides.envFiles || (isNewUpload ? getDefaultEnvFiles(envPaths, basePath) : envFileSelection))
+                .filter((path) => fileMap[path] !== undefined);
+            const manualEnvironment = overrides.environment || environment;
+            // Selected files are expanded in order, seeing the keys of earlier ones
+            const { values: loadedEnvValues, errors: envFileErrors } = loadEnvFiles(fileMap, selectedEnvFiles, manualEnvironment);
+            const selectedValues = Object.assign({}, ...selectedEnvFiles.map((path) => loadedEnvValues[path]));
+            for (const path of envPaths.filter((p) => !selectedEnvFiles.includes(p))) {
+                loadedEnvValues[path] = parseDotenv(fileMap[path], { environment: { ...selectedValues, ...manualEnvironment } }).values;
+            }
+            const { environment: mergedEnvironment } = resolveEnvironmentSources([
+                ...selectedEnvFiles.map((path) => ({ source: path, values: loadedEnvValues[path] })),
+                { source: OVERRIDES_SOURCE, values: manualEnvironment }
+            ]);
+            setEnvFileOptions(envPaths);
+            setEnvFileSelection(selectedEnvFiles);
+            setEnvFileValues(loadedEnvValues);
+
+            // Rule config of the project, kept as one object while the file is unchanged
+            const configPath = findRuleConfigFile(Object.keys(fileMap), basePath);
+            const { config: loadedRuleConfig, errors: ruleConfigErrors } = configPath
+                ? parseRuleConfig(fileMap[configPath], configPath)
+                : { config: DEFAULT_RULE_CONFIG, errors: [] };
+            setRuleConfig((current) => (JSON.stringify(current) === JSON.stringify(loadedRuleConfig) ? current : loadedRuleConfig));
+            setRuleConfigFile(configPath);
+
+            // COMPOSE_PROFILES drives the active profiles whenever its value changes
+            let effectiveProfiles = overrides.activeProfiles || activeProfiles;
+            const composeProfiles = mergedEnvironment.COMPOSE_PROFILES;
+            if (composeProfiles !== appliedComposeProfilesRef.current) {
+                appliedComposeProfilesRef.current = composeProfiles;
+                const { profiles: settingsProfiles } = getComposeSettings(mergedEnvironment);
+                if (settingsProfiles && !overrides.activeProfiles) {
+                    effectiveProfiles = settingsProfiles;
+                    setActiveProfiles(settingsProfiles);
                 }
+            }
 
-                // Update parser metadata
-                setProfiles(result.profiles || []);
-                setProfileCounts(result.profileCounts || {});
-                setVariables(result.variables || []);
-                setUndefinedVariables(result.undefinedVariables || []);
-                setParserErrors(result.errors || []);
-                setSourceYaml(content);
-
-                return {
-                    success: true,
-                    profiles: result.profiles,
-                    undefinedVariables: result.undefinedVariables
-                };
-            } finally {
-                worker.terminate();
+            // Parse in the worker; a newer parse supersedes this one
+            if (!parserRef.current) parserRef.current = createParseScheduler();
+
+            const result = await parserRef.current.parse(content, {
+                environment: mergedEnvironment,
+                processEnvironment: manualEnvironment,
+                activeProfiles: effectiveProfiles,
+                targetServices: overrides.targetServices || targetServices,
+                basePath,
+                fileMap,
+                overrideFiles,
+                enableIncludes: Object.keys(fileMap).length > 0,
+                enableEnvFiles: Object.keys(fileMap).length > 0,
+                enableExtends: true,
+                enableVariables: true,
+                enableProfiles: true,
+                addMetadata: false
+            }, { debounce: overrides.debounce || 0 });
+
+            // Update state with parsed compose
+            if (result.compose) {
+                dispatch({ type: 'SET_STATE', payload: result.compose });
             }
+
+            // Update parser metadata
+            setProfiles(result.profiles || []);
+            setProfileCounts(result.profileCounts || {});
+            setServiceNames(result.serviceNames || []);
+            setHiddenServices(Object.fromEntries(Object.entries(result.allServices || {})
+                .filter(([name]) => !result.compose?.services?.[name])));
+            setImplicitServices(result.implicitServices || {});
+            setVariables(result.variables || []);
+            setUndefinedVariables(result.undefinedVariables || []);
+            setExtendsSources(result.extendsSources || {});
+            setEnvFiles(result.envFiles || {});
+            setSourceMap(result.sourceMap || {});
+            setSourceFiles({ ...fileMap, [basePath]: content });
+            setParserErrors([...envFileErrors, ...ruleConfigErrors, ...(result.errors || [])]);
+            setSourceYaml(content);
+            setYamlSource(result.compose ? { yaml: content, state: result.compose } : null);
+
+            return {
+                success: true,
+                profiles: result.profiles,
+                undefinedVariables: result.undefinedVariables
+            };
         } catch (e) {
+            if (isParseCancelled(e)) {
+                return { success: false, cancelled: true };
+            }
             console.error('Parser error:', e);
 
             // Fallback to old parser on error
@@ -166,28 +269,64 @@ export function ComposeProvider({ children }) {
                 const parsed = parseYaml(content);
                 dispatch({ type: 'SET_STATE', payload: parsed });
                 setSourceYaml(content);
+                setYamlSource({ yaml: content, state: parsed });
                 setProfiles([]);
                 setProfileCounts({});
+                setServiceNames(Object.keys(parsed.services || {}));
+                setHiddenServices({});
+                setImplicitServices({});
                 setVariables([]);
                 setUndefinedVariables([]);
+                setExtendsSources({});
+                setEnvFiles({});
+                setSourceMap({});
+                setSourceFiles({});
                 setParserErrors([]);
                 return { success: true, fallback: true };
             } catch {
                 return { success: false, error: e.message };
             }
         }
-    }, [dispatch, environment, activeProfiles]);
+    }, [dispatch, environment, activeProfiles, targetServices, composeStack, envFileSelection]);
+
+    // Action: Load files. A load superseded by a newer one (profile toggle, env edit, typing)
+    // resolves with the result of the newest load, so callers never see the cancellation.
+    const loadFiles = useCallback((content, files, overrides) => {
+        const load = runLoad(content, files, overrides).then((result) => (
+            result.cancelled && latestLoadRef.current !== load ? latestLoadRef.current : result
+        ));
+        latestLoadRef.current = load;
+        return load;
+    }, [runLoad]);
 
     // Action: Reset project to initial state
     const resetProject = useCallback(() => {
         if (confirm('Are you sure you want to clear all configuration? This cannot be undone.')) {
             dispatch({ type: 'SET_STATE', payload: initialState });
             setActiveProfiles([]);
+            setTargetServices([]);
+            setServiceNames([]);
+            setHiddenServices({});
+            setImplicitServices({});
             setEnvironment({});
+            setEnvFileOptions([]);
+            setEnvFileSelection([]);
+            setEnvFileValues({});
+            appliedComposeProfilesRef.current = undefined;
             setProfiles([]);
             setVariables([]);
             setUndefinedVariables([]);
+            setExtendsSources({});
+            setEnvFiles({});
+            setSourceMap({});
+            setSourceFiles({});
             setParserErrors([]);
+            setRuleConfig(DEFAULT_RULE_CONFIG);
+            setRuleConfigFile(null);
+            setComposeFiles([]);
+            setComposeStack([]);
+            setYamlSource(null);
+            lastFilesRef.current = [];
             return true;
         }
         return false;
@@ -204,11 +343,17 @@ export function ComposeProvider({ children }) {
         URL.revokeObjectURL(url);
     }, [yamlCode]);
 
+    // YAML a state would generate, formatted like the loaded file (previews changes before dispatching)
+    const previewYaml = useCallback((nextState) => generateYaml(
+        nextState,
+        yamlDocument ? { document: yamlDocument, state: yamlSource.state } : undefined
+    ), [yamlDocument, yamlSource]);
+
     // Action: Update YAML code (from editor)
     const handleYamlChange = useCallback(async (newYaml) => {
         // Try new parser first, fallback to old
         try {
-            await loadFiles(newYaml);
+            await loadFiles(newYaml, [], { debounce: 300 });
         } catch {
             // Fallback to simple parsing
             const parsed = parseYaml(newYaml);
@@ -233,55 +378,21 @@ export function ComposeProvider({ children }) {
         }
     }, [yamlCode, sourceYaml, loadFiles]);
 
-    // Action: Update environment variable (with re-parse)
-    const updateEnvironment = useCallback(async (key, value) => {
-        const updated = { ...environment };
-        if (value === null || value === undefined || value === '') {
-            delete updated[key];
-        } else {
-            updated[key] = value;
-        }
-        setEnvironment(updated);
+    // Action: Set target services (with re-parse); an empty list shows every service of the active profiles
+    const setTargetServicesAction = useCallback(async (newTargets) => {
+        setTargetServices(newTargets);
 
-        // Re-parse with new environment if we have YAML
         const yamlForParse = sourceYaml || yamlCode;
         if (yamlForParse) {
             try {
-                const { createParserWorker } = await import('../utils/workerManager.js');
-                const worker = createParserWorker();
-
-                try {
-                    const fileMap = {};
-                    const files = lastFilesRef.current || [];
-                    for (const file of files) {
-                        const path = file.webkitRelativePath || file.name;
-                        fileMap[path] = await file.text();
-                    }
-                    const result = await worker.parseAsync(yamlForParse, {
-                        environment: updated,
-                        activeProfiles,
-                        fileMap,
-                        enableIncludes: Object.keys(fileMap).length > 0,
-                        enableExtends: true,
-                        enableVariables: true,
-                        enableProfiles: true
-                    });
-
-                    if (result.compose) {
-                        dispatch({ type: 'SET_STATE', payload: result.compose });
-                    }
-                    setUndefinedVariables(result.undefinedVariables || []);
-                    setProfiles(result.profiles || []);
-                    setProfileCounts(result.profileCounts || {});
-                    setParserErrors(result.errors || []);
-                } finally {
-                    worker.terminate();
-                }
+                await loadFiles(yamlForParse, lastFilesRef.current || [], {
+                    targetServices: newTargets
+                });
             } catch (e) {
-                console.error('Failed to re-parse with new environment:', e);
+                console.error('Failed to re-parse with new target services:', e);
             }
         }
-    }, [environment, yamlCode, sourceYaml, activeProfiles, dispatch]);
+    }, [yamlCode, sourceYaml, loadFiles]);
 
     // Action: Bulk set environment (with re-parse)
     const setEnvironmentAction = useCallback(async (newEnv) => {
@@ -300,21 +411,116 @@ export function ComposeProvider({ children }) {
         }
     }, [yamlCode, sourceYaml, loadFiles]);
 
+    // Action: Update one manual override (with re-parse); an empty value removes it
+    const updateEnvironment = useCallback(async (key, value) => {
+        const updated = { ...environment };
+        if (value === null || value === undefined || value === '') {
+            delete updated[key];
+        } else {
+            updated[key] = value;
+        }
+        await setEnvironmentAction(updated);
+    }, [environment, setEnvironmentAction]);
+
+    // Action: Pick and order the env files used for interpolation (with re-parse)
+    const setEnvFileSelectionAction = useCallback(async (newSelection) => {
+        setEnvFileSelection(newSelection);
+
+        const yamlForParse = sourceYaml || yamlCode;
+        if (yamlForParse) {
+            try {
+                await loadFiles(yamlForParse, lastFilesRef.current || [], {
+                    envFiles: newSelection
+                });
+            } catch (e) {
+                console.error('Failed to re-parse with new env files:', e);
+            }
+        }
+    }, [yamlCode, sourceYaml, loadFiles]);
+
+    // Action: Pick and order the compose file stack (with re-parse)
+    const setComposeStackAction = useCallback(async (newStack) => {
+        if (!newStack || newStack.length === 0) return;
+
+        const files = lastFilesRef.current || [];
+        const baseFile = files.find((file) => (file.webkitRelativePath || file.name) === newStack[0]);
+        if (!baseFile) return;
+
+        try {
+            const content = await baseFile.text();
+            await loadFiles(content, files, { composeStack: newStack });
+        } catch (e) {
+            console.error('Failed to re-parse with new compose file stack:', e);
+        }
+    }, [loadFiles]);
+
+    // Action: Set the profiles of services ({name: profiles}) when one of them is hidden by the
+    // active profiles. Hidden services only exist in the source, so the change is written into
+    // the YAML and re-parsed, which also refreshes what the active profiles show and the counts.
+    const setServiceProfilesAction = useCallback(async (updates) => {
+        const loaded = yamlSource?.state || {};
+        const services = { ...hiddenServices, ...state.services };
+        const next = {
+            ...state,
+            services: {
+                ...services,
+                ...Object.fromEntries(Object.entries(updates).map(([name, profiles]) => [name, { ...services[name], profiles }]))
+            }
+        };
+        const yaml = generateYaml(next, yamlDocument
+            ? { document: yamlDocument, state: { ...loaded, services: { ...loaded.services, ...hiddenServices } } }
+            : undefined);
+
+        try {
+            await loadFiles(yaml, lastFilesRef.current || []);
+        } catch (e) {
+            console.error('Failed to re-parse with new service profiles:', e);
+        }
+    }, [state, hiddenServices, yamlDocument, yamlSource, loadFiles]);
+
+    // Every interpolation variable with the layer that supplied it
+    const environmentSources = useMemo(() => resolveEnvironmentSources([
+        ...envFileSelection.map((path) => ({ source: path, values: envFileValues[path] })),
+        { source: OVERRIDES_SOURCE, values: environment }
+    ]), [envFileSelection, envFileValues, environment]);
+
+    // Project name Compose would use: COMPOSE_PROJECT_NAME, `name`, else the directory of the base file
+    const projectName = useMemo(
+        () => getComposeSettings(environmentSources.environment).projectName || deriveProjectName(state.name, composeStack[0]),
+        [environmentSources, state.name, composeStack]
+    );
+
     const value = {
         // State
         state,
         yamlCode,
+        projectName,
         errors,
         suggestions,
+        suppressedSuggestions,
+        ruleConfigFile,
 
         // Parser metadata
         profiles,
         activeProfiles,
         profileCounts,
+        targetServices,
+        serviceNames,
+        hiddenServices,
+        implicitServices,
         environment,
+        environmentSources,
+        envFileOptions,
+        envFileSelection,
         variables,
         undefinedVariables,
+        extendsSources,
+        envFiles,
+        sourceMap,
+        sourceFiles,
         parserErrors,
+        composeFiles,
+        composeStack,
 
         // Dispatch
         dispatch,
@@ -330,9 +536,14 @@ export function ComposeProvider({ children }) {
         resetProject,
         handleExport,
         handleYamlChange,
+        previewYaml,
         setActiveProfiles: setActiveProfilesAction,
+        setTargetServices: setTargetServicesAction,
         updateEnvironment,
         setEnvironment: setEnvironmentAction,
+        setEnvFileSelection: setEnvFileSelectionAction,
+        setComposeStack: setComposeStackAction,
+        setServiceProfiles: setServiceProfilesAction,
     };
 
     return (
@@ -0,0 +1,48 @@
+import { describe, it, expect, vi } from 'vitest';
+import { renderHook, act } from '@testing-library/react';
+import { ComposeProvider, useCompose } from './useCompose.jsx';
+import { UIProvider } from '../context/UIContext.jsx';
+
+// Parse on the main thread; happy-dom has no workers
+vi.mock('../utils/workerManager.js');
+
+const wrapper = ({ children }) => (
+    <UIProvider>
+        <ComposeProvider>{children}</ComposeProvider>
+    </UIProvider>
+);
+
+describe('useCompose', () => {
+    it('resolves a superseded load with the result of the newest one', async () => {
+        const { result } = renderHook(() => useCompose(), { wrapper });
+
+        let loads;
+        await act(async () => {
+            const stale = result.current.loadFiles('services:\n  old:\n    image: nginx\n    profiles: [one]\n', [], { debounce: 50 });
+            const fresh = result.current.loadFiles('services:\n  new:\n    image: nginx\n    profiles: [two]\n');
+            loads = await Promise.all([stale, fresh]);
+        });
+
+        expect(loads[0]).toEqual(loads[1]);
+        expect(loads[0]).toMatchObject({ success: true, profiles: ['two'] });
+        expect(result.current.profiles).toEqual(['two']);
+    });
+
+    it('keeps the override files when the editor content is re-parsed', async () => {
+        const { result } = renderHook(() => useCompose(), { wrapper });
+        const base = 'services:\n  web:\n    image: nginx\n';
+        const files = [
+            { name: 'compose.yaml', text: async () => base },
+            { name: 'compose.override.yaml', text: async () => 'services:\n  web:\n    ports: ["80:80"]\n  debug:\n    image: busybox\n' }
+        ];
+
+        await act(() => result.current.loadFiles(base, files));
+        expect(result.current.composeStack).toEqual(['compose.yaml', 'compose.override.yaml']);
+
+        await act(() => result.current.handleYamlChange('services:\n  web:\n    image: nginx:1.27\n'));
+
+        expect(result.current.composeStack).toEqual(['compose.yaml', 'compose.override.yaml']);
+        expect(result.current.state.services.web).toEqual({ image: 'nginx:1.27', ports: ['80:80'] });
+        expect(result.current.state.services.debug).toEqual({ image: 'busybox' });
+    });
+});
@@ -75,6 +75,8 @@ export function useFileImport(loadFiles, setActiveView, isMobile) {
     const handleImport = async (content, files = []) => {
         try {
             const result = await loadFiles(content, files);
+            // Cancelled by a project reset: nothing left to show
+            if (result.cancelled) return;
             if (!result.success) {
                 alert('Invalid YAML: ' + (result.error || 'Unknown error'));
                 return;
@@ -0,0 +1,151 @@
+/**
+ * Compoviz headless API.
+ * Framework-free entry point to the parser and analyzers: no React, DOM or Web Worker
+ * dependencies, so Node (>= 20.19) tooling and tests can import it directly.
+ *
+ * @example
+ * import { analyzeCompose } from 'compoviz';
+ *
+ * const { issues, suggestions } = analyzeCompose(yaml, { basePath: 'compose.yml', fileMap });
+ */
+
+import { parseCompose } from '../utils/composeParser.js';
+import { validateState, collectIssues } from '../utils/validation.js';
+import { generateSuggestions } from '../utils/suggestions.js';
+import { locateIssue } from '../utils/sourceMap.js';
+import { findIgnoreComments, applySuppressions } from '../utils/suppressions.js';
+import { composeReducer, initialState } from '../hooks/composeReducer.js';
+
+export { parseCompose } from '../utils/composeParser.js';
+export { validateState, collectIssues } from '../utils/validation.js';
+export {
+    generateSuggestions,
+    getSuggestionCounts,
+    getHighestSeverity,
+    SuggestionCategory,
+    SuggestionSeverity
+} from '../utils/suggestions.js';
+export { SUGGESTION_RULES, getSuggestionRule } from '../utils/suggestionRules.js';
+export { parseRuleConfig, RULE_CONFIG_FILES } from '../utils/ruleConfig.js';
+export { parseIgnoreDirective, IGNORE_LABEL } from '../utils/suppressions.js';
+export { generateGraphviz, generateMultiProjectGraphviz } from '../utils/graphviz.js';
+export { compareProjects, getComparisonSummary } from '../utils/comparison.js';
+export { parseDotenv } from '../utils/variableInterpolator.js';
+export { formatLocation } from '../utils/sourceMap.js';
+
+// Errors after which the Graphviz instance is unusable (see graphvizWorker.js)
+const FATAL_GRAPHVIZ_ERRORS = ['out of bounds', 'signature mismatch'];
+let graphvizPromise = null;
+
+/**
+ * Position of a node in the source files.
+ * @typedef {Object} SourceLocation
+ * @property {string} file - Path of the file, as passed in `basePath` / `fileMap`
+ * @property {number} line - 1-based line
+ * @property {number} column - 1-based column
+ */
+
+/**
+ * Validation issue or parser error.
+ * @typedef {Object} Issue
+ * @property {'error'|'warning'} type - Severity
+ * @property {string} rule - Check that raised it, e.g. 'unknown-dependency'; the parser stage for pipeline errors
+ * @property {string} entity - 'service' | 'network' | 'volume' | 'secret' | 'config', or 'parser' for pipeline errors
+ * @property {string} name - Resource name, or the parser stage for pipeline errors
+ * @property {string} [field] - Dot path of the offending node inside the resource
+ * @property {string} message - Human-readable description
+ * @property {SourceLocation|null} location - Where the issue is, when known
+ */
+
+/**
+ * Best-practice suggestion.
+ * @typedef {Object} Suggestion
+ * @property {string} id - Unique id (`<name>-<rule>`)
+ * @property {'suggestion'} type
+ * @property {string} rule - Rule that raised it, e.g. 'latest-tag'
+ * @property {string} category - One of SuggestionCategory
+ * @property {string} severity - One of SuggestionSeverity
+ * @property {string} entity - 'service' | 'volume'
+ * @property {string} name - Resource name
+ * @property {string} [field] - Dot path of the node the suggestion is about
+ * @property {string} message - Human-readable description
+ * @property {Object|null} action - Fix the editor can apply, if any
+ * @property {SourceLocation|null} location - Where the suggestion applies, when known
+ * @property {{reason: string, source: 'comment'|'label', location: SourceLocation|null}} [suppression] - Ignore
+ *   directive that silenced the suggestion (suppressed suggestions only)
+ */
+
+/**
+ * Result of analyzeCompose.
+ * @typedef {Object} ComposeAnalysis
+ * @property {Object|null} compose - Resolved Compose model, null when the YAML could not be parsed
+ * @property {Issue[]} issues - Validation issues followed by parser errors
+ * @property {Suggestion[]} suggestions - Best-practice suggestions
+ * @property {Suggestion[]} suppressedSuggestions - Suggestions silenced by `# compoviz-ignore:` comments or `com.compoviz.ignore` labels
+ * @property {string[]} profiles - Every profile declared in the project
+ * @property {string[]} serviceNames - Services before profile and target filtering
+ * @property {string[]} variables - Variables referenced by the project, sorted
+ * @property {string[]} undefinedVariables - Referenced variables without a value or default
+ * @property {Object} sourceMap - Source locations by resource path, for `locateIssue`-style lookups
+ */
+
+/**
+ * Parse a Compose project and run validation and suggestions on it, like the editor does.
+ *
+ * @param {string} yamlString - Content of the base Compose file
+ * @param {Object} [options] - parseCompose options (environment, activeProfiles, basePath, fileMap, overrideFiles, ...)
+ * @param {Object} [options.ruleConfig] - Suggestion rule overrides from parseRuleConfig
+ * @returns {ComposeAnalysis} Analysis of the project
+ */
+export function analyzeCompose(yamlString, options = {}) {
+    const parsed = parseCompose(yamlString, options);
+    const compose = parsed.compose
+        ? composeReducer(initialState, { type: 'SET_STATE', payload: parsed.compose })
+        : null;
+    const suggestions = compose
+        ? applySuppressions(
+            generateSuggestions(compose, options.ruleConfig).map((suggestion) => ({
+                ...suggestion,
+                location: locateIssue(parsed.sourceMap, suggestion)
+            })),
+            compose,
+            findIgnoreComments({ ...options.fileMap, [options.basePath || 'docker-compose.yml']: yamlString }),
+            parsed.sourceMap
+        )
+        : { suggestions: [], suppressed: [] };
+
+    return {
+        compose,
+        issues: collectIssues(compose ? validateState(compose) : [], parsed.errors, parsed.sourceMap),
+        suggestions: suggestions.suggestions,
+        suppressedSuggestions: suggestions.suppressed,
+        profiles: parsed.profiles,
+        serviceNames: parsed.serviceNames,
+        variables: [...parsed.variables].sort(),
+        undefinedVariables: parsed.undefinedVariables,
+        sourceMap: parsed.sourceMap
+    };
+}
+
+/**
+ * Lay out a DOT graph and render it to SVG with the WASM Graphviz build the editor uses.
+ * Graphviz is loaded on first use and reloaded after a fatal error.
+ *
+ * @param {string} dot - Graph from generateGraphviz or generateMultiProjectGraphviz
+ * @returns {Promise<string>} SVG document
+ */
+export async function renderSvg(dot) {
+    if (!graphvizPromise) {
+        graphvizPromise = import('@hpcc-js/wasm-graphviz').then(({ Graphviz }) => Graphviz.load());
+    }
+    const graphviz = await graphvizPromise;
+
+    try {
+        return graphviz.dot(dot);
+    } catch (error) {
+        if (FATAL_GRAPHVIZ_ERRORS.some((pattern) => error?.message?.includes(pattern))) {
+            graphvizPromise = null;
+        }
+        throw error;
+    }
+}
@@ -0,0 +1,72 @@
+import { describe, it, expect } from 'vitest';
+import { execFileSync } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+import process from 'process';
+import { fileURLToPath } from 'url';
+import { analyzeCompose, generateGraphviz, SuggestionSeverity } from './index.js';
+
+const DIRNAME = path.dirname(fileURLToPath(import.meta.url));
+const readFixture = (filepath) => {
+    return fs.readFileSync(path.resolve(DIRNAME, '../../fixtures/compose-specs', filepath), 'utf8');
+};
+
+describe('headless API', () => {
+    it('analyzes a project with located issues and suggestions', () => {
+        const yaml = [
+            'services:',
+            '  web:',
+            '    image: nginx:latest',
+            '    depends_on: [api]',
+            'volumes:',
+            '  data: {}',
+            ''
+        ].join('\n');
+        const result = analyzeCompose(yaml, { basePath: 'compose.yml' });
+
+        expect(result.compose.services.web.image).toBe('nginx:latest');
+        expect(result.serviceNames).toEqual(['web']);
+        expect(result.issues).toContainEqual({
+            type: 'error',
+            rule: 'unknown-dependency',
+            entity: 'service',
+            name: 'web',
+            field: 'depends_on.0',
+            message: 'Dependency "api" not found',
+            location: { file: 'compose.yml', line: 4, column: 18 }
+        });
+        const unusedVolume = result.suggestions.find((s) => s.id === 'data-unused-volume');
+        expect(unusedVolume.severity).toBe(SuggestionSeverity.LOW);
+        expect(unusedVolume.location).toEqual({ file: 'compose.yml', line: 6, column: 3 });
+    });
+
+    it('reports unparseable YAML without throwing', () => {
+        const result = analyzeCompose('services: [', { basePath: 'compose.yml' });
+
+        expect(result.compose).toBeNull();
+        expect(result.suggestions).toEqual([]);
+        expect(result.issues[0]).toMatchObject({ type: 'error', entity: 'parser', name: 'yaml-parsing' });
+    });
+
+    it('renders the analyzed model to DOT', () => {
+        const { compose, issues } = analyzeCompose(readFixture('complex/microservices.yml'), {
+            environment: { DOMAIN: 'example.com', DB_PASSWORD: 'secret_password', JWT_SECRET: 'jwt_secret_key' }
+        });
+
+        expect(issues.filter((issue) => issue.entity === 'parser' && issue.type === 'error')).toEqual([]);
+        expect(generateGraphviz(compose)).toMatch(/^digraph G \{/);
+    });
+
+    it('loads in plain Node without a bundler or browser globals', () => {
+        const entry = path.resolve(DIRNAME, 'index.js');
+        const output = execFileSync(process.execPath, [
+            '--input-type=module',
+            '-e',
+            `const lib = await import(${JSON.stringify(entry)});
+            const { issues } = lib.analyzeCompose('services:\\n  web:\\n    image: nginx\\n');
+            console.log(typeof window, typeof Worker, issues.length);`
+        ], { encoding: 'utf8', timeout: 30000 });
+
+        expect(output.trim()).toBe('undefined undefined 0');
+    });
+});
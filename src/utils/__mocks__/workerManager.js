@@ -0,0 +1,21 @@
+/**
+ * Parser worker manager for tests: the scheduler is the real one, but parses on the main
+ * thread because happy-dom has no workers. Enabled with `vi.mock('.../workerManager.js')`.
+ */
+
+import { vi } from 'vitest';
+import { parseCompose } from '../composeParser.js';
+
+const original = await vi.importActual('../workerManager.js');
+
+const createWorker = () => ({
+    parseAsync: async (yamlString, options) => {
+        const result = parseCompose(yamlString, options);
+        return { ...result, variables: Array.from(result.variables || []) };
+    },
+    terminate: () => {}
+});
+
+export const { createParserWorker, isParseCancelled, hashParseInput } = original;
+
+export const createParseScheduler = (options = {}) => original.createParseScheduler({ createWorker, ...options });
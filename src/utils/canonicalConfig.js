@@ -0,0 +1,386 @@
+/**
+ * Canonical Compose configuration.
+ * Normalizes a resolved Compose model the way `docker compose config` prints it:
+ * short syntax expanded to long form, defaults filled in and keys sorted, so two
+ * configurations can be compared line by line.
+ */
+
+import yaml from 'js-yaml';
+import { dirname } from './pathResolver.js';
+
+const RESOURCE_SECTIONS = ['networks', 'volumes', 'secrets', 'configs'];
+
+/**
+ * Service fields that accept either a single string or a list.
+ */
+const STRING_OR_LIST_FIELDS = ['dns', 'dns_search', 'tmpfs', 'env_file', 'profiles'];
+
+/**
+ * Service fields that accept either a `KEY=VALUE` list or a mapping.
+ */
+const LIST_OR_DICT_FIELDS = ['labels', 'annotations', 'sysctls'];
+
+/**
+ * Resource fields the editor stores in the state that are not part of Compose.
+ */
+const EDITOR_FIELDS = ['_position'];
+
+/**
+ * Check if a value is a plain mapping (not null, not an array).
+ * @param {any} value - Value to check
+ * @returns {boolean} True if value is a mapping
+ */
+function isMapping(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Normalize a project name like Compose: lowercase letters, digits, `_` and `-`,
+ * starting with a letter or digit.
+ *
+ * @param {string} name - Requested project name
+ * @returns {string} Normalized name (empty if nothing usable is left)
+ */
+export function normalizeProjectName(name) {
+    return String(name || '').toLowerCase().replace(/[^a-z0-9_-]/g, '').replace(/^[_-]+/, '');
+}
+
+/**
+ * Derive the project name: the `name` field, else the directory of the base Compose file.
+ *
+ * @param {string} name - Project name from the model
+ * @param {string} basePath - Path of the base Compose file
+ * @returns {string} Project name
+ */
+export function deriveProjectName(name, basePath) {
+    const directory = dirname(basePath || '').split('/').pop();
+    return normalizeProjectName(name) || normalizeProjectName(directory) || 'default';
+}
+
+/**
+ * Split a command string into words like a POSIX shell (quotes and backslashes, no expansion).
+ * @param {string} command - Command line
+ * @returns {string[]} Words
+ */
+export function splitShellWords(command) {
+    const words = [];
+    let word = '';
+    let inWord = false;
+    let quote = null;
+
+    for (let i = 0; i < command.length; i++) {
+        const char = command[i];
+        if (quote) {
+            if (char === quote) quote = null;
+            else if (char === '\\' && quote === '"' && ['"', '\\', '$', '`'].includes(command[i + 1])) word += command[++i];
+            else word += char;
+        } else if (char === '"' || char === "'") {
+            quote = char;
+            inWord = true;
+        } else if (char === '\\' && i + 1 < command.length) {
+            word += command[++i];
+            inWord = true;
+        } else if (/\s/.test(char)) {
+            if (inWord) words.push(word);
+            word = '';
+            inWord = false;
+        } else {
+            word += char;
+            inWord = true;
+        }
+    }
+    if (inWord) words.push(word);
+
+    return words;
+}
+
+/**
+ * Convert a `KEY=VALUE` list to a mapping; mappings are copied. Values become strings,
+ * keys without a value map to null.
+ *
+ * @param {Array|Object} value - List or mapping
+ * @param {string} separator - Key/value separator
+ * @returns {Object} Mapping
+ */
+function toDict(value, separator = '=') {
+    const entries = Array.isArray(value)
+        ? value.map((item) => {
+            const text = String(item);
+            const index = text.indexOf(separator);
+            return index === -1 ? [text, null] : [text.slice(0, index), text.slice(index + 1)];
+        })
+        : Object.entries(value || {});
+
+    return Object.fromEntries(entries.map(([key, item]) => [key, item === null || item === undefined ? null : String(item)]));
+}
+
+/**
+ * Expand a port range (`8000-8002`) to its ports.
+ * @param {string} range - Port or port range
+ * @returns {string[]} Ports
+ */
+function expandPortRange(range) {
+    const match = String(range).match(/^(\d+)-(\d+)$/);
+    if (!match) return [String(range)];
+    const [start, end] = [Number(match[1]), Number(match[2])];
+    if (end < start) return [String(range)];
+    return Array.from({ length: end - start + 1 }, (_, i) => String(start + i));
+}
+
+/**
+ * Expand a port entry to long syntax. Short syntax is
+ * `[HOST_IP:][HOST_PORT:]CONTAINER_PORT[/PROTOCOL]`; a container port range gives one entry per port.
+ *
+ * @param {string|number|Object} port - Port entry
+ * @returns {Array<Object>} Long syntax entries
+ */
+export function expandPort(port) {
+    if (isMapping(port)) {
+        return [{
+            mode: 'ingress',
+            protocol: 'tcp',
+            ...port,
+            ...(port.target !== undefined ? { target: Number(port.target) } : {}),
+            ...(port.published !== undefined ? { published: String(port.published) } : {})
+        }];
+    }
+
+    let text = String(port);
+    let protocol = 'tcp';
+    const slash = text.lastIndexOf('/');
+    if (slash !== -1) {
+        protocol = text.slice(slash + 1);
+        text = text.slice(0, slash);
+    }
+
+    let hostIp;
+    const bracketed = text.match(/^\[([^\]]+)\]:(.*)$/);
+    if (bracketed) {
+        hostIp = bracketed[1];
+        text = bracketed[2];
+    }
+
+    const parts = text.split(':');
+    const target = parts.pop();
+    const published = parts.pop();
+    if (parts.length > 0) hostIp = parts.join(':');
+
+    const targets = expandPortRange(target);
+    const publishedPorts = published ? expandPortRange(published) : [];
+
+    return targets.map((containerPort, index) => ({
+        mode: 'ingress',
+        ...(hostIp ? { host_ip: hostIp } : {}),
+        target: Number(containerPort),
+        ...(published ? {
+            published: publishedPorts.length === targets.length ? publishedPorts[index] : String(published)
+        } : {}),
+        protocol
+    }));
+}
+
+/**
+ * Check if a volume source is a host path (bind mount) rather than a named volume.
+ * @param {string} source - Volume source
+ * @returns {boolean} True for host paths
+ */
+function isHostPath(source) {
+    return /^(\.|\/|~|[A-Za-z]:[\\/])/.test(source);
+}
+
+/**
+ * Expand a service volume entry to long syntax. Short syntax is `[SOURCE:]TARGET[:MODE]`.
+ *
+ * @param {string|Object} volume - Volume entry
+ * @returns {Object} Long syntax entry
+ */
+export function expandVolume(volume) {
+    if (isMapping(volume)) return { ...volume };
+
+    const text = String(volume);
+    // A Windows drive letter (`C:\data`) is part of the source, not a separator
+    const parts = text.match(/^[A-Za-z]:[\\/]/)
+        ? [text.slice(0, 2) + text.slice(2).split(':')[0], ...text.slice(2).split(':').slice(1)]
+        : text.split(':');
+
+    if (parts.length === 1) {
+        return { type: 'volume', target: parts[0], volume: {} };
+    }
+
+    const [source, target, mode = ''] = parts;
+    const options = mode.split(',').filter(Boolean);
+    const bind = isHostPath(source);
+    const entry = { type: bind ? 'bind' : 'volume', source, target };
+
+    if (options.includes('ro')) entry.read_only = true;
+    if (bind) {
+        const selinux = options.find((option) => option === 'z' || option === 'Z');
+        entry.bind = { create_host_path: true, ...(selinux ? { selinux } : {}) };
+    } else {
+        entry.volume = options.includes('nocopy') ? { nocopy: true } : {};
+    }
+
+    return entry;
+}
+
+/**
+ * Expand `depends_on` to a condition map.
+ * @param {Array|Object} dependsOn - Dependency list or map
+ * @returns {Object} Map of service name to `{condition, required}`
+ */
+function expandDependsOn(dependsOn) {
+    const entries = Array.isArray(dependsOn)
+        ? dependsOn.map((name) => [name, {}])
+        : Object.entries(dependsOn || {}).map(([name, options]) => [name, isMapping(options) ? options : {}]);
+
+    return Object.fromEntries(entries.map(([name, options]) => [
+        name,
+        { condition: 'service_started', required: true, ...options }
+    ]));
+}
+
+/**
+ * Drop editor fields and unset (empty) fields of a resource, like Compose omits them.
+ * Values inside a field are kept as they are: empty strings and `_`-prefixed keys
+ * are valid there, e.g. `environment: { _JAVA_OPTIONS: '' }`.
+ *
+ * @param {Object} resource - Service or top-level resource
+ * @returns {Object} Resource with set fields only
+ */
+function omitUnsetFields(resource) {
+    if (!isMapping(resource)) return {};
+
+    const isUnset = (value) => value === null || value === undefined || value === ''
+        || (typeof value === 'object' && Object.keys(value).length === 0);
+    return Object.fromEntries(Object.entries(resource).filter(([key, value]) => (
+        !EDITOR_FIELDS.includes(key) && !isUnset(value)
+    )));
+}
+
+/**
+ * Normalize a single service.
+ * @param {Object} service - Service configuration
+ * @returns {Object} Normalized service
+ */
+function normalizeService(service) {
+    const result = { ...service };
+
+    if (typeof result.build === 'string') {
+        result.build = { context: result.build, dockerfile: 'Dockerfile' };
+    } else if (isMapping(result.build)) {
+        result.build = { context: '.', dockerfile: 'Dockerfile', ...result.build };
+        if (result.build.args) result.build.args = toDict(result.build.args);
+        if (result.build.labels) result.build.labels = toDict(result.build.labels);
+    }
+
+    for (const field of ['command', 'entrypoint']) {
+        if (typeof result[field] === 'string') result[field] = splitShellWords(result[field]);
+    }
+    for (const field of STRING_OR_LIST_FIELDS) {
+        if (typeof result[field] === 'string') result[field] = [result[field]];
+    }
+    for (const field of LIST_OR_DICT_FIELDS) {
+        if (result[field]) result[field] = toDict(result[field]);
+    }
+
+    if (result.environment) result.environment = toDict(result.environment);
+    if (result.depends_on) result.depends_on = expandDependsOn(result.depends_on);
+    if (Array.isArray(result.ports)) result.ports = result.ports.flatMap(expandPort);
+    if (Array.isArray(result.volumes)) result.volumes = result.volumes.map(expandVolume);
+    if (Array.isArray(result.expose)) result.expose = result.expose.map(String);
+
+    for (const field of ['secrets', 'configs']) {
+        if (Array.isArray(result[field])) {
+            result[field] = result[field].map((entry) => (isMapping(entry) ? entry : { source: String(entry) }));
+        }
+    }
+
+    if (Array.isArray(result.networks)) {
+        result.networks = Object.fromEntries(result.networks.map((name) => [name, null]));
+    } else if (!result.networks && !result.network_mode) {
+        // Services without networks join the project's default network
+        result.networks = { default: null };
+    }
+
+    if (typeof result.healthcheck?.test === 'string') {
+        result.healthcheck = { ...result.healthcheck, test: ['CMD-SHELL', result.healthcheck.test] };
+    }
+
+    return result;
+}
+
+/**
+ * Normalize a top-level resource (network, volume, secret, config): fill in its project-scoped name.
+ *
+ * @param {Object} resource - Resource configuration
+ * @param {string} key - Resource key
+ * @param {string} projectName - Project name
+ * @returns {Object} Normalized resource
+ */
+function normalizeResource(resource, key, projectName) {
+    const result = isMapping(resource) ? { ...resource } : {};
+    if (!result.name) {
+        result.name = result.external ? key : `${projectName}_${key}`;
+    }
+    return result;
+}
+
+/**
+ * Sort mapping keys recursively (sequences keep their order).
+ * @param {any} value - Value
+ * @returns {any} Value with sorted mappings
+ */
+function sortKeys(value) {
+    if (Array.isArray(value)) return value.map(sortKeys);
+    if (!isMapping(value)) return value;
+    return Object.fromEntries(Object.keys(value).sort().map((key) => [key, sortKeys(value[key])]));
+}
+
+/**
+ * Build the canonical form of a resolved Compose model (after includes, extends,
+ * interpolation and profiles), equivalent to `docker compose config`.
+ *
+ * @param {Object} compose - Resolved compose model
+ * @param {Object} options - Options
+ * @param {string} options.projectName - Project name (default: the model's `name`, else "default")
+ * @returns {Object} Canonical model
+ */
+export function normalizeCompose(compose, options = {}) {
+    const projectName = normalizeProjectName(options.projectName) || deriveProjectName(compose?.name);
+    const result = { name: projectName };
+
+    // Extension fields are kept; `version` is obsolete and includes are already resolved
+    for (const [key, value] of Object.entries(compose || {})) {
+        if (key.startsWith('x-')) result[key] = value;
+    }
+
+    const services = {};
+    for (const [name, service] of Object.entries(compose?.services || {})) {
+        services[name] = normalizeService(omitUnsetFields(service));
+    }
+    result.services = services;
+
+    for (const section of RESOURCE_SECTIONS) {
+        const resources = {};
+        for (const [key, resource] of Object.entries(compose?.[section] || {})) {
+            resources[key] = normalizeResource(omitUnsetFields(resource), key, projectName);
+        }
+        if (section === 'networks' && Object.values(services).some((service) => service.networks && 'default' in service.networks)) {
+            resources.default = normalizeResource(resources.default, 'default', projectName);
+        }
+        if (Object.keys(resources).length > 0) result[section] = resources;
+    }
+
+    return Object.fromEntries(Object.entries(result).map(([key, value]) => [key, key === 'name' ? value : sortKeys(value)]));
+}
+
+/**
+ * Render the canonical form of a Compose model as YAML.
+ *
+ * @param {Object} compose - Resolved compose model
+ * @param {Object} options - Options (see normalizeCompose)
+ * @returns {string} YAML
+ */
+export function renderCanonicalConfig(compose, options = {}) {
+    return yaml.dump(normalizeCompose(compose, options), { indent: 2, lineWidth: -1, noRefs: true, quotingType: '"' });
+}
@@ -0,0 +1,141 @@
+import { describe, it, expect } from 'vitest';
+import {
+    normalizeCompose,
+    renderCanonicalConfig,
+    expandPort,
+    expandVolume,
+    splitShellWords,
+    deriveProjectName
+} from './canonicalConfig';
+import { parseCompose } from './composeParser';
+
+describe('canonicalConfig', () => {
+    describe('expandPort', () => {
+        it('expands short syntax', () => {
+            expect(expandPort('127.0.0.1:8080:80/udp')).toEqual([
+                { mode: 'ingress', host_ip: '127.0.0.1', target: 80, published: '8080', protocol: 'udp' }
+            ]);
+            expect(expandPort(3000)).toEqual([{ mode: 'ingress', target: 3000, protocol: 'tcp' }]);
+            expect(expandPort('[::1]:53:53')[0]).toMatchObject({ host_ip: '::1', target: 53, published: '53' });
+        });
+
+        it('expands port ranges to one entry per port', () => {
+            expect(expandPort('9000-9001:3000-3001')).toEqual([
+                { mode: 'ingress', target: 3000, published: '9000', protocol: 'tcp' },
+                { mode: 'ingress', target: 3001, published: '9001', protocol: 'tcp' }
+            ]);
+        });
+
+        it('fills defaults of long syntax', () => {
+            expect(expandPort({ target: '80', published: 8080 })).toEqual([
+                { mode: 'ingress', protocol: 'tcp', target: 80, published: '8080' }
+            ]);
+        });
+    });
+
+    describe('expandVolume', () => {
+        it('distinguishes bind mounts, named and anonymous volumes', () => {
+            expect(expandVolume('./data:/data:ro,z')).toEqual({
+                type: 'bind', source: './data', target: '/data', read_only: true, bind: { create_host_path: true, selinux: 'z' }
+            });
+            expect(expandVolume('db:/var/lib/postgresql/data')).toEqual({
+                type: 'volume', source: 'db', target: '/var/lib/postgresql/data', volume: {}
+            });
+            expect(expandVolume('/cache')).toEqual({ type: 'volume', target: '/cache', volume: {} });
+        });
+    });
+
+    describe('splitShellWords', () => {
+        it('honors quotes and escapes', () => {
+            expect(splitShellWords(`sh -c "echo 'hi there'" a\\ b ''`)).toEqual(['sh', '-c', "echo 'hi there'", 'a b', '']);
+        });
+    });
+
+    describe('normalizeCompose', () => {
+        it('expands short syntax and fills in Compose defaults', () => {
+            const config = normalizeCompose({
+                name: 'Shop',
+                services: {
+                    web: {
+                        image: 'nginx',
+                        command: 'nginx -g "daemon off;"',
+                        environment: ['MODE=prod', 'TOKEN'],
+                        depends_on: ['api'],
+                        healthcheck: { test: 'curl -f http://localhost' }
+                    },
+                    api: { build: './api', networks: ['back'], environment: { WORKERS: 4 } }
+                },
+                networks: { back: {}, shared: { external: true } }
+            });
+
+            expect(config.name).toBe('shop');
+            expect(config.services.web).toEqual({
+                command: ['nginx', '-g', 'daemon off;'],
+                depends_on: { api: { condition: 'service_started', required: true } },
+                environment: { MODE: 'prod', TOKEN: null },
+                healthcheck: { test: ['CMD-SHELL', 'curl -f http://localhost'] },
+                image: 'nginx',
+                networks: { default: null }
+            });
+            expect(config.services.api).toEqual({
+                build: { context: './api', dockerfile: 'Dockerfile' },
+                environment: { WORKERS: '4' },
+                networks: { back: null }
+            });
+            expect(config.networks).toEqual({
+                back: { name: 'shop_back' },
+                default: { name: 'shop_default' },
+                shared: { external: true, name: 'shared' }
+            });
+        });
+
+        it('keeps empty and underscore-prefixed environment variables', () => {
+            const result = normalizeCompose({
+                services: {
+                    app: {
+                        image: 'app',
+                        environment: { EMPTY: '', _JAVA_OPTIONS: '-Xmx1g' },
+                        labels: [],
+                        _position: { x: 0, y: 0 }
+                    }
+                }
+            });
+
+            expect(result.services.app.environment).toEqual({ EMPTY: '', _JAVA_OPTIONS: '-Xmx1g' });
+            expect(result.services.app).not.toHaveProperty('labels');
+            expect(result.services.app).not.toHaveProperty('_position');
+        });
+
+        it('renders the resolved model of the parser', () => {
+            const result = parseCompose('services:\n  app:\n    image: app:${TAG:-1}\n    ports: ["8080:80"]\n  dbg:\n    image: busybox\n    profiles: [debug]\n');
+
+            const output = renderCanonicalConfig(result.compose, { projectName: 'demo' });
+
+            expect(output).toBe([
+                'name: demo',
+                'services:',
+                '  app:',
+                '    image: app:1',
+                '    networks:',
+                '      default: null',
+                '    ports:',
+                '      - mode: ingress',
+                '        protocol: tcp',
+                '        published: "8080"',
+                '        target: 80',
+                'networks:',
+                '  default:',
+                '    name: demo_default',
+                ''
+            ].join('\n'));
+        });
+    });
+
+    describe('deriveProjectName', () => {
+        it('uses the name field, then the project directory', () => {
+            expect(deriveProjectName('My App', 'shop/compose.yml')).toBe('myapp');
+            expect(deriveProjectName('', 'apps/Shop/compose.yml')).toBe('shop');
+            expect(deriveProjectName('', 'compose.yml')).toBe('default');
+        });
+    });
+});
@@ -1,4 +1,4 @@
-import { normalizeArray } from './validation';
+import { normalizeArray } from './validation.js';
 
 /**
  * Represents a conflict or shared resource between projects.
@@ -3,11 +3,16 @@
  * Coordinates the multi-stage parsing process.
  */
 
-import yaml from 'js-yaml';
+import { loadComposeYaml, stripYamlTags } from './yamlTags.js';
 import { resolveIncludes } from './includeResolver.js';
-import { resolveAllExtends } from './extendsResolver.js';
+import { resolveOverrides } from './overrideResolver.js';
+import { resolveExtendsWithSources } from './extendsResolver.js';
 import { interpolate, extractVariables, getUndefinedVariables } from './variableInterpolator.js';
-import { filterByProfiles, listAllProfiles, getProfileCounts } from './profileFilter.js';
+import { filterByProfiles, selectTargetServices, findProfileConflicts, listAllProfiles, getProfileCounts } from './profileFilter.js';
+import { normalizePath } from './pathResolver.js';
+import { buildSourceMap, mergeSourceMaps, inheritExtendsLocations, lookupSource } from './sourceMap.js';
+import { validateComposeSchema } from './schemaValidator.js';
+import { loadServiceEnvFiles } from './envFileResolver.js';
 
 /**
  * Parse Docker Compose YAML with full spec compliance.
@@ -15,42 +20,105 @@ import { filterByProfiles, listAllProfiles, getProfileCounts } from './profileFi
  * Multi-stage parsing process:
  * 1. Parse raw YAML
  * 2. Resolve include directives
- * 3. Resolve extends inheritance
- * 4. Interpolate variables
- * 5. Filter by profiles
- * 6. Validate and extract metadata
+ * 3. Merge override files (compose file stack)
+ * 4. Resolve extends inheritance (and map every node to its source location)
+ * 5. Interpolate variables
+ * 6. Validate against the Compose Specification JSON Schema
+ * 7. Filter by profiles (or select target services and their dependencies)
+ * 8. Load the env_file of each service
+ * 9. Extract metadata
  * 
  * @param {string} yamlString - YAML content to parse
  * @param {Object} options - Parser options
  * @param {Object} options.environment - Environment variables for interpolation
+ * @param {Object} options.processEnvironment - Environment applied to every project, including included sub-projects
  * @param {string[]} options.activeProfiles - Active profile names
+ * @param {string[]} options.targetServices - Services targeted like `docker compose up svc`; when set, only they and
+ *   their `depends_on` closure are kept
  * @param {string} options.basePath - Base file path for includes
- * @param {Object} options.fileMap - Map of file paths to content (for includes)
+ * @param {Object} options.fileMap - Map of file paths to content (for includes and overrides)
+ * @param {string[]} options.overrideFiles - Ordered paths (in fileMap) merged on top of the base file, like `-f` chains
  * @param {boolean} options.enableIncludes - Enable include resolution (default: true)
  * @param {boolean} options.enableExtends - Enable extends resolution (default: true)
  * @param {boolean} options.enableVariables - Enable variable interpolation (default: true)
  * @param {boolean} options.enableProfiles - Enable profile filtering (default: true)
+ * @param {boolean} options.enableSchemaValidation - Validate the model against the compose-spec schema (default: true)
+ * @param {boolean} options.enableEnvFiles - Load service env files from fileMap (default: true)
  * @param {boolean} options.addMetadata - Add variable metadata for UI (default: false)
- * @returns {{compose: Object, profiles: string[], variables: Set<string>, undefinedVariables: string[], errors: Array<{type: string, message: string}>}}
+ * @returns {{compose: Object, profiles: string[], serviceNames: string[], allServices: Object, implicitServices: Object<string, string[]>, variables: Set<string>, undefinedVariables: string[], extendsSources: Object, sourceMap: Object, envFiles: Object, errors: Array<{type: string, message: string, location?: Object}>}}
  */
 export function parseCompose(yamlString, options = {}) {
     const {
         environment = {},
+        processEnvironment = {},
         activeProfiles = [],
+        targetServices = [],
         basePath = 'docker-compose.yml',
         fileMap = {},
+        overrideFiles = [],
         enableIncludes = true,
         enableExtends = true,
         enableVariables = true,
         enableProfiles = true,
+        enableSchemaValidation = true,
+        enableEnvFiles = true,
         addMetadata = false
     } = options;
 
     const errors = [];
+    let extendsSources = {};
+
+    // Source maps per file, built on demand; included and override files are recorded in merge order
+    const rootFile = normalizePath(basePath);
+    const fileSourceMaps = new Map();
+    const resolvedFiles = [];
+    const getFileSourceMap = (file) => {
+        if (!fileSourceMaps.has(file)) {
+            fileSourceMaps.set(file, buildSourceMap(file === rootFile ? yamlString : fileMap[file], file));
+        }
+        return fileSourceMaps.get(file);
+    };
+
+    const includeOptions = {
+        // Compose rejects resources defined by both an included model and the including file
+        onConflict: (conflict) => {
+            errors.push({
+                type: 'include',
+                message: conflict.message,
+                stage: 'include-conflict',
+                entity: conflict.entity,
+                name: conflict.name,
+                files: conflict.files,
+                location: lookupSource(getFileSourceMap(conflict.files[1]), [`${conflict.entity}s`, conflict.name])
+            });
+        },
+        onFileResolved: (file) => resolvedFiles.push(file),
+        // Included sub-projects are interpolated with their own env_file, not the root environment
+        ...(enableVariables ? {
+            environment: processEnvironment,
+            onError: (error, context) => {
+                const varName = context?.varName ? ` (${context.varName})` : '';
+                errors.push({
+                    type: 'variable',
+                    message: `${error?.message || 'Variable interpolation error'}${varName} in ${context.file}`,
+                    stage: 'include-interpolation',
+                    location: lookupSource(getFileSourceMap(context.file), context.path || [])
+                });
+            },
+            onUndefinedVariables: (variables, context) => {
+                errors.push({
+                    type: 'warning',
+                    message: `Undefined variables in ${context.file}: ${variables.join(', ')}`,
+                    stage: 'include-interpolation',
+                    undefinedVariables: variables
+                });
+            }
+        } : {})
+    };
 
     try {
         // Stage 1: Parse raw YAML
-        let compose = yaml.load(yamlString);
+        let compose = loadComposeYaml(yamlString);
 
         if (!compose || typeof compose !== 'object') {
             throw new Error('Invalid YAML: expected object at root');
@@ -59,7 +127,7 @@ export function parseCompose(yamlString, options = {}) {
         // Stage 2: Load and merge includes
         if (enableIncludes) {
             try {
-                compose = resolveIncludes(compose, basePath, fileMap);
+                compose = resolveIncludes(compose, basePath, fileMap, new Set(), includeOptions);
             } catch (error) {
                 errors.push({
                     type: 'include',
@@ -70,10 +138,31 @@ export function parseCompose(yamlString, options = {}) {
             }
         }
 
-        // Stage 3: Resolve extends inheritance
+        // Stage 3: Merge override files on top of the base file
+        if (overrideFiles.length > 0) {
+            try {
+                compose = resolveOverrides(compose, overrideFiles, fileMap, {
+                    enableIncludes,
+                    basePath,
+                    includeOptions,
+                    onFileResolved: includeOptions.onFileResolved
+                });
+            } catch (error) {
+                errors.push({
+                    type: 'override',
+                    message: error.message,
+                    stage: 'override-merge'
+                });
+                // Don't throw - continue with what we have
+            }
+        }
+
+        // Stage 4: Resolve extends inheritance
         if (enableExtends) {
             try {
-                compose = resolveAllExtends(compose);
+                const resolved = resolveExtendsWithSources(compose, { currentFile: basePath, fileMap });
+                compose = resolved.compose;
+                extendsSources = resolved.sources;
             } catch (error) {
                 errors.push({
                     type: 'extends',
@@ -84,6 +173,19 @@ export function parseCompose(yamlString, options = {}) {
             }
         }
 
+        // Map nodes to the file that defines them: base file, includes and overrides, then inherited fields
+        let sourceMap = getFileSourceMap(rootFile);
+        for (const file of resolvedFiles) {
+            sourceMap = mergeSourceMaps(sourceMap, getFileSourceMap(file));
+        }
+        const mergedSourceMap = sourceMap;
+        sourceMap = inheritExtendsLocations(sourceMap, extendsSources, (file) => (
+            file === rootFile ? mergedSourceMap : getFileSourceMap(file)
+        ));
+
+        // Merge tags are only meaningful while merging; drop !reset and unwrap !override
+        compose = stripYamlTags(compose);
+
         // Extract metadata BEFORE interpolation and filtering
         const allProfiles = listAllProfiles(compose);
         const profileCounts = getProfileCounts(compose);
@@ -100,7 +202,8 @@ export function parseCompose(yamlString, options = {}) {
             });
         }
 
-        // Stage 4: Interpolate variables
+        // Stage 5: Interpolate variables
+        const uninterpolated = compose;
         if (enableVariables) {
             try {
                 const interpolationErrors = new Set();
@@ -123,7 +226,8 @@ export function parseCompose(yamlString, options = {}) {
                         errors.push({
                             type: 'variable',
                             message,
-                            stage: 'variable-interpolation'
+                            stage: 'variable-interpolation',
+                            location: lookupSource(sourceMap, context?.path || [])
                         });
                     }
                 });
@@ -137,17 +241,92 @@ export function parseCompose(yamlString, options = {}) {
             }
         }
 
-        // Stage 5: Filter by profiles
-        if (enableProfiles) {
+        // Stage 6: Validate against the schema (before profiles drop services);
+        // interpolation metadata wraps values in objects, so validate the raw model then
+        if (enableSchemaValidation) {
+            for (const issue of validateComposeSchema(addMetadata ? uninterpolated : compose)) {
+                errors.push({
+                    type: 'schema',
+                    message: issue.message,
+                    stage: 'schema-validation',
+                    path: issue.path.join('.'),
+                    ...(issue.entity ? { entity: issue.entity, name: issue.name, field: issue.field } : {}),
+                    ...(issue.suggestion ? { suggestion: issue.suggestion } : {}),
+                    location: lookupSource(sourceMap, issue.path)
+                });
+            }
+        }
+
+        // Stage 7: Filter by profiles, or keep the target services and what they depend on
+        const unfiltered = compose;
+        const serviceNames = Object.keys(compose.services || {});
+        let implicitServices = {};
+        if (enableProfiles && targetServices.length > 0) {
+            const selection = selectTargetServices(compose, targetServices, activeProfiles);
+            compose = selection.compose;
+            implicitServices = selection.pulledIn;
+            for (const name of selection.unknown) {
+                errors.push({
+                    type: 'warning',
+                    message: `Target service "${name}" is not defined`,
+                    stage: 'profiles'
+                });
+            }
+        } else if (enableProfiles) {
             compose = filterByProfiles(compose, activeProfiles);
         }
 
+        // Remaining services must not reference services the selection dropped
+        if (enableProfiles) {
+            for (const conflict of findProfileConflicts(unfiltered, compose)) {
+                errors.push({
+                    type: 'profile',
+                    message: conflict.message,
+                    stage: 'profiles',
+                    entity: 'service',
+                    name: conflict.service,
+                    field: conflict.field,
+                    profiles: conflict.profiles,
+                    location: lookupSource(sourceMap, ['services', conflict.service, ...conflict.field.split('.')])
+                });
+            }
+        }
+
+        // Stage 8: Load env files of the services that will run
+        const envFiles = enableEnvFiles
+            ? loadServiceEnvFiles(compose, fileMap, {
+                basePath,
+                environment,
+                onError: (message, { service, index, file, line }) => {
+                    const field = Array.isArray(compose.services[service].env_file) ? `env_file.${index}` : 'env_file';
+                    errors.push({
+                        type: 'env_file',
+                        message,
+                        stage: 'env-file',
+                        entity: 'service',
+                        name: service,
+                        field,
+                        location: line
+                            ? { file, line, column: 1 }
+                            : lookupSource(sourceMap, ['services', service, ...field.split('.')])
+                    });
+                }
+            })
+            : {};
+
         return {
             compose,
             profiles: allProfiles,
             profileCounts,
+            serviceNames,
+            // Services before profile and target filtering, to manage the profiles of hidden ones
+            allServices: unfiltered.services || {},
+            implicitServices,
             variables: allVariables,
             undefinedVariables: undefinedVars,
+            extendsSources,
+            sourceMap,
+            envFiles,
             errors
         };
 
@@ -157,13 +336,23 @@ export function parseCompose(yamlString, options = {}) {
             compose: null,
             profiles: [],
             profileCounts: {},
+            serviceNames: [],
+            allServices: {},
+            implicitServices: {},
             variables: new Set(),
             undefinedVariables: [],
+            extendsSources: {},
+            sourceMap: {},
+            envFiles: {},
             errors: [{
                 type: 'fatal',
                 message: error.message,
                 stage: 'yaml-parsing',
-                stack: error.stack
+                stack: error.stack,
+                // js-yaml marks are 0-based
+                location: error.mark
+                    ? { file: normalizePath(basePath), line: error.mark.line + 1, column: error.mark.column + 1 }
+                    : null
             }]
         };
     }
@@ -100,6 +100,8 @@ services:
             expect(result.compose.services['dev-tools']).toBeDefined();
             expect(result.compose.services['prod-cache']).toBeUndefined();
             expect(result.profiles).toEqual(['dev', 'prod']);
+            expect(result.allServices['prod-cache']).toEqual({ image: 'redis', profiles: ['prod'] });
+            expect(result.profileCounts).toEqual({ dev: 1, prod: 1 });
         });
 
         it('extracts all profiles', () => {
@@ -208,6 +210,122 @@ services:
             // Variables not interpolated
             expect(result.compose.services.web.image).toBe('${IMAGE}');
         });
+
+        it('merges override files on top of the base file', () => {
+            const yaml = `
+services:
+  web:
+    image: nginx:\${TAG}
+    ports:
+      - "80:80"
+`;
+
+            const result = parseCompose(yaml, {
+                basePath: 'docker-compose.yml',
+                fileMap: {
+                    'docker-compose.override.yml': 'services:\n  web:\n    ports:\n      - "8080:8080"\n  debug:\n    image: busybox\n'
+                },
+                overrideFiles: ['docker-compose.override.yml'],
+                environment: { TAG: '1.27' }
+            });
+
+            expect(result.errors).toHaveLength(0);
+            expect(result.compose.services.web.image).toBe('nginx:1.27');
+            expect(result.compose.services.web.ports).toEqual(['80:80', '8080:8080']);
+            expect(result.compose.services.debug).toBeDefined();
+        });
+
+        it('resolves cross-file extends from included files', () => {
+            const yaml = 'include:\n  - ./services/api.yml\n';
+
+            const result = parseCompose(yaml, {
+                basePath: 'proj/docker-compose.yml',
+                fileMap: {
+                    'proj/services/api.yml': 'services:\n  api:\n    extends:\n      file: ../base-services.yml\n      service: node\n    command: npm start\n',
+                    'proj/base-services.yml': 'services:\n  node:\n    image: node:20\n'
+                }
+            });
+
+            expect(result.errors).toHaveLength(0);
+            expect(result.compose.services.api).toEqual({ image: 'node:20', command: 'npm start' });
+            expect(result.extendsSources.api.image).toEqual([{ service: 'node', file: 'proj/base-services.yml' }]);
+        });
+
+        it('reports missing override files without failing', () => {
+            const yaml = 'services:\n  web:\n    image: nginx\n';
+
+            const result = parseCompose(yaml, { overrideFiles: ['prod.yml'] });
+
+            expect(result.compose.services.web).toBeDefined();
+            expect(result.errors.some(e => e.stage === 'override-merge')).toBe(true);
+        });
+
+        it('maps nodes to their source file through includes and extends', () => {
+            const yaml = 'include:\n  - ./services/api.yml\nservices:\n  worker:\n    extends: api\n    command: work\n';
+
+            const result = parseCompose(yaml, {
+                fileMap: { 'services/api.yml': 'services:\n  api:\n    image: node:20\n' }
+            });
+
+            expect(result.sourceMap['services.worker.command']).toEqual({ file: 'docker-compose.yml', line: 6, column: 5 });
+            expect(result.sourceMap['services.api']).toEqual({ file: 'services/api.yml', line: 2, column: 3 });
+            expect(result.sourceMap['services.worker.image']).toEqual({ file: 'services/api.yml', line: 3, column: 5 });
+        });
+
+        it('attaches locations to parser errors', () => {
+            const result = parseCompose('services:\n  web:\n    image: ${TAG:?tag is required}\n');
+
+            const error = result.errors.find(e => e.stage === 'variable-interpolation');
+            expect(error.location).toEqual({ file: 'docker-compose.yml', line: 3, column: 5 });
+
+            const fatal = parseCompose('services:\n  web: [\n', { basePath: 'app/compose.yml' }).errors[0];
+            expect(fatal.location.file).toBe('app/compose.yml');
+            expect(fatal.location.line).toBeGreaterThan(1);
+        });
+
+        it('keeps extension fields at the top level', () => {
+            const yaml = 'x-env: &env\n  TZ: UTC\nservices:\n  web:\n    image: nginx\n    environment: *env\n';
+
+            const result = parseCompose(yaml);
+
+            expect(result.compose['x-env']).toEqual({ TZ: 'UTC' });
+            expect(result.compose.services.web.environment).toEqual({ TZ: 'UTC' });
+        });
+
+        it('validates the model against the compose-spec schema', () => {
+            const yaml = 'services:\n  web:\n    image: nginx\n    enviroment:\n      A: "1"\n    profiles: [debug]\n';
+
+            const result = parseCompose(yaml, { activeProfiles: [] });
+
+            const issue = result.errors.find(e => e.stage === 'schema-validation');
+            expect(issue).toMatchObject({
+                type: 'schema',
+                entity: 'service',
+                name: 'web',
+                field: 'enviroment',
+                suggestion: 'environment',
+                location: { file: 'docker-compose.yml', line: 4, column: 5 }
+            });
+            expect(parseCompose(yaml, { enableSchemaValidation: false }).errors).toHaveLength(0);
+        });
+
+        it('reports include conflicts naming both files', () => {
+            const yaml = 'include:\n  - ./cache.yml\nservices:\n  redis:\n    image: redis:6\n';
+
+            const result = parseCompose(yaml, {
+                fileMap: { 'cache.yml': 'services:\n  redis:\n    image: redis:7\n' }
+            });
+
+            const conflict = result.errors.find(e => e.stage === 'include-conflict');
+            expect(conflict).toMatchObject({
+                type: 'include',
+                entity: 'service',
+                name: 'redis',
+                files: ['docker-compose.yml', 'cache.yml']
+            });
+            expect(conflict.location).toEqual({ file: 'cache.yml', line: 2, column: 3 });
+            expect(result.compose.services.redis.image).toBe('redis:6');
+        });
     });
 
     describe('parseYaml', () => {
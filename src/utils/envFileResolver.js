@@ -0,0 +1,117 @@
+/**
+ * Docker Compose env_file resolver.
+ * Loads the `env_file` entries of each service from the file map and computes the
+ * environment a container actually starts with.
+ */
+
+import { parseDotenv } from './variableInterpolator.js';
+import { dirname, joinPath } from './pathResolver.js';
+
+/**
+ * Normalize a service's `env_file` (string, list of strings, or long syntax entries).
+ *
+ * @param {string|Array<string|Object>} envFile - `env_file` value
+ * @returns {Array<{path: string, required: boolean, format?: string}>} Entries in declaration order
+ */
+export function normalizeEnvFileEntries(envFile) {
+    if (!envFile) return [];
+
+    return (Array.isArray(envFile) ? envFile : [envFile])
+        .map((entry) => {
+            if (typeof entry === 'string') return { path: entry, required: true };
+            if (!entry || typeof entry !== 'object' || typeof entry.path !== 'string') return null;
+            return {
+                path: entry.path,
+                // `required` may still be an interpolated string
+                required: entry.required !== false && entry.required !== 'false',
+                ...(entry.format ? { format: entry.format } : {})
+            };
+        })
+        .filter(Boolean);
+}
+
+/**
+ * Load the env files of every service.
+ * Paths are relative to the project directory (the directory of the base file).
+ *
+ * @param {Object} compose - Compose configuration
+ * @param {Object} fileMap - Map of file paths to content
+ * @param {Object} options - Resolver options
+ * @param {string} options.basePath - Path of the base Compose file
+ * @param {Object} options.environment - Environment used to interpolate env file values
+ * @param {Function} options.onError - Called with (message, {service, index, file?, line?}) for missing required or
+ *   unreadable files and malformed lines (`file` and `line` locate the line in the env file)
+ * @returns {Object<string, Array<{path: string, file: string, required: boolean, format?: string, found: boolean, values: Object}>>}
+ *   Loaded env files per service (services without env_file are omitted)
+ */
+export function loadServiceEnvFiles(compose, fileMap = {}, options = {}) {
+    const { basePath = 'docker-compose.yml', environment = {}, onError } = options;
+    const projectDir = dirname(basePath);
+    const result = {};
+
+    for (const [service, config] of Object.entries(compose?.services || {})) {
+        const entries = normalizeEnvFileEntries(config?.env_file);
+        if (entries.length === 0) continue;
+
+        result[service] = entries.map((entry, index) => {
+            const file = joinPath(projectDir, entry.path);
+            const content = fileMap[file];
+            const loaded = { ...entry, file, found: content !== undefined, values: {} };
+
+            if (content === undefined) {
+                if (entry.required) {
+                    onError?.(`Env file not found: "${entry.path}" (service "${service}")`, { service, index });
+                }
+                return loaded;
+            }
+            if (entry.format && entry.format !== 'raw') {
+                onError?.(`Unsupported env_file format "${entry.format}" for "${entry.path}" (service "${service}")`, { service, index });
+                return loaded;
+            }
+
+            const { values, diagnostics } = parseDotenv(content, { format: entry.format, environment });
+            for (const diagnostic of diagnostics) {
+                onError?.(`${diagnostic.message} (${entry.path}:${diagnostic.line}, service "${service}")`, { service, index, file, line: diagnostic.line });
+            }
+            loaded.values = values;
+            return loaded;
+        });
+    }
+
+    return result;
+}
+
+/**
+ * Compute the effective environment of a service with Compose precedence:
+ * `environment` overrides env files, and later env files override earlier ones.
+ * A key listed in `environment` without a value does not hide an env file value.
+ *
+ * @param {Object} service - Service configuration
+ * @param {Array<{file: string, values: Object}>} envFiles - Loaded env files of the service (see loadServiceEnvFiles)
+ * @returns {Array<{key: string, value: string|null, source: string}>} Variables in first-definition order;
+ *   `source` is the env file path or `environment`
+ */
+export function getEffectiveEnvironment(service, envFiles = []) {
+    const effective = new Map();
+
+    for (const envFile of envFiles || []) {
+        for (const [key, value] of Object.entries(envFile.values || {})) {
+            effective.set(key, { key, value: String(value), source: envFile.file });
+        }
+    }
+
+    const environment = Array.isArray(service?.environment)
+        ? service.environment.map((item) => {
+            const text = String(item);
+            const index = text.indexOf('=');
+            return index === -1 ? [text, null] : [text.slice(0, index), text.slice(index + 1)];
+        })
+        : Object.entries(service?.environment || {});
+
+    for (const [key, value] of environment) {
+        if ((value === null || value === undefined) && effective.has(key)) continue;
+        effective.set(key, { key, value: value === null || value === undefined ? null : String(value), source: 'environment' });
+    }
+
+    return [...effective.values()];
+}
@@ -0,0 +1,112 @@
+import { describe, it, expect } from 'vitest';
+import { normalizeEnvFileEntries, loadServiceEnvFiles, getEffectiveEnvironment } from './envFileResolver';
+import { parseCompose } from './composeParser';
+
+describe('envFileResolver', () => {
+    describe('normalizeEnvFileEntries', () => {
+        it('normalizes short and long syntax', () => {
+            expect(normalizeEnvFileEntries('.env')).toEqual([{ path: '.env', required: true }]);
+            expect(normalizeEnvFileEntries(['a.env', { path: 'b.env', required: false, format: 'raw' }])).toEqual([
+                { path: 'a.env', required: true },
+                { path: 'b.env', required: false, format: 'raw' }
+            ]);
+            expect(normalizeEnvFileEntries(undefined)).toEqual([]);
+        });
+    });
+
+    describe('loadServiceEnvFiles', () => {
+        const compose = {
+            services: {
+                api: { env_file: ['./common.env', { path: './local.env', required: false }, { path: 'raw.env', format: 'raw' }] },
+                web: { image: 'nginx' }
+            }
+        };
+        const fileMap = {
+            'proj/common.env': 'A=1\nB="quoted"\n',
+            'proj/raw.env': 'C="kept as is"\n'
+        };
+
+        it('loads env files relative to the project directory', () => {
+            const errors = [];
+            const result = loadServiceEnvFiles(compose, fileMap, {
+                basePath: 'proj/docker-compose.yml',
+                onError: (message) => errors.push(message)
+            });
+
+            expect(Object.keys(result)).toEqual(['api']);
+            expect(result.api.map(envFile => [envFile.file, envFile.found, envFile.values])).toEqual([
+                ['proj/common.env', true, { A: '1', B: 'quoted' }],
+                ['proj/local.env', false, {}],
+                ['proj/raw.env', true, { C: '"kept as is"' }]
+            ]);
+            expect(errors).toEqual([]);
+        });
+
+        it('reports missing required env files', () => {
+            const errors = [];
+            loadServiceEnvFiles(compose, {}, {
+                basePath: 'proj/docker-compose.yml',
+                onError: (message, context) => errors.push({ message, ...context })
+            });
+
+            expect(errors).toEqual([
+                { message: 'Env file not found: "./common.env" (service "api")', service: 'api', index: 0 },
+                { message: 'Env file not found: "raw.env" (service "api")', service: 'api', index: 2 }
+            ]);
+        });
+    });
+
+    describe('getEffectiveEnvironment', () => {
+        it('applies Compose precedence and records the source of each key', () => {
+            const envFiles = [
+                { file: 'base.env', values: { A: 'base', B: 'base', C: 'base' } },
+                { file: 'prod.env', values: { B: 'prod' } }
+            ];
+
+            expect(getEffectiveEnvironment({ environment: ['C=inline', 'A', 'D'] }, envFiles)).toEqual([
+                { key: 'A', value: 'base', source: 'base.env' },
+                { key: 'B', value: 'prod', source: 'prod.env' },
+                { key: 'C', value: 'inline', source: 'environment' },
+                { key: 'D', value: null, source: 'environment' }
+            ]);
+        });
+
+        it('handles services without env files', () => {
+            expect(getEffectiveEnvironment({ environment: { PORT: 80 } })).toEqual([
+                { key: 'PORT', value: '80', source: 'environment' }
+            ]);
+        });
+    });
+
+    describe('parseCompose integration', () => {
+        it('returns loaded env files and reports missing ones at their location', () => {
+            const yaml = 'services:\n  api:\n    image: node\n    env_file:\n      - .env.api\n      - .env.missing\n';
+
+            const result = parseCompose(yaml, { fileMap: { '.env.api': 'TOKEN=abc\n' } });
+
+            expect(result.envFiles.api[0].values).toEqual({ TOKEN: 'abc' });
+            expect(result.errors.find(e => e.stage === 'env-file')).toMatchObject({
+                type: 'env_file',
+                entity: 'service',
+                name: 'api',
+                field: 'env_file.1',
+                location: { file: 'docker-compose.yml', line: 6, column: 9 }
+            });
+        });
+
+        it('expands env file values and locates malformed lines in the env file', () => {
+            const yaml = 'services:\n  api:\n    image: node\n    env_file: .env.api\n';
+
+            const result = parseCompose(yaml, {
+                environment: { REGION: 'eu' },
+                fileMap: { '.env.api': 'BUCKET=assets-${REGION}\nnot a pair\n' }
+            });
+
+            expect(result.envFiles.api[0].values).toEqual({ BUCKET: 'assets-eu' });
+            expect(result.errors.find(e => e.stage === 'env-file')).toMatchObject({
+                message: 'Expected KEY=VALUE, got "not a pair" (.env.api:2, service "api")',
+                location: { file: '.env.api', line: 2, column: 1 }
+            });
+        });
+    });
+});
@@ -0,0 +1,126 @@
+/**
+ * Environment sources for interpolation.
+ * Stacks the env files picked like `docker compose --env-file a --env-file b` under a
+ * manual overrides layer (the shell environment) and reads the `COMPOSE_*` settings.
+ */
+
+import { dirname, joinPath } from './pathResolver.js';
+import { parseDotenv } from './variableInterpolator.js';
+import { normalizeProjectName } from './canonicalConfig.js';
+
+/**
+ * Source name of the manual overrides layer.
+ */
+export const OVERRIDES_SOURCE = 'overrides';
+
+const basename = (path) => path.split('/').pop();
+
+/**
+ * Check if a path looks like a dotenv file (`.env`, `.env.prod`, `prod.env`).
+ * @param {string} path - File path
+ * @returns {boolean} True if the file can be used as an env file
+ */
+export function isEnvFilePath(path) {
+    const name = basename(path || '');
+    return name === '.env' || name.startsWith('.env.') || (name.endsWith('.env') && name.length > 4);
+}
+
+/**
+ * Pick the env files used when none were chosen: the `.env` of the project
+ * directory, like Compose without `--env-file`, else the shallowest `.env`.
+ *
+ * @param {string[]} paths - Available file paths
+ * @param {string} basePath - Path of the base Compose file
+ * @returns {string[]} Default env file selection
+ */
+export function getDefaultEnvFiles(paths, basePath = 'docker-compose.yml') {
+    const projectEnv = joinPath(dirname(basePath), '.env');
+    if (paths.includes(projectEnv)) return [projectEnv];
+
+    const dotEnvFiles = paths
+        .filter((path) => basename(path) === '.env')
+        .sort((a, b) => a.split('/').length - b.split('/').length);
+    return dotEnvFiles.slice(0, 1);
+}
+
+/**
+ * Parse env files in order, like `--env-file a --env-file b`: each file is expanded
+ * with the keys of earlier ones, under the given environment.
+ *
+ * @param {Object<string, string>} fileMap - File contents by path
+ * @param {string[]} paths - Env files from lowest to highest precedence
+ * @param {Object} [environment] - Environment that takes precedence during expansion (the shell)
+ * @returns {{values: Object<string, Object>, errors: Array<{type: string, message: string, stage: string, location: Object}>}}
+ *   Values of each file and parser errors for malformed lines
+ */
+export function loadEnvFiles(fileMap, paths = [], environment = {}) {
+    const values = {};
+    const errors = [];
+    const stacked = {};
+
+    for (const path of paths) {
+        const { values: fileValues, diagnostics } = parseDotenv(fileMap[path], { environment: { ...stacked, ...environment } });
+        values[path] = fileValues;
+        Object.assign(stacked, fileValues);
+        errors.push(...diagnostics.map((diagnostic) => ({
+            type: 'env_file',
+            message: `${diagnostic.message} (${path}:${diagnostic.line})`,
+            stage: 'env-file',
+            location: { file: path, line: diagnostic.line, column: 1 }
+        })));
+    }
+
+    return { values, errors };
+}
+
+/**
+ * Merge environment layers; later layers override earlier ones.
+ *
+ * @param {Array<{source: string, values: Object}>} layers - Layers from lowest to highest precedence
+ * @returns {{environment: Object, variables: Array<{key: string, value: string, source: string, overridden: Array<{source: string, value: string}>}>}}
+ *   Merged environment and, for every variable, the layer that supplied it and the values it shadows
+ */
+export function resolveEnvironmentSources(layers = []) {
+    const variables = new Map();
+
+    for (const { source, values } of layers) {
+        for (const [key, value] of Object.entries(values || {})) {
+            const previous = variables.get(key);
+            variables.set(key, {
+                key,
+                value: String(value),
+                source,
+                overridden: previous ? [...previous.overridden, { source: previous.source, value: previous.value }] : []
+            });
+        }
+    }
+
+    const environment = {};
+    for (const { key, value } of variables.values()) {
+        environment[key] = value;
+    }
+
+    return {
+        environment,
+        variables: [...variables.values()].sort((a, b) => a.key.localeCompare(b.key))
+    };
+}
+
+/**
+ * Read the Compose CLI settings carried by the environment.
+ *
+ * @param {Object} environment - Resolved environment
+ * @returns {{profiles: string[]|null, projectName: string|null}} `COMPOSE_PROFILES` as a list and
+ *   the normalized `COMPOSE_PROJECT_NAME`; null when the variable is not set
+ */
+export function getComposeSettings(environment = {}) {
+    const profiles = environment.COMPOSE_PROFILES;
+    const projectName = environment.COMPOSE_PROJECT_NAME;
+
+    return {
+        profiles: profiles === undefined || profiles === null
+            ? null
+            : String(profiles).split(',').map((profile) => profile.trim()).filter(Boolean),
+        projectName: projectName ? normalizeProjectName(projectName) || null : null
+    };
+}
@@ -0,0 +1,69 @@
+import { describe, it, expect } from 'vitest';
+import {
+    OVERRIDES_SOURCE,
+    isEnvFilePath,
+    getDefaultEnvFiles,
+    resolveEnvironmentSources,
+    getComposeSettings
+} from './envSources';
+
+describe('envSources', () => {
+    describe('isEnvFilePath', () => {
+        it('recognizes dotenv file names', () => {
+            expect(isEnvFilePath('app/.env')).toBe(true);
+            expect(isEnvFilePath('.env.staging')).toBe(true);
+            expect(isEnvFilePath('config/prod.env')).toBe(true);
+            expect(isEnvFilePath('docker-compose.yml')).toBe(false);
+            expect(isEnvFilePath('.envrc')).toBe(false);
+        });
+    });
+
+    describe('getDefaultEnvFiles', () => {
+        it('prefers the .env of the project directory', () => {
+            const paths = ['app/sub/.env', 'app/.env', 'app/.env.prod'];
+            expect(getDefaultEnvFiles(paths, 'app/compose.yml')).toEqual(['app/.env']);
+        });
+
+        it('falls back to the shallowest .env', () => {
+            expect(getDefaultEnvFiles(['a/b/.env', 'a/.env'], 'compose.yml')).toEqual(['a/.env']);
+            expect(getDefaultEnvFiles(['.env.prod'], 'compose.yml')).toEqual([]);
+        });
+    });
+
+    describe('resolveEnvironmentSources', () => {
+        it('lets later layers win and records the supplying layer', () => {
+            const { environment, variables } = resolveEnvironmentSources([
+                { source: '.env', values: { TAG: '1', PORT: '80' } },
+                { source: '.env.prod', values: { TAG: '2' } },
+                { source: OVERRIDES_SOURCE, values: { TAG: '3', DEBUG: 'true' } }
+            ]);
+
+            expect(environment).toEqual({ TAG: '3', PORT: '80', DEBUG: 'true' });
+            expect(variables).toEqual([
+                { key: 'DEBUG', value: 'true', source: OVERRIDES_SOURCE, overridden: [] },
+                { key: 'PORT', value: '80', source: '.env', overridden: [] },
+                {
+                    key: 'TAG',
+                    value: '3',
+                    source: OVERRIDES_SOURCE,
+                    overridden: [{ source: '.env', value: '1' }, { source: '.env.prod', value: '2' }]
+                }
+            ]);
+        });
+    });
+
+    describe('getComposeSettings', () => {
+        it('reads COMPOSE_PROFILES and COMPOSE_PROJECT_NAME', () => {
+            expect(getComposeSettings({ COMPOSE_PROFILES: 'debug, tools,', COMPOSE_PROJECT_NAME: 'My Shop' })).toEqual({
+                profiles: ['debug', 'tools'],
+                projectName: 'myshop'
+            });
+        });
+
+        it('distinguishes unset from empty profiles', () => {
+            expect(getComposeSettings({}).profiles).toBeNull();
+            expect(getComposeSettings({ COMPOSE_PROFILES: '' }).profiles).toEqual([]);
+            expect(getComposeSettings({}).projectName).toBeNull();
+        });
+    });
+});
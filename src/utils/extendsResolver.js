@@ -3,6 +3,9 @@
  * Implements service inheritance following the Docker Compose specification.
  */
 
+import { isResetTag, isOverrideTag, resolveTagValue, stripYamlTags, loadComposeYaml } from './yamlTags.js';
+import { resolvePath, normalizePath, getRelativePath } from './pathResolver.js';
+
 /**
  * Normalize depends_on from array (short syntax) to object (long syntax).
  * This prevents undefined behavior when merging array into object.
@@ -23,30 +26,79 @@ export function normalizeDependsOn(dependsOn) {
     return dependsOn; // Already object format
 }
 
+/**
+ * Normalize a mapping field that also accepts list syntax (environment, labels).
+ * Converts ['KEY=value', 'FLAG'] → { KEY: 'value', FLAG: null }.
+ *
+ * @param {Array|Object} value - The field value
+ * @returns {Object} Normalized object format
+ */
+export function normalizeMappingList(value) {
+    if (!value) return {};
+    if (!Array.isArray(value)) return value;
+
+    const result = {};
+    for (const entry of value) {
+        const str = String(entry);
+        const separator = str.indexOf('=');
+        if (separator === -1) {
+            result[str] = null;
+        } else {
+            result[str.slice(0, separator)] = str.slice(separator + 1);
+        }
+    }
+    return result;
+}
+
 /**
  * Field-specific merge strategies per Docker Compose specification.
  * 
  * Key insight: List fields are CONCATENATED, not replaced!
  * This was a critical bug fix from the planning phase.
+ * Fields not listed here are merged by value type (see getMergeStrategy).
  */
 const MERGE_STRATEGIES = {
     // CONCATENATE (arrays merged, not replaced)
     ports: 'concat',
     expose: 'concat',
     external_links: 'concat',
+    links: 'concat',
     dns: 'concat',
     dns_search: 'concat',
+    dns_opt: 'concat',
     tmpfs: 'concat',
     volumes: 'concat',
+    volumes_from: 'concat',
+    devices: 'concat',
+    device_cgroup_rules: 'concat',
+    cap_add: 'concat',
+    cap_drop: 'concat',
+    security_opt: 'concat',
+    group_add: 'concat',
+    env_file: 'concat',
+    secrets: 'concat',
+    configs: 'concat',
 
     // MERGE (dictionaries deep merged)
     environment: 'merge',
     labels: 'merge',
+    annotations: 'merge',
     build: 'merge',
     deploy: 'merge',
+    develop: 'merge',
     logging: 'merge',
+    healthcheck: 'merge',
+    ulimits: 'merge',
+    sysctls: 'merge',
+    storage_opt: 'merge',
+    blkio_config: 'merge',
+    credential_spec: 'merge',
     depends_on: 'merge', // Always objects after normalization
 
+    // KEYED (sequence or mapping syntax; entries merged by name)
+    networks: 'keyed',
+    extra_hosts: 'keyed',
+
     // OVERRIDE (scalar values replaced)
     image: 'override',
     command: 'override',
@@ -62,8 +114,45 @@ const MERGE_STRATEGIES = {
     privileged: 'override'
 };
 
+/**
+ * Get the merge strategy of a service field. Unlisted fields follow Compose's
+ * generic rules: mappings are merged, sequences concatenated, scalars overridden.
+ *
+ * @param {string} field - Service field
+ * @param {any} base - Base value
+ * @param {any} override - Override value
+ * @returns {'concat'|'merge'|'keyed'|'override'} Merge strategy
+ */
+function getMergeStrategy(field, base, override) {
+    if (MERGE_STRATEGIES[field]) return MERGE_STRATEGIES[field];
+
+    const isMapping = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+    if (isMapping(base) && isMapping(override)) return 'merge';
+    if (Array.isArray(base) && Array.isArray(override)) return 'concat';
+    return 'override';
+}
+
+/**
+ * Convert a keyed field to mapping syntax.
+ * `networks: [front]` → `{ front: null }`, `extra_hosts: ['db:10.0.0.2']` → `{ db: '10.0.0.2' }`.
+ *
+ * @param {string} field - Service field (networks or extra_hosts)
+ * @param {Array|Object} value - The field value
+ * @returns {Object} Mapping syntax
+ */
+function toKeyedMapping(field, value) {
+    if (!Array.isArray(value)) return value || {};
+    if (field !== 'extra_hosts') return normalizeMappingList(value);
+
+    return Object.fromEntries(value.map((entry) => {
+        const match = String(entry).match(/^([^:=]+)[:=](.*)$/);
+        return match ? [match[1], match[2]] : [String(entry), null];
+    }));
+}
+
 /**
  * Deep merge two objects.
+ * Honors `!reset` (drop the inherited key) and `!override` (replace instead of merge).
  * @param {Object} base - Base object
  * @param {Object} override - Override object
  * @returns {Object} Merged object
@@ -75,8 +164,12 @@ function deepMerge(base, override) {
     const result = { ...base };
 
     for (const [key, value] of Object.entries(override)) {
-        if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
-            result[key] = deepMerge(result[key], value);
+        if (isResetTag(value)) {
+            delete result[key];
+        } else if (isOverrideTag(value)) {
+            result[key] = stripYamlTags(value.value);
+        } else if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+            result[key] = deepMerge(resolveTagValue(result[key]), value);
         } else {
             result[key] = value;
         }
@@ -100,21 +193,38 @@ export function mergeServiceConfigs(base, override) {
     }
 
     const normalizedOverride = { ...override };
-    if (override.depends_on) {
+    if (Array.isArray(override.depends_on)) {
         normalizedOverride.depends_on = normalizeDependsOn(override.depends_on);
     }
 
     const result = { ...normalizedBase };
 
     for (const [key, value] of Object.entries(normalizedOverride)) {
-        const strategy = MERGE_STRATEGIES[key] || 'override';
+        // !reset drops the inherited value, !override replaces it without merging
+        if (isResetTag(value)) {
+            delete result[key];
+            continue;
+        }
+        if (isOverrideTag(value)) {
+            result[key] = stripYamlTags(value.value);
+            continue;
+        }
+        result[key] = resolveTagValue(result[key]);
+        const strategy = getMergeStrategy(key, result[key], value);
 
         if (strategy === 'concat') {
-            // Concatenate arrays
-            result[key] = [...(result[key] || []), ...(Array.isArray(value) ? value : [value])];
+            // Concatenate arrays (short syntax like `env_file: .env` is a one-item list)
+            const toList = (entry) => (Array.isArray(entry) ? entry : entry == null ? [] : [entry]);
+            result[key] = [...toList(result[key]), ...toList(value)];
         } else if (strategy === 'merge') {
-            // Deep merge objects
-            result[key] = deepMerge(result[key] || {}, value);
+            // Deep merge objects (list syntax is converted to a mapping first)
+            result[key] = deepMerge(normalizeMappingList(result[key]), normalizeMappingList(value));
+        } else if (strategy === 'keyed') {
+            // Two sequences stay a sequence; mapping syntax on either side merges by name
+            const current = result[key] ?? [];
+            result[key] = Array.isArray(current) && Array.isArray(value)
+                ? [...new Set([...current, ...value])]
+                : deepMerge(toKeyedMapping(key, current), toKeyedMapping(key, value));
         } else if (strategy === 'override') {
             // Replace entirely
             result[key] = value;
@@ -124,66 +234,213 @@ export function mergeServiceConfigs(base, override) {
     return result;
 }
 
+/**
+ * Load the services of a file referenced by `extends.file`.
+ *
+ * @param {string} filePath - Normalized file path
+ * @param {Object} context - Resolution context ({fileMap, fileCache})
+ * @returns {{file: string, services: Object}} Services defined in the file
+ */
+function loadExtendsFile(filePath, context) {
+    if (context.fileCache.has(filePath)) {
+        return context.fileCache.get(filePath);
+    }
+
+    const content = context.fileMap[filePath];
+    if (content === undefined) {
+        throw new Error(
+            `Extends file not found: "${filePath}"\n` +
+            `Available files: ${Object.keys(context.fileMap).join(', ')}`
+        );
+    }
+
+    let parsed;
+    try {
+        parsed = loadComposeYaml(content);
+    } catch (error) {
+        throw new Error(`Failed to parse extends file "${filePath}": ${error.message}`);
+    }
+
+    const location = { file: filePath, services: parsed?.services || {} };
+    context.fileCache.set(filePath, location);
+    return location;
+}
+
 /**
  * Resolve extends for a single service.
- * 
+ * Follows `extends.file` relative to the file that declares the extends.
+ *
+ * @param {string} name - Service name
  * @param {Object} service - Service configuration
- * @param {Object} allServices - All services in the compose file
- * @param {Set<string>} visited - Set of visited service names (for circular detection)
- * @returns {Object} Resolved service configuration
+ * @param {{file: string, services: Object}} location - File and services the service is defined in
+ * @param {Object} context - Resolution context ({fileMap, fileCache})
+ * @param {string[]} chain - Visited `file#service` keys (for circular detection)
+ * @returns {{service: Object, origins: Object<string, Array<{service: string, file: string}>>}} Resolved service and field origins
  */
-function resolveServiceExtends(service, allServices, visited = new Set()) {
-    if (!service.extends) return service;
+function resolveServiceExtends(name, service, location, context, chain) {
+    const self = { service: name, file: location.file };
+    const ownOrigins = () => Object.fromEntries(Object.keys(service).map(field => [field, [self]]));
+
+    if (!service.extends) {
+        return { service, origins: ownOrigins() };
+    }
 
-    const extendedServiceName = typeof service.extends === 'string'
-        ? service.extends
-        : service.extends.service;
+    const extendsSpec = typeof service.extends === 'string'
+        ? { service: service.extends }
+        : service.extends;
+    const extendedServiceName = extendsSpec.service;
 
-    // Circular dependency detection
-    if (visited.has(extendedServiceName)) {
+    const baseLocation = extendsSpec.file
+        ? loadExtendsFile(resolvePath(location.file, extendsSpec.file), context)
+        : location;
+
+    // Circular dependency detection (across files)
+    const key = `${baseLocation.file}#${extendedServiceName}`;
+    if (chain.includes(key)) {
         throw new Error(
-            `Circular extends detected: ${Array.from(visited).join(' → ')} → ${extendedServiceName}`
+            `Circular extends detected: ${[...chain, key].map(formatChainKey).join(' → ')}`
         );
     }
 
-    const extendedService = allServices[extendedServiceName];
+    const extendedService = baseLocation.services[extendedServiceName];
     if (!extendedService) {
-        throw new Error(`Service "${extendedServiceName}" referenced in extends not found`);
+        const where = extendsSpec.file ? ` in "${baseLocation.file}"` : '';
+        throw new Error(`Service "${extendedServiceName}" referenced in extends not found${where}`);
     }
 
     // Recursively resolve the extended service's extends
-    const newVisited = new Set(visited);
-    newVisited.add(extendedServiceName);
-    const resolvedBase = resolveServiceExtends(extendedService, allServices, newVisited);
+    const { service: resolvedBase, origins: baseOrigins } = resolveServiceExtends(
+        extendedServiceName, extendedService, baseLocation, context, [...chain, key]
+    );
 
     // Remove extends field from override
     const { extends: _, ...serviceWithoutExtends } = service;
 
     // Merge base with override
-    return mergeServiceConfigs(resolvedBase, serviceWithoutExtends);
+    const merged = mergeServiceConfigs(resolvedBase, serviceWithoutExtends);
+
+    // Track where each field came from: replaced fields belong to this service,
+    // merged and concatenated fields keep the inherited origins too
+    const origins = {};
+    for (const field of Object.keys(merged)) {
+        const inherited = baseOrigins[field] || [];
+        if (!(field in serviceWithoutExtends)) {
+            origins[field] = inherited;
+        } else {
+            const value = serviceWithoutExtends[field];
+            const strategy = getMergeStrategy(field, resolveTagValue(resolvedBase[field]), value);
+            const replaces = strategy === 'override' || isOverrideTag(value);
+            origins[field] = replaces ? [self] : [...inherited, self];
+        }
+    }
+
+    return { service: merged, origins };
 }
 
 /**
- * Resolve all extends directives in a Docker Compose configuration.
- * 
+ * Format a `file#service` chain key for error messages.
+ * @param {string} key - Chain key
+ * @returns {string} Readable label
+ */
+function formatChainKey(key) {
+    const separator = key.lastIndexOf('#');
+    const file = key.slice(0, separator);
+    const service = key.slice(separator + 1);
+    return file ? `${service} (${file})` : service;
+}
+
+/**
+ * Resolve all extends directives and report where inherited fields came from.
+ *
  * @param {Object} compose - Docker Compose configuration
- * @returns {Object} Compose configuration with extends resolved
+ * @param {Object} options - Resolver options
+ * @param {string} options.currentFile - Path of the compose file (for relative `extends.file`)
+ * @param {Object} options.fileMap - Map of file paths to content
+ * @returns {{compose: Object, sources: Object<string, Object<string, Array<{service: string, file: string}>>>}}
+ *   Resolved configuration and, per extending service, the origins of each inherited field
  */
-export function resolveAllExtends(compose) {
-    if (!compose.services) return compose;
+export function resolveExtendsWithSources(compose, options = {}) {
+    if (!compose.services) return { compose, sources: {} };
+
+    const { currentFile = '', fileMap = {} } = options;
+    const file = normalizePath(currentFile);
+    const context = { fileMap, fileCache: new Map() };
+    const location = { file, services: compose.services };
 
     const resolvedServices = {};
+    const sources = {};
 
     for (const [name, service] of Object.entries(compose.services)) {
         try {
-            resolvedServices[name] = resolveServiceExtends(service, compose.services);
+            const { service: resolved, origins } = resolveServiceExtends(
+                name, service, location, context, [`${file}#${name}`]
+            );
+            resolvedServices[name] = resolved;
+
+            if (service.extends) {
+                const inherited = Object.fromEntries(
+                    Object.entries(origins).filter(([, list]) => (
+                        list.some(origin => origin.service !== name || origin.file !== file)
+                    ))
+                );
+                if (Object.keys(inherited).length > 0) {
+                    sources[name] = inherited;
+                }
+            }
         } catch (error) {
             throw new Error(`Error resolving extends for service "${name}": ${error.message}`);
         }
     }
 
     return {
-        ...compose,
-        services: resolvedServices
+        compose: {
+            ...compose,
+            services: resolvedServices
+        },
+        sources
     };
 }
+
+/**
+ * Resolve all extends directives in a Docker Compose configuration.
+ * 
+ * @param {Object} compose - Docker Compose configuration
+ * @param {Object} options - Resolver options (see resolveExtendsWithSources)
+ * @returns {Object} Compose configuration with extends resolved
+ */
+export function resolveAllExtends(compose, options = {}) {
+    return resolveExtendsWithSources(compose, options).compose;
+}
+
+/**
+ * Rebase relative `extends.file` paths of a loaded file onto another file,
+ * so services merged from included or override files keep pointing at the right file.
+ *
+ * @param {Object} compose - Compose configuration loaded from `fromFile`
+ * @param {string} fromFile - Path of the file the configuration was loaded from
+ * @param {string} toFile - Path of the file the configuration is merged into
+ * @returns {Object} Compose configuration with rebased extends paths
+ */
+export function rebaseExtendsFiles(compose, fromFile, toFile) {
+    if (!compose?.services || typeof compose.services !== 'object') return compose;
+
+    let changed = false;
+    const services = {};
+    for (const [name, service] of Object.entries(compose.services)) {
+        const extendsFile = service?.extends?.file;
+        if (typeof extendsFile === 'string') {
+            changed = true;
+            services[name] = {
+                ...service,
+                extends: {
+                    ...service.extends,
+                    file: getRelativePath(toFile, resolvePath(fromFile, extendsFile))
+                }
+            };
+        } else {
+            services[name] = service;
+        }
+    }
+
+    return changed ? { ...compose, services } : compose;
+}
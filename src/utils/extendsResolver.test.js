@@ -2,7 +2,9 @@ import { describe, it, expect } from 'vitest';
 import {
     normalizeDependsOn,
     mergeServiceConfigs,
-    resolveAllExtends
+    resolveAllExtends,
+    resolveExtendsWithSources,
+    rebaseExtendsFiles
 } from './extendsResolver';
 
 describe('extendsResolver', () => {
@@ -273,4 +275,98 @@ describe('extendsResolver', () => {
             });
         });
     });
+    describe('cross-file extends', () => {
+        const fileMap = {
+            'app/common/base-services.yml': 'services:\n  web-base:\n    image: nginx:1.27\n    restart: always\n    ports:\n      - "80:80"\n  hardened:\n    extends:\n      file: ../security.yml\n      service: locked\n    image: nginx:alpine\n',
+            'app/security.yml': 'services:\n  locked:\n    read_only: true\n',
+            'app/loop-a.yml': 'services:\n  a:\n    extends:\n      file: loop-b.yml\n      service: b\n',
+            'app/loop-b.yml': 'services:\n  b:\n    extends:\n      file: loop-a.yml\n      service: a\n'
+        };
+
+        it('loads the extended service from another file', () => {
+            const compose = {
+                services: {
+                    web: {
+                        extends: { file: './common/base-services.yml', service: 'web-base' },
+                        ports: ['443:443']
+                    }
+                }
+            };
+
+            const result = resolveAllExtends(compose, { currentFile: 'app/docker-compose.yml', fileMap });
+
+            expect(result.services.web).toEqual({
+                image: 'nginx:1.27',
+                restart: 'always',
+                ports: ['80:80', '443:443']
+            });
+        });
+
+        it('resolves nested extends relative to the extended file', () => {
+            const compose = {
+                services: {
+                    web: { extends: { file: 'common/base-services.yml', service: 'hardened' } }
+                }
+            };
+
+            const result = resolveAllExtends(compose, { currentFile: 'app/docker-compose.yml', fileMap });
+
+            expect(result.services.web).toEqual({ read_only: true, image: 'nginx:alpine' });
+        });
+
+        it('reports which file each inherited field came from', () => {
+            const compose = {
+                services: {
+                    web: {
+                        extends: { file: 'common/base-services.yml', service: 'web-base' },
+                        restart: 'no',
+                        ports: ['443:443']
+                    }
+                }
+            };
+
+            const { sources } = resolveExtendsWithSources(compose, { currentFile: 'app/docker-compose.yml', fileMap });
+
+            expect(sources.web.image).toEqual([{ service: 'web-base', file: 'app/common/base-services.yml' }]);
+            expect(sources.web.ports).toEqual([
+                { service: 'web-base', file: 'app/common/base-services.yml' },
+                { service: 'web', file: 'app/docker-compose.yml' }
+            ]);
+            // Overridden locally, so not inherited
+            expect(sources.web.restart).toBeUndefined();
+        });
+
+        it('detects circular extends across files', () => {
+            const compose = {
+                services: {
+                    app: { extends: { file: 'loop-a.yml', service: 'a' } }
+                }
+            };
+
+            expect(() => resolveAllExtends(compose, { currentFile: 'app/docker-compose.yml', fileMap }))
+                .toThrow(/Circular extends detected: .*a \(app\/loop-a.yml\) → b \(app\/loop-b.yml\) → a \(app\/loop-a.yml\)/);
+        });
+
+        it('throws when the extends file is missing', () => {
+            const compose = {
+                services: {
+                    app: { extends: { file: 'missing.yml', service: 'base' } }
+                }
+            };
+
+            expect(() => resolveAllExtends(compose, { fileMap })).toThrow(/Extends file not found/);
+        });
+
+        it('rebases extends paths from included files', () => {
+            const compose = {
+                services: {
+                    api: { extends: { file: '../base.yml', service: 'svc' } }
+                }
+            };
+
+            const result = rebaseExtendsFiles(compose, 'app/services/api.yml', 'app/docker-compose.yml');
+
+            expect(result.services.api.extends).toEqual({ file: 'base.yml', service: 'svc' });
+        });
+    });
 });
@@ -1,22 +1,155 @@
 import { normalizeDependsOn, normalizeArray } from './validation';
 import { getSuggestionCounts, getHighestSeverity } from './suggestions';
 
+// Layout constants
+const SERVICE_START_X = 300;
+const SERVICE_START_Y = 100;
+const SERVICE_SPACING_X = 280;
+const SERVICE_SPACING_Y = 200;
+const SERVICES_PER_ROW = 3;
+
+/**
+ * Count suggestions per entity name in one pass.
+ * @param {Array} suggestions - List of suggestions from generateSuggestions
+ * @returns {Map<string, {total: number, severity: string|null}>}
+ */
+function summarizeSuggestions(suggestions) {
+    const byName = new Map();
+    for (const suggestion of suggestions) {
+        if (!byName.has(suggestion.name)) byName.set(suggestion.name, []);
+        byName.get(suggestion.name).push(suggestion);
+    }
+
+    const summary = new Map();
+    for (const [name, entitySuggestions] of byName) {
+        summary.set(name, {
+            total: getSuggestionCounts(entitySuggestions, name).total,
+            severity: getHighestSeverity(entitySuggestions, name),
+        });
+    }
+    return summary;
+}
+
+const NO_SUGGESTIONS = { total: 0, severity: null };
+
+/**
+ * Build the node and edges of one service.
+ * @param {string} name - Service name
+ * @param {object} service - Service definition
+ * @param {number} index - Position of the service, used for the default grid layout
+ * @param {object} state - The compose state
+ * @param {{total: number, severity: string|null}} suggestionSummary - Suggestions of the service
+ * @returns {{ nodes: Array, edges: Array }}
+ */
+export function serviceToFlow(name, service, index, state, suggestionSummary = NO_SUGGESTIONS) {
+    const edges = [];
+    const row = Math.floor(index / SERVICES_PER_ROW);
+    const col = index % SERVICES_PER_ROW;
+
+    const position = service._position || {
+        x: SERVICE_START_X + col * SERVICE_SPACING_X,
+        y: SERVICE_START_Y + row * SERVICE_SPACING_Y,
+    };
+
+    const node = {
+        id: `service-${name}`,
+        type: 'serviceNode',
+        position,
+        data: {
+            name,
+            image: service.image,
+            ports: service.ports || [],
+            hasHealthcheck: !!service.healthcheck?.test,
+            hasEnvFile: !!service.env_file?.length,
+            networks: normalizeArray(service.networks),
+            volumes: service.volumes || [],
+            suggestionCount: suggestionSummary.total,
+            suggestionSeverity: suggestionSummary.severity,
+        },
+    };
+
+    // Dependency edges
+    const deps = normalizeDependsOn(service.depends_on);
+    for (const dep of deps) {
+        edges.push({
+            id: `dep-${name}-${dep}`,
+            source: `service-${dep}`,
+            target: `service-${name}`,
+            type: 'dependsOnEdge',
+            data: { condition: getDependsOnCondition(service.depends_on, dep) },
+            animated: true,
+        });
+    }
+
+    // Network edges
+    const networks = normalizeArray(service.networks);
+    for (const net of networks) {
+        edges.push({
+            id: `net-${name}-${net}`,
+            source: `service-${name}`,
+            target: `network-${net}`,
+            type: 'networkEdge',
+        });
+    }
+
+    // Volume edges
+    for (const vol of service.volumes || []) {
+        const volName = extractVolumeName(vol);
+        if (volName && state.volumes?.[volName]) {
+            edges.push({
+                id: `vol-${name}-${volName}`,
+                source: `service-${name}`,
+                target: `volume-${volName}`,
+                type: 'volumeEdge',
+                data: { mountPath: extractMountPath(vol) },
+            });
+        }
+    }
+
+    return { nodes: [node], edges };
+}
+
+/**
+ * Create a `stateToFlow` that rebuilds only the services whose definition, grid slot,
+ * suggestions or volume set changed; other services keep their node and edge objects.
+ * @returns {(state: object, suggestions?: Array) => { nodes: Array, edges: Array }}
+ */
+export function createFlowConverter() {
+    let cache = new Map();
+
+    return (state, suggestions = []) => {
+        const nextCache = new Map();
+        const convertService = (name, service, index, currentState, suggestionSummary) => {
+            const cached = cache.get(name);
+            const result = cached
+                && cached.service === service
+                && cached.index === index
+                && cached.volumes === currentState.volumes
+                && cached.total === suggestionSummary.total
+                && cached.severity === suggestionSummary.severity
+                ? cached.result
+                : serviceToFlow(name, service, index, currentState, suggestionSummary);
+            nextCache.set(name, { service, index, volumes: currentState.volumes, ...suggestionSummary, result });
+            return result;
+        };
+
+        const flow = stateToFlow(state, suggestions, convertService);
+        cache = nextCache;
+        return flow;
+    };
+}
+
 /**
  * Converts compose state to React Flow nodes and edges.
  * @param {object} state - The compose state
  * @param {Array} suggestions - List of suggestions from generateSuggestions
+ * @param {Function} [convertService] - Per-service converter, replaced by a memoized one in createFlowConverter
  * @returns {{ nodes: Array, edges: Array }}
  */
-export function stateToFlow(state, suggestions = []) {
+export function stateToFlow(state, suggestions = [], convertService = serviceToFlow) {
     const nodes = [];
     const edges = [];
-
-    // Layout constants
-    const SERVICE_START_X = 300;
-    const SERVICE_START_Y = 100;
-    const SERVICE_SPACING_X = 280;
-    const SERVICE_SPACING_Y = 200;
-    const SERVICES_PER_ROW = 3;
+    const suggestionSummary = summarizeSuggestions(suggestions);
 
     const NETWORK_START_X = 100;
     const NETWORK_START_Y = 500;
@@ -38,72 +171,9 @@ export function stateToFlow(state, suggestions = []) {
     let serviceIndex = 0;
     for (const [name, service] of Object.entries(state.services || {})) {
         if (!service) continue;
-        const row = Math.floor(serviceIndex / SERVICES_PER_ROW);
-        const col = serviceIndex % SERVICES_PER_ROW;
-
-        const position = service._position || {
-            x: SERVICE_START_X + col * SERVICE_SPACING_X,
-            y: SERVICE_START_Y + row * SERVICE_SPACING_Y,
-        };
-
-        const suggestionCounts = getSuggestionCounts(suggestions, name);
-        const suggestionSeverity = getHighestSeverity(suggestions, name);
-
-        nodes.push({
-            id: `service-${name}`,
-            type: 'serviceNode',
-            position,
-            data: {
-                name,
-                image: service.image,
-                ports: service.ports || [],
-                hasHealthcheck: !!service.healthcheck?.test,
-                hasEnvFile: !!service.env_file?.length,
-                networks: normalizeArray(service.networks),
-                volumes: service.volumes || [],
-                suggestionCount: suggestionCounts.total,
-                suggestionSeverity,
-            },
-        });
-
-        // Dependency edges
-        const deps = normalizeDependsOn(service.depends_on);
-        for (const dep of deps) {
-            edges.push({
-                id: `dep-${name}-${dep}`,
-                source: `service-${dep}`,
-                target: `service-${name}`,
-                type: 'dependsOnEdge',
-                data: { condition: getDependsOnCondition(service.depends_on, dep) },
-                animated: true,
-            });
-        }
-
-        // Network edges
-        const networks = normalizeArray(service.networks);
-        for (const net of networks) {
-            edges.push({
-                id: `net-${name}-${net}`,
-                source: `service-${name}`,
-                target: `network-${net}`,
-                type: 'networkEdge',
-            });
-        }
-
-        // Volume edges
-        for (const vol of service.volumes || []) {
-            const volName = extractVolumeName(vol);
-            if (volName && state.volumes?.[volName]) {
-                edges.push({
-                    id: `vol-${name}-${volName}`,
-                    source: `service-${name}`,
-                    target: `volume-${volName}`,
-                    type: 'volumeEdge',
-                    data: { mountPath: extractMountPath(vol) },
-                });
-            }
-        }
-
+        const flow = convertService(name, service, serviceIndex, state, suggestionSummary.get(name) || NO_SUGGESTIONS);
+        nodes.push(...flow.nodes);
+        edges.push(...flow.edges);
         serviceIndex++;
     }
 
@@ -116,8 +186,7 @@ export function stateToFlow(state, suggestions = []) {
             y: NETWORK_START_Y,
         };
 
-        const suggestionCounts = getSuggestionCounts(suggestions, name);
-        const suggestionSeverity = getHighestSeverity(suggestions, name);
+        const { total: suggestionCount, severity: suggestionSeverity } = suggestionSummary.get(name) || NO_SUGGESTIONS;
 
         nodes.push({
             id: `network-${name}`,
@@ -127,7 +196,7 @@ export function stateToFlow(state, suggestions = []) {
                 name,
                 driver: network.driver || 'bridge',
                 external: network.external || false,
-                suggestionCount: suggestionCounts.total,
+                suggestionCount,
                 suggestionSeverity,
             },
         });
@@ -143,8 +212,7 @@ export function stateToFlow(state, suggestions = []) {
             y: VOLUME_START_Y,
         };
 
-        const suggestionCounts = getSuggestionCounts(suggestions, name);
-        const suggestionSeverity = getHighestSeverity(suggestions, name);
+        const { total: suggestionCount, severity: suggestionSeverity } = suggestionSummary.get(name) || NO_SUGGESTIONS;
 
         nodes.push({
             id: `volume-${name}`,
@@ -154,7 +222,7 @@ export function stateToFlow(state, suggestions = []) {
                 name,
                 driver: volume.driver || 'local',
                 external: volume.external || false,
-                suggestionCount: suggestionCounts.total,
+                suggestionCount,
                 suggestionSeverity,
             },
         });
@@ -1,5 +1,5 @@
-import { normalizeArray } from './validation';
-import { getServiceEmoji } from './iconUtils.jsx';
+import { normalizeArray } from './validation.js';
+import { getServiceEmoji } from './serviceEmoji.js';
 
 /**
  * Escape special characters for Graphviz labels
@@ -76,7 +76,7 @@ const COLORS = {
 /**
  * Classify a service into a tier based on its image/name
  */
-const classifyServiceTier = (name, svc) => {
+export const classifyServiceTier = (name, svc) => {
     const image = (getValue(svc.image) || '').toLowerCase();
     const serviceName = name.toLowerCase();
 
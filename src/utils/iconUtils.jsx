@@ -3,6 +3,8 @@
  * Auto-discovers SVG icons from the services folder with emoji fallbacks.
  */
 
+export { getServiceEmoji } from './serviceEmoji.js';
+
 // Dynamically import ALL SVG icons from the services folder
 const iconModules = import.meta.glob('../assets/icons/services/*.svg', { eager: true, as: 'url' });
 
@@ -96,54 +98,6 @@ export const getServiceIcon = (name, image) => {
     return { type: 'emoji', value: '📦' };
 };
 
-/**
- * Get emoji icon for a service (for text-based contexts like Graphviz)
- * @param {string} name - Service name
- * @param {string} image - Docker image name
- * @returns {string} Emoji character
- */
-export const getServiceEmoji = (name, image) => {
-    const lowerName = name?.toLowerCase() || '';
-    const lowerImage = image?.toLowerCase() || '';
-    const matches = (pattern) => lowerName.includes(pattern) || lowerImage.includes(pattern);
-
-    // Pattern matching for emojis
-    if (matches('postgres')) return '🐘';
-    if (matches('mysql') || matches('mariadb')) return '🐬';
-    if (matches('mongo')) return '🍃';
-    if (matches('redis')) return '🔴';
-    if (matches('nginx')) return '⚡';
-    if (matches('node')) return '💚';
-    if (matches('python')) return '🐍';
-    if (matches('rabbit')) return '🐰';
-    if (matches('go') || matches('golang')) return '🔵';
-    if (matches('php')) return '🐘';
-    if (matches('apache') || matches('httpd')) return '🪶';
-    if (matches('rust')) return '🦀';
-    if (matches('docker')) return '🐋';
-    if (matches('elasticsearch')) return '🔍';
-    if (matches('kibana')) return '📊';
-    if (matches('grafana')) return '📈';
-    if (matches('prometheus')) return '🔥';
-    if (matches('traefik')) return '🚦';
-    if (matches('caddy')) return '🔒';
-    if (matches('memcached')) return '🧠';
-    if (matches('java')) return '☕';
-    if (matches('dotnet')) return '🟣';
-    if (matches('ruby')) return '💎';
-    if (matches('kafka')) return '📨';
-    if (matches('minio')) return '📦';
-    if (matches('consul')) return '🔧';
-    if (matches('vault')) return '🔐';
-    if (matches('zookeeper')) return '🦓';
-    if (matches('influx')) return '📉';
-    if (matches('haproxy')) return '⚖️';
-    if (matches('envoy')) return '🌐';
-    if (matches('kong')) return '🦍';
-
-    return '📦';
-};
-
 /**
  * React component helper to render the icon
  * @param {{ type: 'svg' | 'emoji', value: string }} iconData
@@ -3,8 +3,17 @@
  * Resolves include directives and merges external Compose files.
  */
 
-import yaml from 'js-yaml';
-import { resolvePath, normalizePath } from './pathResolver.js';
+import { resolvePath, normalizePath, dirname, joinPath, rebasePath } from './pathResolver.js';
+import { rebaseExtendsFiles } from './extendsResolver.js';
+import { mergeComposeOverride } from './overrideResolver.js';
+import { interpolate, getUndefinedVariables, parseEnvFile, mergeEnv } from './variableInterpolator.js';
+import { loadComposeYaml, isResetTag, isOverrideTag, resolveTagValue, stripYamlTags } from './yamlTags.js';
+import { deepEqual } from './objectUtils.js';
+
+/**
+ * Top-level sections holding named resources.
+ */
+const RESOURCE_SECTIONS = ['services', 'networks', 'volumes', 'secrets', 'configs'];
 
 /**
  * Merge two Compose files with override semantics.
@@ -22,10 +31,16 @@ function mergeComposeFiles(base, override) {
 
     // Merge top-level fields
     for (const [key, value] of Object.entries(override)) {
-        if (key === 'name') {
+        if (isResetTag(value)) {
+            // !reset removes the included section
+            delete result[key];
+        } else if (isOverrideTag(value)) {
+            // !override replaces the included section instead of merging
+            result[key] = stripYamlTags(value.value);
+        } else if (key === 'name') {
             // Override wins for project name
             result[key] = value;
-        } else if (['services', 'networks', 'volumes', 'secrets', 'configs'].includes(key)) {
+        } else if (RESOURCE_SECTIONS.includes(key)) {
             // Merge dictionaries
             result[key] = {
                 ...(result[key] || {}),
@@ -40,19 +55,284 @@ function mergeComposeFiles(base, override) {
     return result;
 }
 
+/**
+ * Record the file defining each named resource of a compose configuration.
+ *
+ * @param {Object} compose - Compose configuration
+ * @param {string} file - File the resources are defined in
+ * @returns {Object} Map of section → resource name → file
+ */
+function collectOrigins(compose, file) {
+    const origins = {};
+    for (const section of RESOURCE_SECTIONS) {
+        const resources = resolveTagValue(compose[section]);
+        if (!resources || typeof resources !== 'object') continue;
+        origins[section] = Object.fromEntries(Object.keys(resources).map(name => [name, file]));
+    }
+    return origins;
+}
+
+/**
+ * Combine resource origins for a merged configuration.
+ * Resources present in both keep the origin of `primary`.
+ *
+ * @param {Object} compose - Merged compose configuration
+ * @param {Object} primary - Origins that win
+ * @param {Object} secondary - Fallback origins
+ * @returns {Object} Origins of the resources left in `compose`
+ */
+function mergeOrigins(compose, primary, secondary) {
+    const origins = {};
+    for (const section of RESOURCE_SECTIONS) {
+        const resources = resolveTagValue(compose[section]);
+        if (!resources || typeof resources !== 'object') continue;
+        origins[section] = {};
+        for (const name of Object.keys(resources)) {
+            origins[section][name] = primary[section]?.[name] || secondary[section]?.[name];
+        }
+    }
+    return origins;
+}
+
+/**
+ * Find resources defined both by an included model and by the including file (or an earlier include).
+ * Compose rejects these instead of merging them; identical definitions and
+ * resources tagged `!reset`/`!override` in the including file are allowed.
+ *
+ * @param {Object} included - Included compose configuration
+ * @param {Object} includedOrigins - Origins of the included resources
+ * @param {Object} current - Configuration of the including file so far
+ * @param {Object} currentOrigins - Origins of the including file's resources
+ * @returns {Array<{entity: string, name: string, files: string[], message: string}>} Conflicts
+ */
+function findIncludeConflicts(included, includedOrigins, current, currentOrigins) {
+    const conflicts = [];
+
+    for (const section of RESOURCE_SECTIONS) {
+        const existing = current[section];
+        const incoming = included[section];
+        // A tagged section replaces the included one on purpose
+        if (!existing || typeof existing !== 'object' || isResetTag(existing) || isOverrideTag(existing)) continue;
+        if (!incoming || typeof incoming !== 'object') continue;
+
+        for (const [name, resource] of Object.entries(incoming)) {
+            if (!Object.hasOwn(existing, name)) continue;
+            const definition = existing[name];
+            if (isResetTag(definition) || isOverrideTag(definition) || deepEqual(definition, resource)) continue;
+
+            const entity = section.slice(0, -1);
+            const files = [currentOrigins[section]?.[name], includedOrigins[section]?.[name]];
+            conflicts.push({
+                entity,
+                name,
+                files,
+                message: `Include conflict: ${entity} "${name}" is defined in both "${files[0]}" and "${files[1]}"`
+            });
+        }
+    }
+
+    return conflicts;
+}
+
+/**
+ * Normalize an include entry (short string or long syntax) to its long form.
+ *
+ * @param {string|Object} includeSpec - Include entry
+ * @returns {{paths: string[], projectDirectory: string|undefined, envFiles: string[]|undefined}|null} Normalized entry
+ */
+function normalizeIncludeSpec(includeSpec) {
+    if (typeof includeSpec === 'string') {
+        return { paths: [includeSpec], projectDirectory: undefined, envFiles: undefined };
+    }
+    if (!includeSpec || typeof includeSpec !== 'object') return null;
+
+    const paths = (Array.isArray(includeSpec.path) ? includeSpec.path : [includeSpec.path])
+        .filter(path => typeof path === 'string' && path);
+    if (paths.length === 0) return null;
+
+    const envFiles = includeSpec.env_file === undefined
+        ? undefined
+        : (Array.isArray(includeSpec.env_file) ? includeSpec.env_file : [includeSpec.env_file]);
+
+    return { paths, projectDirectory: includeSpec.project_directory, envFiles };
+}
+
+/**
+ * Rebase relative paths of an included model from its project directory onto the including file's directory.
+ * Covers build contexts, bind mounts, env files and file-based secrets/configs.
+ *
+ * @param {Object} compose - Included compose configuration
+ * @param {string} fromDir - Project directory of the included model
+ * @param {string} toDir - Directory of the including file
+ * @returns {Object} Compose configuration with rebased paths
+ */
+function rebaseRelativePaths(compose, fromDir, toDir) {
+    if (normalizePath(fromDir) === normalizePath(toDir)) return compose;
+
+    const rebase = (path) => rebasePath(path, fromDir, toDir);
+    const result = { ...compose };
+
+    if (compose.services && typeof compose.services === 'object') {
+        result.services = {};
+        for (const [name, service] of Object.entries(compose.services)) {
+            if (!service || typeof service !== 'object') {
+                result.services[name] = service;
+                continue;
+            }
+            const rebased = { ...service };
+
+            if (typeof service.build === 'string') {
+                rebased.build = rebase(service.build);
+            } else if (service.build && typeof service.build === 'object' && service.build.context) {
+                rebased.build = { ...service.build, context: rebase(service.build.context) };
+            }
+
+            if (Array.isArray(service.volumes)) {
+                rebased.volumes = service.volumes.map(volume => {
+                    if (typeof volume === 'string') {
+                        const [source, ...rest] = volume.split(':');
+                        return rest.length > 0 ? [rebase(source), ...rest].join(':') : volume;
+                    }
+                    if (volume && volume.type === 'bind' && volume.source) {
+                        return { ...volume, source: rebase(volume.source) };
+                    }
+                    return volume;
+                });
+            }
+
+            if (service.env_file) {
+                const envFiles = Array.isArray(service.env_file) ? service.env_file : [service.env_file];
+                const rebasedEnvFiles = envFiles.map(entry => (
+                    entry && typeof entry === 'object' ? { ...entry, path: rebase(entry.path) } : rebase(entry)
+                ));
+                rebased.env_file = Array.isArray(service.env_file) ? rebasedEnvFiles : rebasedEnvFiles[0];
+            }
+
+            result.services[name] = rebased;
+        }
+    }
+
+    for (const section of ['secrets', 'configs']) {
+        if (!compose[section] || typeof compose[section] !== 'object') continue;
+        result[section] = {};
+        for (const [name, resource] of Object.entries(compose[section])) {
+            result[section][name] = resource && typeof resource === 'object' && resource.file
+                ? { ...resource, file: rebase(resource.file) }
+                : resource;
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Escape `$` in every string so an already interpolated model survives the root interpolation pass.
+ * @param {any} value - Interpolated value
+ * @returns {any} Value with `$` escaped as `$$`
+ */
+function escapeDollars(value) {
+    if (typeof value === 'string') return value.replace(/\$/g, '$$$$');
+    if (Array.isArray(value)) return value.map(escapeDollars);
+    if (value && Object.getPrototypeOf(value) === Object.prototype) {
+        return Object.fromEntries(Object.entries(value).map(([key, val]) => [key, escapeDollars(val)]));
+    }
+    return value;
+}
+
+/**
+ * Build the interpolation environment of an included sub-project.
+ * Uses the include's `env_file` list (relative to the including file), or the
+ * `.env` file of its project directory, with the process environment on top.
+ *
+ * @param {Object} spec - Normalized include entry
+ * @param {string} currentFile - Path of the including file
+ * @param {string} projectDir - Project directory of the included model
+ * @param {Object} fileMap - Map of file paths to content
+ * @param {Object} processEnvironment - Environment applied to every project
+ * @returns {Object} Environment variables
+ */
+function buildIncludeEnvironment(spec, currentFile, projectDir, fileMap, processEnvironment) {
+    let envPaths;
+    if (spec.envFiles) {
+        envPaths = spec.envFiles.map(envFile => resolvePath(currentFile, envFile));
+        const missing = envPaths.find(path => fileMap[path] === undefined);
+        if (missing) {
+            throw new Error(`Include env_file not found: "${missing}"`);
+        }
+    } else {
+        const defaultEnv = joinPath(projectDir, '.env');
+        envPaths = fileMap[defaultEnv] !== undefined ? [defaultEnv] : [];
+    }
+
+    // Later env files see the keys of earlier ones when expanding `${VAR}`
+    const fileEnvironment = envPaths.reduce(
+        (env, path) => mergeEnv(env, parseEnvFile(fileMap[path], { environment: mergeEnv(env, processEnvironment) })),
+        {}
+    );
+    return mergeEnv(fileEnvironment, processEnvironment);
+}
+
+/**
+ * Load a single included file from the file map.
+ *
+ * @param {string} includePath - Path as written in the include entry
+ * @param {string} absoluteInclude - Resolved path
+ * @param {Object} fileMap - Map of file paths to content
+ * @returns {Object} Parsed compose configuration
+ */
+function loadIncludedFile(includePath, absoluteInclude, fileMap) {
+    const content = fileMap[absoluteInclude];
+    if (!content) {
+        throw new Error(
+            `Include file not found: "${includePath}"\n` +
+            `Resolved to: "${absoluteInclude}"\n` +
+            `Available files: ${Object.keys(fileMap).join(', ')}`
+        );
+    }
+
+    try {
+        return loadComposeYaml(content) || {};
+    } catch (error) {
+        throw new Error(`Failed to parse included file "${includePath}": ${error.message}`);
+    }
+}
+
 /**
  * Resolve include directives recursively.
  * Loads external files and merges them into the compose configuration.
+ *
+ * Supports the long syntax: `path` as a list of files merged together,
+ * `project_directory` to rebase relative paths, and a per-include `env_file`.
  * 
  * @param {Object} compose - Compose configuration
  * @param {string} currentFile - Path of current file (for relative resolution)
  * @param {Object} fileMap - Map of file paths to content
  * @param {Set<string>} visited - Set of visited file paths (for circular detection)
+ * @param {Object} options - Resolver options
+ * @param {Object} options.environment - Process environment; when set, included models are interpolated with their own env
+ * @param {Function} options.onError - Called with (error, {file}) for interpolation errors in included files
+ * @param {Function} options.onUndefinedVariables - Called with (variables, {file}) for undefined variables in included files
+ * @param {Function} options.onConflict - Called with ({entity, name, files, message}) for resources defined by more than one file
+ * @param {Function} options.onFileResolved - Called with the path of each included file once its own includes are merged
  * @returns {Object} Compose configuration with includes resolved
  */
-export function resolveIncludes(compose, currentFile, fileMap, visited = new Set()) {
+export function resolveIncludes(compose, currentFile, fileMap, visited = new Set(), options = {}) {
+    return resolveIncludeTree(compose, currentFile, fileMap, visited, options).compose;
+}
+
+/**
+ * Resolve include directives and track the file defining each resource.
+ *
+ * @param {Object} compose - Compose configuration
+ * @param {string} currentFile - Path of current file
+ * @param {Object} fileMap - Map of file paths to content
+ * @param {Set<string>} visited - Set of visited file paths
+ * @param {Object} options - Resolver options (see resolveIncludes)
+ * @returns {{compose: Object, origins: Object}} Resolved configuration and resource origins
+ */
+function resolveIncludeTree(compose, currentFile, fileMap, visited, options) {
     if (!compose || !compose.include) {
-        return compose;
+        return { compose, origins: compose ? collectOrigins(compose, normalizePath(currentFile)) : {} };
     }
 
     // Normalize and track current file
@@ -68,58 +348,78 @@ export function resolveIncludes(compose, currentFile, fileMap, visited = new Set
 
     let merged = { ...compose };
     delete merged.include; // Remove include directive from result
+    let origins = collectOrigins(merged, absoluteCurrent);
 
     // Process each include
     const includes = Array.isArray(compose.include) ? compose.include : [compose.include];
 
     for (const includeSpec of includes) {
-        // Extract path from include specification
-        const includePath = typeof includeSpec === 'string'
-            ? includeSpec
-            : includeSpec.path;
+        const spec = normalizeIncludeSpec(includeSpec);
 
-        if (!includePath) {
+        if (!spec) {
             console.warn('Invalid include specification:', includeSpec);
             continue;
         }
 
-        // Resolve relative path
-        const absoluteInclude = resolvePath(currentFile, includePath);
+        // Load every file of the include and merge them like -f chains
+        let included = null;
+        let includedOrigins = {};
+        for (const includePath of spec.paths) {
+            // Resolve relative path
+            const absoluteInclude = resolvePath(currentFile, includePath);
 
-        // Check circular dependency with absolute path
-        if (newVisited.has(absoluteInclude)) {
-            throw new Error(
-                `Circular include detected: ${Array.from(newVisited).join(' → ')} → ${absoluteInclude}`
-            );
-        }
+            // Check circular dependency with absolute path
+            if (newVisited.has(absoluteInclude)) {
+                throw new Error(
+                    `Circular include detected: ${Array.from(newVisited).join(' → ')} → ${absoluteInclude}`
+                );
+            }
 
-        // Load file from fileMap
-        const content = fileMap[absoluteInclude];
-        if (!content) {
-            throw new Error(
-                `Include file not found: "${includePath}"\n` +
-                `Resolved to: "${absoluteInclude}"\n` +
-                `Available files: ${Object.keys(fileMap).join(', ')}`
+            // Recursively resolve includes in the included file
+            const resolved = resolveIncludeTree(
+                loadIncludedFile(includePath, absoluteInclude, fileMap), absoluteInclude, fileMap, newVisited, options
             );
+            const loaded = rebaseExtendsFiles(resolved.compose, absoluteInclude, currentFile);
+            options.onFileResolved?.(absoluteInclude);
+
+            // Files of one include override each other; a resource keeps the file that first defined it
+            const next = included ? mergeComposeOverride(included, loaded) : loaded;
+            includedOrigins = mergeOrigins(next, includedOrigins, resolved.origins);
+            included = next;
         }
 
-        // Parse included file
-        let included;
-        try {
-            included = yaml.load(content);
-        } catch (error) {
-            throw new Error(`Failed to parse included file "${includePath}": ${error.message}`);
+        // Relative paths are resolved from the project directory (default: directory of the first file)
+        const projectDir = spec.projectDirectory
+            ? resolvePath(currentFile, spec.projectDirectory)
+            : dirname(resolvePath(currentFile, spec.paths[0]));
+        included = rebaseRelativePaths(stripYamlTags(included), projectDir, dirname(currentFile));
+
+        // Interpolate the sub-project with its own environment
+        if (options.environment) {
+            const file = resolvePath(currentFile, spec.paths[0]);
+            const env = buildIncludeEnvironment(spec, currentFile, projectDir, fileMap, options.environment);
+            const undefinedVariables = getUndefinedVariables(included, env);
+            if (undefinedVariables.length > 0 && options.onUndefinedVariables) {
+                options.onUndefinedVariables(undefinedVariables, { file });
+            }
+            included = escapeDollars(interpolate(included, env, false, {
+                throwOnError: false,
+                onError: (error, context) => options.onError?.(error, { ...context, file })
+            }));
         }
 
-        // Recursively resolve includes in the included file
-        const resolvedInclude = resolveIncludes(included, absoluteInclude, fileMap, newVisited);
+        for (const conflict of findIncludeConflicts(included, includedOrigins, merged, origins)) {
+            options.onConflict?.(conflict);
+        }
 
         // Merge with current configuration
         // NOTE: Includes are the base, main file is the override
-        merged = mergeComposeFiles(resolvedInclude, merged);
+        const next = mergeComposeFiles(included, merged);
+        origins = mergeOrigins(next, origins, includedOrigins);
+        merged = next;
     }
 
-    return merged;
+    return { compose: merged, origins };
 }
 
 /**
@@ -1,5 +1,6 @@
 import { describe, it, expect } from 'vitest';
 import { resolveIncludes, hasIncludes } from './includeResolver';
+import { loadComposeYaml } from './yamlTags';
 
 describe('includeResolver', () => {
     describe('hasIncludes', () => {
@@ -176,4 +177,166 @@ describe('includeResolver', () => {
             expect(result).toEqual(main);
         });
     });
+
+    describe('include long syntax', () => {
+        it('merges a list of paths like -f chains', () => {
+            const main = {
+                include: [{ path: ['./db/compose.yml', './db/compose.prod.yml'] }]
+            };
+            const fileMap = {
+                'db/compose.yml': 'services:\n  db:\n    image: postgres:15\n    ports:\n      - "5432:5432"\n',
+                'db/compose.prod.yml': 'services:\n  db:\n    image: postgres:16\n    ports:\n      - "6432:5432"\n'
+            };
+
+            const result = resolveIncludes(main, 'docker-compose.yml', fileMap);
+
+            expect(result.services.db.image).toBe('postgres:16');
+            expect(result.services.db.ports).toEqual(['5432:5432', '6432:5432']);
+        });
+
+        it('rebases relative paths from the included file directory', () => {
+            const main = { include: ['./services/api/compose.yml'] };
+            const fileMap = {
+                'services/api/compose.yml': 'services:\n  api:\n    build: .\n    volumes:\n      - ./src:/app/src\n      - cache:/cache\n    env_file: ./api.env\nsecrets:\n  token:\n    file: ./token.txt\n'
+            };
+
+            const result = resolveIncludes(main, 'docker-compose.yml', fileMap);
+
+            expect(result.services.api.build).toBe('./services/api');
+            expect(result.services.api.volumes).toEqual(['./services/api/src:/app/src', 'cache:/cache']);
+            expect(result.services.api.env_file).toBe('./services/api/api.env');
+            expect(result.secrets.token.file).toBe('./services/api/token.txt');
+        });
+
+        it('resolves relative paths from project_directory', () => {
+            const main = {
+                include: [{ path: './infra/compose.yml', project_directory: '.' }]
+            };
+            const fileMap = {
+                'infra/compose.yml': 'services:\n  web:\n    build:\n      context: ./web\n'
+            };
+
+            const result = resolveIncludes(main, 'docker-compose.yml', fileMap);
+
+            expect(result.services.web.build.context).toBe('./web');
+        });
+
+        it('interpolates the included project with its own env_file', () => {
+            const main = {
+                include: [{ path: './db/compose.yml', env_file: './db/db.env' }],
+                services: { app: { image: 'app:${TAG}' } }
+            };
+            const fileMap = {
+                'db/compose.yml': 'services:\n  db:\n    image: postgres:${PG_VERSION}\n    command: echo $${HOME}\n',
+                'db/db.env': 'PG_VERSION=16\n'
+            };
+
+            const result = resolveIncludes(main, 'docker-compose.yml', fileMap, new Set(), { environment: {} });
+
+            expect(result.services.db.image).toBe('postgres:16');
+            // Escaped so the root interpolation pass restores the literal
+            expect(result.services.db.command).toBe('echo $${HOME}');
+            // The including file is left for the root pass
+            expect(result.services.app.image).toBe('app:${TAG}');
+        });
+
+        it('uses the .env of the project directory by default and ignores the root environment', () => {
+            const main = { include: ['./cache/compose.yml'] };
+            const fileMap = {
+                'cache/compose.yml': 'services:\n  cache:\n    image: redis:${REDIS_TAG}\n    environment:\n      ROOT: ${ROOT_ONLY}\n',
+                'cache/.env': 'REDIS_TAG=7\n',
+                '.env': 'ROOT_ONLY=yes\n'
+            };
+            const undefinedReports = [];
+
+            const result = resolveIncludes(main, 'docker-compose.yml', fileMap, new Set(), {
+                environment: {},
+                onUndefinedVariables: (variables, context) => undefinedReports.push({ variables, ...context })
+            });
+
+            expect(result.services.cache.image).toBe('redis:7');
+            expect(result.services.cache.environment.ROOT).toBe('');
+            expect(undefinedReports).toEqual([{ variables: ['ROOT_ONLY'], file: 'cache/compose.yml' }]);
+        });
+
+        it('throws for a missing include env_file', () => {
+            const main = { include: [{ path: './db.yml', env_file: './missing.env' }] };
+            const fileMap = { 'db.yml': 'services:\n  db:\n    image: postgres\n' };
+
+            expect(() => resolveIncludes(main, 'docker-compose.yml', fileMap, new Set(), { environment: {} }))
+                .toThrow(/env_file not found/);
+        });
+    });
+
+    describe('include conflicts', () => {
+        it('reports a resource defined in two included files', () => {
+            const main = { include: ['./team-a.yml', './team-b.yml'] };
+            const fileMap = {
+                'team-a.yml': 'services:\n  redis:\n    image: redis:7\n',
+                'team-b.yml': 'services:\n  redis:\n    image: redis:6\n'
+            };
+            const conflicts = [];
+
+            resolveIncludes(main, 'docker-compose.yml', fileMap, new Set(), { onConflict: (c) => conflicts.push(c) });
+
+            expect(conflicts).toEqual([{
+                entity: 'service',
+                name: 'redis',
+                files: ['team-a.yml', 'team-b.yml'],
+                message: 'Include conflict: service "redis" is defined in both "team-a.yml" and "team-b.yml"'
+            }]);
+        });
+
+        it('reports a resource redefined by the including file', () => {
+            const main = {
+                include: ['./infra/compose.yml'],
+                networks: { backend: { driver: 'overlay' } }
+            };
+            const fileMap = {
+                'infra/compose.yml': 'include:\n  - ./net.yml\n',
+                'infra/net.yml': 'networks:\n  backend:\n    driver: bridge\n'
+            };
+            const conflicts = [];
+
+            const result = resolveIncludes(main, 'docker-compose.yml', fileMap, new Set(), { onConflict: (c) => conflicts.push(c) });
+
+            expect(conflicts).toHaveLength(1);
+            expect(conflicts[0].entity).toBe('network');
+            expect(conflicts[0].files).toEqual(['docker-compose.yml', 'infra/net.yml']);
+            expect(result.networks.backend.driver).toBe('overlay');
+        });
+
+        it('allows identical definitions and tagged overrides', () => {
+            const main = loadComposeYaml(`
+include:
+  - ./a.yml
+  - ./b.yml
+services:
+  web: !override
+    image: nginx:2
+`);
+            const fileMap = {
+                'a.yml': 'services:\n  web:\n    image: nginx:1\nvolumes:\n  data: {}\n',
+                'b.yml': 'volumes:\n  data: {}\n'
+            };
+            const conflicts = [];
+
+            resolveIncludes(main, 'docker-compose.yml', fileMap, new Set(), { onConflict: (c) => conflicts.push(c) });
+
+            expect(conflicts).toEqual([]);
+        });
+
+        it('does not report files merged within one include', () => {
+            const main = { include: [{ path: ['./db.yml', './db.prod.yml'] }] };
+            const fileMap = {
+                'db.yml': 'services:\n  db:\n    image: postgres:15\n',
+                'db.prod.yml': 'services:\n  db:\n    image: postgres:16\n'
+            };
+            const conflicts = [];
+
+            resolveIncludes(main, 'docker-compose.yml', fileMap, new Set(), { onConflict: (c) => conflicts.push(c) });
+
+            expect(conflicts).toEqual([]);
+        });
+    });
 });
@@ -0,0 +1,89 @@
+import { describe, it, expect } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parse } from 'yaml';
+import { validateState } from './validation';
+import { generateSuggestions } from './suggestions';
+import { stateToFlow, createFlowConverter } from './flowConverter';
+import { createIncrementalValidator, createIncrementalSuggestions } from './incrementalPipeline';
+import { composeReducer, initialState } from '../hooks/composeReducer';
+
+/**
+ * Benchmark comparing full re-analysis with the incremental pipeline on single-service edits.
+ * The 50-services fixture is scaled to 1000 services; its DEPENDS_ON chain becomes real depends_on.
+ */
+
+const DIRNAME = path.dirname(fileURLToPath(import.meta.url));
+const SERVICE_COUNT = 1000;
+const EDITS = 20;
+
+function loadScaledState() {
+    const fixture = parse(fs.readFileSync(
+        path.resolve(DIRNAME, '../../fixtures/compose-specs/performance/50-services.yml'),
+        'utf8'
+    ));
+    const templates = Object.values(fixture.services);
+    const services = {};
+
+    for (let i = 1; i <= SERVICE_COUNT; i++) {
+        const template = templates[(i - 1) % templates.length];
+        services[`service_${i}`] = {
+            ...template,
+            environment: { ...template.environment, SERVICE_ID: i },
+            ...(template.environment.DEPENDS_ON !== 'none' || i > templates.length
+                ? { depends_on: [`service_${i - 1}`] }
+                : {})
+        };
+    }
+
+    return composeReducer(initialState, { type: 'SET_STATE', payload: { ...fixture, services } });
+}
+
+function runEdits(state, analyze) {
+    let current = state;
+    const start = performance.now();
+    for (let i = 0; i < EDITS; i++) {
+        const name = `service_${1 + Math.floor((i * SERVICE_COUNT) / EDITS)}`;
+        current = composeReducer(current, { type: 'UPDATE_SERVICE', name, data: { restart: i % 2 ? 'always' : 'no' } });
+        analyze(current);
+    }
+    return (performance.now() - start) / EDITS;
+}
+
+describe('Incremental pipeline benchmark (1000 services)', () => {
+    it('should benchmark - single service edits', () => {
+        const state = loadScaledState();
+        expect(Object.keys(state.services)).toHaveLength(SERVICE_COUNT);
+
+        const full = (current) => {
+            const suggestions = generateSuggestions(current);
+            return [validateState(current), suggestions, stateToFlow(current, suggestions)];
+        };
+
+        const validate = createIncrementalValidator();
+        const suggest = createIncrementalSuggestions();
+        const toFlow = createFlowConverter();
+        const incremental = (current) => {
+            const suggestions = suggest(current);
+            return [validate(current), suggestions, toFlow(current, suggestions)];
+        };
+
+        // Warm up both paths and prime the incremental caches
+        full(state);
+        incremental(state);
+
+        const fullTime = runEdits(state, full);
+        const incrementalTime = runEdits(state, incremental);
+
+        console.log('\n📊 1000 Services - Single Service Edit:');
+        console.log(`   Full: ${fullTime.toFixed(2)}ms avg`);
+        console.log(`   Incremental: ${incrementalTime.toFixed(2)}ms avg`);
+        console.log(`   Services revalidated: ${validate.stats.computed - SERVICE_COUNT} of ${EDITS * SERVICE_COUNT}`);
+
+        // Each edit touches the service and its two chain neighbours
+        expect(validate.stats.computed - SERVICE_COUNT).toBeLessThanOrEqual(EDITS * 3);
+        expect(incremental(state)).toEqual(full(state));
+        expect(incrementalTime).toBeLessThan(fullTime);
+    });
+});
@@ -0,0 +1,146 @@
+/**
+ * Incremental analysis pipeline.
+ * Reducer actions replace only the services they touch, so per-service results are
+ * memoized and recomputed only for services whose definition changed and their
+ * graph neighbours (services they reference and services referencing them).
+ */
+
+import { getServiceReferences } from './profileFilter.js';
+import { validateState, validateService } from './validation.js';
+import { generateSuggestions, analyzeService } from './suggestions.js';
+import { DEFAULT_RULE_CONFIG } from './ruleConfig.js';
+
+/**
+ * Top-level sections per-service checks read; changing one invalidates every service.
+ */
+export const SHARED_SECTIONS = ['networks', 'volumes', 'secrets', 'configs'];
+
+// References are derived once per service object; reducers never mutate services in place
+const referenceCache = new WeakMap();
+
+const getReferencedNames = (service) => {
+    if (!service || typeof service !== 'object') return [];
+    if (!referenceCache.has(service)) {
+        referenceCache.set(service, [...new Set(getServiceReferences(service).map(({ name }) => name))]);
+    }
+    return referenceCache.get(service);
+};
+
+/**
+ * Find the services whose per-service results may differ between two states.
+ *
+ * @param {Object|null} previous - State the cached results were computed from
+ * @param {Object} next - New state
+ * @param {string[]} [sections] - Top-level sections the results depend on
+ * @returns {Set<string>|null} Services to recompute, or null when everything must be recomputed
+ */
+export function getDirtyServices(previous, next, sections = SHARED_SECTIONS) {
+    if (!previous) return null;
+    if (previous === next) return new Set();
+    if (sections.some((section) => previous[section] !== next[section])) return null;
+
+    const before = previous.services || {};
+    const after = next.services || {};
+    if (before === after) return new Set();
+
+    const changed = new Set();
+    for (const name in after) {
+        if (before[name] !== after[name]) changed.add(name);
+    }
+    for (const name in before) {
+        if (!(name in after)) changed.add(name);
+    }
+    if (changed.size === 0) return changed;
+
+    const dirty = new Set(changed);
+    // Services a changed one referenced before or references now
+    for (const name of changed) {
+        getReferencedNames(before[name]).forEach((target) => dirty.add(target));
+        getReferencedNames(after[name]).forEach((target) => dirty.add(target));
+    }
+    // Services referencing a changed one, including one that was added or removed
+    for (const [name, service] of Object.entries(after)) {
+        if (!dirty.has(name) && getReferencedNames(service).some((target) => changed.has(target))) {
+            dirty.add(name);
+        }
+    }
+    return dirty;
+}
+
+/**
+ * Memoize a per-service computation across states.
+ * The returned function has the `(name, service, state)` signature of the computation;
+ * cached results are reused while the service is clean for the state being processed.
+ *
+ * @param {(name: string, service: Object, state: Object) => any} compute - Per-service computation
+ * @param {Object} [options]
+ * @param {string[]} [options.sections] - Top-level sections the computation reads
+ * @returns {Function & {stats: {computed: number, reused: number}}} Memoized computation
+ */
+export function createServiceMemo(compute, { sections = SHARED_SECTIONS } = {}) {
+    let cachedState = null;
+    let results = new Map();
+    let dirty = null;
+    const stats = { computed: 0, reused: 0 };
+
+    const memo = (name, service, state) => {
+        if (state !== cachedState) {
+            dirty = getDirtyServices(cachedState, state, sections) || new Set(Object.keys(state.services || {}));
+            // Drop results of services the new state no longer has
+            const services = state.services || {};
+            if (results.size > Object.keys(services).length) {
+                results = new Map([...results].filter(([key]) => services[key]));
+            }
+            cachedState = state;
+        }
+
+        const cached = results.get(name);
+        if (cached && cached.service === service && !dirty.has(name)) {
+            stats.reused++;
+            return cached.value;
+        }
+
+        stats.computed++;
+        const entry = { service, value: compute(name, service, state) };
+        results.set(name, entry);
+        // Fresh for this state: a repeated pass over it reuses the result
+        dirty.delete(name);
+        return entry.value;
+    };
+    memo.stats = stats;
+    return memo;
+}
+
+/**
+ * Create a `validateState` that revalidates only the services a change touched.
+ * Cross-service conflicts (container names, host ports) are cheap and always recomputed.
+ *
+ * @returns {(state: Object) => Array<Object>} Incremental validator
+ */
+export function createIncrementalValidator() {
+    const checkService = createServiceMemo(validateService);
+    const validate = (state) => validateState(state, checkService);
+    validate.stats = checkService.stats;
+    return validate;
+}
+
+/**
+ * Create a `generateSuggestions` that reanalyzes only the services a change touched.
+ * Volume suggestions scan every service and are always recomputed; a different rule
+ * config object starts over with an empty cache.
+ *
+ * @returns {(state: Object, config?: Object) => Array<Object>} Incremental suggestion generator
+ */
+export function createIncrementalSuggestions() {
+    let analyze = null;
+    let analyzedConfig;
+    const suggest = (state, config = DEFAULT_RULE_CONFIG) => {
+        if (!analyze || config !== analyzedConfig) {
+            analyze = createServiceMemo((name, service, current) => analyzeService(name, service, current, config));
+            analyzedConfig = config;
+            suggest.stats = analyze.stats;
+        }
+        return generateSuggestions(state, config, analyze);
+    };
+    return suggest;
+}
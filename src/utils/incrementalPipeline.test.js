@@ -0,0 +1,129 @@
+import { describe, it, expect } from 'vitest';
+import {
+    getDirtyServices,
+    createServiceMemo,
+    createIncrementalValidator,
+    createIncrementalSuggestions
+} from './incrementalPipeline';
+import { validateState } from './validation';
+import { generateSuggestions } from './suggestions';
+import { parseRuleConfig } from './ruleConfig';
+import { stateToFlow, createFlowConverter } from './flowConverter';
+import { composeReducer } from '../hooks/composeReducer';
+
+const baseState = () => ({
+    name: 'shop',
+    services: {
+        web: { image: 'nginx', depends_on: ['api'], ports: ['80:80'] },
+        api: { image: 'node', depends_on: { db: { condition: 'service_healthy' } } },
+        db: { image: 'postgres', volumes: ['data:/var/lib/postgresql/data'] },
+        worker: { image: 'node', network_mode: 'service:api' },
+        cron: { image: 'alpine' }
+    },
+    networks: {},
+    volumes: { data: {} },
+    secrets: {},
+    configs: {}
+});
+
+describe('incrementalPipeline', () => {
+    describe('getDirtyServices', () => {
+        it('marks the changed service and its neighbours in both directions', () => {
+            const state = baseState();
+            const next = composeReducer(state, { type: 'UPDATE_SERVICE', name: 'api', data: { restart: 'always' } });
+
+            expect([...getDirtyServices(state, next)].sort()).toEqual(['api', 'db', 'web', 'worker']);
+        });
+
+        it('marks services referencing an added or removed service', () => {
+            const state = baseState();
+            const next = composeReducer(state, { type: 'DELETE_SERVICE', name: 'db' });
+
+            expect([...getDirtyServices(state, next)].sort()).toEqual(['api', 'db']);
+        });
+
+        it('invalidates everything when a shared section changes', () => {
+            const state = baseState();
+            const next = composeReducer(state, { type: 'ADD_VOLUME', name: 'cache' });
+
+            expect(getDirtyServices(state, next)).toBeNull();
+            expect(getDirtyServices(null, state)).toBeNull();
+            expect(getDirtyServices(state, { ...state, name: 'renamed' }).size).toBe(0);
+        });
+    });
+
+    describe('createServiceMemo', () => {
+        it('recomputes only dirty services', () => {
+            const calls = [];
+            const memo = createServiceMemo((name) => {
+                calls.push(name);
+                return name.toUpperCase();
+            });
+            const run = (state) => Object.entries(state.services).map(([name, svc]) => memo(name, svc, state));
+
+            const state = baseState();
+            expect(run(state)).toEqual(['WEB', 'API', 'DB', 'WORKER', 'CRON']);
+            run(state);
+            expect(calls).toHaveLength(5);
+
+            calls.length = 0;
+            run(composeReducer(state, { type: 'UPDATE_SERVICE', name: 'cron', data: { restart: 'always' } }));
+            expect(calls).toEqual(['cron']);
+            expect(memo.stats).toEqual({ computed: 6, reused: 9 });
+        });
+    });
+
+    describe('incremental analyses', () => {
+        const actions = [
+            { type: 'UPDATE_SERVICE', name: 'db', data: { healthcheck: { test: ['CMD', 'pg_isready'] } } },
+            { type: 'UPDATE_SERVICE', name: 'cron', data: { ports: ['80:8080'], container_name: 'x' } },
+            { type: 'ADD_SERVICE', name: 'cache' },
+            { type: 'UPDATE_SERVICE', name: 'web', data: { depends_on: ['api', 'cache'], networks: ['front'] } },
+            { type: 'ADD_NETWORK', name: 'front' },
+            { type: 'DELETE_SERVICE', name: 'api' },
+            { type: 'RENAME_SERVICE', oldName: 'cron', newName: 'scheduler' },
+            { type: 'DELETE_VOLUME', name: 'data' }
+        ];
+
+        it('matches a full run after every reducer action', () => {
+            const validate = createIncrementalValidator();
+            const suggest = createIncrementalSuggestions();
+            const toFlow = createFlowConverter();
+            let state = baseState();
+
+            for (const action of [null, ...actions]) {
+                if (action) state = composeReducer(state, action);
+                const suggestions = generateSuggestions(state);
+                expect(validate(state)).toEqual(validateState(state));
+                expect(suggest(state)).toEqual(suggestions);
+                expect(toFlow(state, suggestions)).toEqual(stateToFlow(state, suggestions));
+            }
+            expect(validate.stats.reused).toBeGreaterThan(0);
+            expect(suggest.stats.reused).toBeGreaterThan(0);
+        });
+
+        it('reanalyzes every service when the rule config changes', () => {
+            const suggest = createIncrementalSuggestions();
+            const state = baseState();
+            const { config } = parseRuleConfig('rules:\n  no-resource-limits: off\n  no-user: critical\n');
+
+            suggest(state);
+            expect(suggest(state, config)).toEqual(generateSuggestions(state, config));
+            expect(suggest.stats.reused).toBe(0);
+            expect(suggest(state, config)).toEqual(generateSuggestions(state, config));
+            expect(suggest.stats.reused).toBe(Object.keys(state.services).length);
+        });
+
+        it('keeps the flow elements of untouched services', () => {
+            const toFlow = createFlowConverter();
+            const state = baseState();
+            const before = toFlow(state);
+            const after = toFlow(composeReducer(state, { type: 'UPDATE_SERVICE', name: 'cron', data: { image: 'busybox' } }));
+
+            const node = (flow, name) => flow.nodes.find((n) => n.id === `service-${name}`);
+            expect(node(after, 'web')).toBe(node(before, 'web'));
+            expect(node(after, 'cron')).not.toBe(node(before, 'cron'));
+            expect(node(after, 'cron').data.image).toBe('busybox');
+        });
+    });
+});
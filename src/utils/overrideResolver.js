@@ -0,0 +1,236 @@
+/**
+ * Docker Compose override resolver.
+ * Merges an ordered stack of Compose files the way `docker compose -f a.yml -f b.yml` does.
+ */
+
+import { resolveIncludes } from './includeResolver.js';
+import { mergeServiceConfigs, rebaseExtendsFiles } from './extendsResolver.js';
+import { dirname, normalizePath } from './pathResolver.js';
+import { loadComposeYaml, isResetTag, isOverrideTag, resolveTagValue, stripYamlTags } from './yamlTags.js';
+
+/**
+ * Default Compose file names, in the order the Compose CLI looks them up.
+ */
+export const DEFAULT_COMPOSE_FILES = [
+    'compose.yaml',
+    'compose.yml',
+    'docker-compose.yaml',
+    'docker-compose.yml'
+];
+
+/**
+ * Top-level sections holding named resources that are merged entry by entry.
+ */
+const RESOURCE_SECTIONS = ['networks', 'volumes', 'secrets', 'configs'];
+
+/**
+ * Check if a value is a plain mapping (not null, not an array).
+ * @param {any} value - Value to check
+ * @returns {boolean} True if value is a mapping
+ */
+function isMapping(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Merge two mappings recursively. Sequences are concatenated, scalars overridden.
+ * `!reset` drops a key and `!override` replaces a value without merging.
+ *
+ * @param {Object} base - Base mapping
+ * @param {Object} override - Override mapping
+ * @returns {Object} Merged mapping
+ */
+function mergeMappings(base, override) {
+    const result = { ...base };
+
+    for (const [key, value] of Object.entries(override)) {
+        if (isResetTag(value)) {
+            delete result[key];
+            continue;
+        }
+        if (isOverrideTag(value)) {
+            result[key] = stripYamlTags(value.value);
+            continue;
+        }
+
+        const current = resolveTagValue(result[key]);
+        if (isMapping(current) && isMapping(value)) {
+            result[key] = mergeMappings(current, value);
+        } else if (Array.isArray(current) && Array.isArray(value)) {
+            result[key] = [...current, ...value];
+        } else {
+            result[key] = value;
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Merge a single named resource (service, network, ...) with tag support.
+ *
+ * @param {any} base - Base resource
+ * @param {any} override - Override resource
+ * @param {Function} merge - Merge function for two mappings
+ * @returns {any} Merged resource (undefined entries are dropped by stripYamlTags)
+ */
+function mergeResource(base, override, merge) {
+    if (isResetTag(override)) return override;
+    if (isOverrideTag(override)) return stripYamlTags(override.value);
+
+    const current = resolveTagValue(base);
+    return isMapping(current) && isMapping(override) ? merge(current, override) : override;
+}
+
+/**
+ * Merge an override Compose file on top of a base configuration.
+ * Services are merged field by field using the same strategies as extends,
+ * other named resources are deep merged, and scalars are overridden.
+ *
+ * @param {Object} base - Base compose configuration
+ * @param {Object} override - Override compose configuration
+ * @returns {Object} Merged compose configuration
+ */
+export function mergeComposeOverride(base, override) {
+    if (!isMapping(override)) return base || {};
+    if (!isMapping(base)) return override;
+
+    const result = { ...base };
+
+    for (const [key, value] of Object.entries(override)) {
+        if (isResetTag(value)) {
+            delete result[key];
+        } else if (isOverrideTag(value)) {
+            result[key] = stripYamlTags(value.value);
+        } else if (key === 'services' && isMapping(value)) {
+            const services = { ...(resolveTagValue(result.services) || {}) };
+            for (const [name, service] of Object.entries(value)) {
+                services[name] = mergeResource(services[name], service, mergeServiceConfigs);
+            }
+            result.services = services;
+        } else if (RESOURCE_SECTIONS.includes(key) && isMapping(value)) {
+            const resources = { ...(resolveTagValue(result[key]) || {}) };
+            for (const [name, resource] of Object.entries(value)) {
+                resources[name] = mergeResource(resources[name], resource, mergeMappings);
+            }
+            result[key] = resources;
+        } else if (isMapping(result[key]) && isMapping(value)) {
+            result[key] = mergeMappings(result[key], value);
+        } else {
+            result[key] = value;
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Load override files from the file map and merge them, in order, on top of a base configuration.
+ *
+ * @param {Object} compose - Base compose configuration (first file of the stack)
+ * @param {string[]} overrideFiles - Ordered paths of the remaining files in the stack
+ * @param {Object} fileMap - Map of file paths to content
+ * @param {Object} options - Resolver options
+ * @param {boolean} options.enableIncludes - Resolve include directives of each override file (default: true)
+ * @param {string} options.basePath - Path of the base file, used to rebase relative `extends.file` paths
+ * @param {Object} options.includeOptions - Options forwarded to resolveIncludes
+ * @param {Function} options.onFileResolved - Called with the path of each override file once its includes are merged
+ * @returns {Object} Merged compose configuration
+ */
+export function resolveOverrides(compose, overrideFiles = [], fileMap = {}, options = {}) {
+    const { enableIncludes = true, basePath = 'docker-compose.yml', includeOptions = {}, onFileResolved } = options;
+    let merged = compose;
+
+    for (const overridePath of overrideFiles) {
+        const absoluteOverride = normalizePath(overridePath);
+        const content = fileMap[absoluteOverride];
+        if (content === undefined) {
+            throw new Error(
+                `Override file not found: "${overridePath}"\n` +
+                `Available files: ${Object.keys(fileMap).join(', ')}`
+            );
+        }
+
+        let override;
+        try {
+            override = loadComposeYaml(content);
+        } catch (error) {
+            throw new Error(`Failed to parse override file "${overridePath}": ${error.message}`);
+        }
+
+        // An empty override file is valid and changes nothing
+        if (!override) continue;
+        if (!isMapping(override)) {
+            throw new Error(`Invalid override file "${overridePath}": expected object at root`);
+        }
+
+        if (enableIncludes) {
+            override = resolveIncludes(override, absoluteOverride, fileMap, new Set(), includeOptions);
+        }
+        onFileResolved?.(absoluteOverride);
+
+        merged = mergeComposeOverride(merged, rebaseExtendsFiles(override, absoluteOverride, basePath));
+    }
+
+    return merged;
+}
+
+/**
+ * Get the override file names Compose pairs with a base file.
+ * `docker-compose.yml` → `docker-compose.override.yml` / `docker-compose.override.yaml`
+ *
+ * @param {string} path - Base file path
+ * @returns {string[]} Candidate override paths
+ */
+export function getOverrideCandidates(path) {
+    const normalized = normalizePath(path);
+    const match = normalized.match(/^(.*)\.(ya?ml)$/i);
+    if (!match || isOverrideFile(normalized)) return [];
+
+    return [`${match[1]}.override.yml`, `${match[1]}.override.yaml`];
+}
+
+/**
+ * Check if a path looks like an override file (`*.override.yml`).
+ * @param {string} path - File path
+ * @returns {boolean} True if the path is an override file
+ */
+export function isOverrideFile(path) {
+    return /\.override\.ya?ml$/i.test(path || '');
+}
+
+/**
+ * Detect the default compose file stack for a set of uploaded files.
+ * Picks the primary file (explicit or by Compose default names, shallowest first)
+ * and appends its `*.override.yml` companion when present.
+ *
+ * @param {string[]} paths - Available file paths
+ * @param {string} primaryPath - Preferred primary file (optional)
+ * @returns {string[]} Ordered file stack
+ */
+export function detectComposeStack(paths, primaryPath) {
+    const available = (paths || []).map(normalizePath);
+    const availableSet = new Set(available);
+
+    let primary = primaryPath ? normalizePath(primaryPath) : '';
+    if (!primary || !availableSet.has(primary)) {
+        const depth = (path) => path.split('/').length;
+        const byDepth = [...available].sort((a, b) => depth(a) - depth(b));
+        primary = '';
+        for (const candidate of byDepth) {
+            const fileName = candidate.split('/').pop();
+            if (DEFAULT_COMPOSE_FILES.includes(fileName)) {
+                const sameDir = byDepth.filter(path => dirname(path) === dirname(candidate));
+                primary = DEFAULT_COMPOSE_FILES
+                    .map(name => sameDir.find(path => path.split('/').pop() === name))
+                    .find(Boolean);
+                break;
+            }
+        }
+    }
+
+    if (!primary) return [];
+
+    const override = getOverrideCandidates(primary).find(path => availableSet.has(path));
+    return override ? [primary, override] : [primary];
+}
@@ -0,0 +1,238 @@
+import { describe, it, expect } from 'vitest';
+import {
+    mergeComposeOverride,
+    resolveOverrides,
+    detectComposeStack,
+    getOverrideCandidates,
+    isOverrideFile
+} from './overrideResolver';
+
+describe('overrideResolver', () => {
+    describe('mergeComposeOverride', () => {
+        it('concatenates sequences, merges mappings and overrides scalars', () => {
+            const base = {
+                services: {
+                    web: {
+                        image: 'nginx:1.25',
+                        ports: ['80:80'],
+                        environment: { LOG_LEVEL: 'info', MODE: 'base' }
+                    }
+                }
+            };
+            const override = {
+                services: {
+                    web: {
+                        image: 'nginx:1.27',
+                        ports: ['443:443'],
+                        environment: { MODE: 'prod' }
+                    }
+                }
+            };
+
+            const result = mergeComposeOverride(base, override);
+
+            expect(result.services.web.image).toBe('nginx:1.27');
+            expect(result.services.web.ports).toEqual(['80:80', '443:443']);
+            expect(result.services.web.environment).toEqual({ LOG_LEVEL: 'info', MODE: 'prod' });
+        });
+
+        it('merges healthcheck, ulimits and sysctls mappings', () => {
+            const base = {
+                services: {
+                    db: {
+                        healthcheck: { test: ['CMD', 'pg_isready'], interval: '10s' },
+                        ulimits: { nofile: { soft: 1024, hard: 2048 } },
+                        sysctls: ['net.core.somaxconn=1024']
+                    }
+                }
+            };
+            const override = {
+                services: {
+                    db: {
+                        healthcheck: { test: ['CMD-SHELL', 'pg_isready -U app'], retries: 3 },
+                        ulimits: { nproc: 512 },
+                        sysctls: { 'net.ipv4.tcp_syncookies': 0 }
+                    }
+                }
+            };
+
+            const { db } = mergeComposeOverride(base, override).services;
+
+            expect(db.healthcheck).toEqual({ test: ['CMD-SHELL', 'pg_isready -U app'], interval: '10s', retries: 3 });
+            expect(db.ulimits).toEqual({ nofile: { soft: 1024, hard: 2048 }, nproc: 512 });
+            expect(db.sysctls).toEqual({ 'net.core.somaxconn': '1024', 'net.ipv4.tcp_syncookies': 0 });
+        });
+
+        it('concatenates capabilities, devices, env files, secrets and configs', () => {
+            const base = {
+                services: {
+                    app: {
+                        cap_add: ['NET_ADMIN'],
+                        cap_drop: ['ALL'],
+                        devices: ['/dev/fuse:/dev/fuse'],
+                        env_file: '.env',
+                        secrets: ['db_password'],
+                        configs: [{ source: 'app', target: '/etc/app.conf' }]
+                    }
+                }
+            };
+            const override = {
+                services: {
+                    app: {
+                        cap_add: ['SYS_TIME'],
+                        cap_drop: ['MKNOD'],
+                        devices: ['/dev/snd:/dev/snd'],
+                        env_file: ['prod.env'],
+                        secrets: ['api_key'],
+                        configs: ['proxy']
+                    }
+                }
+            };
+
+            const { app } = mergeComposeOverride(base, override).services;
+
+            expect(app.cap_add).toEqual(['NET_ADMIN', 'SYS_TIME']);
+            expect(app.cap_drop).toEqual(['ALL', 'MKNOD']);
+            expect(app.devices).toEqual(['/dev/fuse:/dev/fuse', '/dev/snd:/dev/snd']);
+            expect(app.env_file).toEqual(['.env', 'prod.env']);
+            expect(app.secrets).toEqual(['db_password', 'api_key']);
+            expect(app.configs).toEqual([{ source: 'app', target: '/etc/app.conf' }, 'proxy']);
+        });
+
+        it('merges networks and extra_hosts in either syntax', () => {
+            const base = { services: { web: { networks: ['front'], extra_hosts: ['db:10.0.0.2'] } } };
+            const lists = { services: { web: { networks: ['back', 'front'], extra_hosts: ['cache=10.0.0.3'] } } };
+            const mappings = {
+                services: { web: { networks: { back: { aliases: ['api'] } }, extra_hosts: { db: '10.0.0.9' } } }
+            };
+
+            const fromLists = mergeComposeOverride(base, lists).services.web;
+            expect(fromLists.networks).toEqual(['front', 'back']);
+            expect(fromLists.extra_hosts).toEqual(['db:10.0.0.2', 'cache=10.0.0.3']);
+
+            const fromMappings = mergeComposeOverride(base, mappings).services.web;
+            expect(fromMappings.networks).toEqual({ front: null, back: { aliases: ['api'] } });
+            expect(fromMappings.extra_hosts).toEqual({ db: '10.0.0.9' });
+        });
+
+        it('merges unlisted fields by value type', () => {
+            const base = { services: { web: { 'x-meta': { team: 'a' }, group_add: ['audio'], stop_signal: 'SIGTERM' } } };
+            const override = { services: { web: { 'x-meta': { tier: 'edge' }, group_add: ['video'], stop_signal: 'SIGQUIT' } } };
+
+            const { web } = mergeComposeOverride(base, override).services;
+
+            expect(web['x-meta']).toEqual({ team: 'a', tier: 'edge' });
+            expect(web.group_add).toEqual(['audio', 'video']);
+            expect(web.stop_signal).toBe('SIGQUIT');
+        });
+
+        it('merges list-syntax environment with mapping syntax', () => {
+            const base = { services: { app: { environment: ['A=1', 'B=2'] } } };
+            const override = { services: { app: { environment: { B: '3' } } } };
+
+            const result = mergeComposeOverride(base, override);
+
+            expect(result.services.app.environment).toEqual({ A: '1', B: '3' });
+        });
+
+        it('adds services that only exist in the override', () => {
+            const base = { services: { web: { image: 'nginx' } } };
+            const override = { services: { debug: { image: 'busybox' } } };
+
+            const result = mergeComposeOverride(base, override);
+
+            expect(Object.keys(result.services)).toEqual(['web', 'debug']);
+        });
+
+        it('deep merges named resources', () => {
+            const base = { networks: { backend: { driver: 'bridge', labels: { team: 'a' } } } };
+            const override = { networks: { backend: { labels: { env: 'prod' } } } };
+
+            const result = mergeComposeOverride(base, override);
+
+            expect(result.networks.backend).toEqual({
+                driver: 'bridge',
+                labels: { team: 'a', env: 'prod' }
+            });
+        });
+
+        it('overrides the project name', () => {
+            const result = mergeComposeOverride({ name: 'base' }, { name: 'prod' });
+            expect(result.name).toBe('prod');
+        });
+    });
+
+    describe('resolveOverrides', () => {
+        it('applies override files in order', () => {
+            const base = { services: { web: { image: 'nginx:1', ports: ['80:80'] } } };
+            const fileMap = {
+                'docker-compose.override.yml': 'services:\n  web:\n    image: nginx:2\n',
+                'prod.yml': 'services:\n  web:\n    image: nginx:3\n    ports:\n      - "443:443"\n'
+            };
+
+            const result = resolveOverrides(base, ['docker-compose.override.yml', 'prod.yml'], fileMap);
+
+            expect(result.services.web.image).toBe('nginx:3');
+            expect(result.services.web.ports).toEqual(['80:80', '443:443']);
+        });
+
+        it('resolves includes relative to the override file', () => {
+            const base = { services: { web: { image: 'nginx' } } };
+            const fileMap = {
+                'envs/prod.yml': 'include:\n  - ./monitoring.yml\nservices:\n  web:\n    restart: always\n',
+                'envs/monitoring.yml': 'services:\n  grafana:\n    image: grafana/grafana\n'
+            };
+
+            const result = resolveOverrides(base, ['envs/prod.yml'], fileMap);
+
+            expect(result.services.web.restart).toBe('always');
+            expect(result.services.grafana).toBeDefined();
+        });
+
+        it('ignores empty override files', () => {
+            const base = { services: { web: { image: 'nginx' } } };
+            const result = resolveOverrides(base, ['empty.yml'], { 'empty.yml': '' });
+            expect(result).toEqual(base);
+        });
+
+        it('throws for missing override files', () => {
+            expect(() => resolveOverrides({}, ['missing.yml'], {})).toThrow(/Override file not found/);
+        });
+    });
+
+    describe('detectComposeStack', () => {
+        it('pairs the primary file with its override', () => {
+            const paths = ['app/docker-compose.yml', 'app/docker-compose.override.yml', 'app/prod.yml'];
+            expect(detectComposeStack(paths)).toEqual(['app/docker-compose.yml', 'app/docker-compose.override.yml']);
+        });
+
+        it('respects an explicit primary file', () => {
+            const paths = ['docker-compose.yml', 'base.yml', 'base.override.yaml'];
+            expect(detectComposeStack(paths, 'base.yml')).toEqual(['base.yml', 'base.override.yaml']);
+        });
+
+        it('prefers compose.yaml and the shallowest directory', () => {
+            const paths = ['nested/docker-compose.yml', 'docker-compose.yml', 'compose.yaml'];
+            expect(detectComposeStack(paths)).toEqual(['compose.yaml']);
+        });
+
+        it('returns an empty stack when no compose file is found', () => {
+            expect(detectComposeStack(['notes.yml'])).toEqual([]);
+        });
+    });
+
+    describe('override file names', () => {
+        it('builds override candidates for a base file', () => {
+            expect(getOverrideCandidates('dir/compose.yml')).toEqual([
+                'dir/compose.override.yml',
+                'dir/compose.override.yaml'
+            ]);
+            expect(getOverrideCandidates('compose.override.yml')).toEqual([]);
+        });
+
+        it('detects override files', () => {
+            expect(isOverrideFile('docker-compose.override.yml')).toBe(true);
+            expect(isOverrideFile('docker-compose.yml')).toBe(false);
+        });
+    });
+});
@@ -146,3 +146,39 @@ export function getRelativePath(fromPath, toPath) {
 
     return [...relativeParts, ...remainingParts].join('/') || '.';
 }
+
+/**
+ * Rebase a relative path from one directory onto another.
+ * Absolute paths, home paths and paths with variables are returned unchanged.
+ *
+ * @param {string} path - Path relative to fromDir
+ * @param {string} fromDir - Directory the path is relative to
+ * @param {string} toDir - Directory the result should be relative to
+ * @returns {string} Path relative to toDir (prefixed with ./ or ../)
+ */
+export function rebasePath(path, fromDir, toDir) {
+    if (typeof path !== 'string' || !path.startsWith('.')) return path;
+
+    const from = normalizePath(fromDir);
+    const to = normalizePath(toDir);
+    if (from === to) return path;
+
+    const target = joinPath(from, path);
+    const toParts = to ? to.split('/') : [];
+    const targetParts = target ? target.split('/') : [];
+
+    let commonLength = 0;
+    while (
+        commonLength < toParts.length &&
+        commonLength < targetParts.length &&
+        toParts[commonLength] === targetParts[commonLength]
+    ) {
+        commonLength++;
+    }
+
+    const upLevels = toParts.length - commonLength;
+    const relative = [...Array(upLevels).fill('..'), ...targetParts.slice(commonLength)].join('/');
+
+    if (!relative) return '.';
+    return upLevels > 0 ? relative : `./${relative}`;
+}
@@ -5,7 +5,8 @@ import {
     joinPath,
     resolvePath,
     createFileMap,
-    getRelativePath
+    getRelativePath,
+    rebasePath
 } from './pathResolver';
 
 describe('pathResolver', () => {
@@ -176,4 +177,24 @@ describe('pathResolver', () => {
                 .toBe('../baz/qux.yml');
         });
     });
+    describe('rebasePath', () => {
+        it('rebases a relative path onto a parent directory', () => {
+            expect(rebasePath('./data', 'project/services/db', 'project')).toBe('./services/db/data');
+        });
+
+        it('walks up when the target is outside the new directory', () => {
+            expect(rebasePath('../shared', 'project/services', 'project/app')).toBe('../shared');
+            expect(rebasePath('.', 'project/web', 'project/api')).toBe('../web');
+        });
+
+        it('leaves absolute, home and named paths unchanged', () => {
+            expect(rebasePath('/var/lib/data', 'a', 'b')).toBe('/var/lib/data');
+            expect(rebasePath('~/data', 'a', 'b')).toBe('~/data');
+            expect(rebasePath('pgdata', 'a', 'b')).toBe('pgdata');
+        });
+
+        it('returns the path unchanged within the same directory', () => {
+            expect(rebasePath('./app', 'project', 'project')).toBe('./app');
+        });
+    });
 });
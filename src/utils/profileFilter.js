@@ -1,6 +1,6 @@
 /**
  * Docker Compose profile filter.
- * Filters services based on active profiles.
+ * Filters services based on active profiles or target services and their dependencies.
  */
 
 /**
@@ -125,6 +125,136 @@ export function filterByProfiles(compose, activeProfiles = []) {
     };
 }
 
+/**
+ * Get the dependencies of a service from `depends_on` (list or map syntax).
+ *
+ * @param {Object} service - Service configuration
+ * @returns {Array<{name: string, required: boolean}>} Dependencies in declaration order
+ */
+export function getServiceDependencies(service) {
+    const dependsOn = service?.depends_on;
+    if (Array.isArray(dependsOn)) {
+        return dependsOn.filter(name => typeof name === 'string').map(name => ({ name, required: true }));
+    }
+    if (dependsOn && typeof dependsOn === 'object') {
+        return Object.entries(dependsOn).map(([name, config]) => ({
+            name,
+            required: config?.required !== false && config?.required !== 'false'
+        }));
+    }
+    return [];
+}
+
+/**
+ * Get every reference from a service to another service: `depends_on`, `links`,
+ * `volumes_from` and `network_mode: service:x` (Compose treats all of them as dependencies).
+ *
+ * @param {Object} service - Service configuration
+ * @returns {Array<{name: string, field: string, required: boolean}>} Referenced services with the dot path of the reference
+ */
+export function getServiceReferences(service) {
+    const references = getServiceDependencies(service).map(({ name, required }, index) => ({
+        name,
+        field: Array.isArray(service.depends_on) ? `depends_on.${index}` : `depends_on.${name}`,
+        required
+    }));
+
+    (Array.isArray(service?.links) ? service.links : []).forEach((link, index) => {
+        if (typeof link === 'string') references.push({ name: link.split(':')[0], field: `links.${index}`, required: true });
+    });
+    (Array.isArray(service?.volumes_from) ? service.volumes_from : []).forEach((source, index) => {
+        if (typeof source === 'string' && !source.startsWith('container:')) {
+            references.push({ name: source.replace(/^service:/, '').split(':')[0], field: `volumes_from.${index}`, required: true });
+        }
+    });
+    if (typeof service?.network_mode === 'string' && service.network_mode.startsWith('service:')) {
+        references.push({ name: service.network_mode.slice('service:'.length), field: 'network_mode', required: true });
+    }
+
+    return references;
+}
+
+/**
+ * Find references from remaining services to services the profile selection filtered out.
+ * Compose refuses to start such a project; each conflict names the profiles that would enable the target.
+ *
+ * @param {Object} compose - Compose configuration before filtering
+ * @param {Object} filtered - Compose configuration after filtering
+ * @returns {Array<{service: string, field: string, target: string, profiles: string[], message: string}>} Conflicts
+ */
+export function findProfileConflicts(compose, filtered) {
+    const allServices = compose?.services || {};
+    const remaining = filtered?.services || {};
+    const conflicts = [];
+
+    for (const [service, config] of Object.entries(remaining)) {
+        for (const { name, field, required } of getServiceReferences(config)) {
+            if (!required || remaining[name] || !allServices[name]) continue;
+
+            const profiles = getServiceProfiles(allServices[name]);
+            const fix = profiles.length === 1
+                ? `enable profile "${profiles[0]}"`
+                : `enable one of the profiles ${profiles.map(profile => `"${profile}"`).join(', ')}`;
+            const relation = field.startsWith('depends_on') ? 'depends on'
+                : field.startsWith('links') ? 'links to'
+                    : field.startsWith('volumes_from') ? 'mounts volumes from'
+                        : 'shares the network of';
+            conflicts.push({
+                service,
+                field,
+                target: name,
+                profiles,
+                message: `Service "${service}" ${relation} "${name}", which is disabled by the active profiles; ${fix} to start it`
+            });
+        }
+    }
+
+    return conflicts;
+}
+
+/**
+ * Select target services and their transitive `depends_on` closure, like `docker compose up svc`
+ * (links, `volumes_from` and `network_mode: service:x` count as dependencies too).
+ * Targets and required dependencies are enabled whatever their profiles; optional
+ * dependencies (`required: false`) only when the active profiles enable them.
+ *
+ * @param {Object} compose - Compose configuration
+ * @param {string[]} targetServices - Names of the targeted services
+ * @param {string[]} activeProfiles - Array of active profile names
+ * @returns {{compose: Object, pulledIn: Object<string, string[]>, unknown: string[]}} Compose configuration with only the
+ *   selected services, the services that pulled in each dependency, and targets that are not defined
+ */
+export function selectTargetServices(compose, targetServices = [], activeProfiles = []) {
+    const services = compose?.services || {};
+    const unknown = targetServices.filter(name => !services[name]);
+    const selected = new Set(targetServices.filter(name => services[name]));
+    const pulledIn = {};
+    const queue = [...selected];
+
+    while (queue.length > 0) {
+        const dependent = queue.shift();
+        for (const { name, required } of getServiceReferences(services[dependent])) {
+            if (!services[name] || (!required && !matchesProfiles(services[name], activeProfiles))) continue;
+            if (!targetServices.includes(name)) {
+                pulledIn[name] = [...(pulledIn[name] || []), dependent];
+            }
+            if (!selected.has(name)) {
+                selected.add(name);
+                queue.push(name);
+            }
+        }
+    }
+
+    return {
+        compose: {
+            ...compose,
+            services: Object.fromEntries(Object.entries(services).filter(([name]) => selected.has(name)))
+        },
+        pulledIn,
+        unknown
+    };
+}
+
 /**
  * Get statistics about profile usage.
  * 
@@ -4,8 +4,13 @@ import {
     getServiceProfiles,
     matchesProfiles,
     filterByProfiles,
+    getServiceDependencies,
+    getServiceReferences,
+    findProfileConflicts,
+    selectTargetServices,
     getProfileStats
 } from './profileFilter';
+import { parseCompose } from './composeParser';
 
 describe('profileFilter', () => {
     describe('getServiceProfiles', () => {
@@ -211,4 +216,130 @@ describe('profileFilter', () => {
             });
         });
     });
+
+    describe('getServiceDependencies', () => {
+        it('reads list and map syntax', () => {
+            expect(getServiceDependencies({ depends_on: ['db'] })).toEqual([{ name: 'db', required: true }]);
+            expect(getServiceDependencies({ depends_on: { db: { condition: 'service_healthy' }, cache: { required: false } } })).toEqual([
+                { name: 'db', required: true },
+                { name: 'cache', required: false }
+            ]);
+            expect(getServiceDependencies({ image: 'nginx' })).toEqual([]);
+        });
+    });
+
+    describe('selectTargetServices', () => {
+        const compose = {
+            services: {
+                web: { depends_on: ['api'] },
+                api: { profiles: ['backend'], depends_on: { db: {}, cache: { required: false }, metrics: { required: false } } },
+                db: { profiles: ['backend'] },
+                cache: { image: 'redis' },
+                metrics: { profiles: ['monitoring'] },
+                worker: { image: 'worker' }
+            }
+        };
+
+        it('keeps targets and the transitive depends_on closure whatever their profiles', () => {
+            const { compose: selected, pulledIn, unknown } = selectTargetServices(compose, ['web']);
+
+            expect(Object.keys(selected.services)).toEqual(['web', 'api', 'db', 'cache']);
+            expect(pulledIn).toEqual({ api: ['web'], db: ['api'], cache: ['api'] });
+            expect(unknown).toEqual([]);
+        });
+
+        it('only pulls in optional dependencies enabled by the active profiles', () => {
+            const { compose: selected } = selectTargetServices(compose, ['api'], ['monitoring']);
+
+            expect(Object.keys(selected.services)).toEqual(['api', 'db', 'cache', 'metrics']);
+        });
+
+        it('reports unknown targets', () => {
+            expect(selectTargetServices(compose, ['nope']).unknown).toEqual(['nope']);
+        });
+
+        it('is applied by the parser instead of the profile filter', () => {
+            const yaml = 'services:\n  app:\n    image: app\n    profiles: [tools]\n    depends_on: [db]\n  db:\n    image: db\n    profiles: [data]\n  web:\n    image: web\n';
+
+            const result = parseCompose(yaml, { targetServices: ['app'] });
+
+            expect(Object.keys(result.compose.services)).toEqual(['app', 'db']);
+            expect(result.implicitServices).toEqual({ db: ['app'] });
+            expect(result.serviceNames).toEqual(['app', 'db', 'web']);
+        });
+    });
+
+    describe('getServiceReferences', () => {
+        it('collects depends_on, links, volumes_from and network_mode references', () => {
+            const service = {
+                depends_on: { db: { required: false } },
+                links: ['cache:redis'],
+                volumes_from: ['data:ro', 'container:legacy'],
+                network_mode: 'service:vpn'
+            };
+
+            expect(getServiceReferences(service)).toEqual([
+                { name: 'db', field: 'depends_on.db', required: false },
+                { name: 'cache', field: 'links.0', required: true },
+                { name: 'data', field: 'volumes_from.0', required: true },
+                { name: 'vpn', field: 'network_mode', required: true }
+            ]);
+        });
+    });
+
+    describe('findProfileConflicts', () => {
+        const compose = {
+            services: {
+                web: { depends_on: ['api'], network_mode: 'service:vpn', links: ['metrics'] },
+                api: { profiles: ['backend'] },
+                vpn: { profiles: ['net', 'secure'] },
+                metrics: { profiles: ['monitoring'] },
+                missing: { depends_on: ['ghost'] }
+            }
+        };
+
+        it('names the profile that enables a filtered-out reference', () => {
+            const conflicts = findProfileConflicts(compose, filterByProfiles(compose, ['monitoring']));
+
+            expect(conflicts).toEqual([
+                {
+                    service: 'web',
+                    field: 'depends_on.0',
+                    target: 'api',
+                    profiles: ['backend'],
+                    message: 'Service "web" depends on "api", which is disabled by the active profiles; enable profile "backend" to start it'
+                },
+                {
+                    service: 'web',
+                    field: 'network_mode',
+                    target: 'vpn',
+                    profiles: ['net', 'secure'],
+                    message: 'Service "web" shares the network of "vpn", which is disabled by the active profiles; enable one of the profiles "net", "secure" to start it'
+                }
+            ]);
+        });
+
+        it('ignores optional dependencies and undefined services', () => {
+            const optional = { services: { web: { depends_on: { api: { required: false } } }, api: { profiles: ['backend'] } } };
+
+            expect(findProfileConflicts(optional, filterByProfiles(optional, []))).toEqual([]);
+            expect(findProfileConflicts(compose, filterByProfiles(compose, ['backend', 'net', 'monitoring']))).toEqual([]);
+        });
+
+        it('is reported by the parser at the reference', () => {
+            const yaml = 'services:\n  web:\n    image: web\n    depends_on:\n      - db\n  db:\n    image: db\n    profiles: [data]\n';
+
+            const [issue] = parseCompose(yaml).errors.filter(e => e.stage === 'profiles');
+
+            expect(issue).toMatchObject({
+                type: 'profile',
+                entity: 'service',
+                name: 'web',
+                field: 'depends_on.0',
+                profiles: ['data'],
+                location: { line: 5 }
+            });
+            expect(issue.message).toContain('enable profile "data"');
+        });
+    });
 });
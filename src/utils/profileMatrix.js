@@ -0,0 +1,84 @@
+/**
+ * Profile matrix helpers.
+ * Assigns profiles to services one cell at a time or in bulk, by network or tier.
+ */
+
+import { getServiceProfiles } from './profileFilter.js';
+import { classifyServiceTier } from './graphviz.js';
+
+/**
+ * Add or remove a profile on a service.
+ *
+ * @param {Object} service - Service configuration
+ * @param {string} profile - Profile name
+ * @param {boolean} enabled - Whether the service should have the profile
+ * @returns {string[]} New `profiles` list (empty when the service has none left)
+ */
+export function setServiceProfile(service, profile, enabled) {
+    const profiles = getServiceProfiles(service).filter((p) => p !== profile);
+    return enabled ? [...profiles, profile] : profiles;
+}
+
+/**
+ * Group services by the networks they join. Services without networks join `default`;
+ * services with a `network_mode` join none.
+ *
+ * @param {Object} services - Services by name
+ * @returns {Object<string, string[]>} Service names per network
+ */
+export function groupServicesByNetwork(services = {}) {
+    const groups = {};
+
+    for (const [name, service] of Object.entries(services)) {
+        if (service?.network_mode) continue;
+        const networks = Array.isArray(service?.networks)
+            ? service.networks
+            : Object.keys(service?.networks || {});
+        for (const network of networks.length > 0 ? networks : ['default']) {
+            if (!groups[network]) groups[network] = [];
+            groups[network].push(name);
+        }
+    }
+
+    return groups;
+}
+
+/**
+ * Group services by the tier the diagram assigns them (routing, application, persistence).
+ *
+ * @param {Object} services - Services by name
+ * @returns {Object<string, string[]>} Service names per tier
+ */
+export function groupServicesByTier(services = {}) {
+    const groups = {};
+
+    for (const [name, service] of Object.entries(services)) {
+        const tier = classifyServiceTier(name, service || {});
+        if (!groups[tier]) groups[tier] = [];
+        groups[tier].push(name);
+    }
+
+    return groups;
+}
+
+/**
+ * Compute the `profiles` updates that add or remove a profile on several services.
+ * Services that already match are left out.
+ *
+ * @param {Object} services - Services by name
+ * @param {string[]} names - Services to update
+ * @param {string} profile - Profile name
+ * @param {boolean} enabled - Whether the services should have the profile
+ * @returns {Object<string, string[]>} New `profiles` list per changed service
+ */
+export function assignProfile(services, names, profile, enabled) {
+    const updates = {};
+
+    for (const name of names) {
+        const service = services?.[name];
+        if (!service || getServiceProfiles(service).includes(profile) === enabled) continue;
+        updates[name] = setServiceProfile(service, profile, enabled);
+    }
+
+    return updates;
+}
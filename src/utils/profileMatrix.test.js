@@ -0,0 +1,48 @@
+import { describe, it, expect } from 'vitest';
+import { setServiceProfile, groupServicesByNetwork, groupServicesByTier, assignProfile } from './profileMatrix';
+
+describe('profileMatrix', () => {
+    describe('setServiceProfile', () => {
+        it('adds and removes a profile', () => {
+            expect(setServiceProfile({ profiles: ['dev'] }, 'debug', true)).toEqual(['dev', 'debug']);
+            expect(setServiceProfile({ profiles: 'dev' }, 'dev', false)).toEqual([]);
+            expect(setServiceProfile({ profiles: ['dev'] }, 'dev', true)).toEqual(['dev']);
+        });
+    });
+
+    describe('groupServicesByNetwork', () => {
+        it('groups services by network, defaulting to the default network', () => {
+            const services = {
+                web: { networks: ['front', 'back'] },
+                api: { networks: { back: { aliases: ['api'] } } },
+                job: { image: 'job' },
+                sidecar: { network_mode: 'service:web' }
+            };
+
+            expect(groupServicesByNetwork(services)).toEqual({
+                front: ['web'],
+                back: ['web', 'api'],
+                default: ['job']
+            });
+        });
+    });
+
+    describe('groupServicesByTier', () => {
+        it('uses the diagram tiers', () => {
+            expect(groupServicesByTier({
+                db: { image: 'postgres:16' },
+                proxy: { image: 'traefik' },
+                api: { image: 'node' }
+            })).toEqual({ persistence: ['db'], routing: ['proxy'], application: ['api'] });
+        });
+    });
+
+    describe('assignProfile', () => {
+        it('only returns services that change', () => {
+            const services = { a: { profiles: ['dev'] }, b: {}, c: { profiles: ['ops'] } };
+
+            expect(assignProfile(services, ['a', 'b', 'missing'], 'dev', true)).toEqual({ b: ['dev'] });
+            expect(assignProfile(services, ['a', 'c'], 'dev', false)).toEqual({ a: [] });
+        });
+    });
+});
@@ -0,0 +1,174 @@
+/**
+ * Project configuration for suggestion rules (`.compoviz.yml`).
+ *
+ *   rules:
+ *     no-resource-limits: off          # disable
+ *     latest-tag: high                 # change the severity
+ *     db-bindmount-no-user:
+ *       severity: low
+ *       options:
+ *         images: [postgres, mysql]
+ *
+ * A rule is `off`/`on` (or `false`/`true`), a severity, or `{enabled, severity, options}`.
+ */
+
+import yaml from 'js-yaml';
+import { dirname, joinPath } from './pathResolver.js';
+import { buildSourceMap, lookupSource } from './sourceMap.js';
+import { findClosestMatch } from './schemaValidator.js';
+import { SUGGESTION_RULES, SuggestionSeverity, getSuggestionRule } from './suggestionRules.js';
+
+/**
+ * Config file names, looked up next to the base Compose file.
+ */
+export const RULE_CONFIG_FILES = ['.compoviz.yml', '.compoviz.yaml'];
+
+/**
+ * Config without overrides: every rule with its defaults.
+ */
+export const DEFAULT_RULE_CONFIG = Object.freeze({});
+
+const SEVERITIES = Object.values(SuggestionSeverity);
+const RULE_KEYS = ['enabled', 'severity', 'options'];
+const TOGGLES = { on: true, off: false, true: true, false: false };
+
+const basename = (path) => path.split('/').pop();
+
+/**
+ * Find the rule config of a project: the `.compoviz.yml` next to the base file,
+ * else the shallowest one in the upload.
+ *
+ * @param {string[]} paths - Available file paths
+ * @param {string} basePath - Path of the base Compose file
+ * @returns {string|null} Config file path
+ */
+export function findRuleConfigFile(paths, basePath = 'docker-compose.yml') {
+    const projectDir = dirname(basePath);
+    const local = RULE_CONFIG_FILES.map((name) => joinPath(projectDir, name)).find((path) => paths.includes(path));
+    if (local) return local;
+
+    const [shallowest] = paths
+        .filter((path) => RULE_CONFIG_FILES.includes(basename(path)))
+        .sort((a, b) => a.split('/').length - b.split('/').length);
+    return shallowest || null;
+}
+
+const sameType = (value, fallback) => (Array.isArray(fallback)
+    ? Array.isArray(value) && value.every((item) => typeof item === 'string')
+    : typeof value === typeof fallback);
+
+/**
+ * Parse a rule config file.
+ * Invalid entries are reported and skipped; the rest of the file still applies.
+ *
+ * @param {string} content - YAML content
+ * @param {string} [file] - Path of the file, for error locations
+ * @returns {{config: Object<string, {enabled?: boolean, severity?: string, options?: Object}>, errors: Array<{type: string, message: string, stage: string, location: Object|null}>}}
+ *   Overrides by rule id and config errors
+ */
+export function parseRuleConfig(content, file = RULE_CONFIG_FILES[0]) {
+    const config = {};
+    const errors = [];
+    const sourceMap = buildSourceMap(content || '', file);
+    const report = (message, segments) => errors.push({
+        type: 'rule_config',
+        message: `${message} (${file})`,
+        stage: 'rule-config',
+        location: segments ? lookupSource(sourceMap, segments) || { file, line: 1, column: 1 } : { file, line: 1, column: 1 }
+    });
+
+    let document;
+    try {
+        document = yaml.load(content || '') || {};
+    } catch (error) {
+        errors.push({
+            type: 'rule_config',
+            message: `${error.reason || error.message} (${file})`,
+            stage: 'rule-config',
+            // js-yaml marks are 0-based
+            location: error.mark ? { file, line: error.mark.line + 1, column: error.mark.column + 1 } : { file, line: 1, column: 1 }
+        });
+        return { config, errors };
+    }
+    if (typeof document !== 'object' || Array.isArray(document)) {
+        report('Expected a mapping with a "rules" key');
+        return { config, errors };
+    }
+
+    for (const key of Object.keys(document)) {
+        if (key !== 'rules') report(`Unknown key "${key}"; expected "rules"`, [key]);
+    }
+    const rules = document.rules || {};
+    if (typeof rules !== 'object' || Array.isArray(rules)) {
+        report('"rules" must map rule ids to settings', ['rules']);
+        return { config, errors };
+    }
+
+    for (const [id, value] of Object.entries(rules)) {
+        const path = ['rules', id];
+        const rule = getSuggestionRule(id);
+        if (!rule) {
+            const match = findClosestMatch(id, SUGGESTION_RULES.map((candidate) => candidate.id));
+            report(`Unknown rule "${id}"${match ? `; did you mean "${match}"?` : ''}`, path);
+            continue;
+        }
+
+        const settings = value !== null && typeof value === 'object' && !Array.isArray(value)
+            ? value
+            : (String(value) in TOGGLES ? { enabled: TOGGLES[String(value)] } : { severity: value });
+        const override = {};
+
+        for (const key of Object.keys(settings)) {
+            if (!RULE_KEYS.includes(key)) report(`Unknown setting "${key}" for rule "${id}"; expected ${RULE_KEYS.join(', ')}`, [...path, key]);
+        }
+        if (settings.enabled !== undefined) {
+            if (typeof settings.enabled === 'boolean') override.enabled = settings.enabled;
+            else report(`"enabled" of rule "${id}" must be true or false`, [...path, 'enabled']);
+        }
+        if (settings.severity !== undefined) {
+            if (SEVERITIES.includes(settings.severity)) override.severity = settings.severity;
+            else report(`Invalid severity "${settings.severity}" for rule "${id}"; expected off, on or ${SEVERITIES.join(', ')}`, [...path, 'severity']);
+        }
+        if (settings.options !== undefined) {
+            const options = settings.options && typeof settings.options === 'object' ? settings.options : {};
+            if (options !== settings.options) report(`"options" of rule "${id}" must be a mapping`, [...path, 'options']);
+            for (const [name, optionValue] of Object.entries(options)) {
+                if (!(name in rule.options)) {
+                    const known = Object.keys(rule.options);
+                    report(`Unknown option "${name}" for rule "${id}"${known.length > 0 ? `; expected ${known.join(', ')}` : ''}`, [...path, 'options', name]);
+                } else if (!sameType(optionValue, rule.options[name])) {
+                    report(`Option "${name}" of rule "${id}" must be ${Array.isArray(rule.options[name]) ? 'a list of strings' : `a ${typeof rule.options[name]}`}`, [...path, 'options', name]);
+                } else {
+                    override.options = { ...override.options, [name]: optionValue };
+                }
+            }
+        }
+        config[id] = override;
+    }
+
+    return { config, errors };
+}
+
+const resolvedRules = new WeakMap();
+
+/**
+ * Apply a rule config to the registry.
+ * Results are cached per config object, so pass the same object while it does not change.
+ *
+ * @param {Object} [config] - Overrides from parseRuleConfig
+ * @returns {Array<Object>} Enabled rules with their effective severity and options
+ */
+export function resolveRules(config = DEFAULT_RULE_CONFIG) {
+    if (resolvedRules.has(config)) return resolvedRules.get(config);
+
+    const rules = SUGGESTION_RULES
+        .filter((rule) => config[rule.id]?.enabled !== false)
+        .map((rule) => {
+            const override = config[rule.id];
+            return override
+                ? { ...rule, severity: override.severity || rule.severity, options: { ...rule.options, ...override.options } }
+                : rule;
+        });
+    resolvedRules.set(config, rules);
+    return rules;
+}
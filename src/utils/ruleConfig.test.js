@@ -0,0 +1,81 @@
+import { describe, it, expect } from 'vitest';
+import { parseRuleConfig, resolveRules, findRuleConfigFile, DEFAULT_RULE_CONFIG } from './ruleConfig.js';
+import { SUGGESTION_RULES } from './suggestionRules.js';
+
+describe('parseRuleConfig', () => {
+    it('reads toggles, severities and options', () => {
+        const { config, errors } = parseRuleConfig([
+            'rules:',
+            '  no-resource-limits: off',
+            '  missing-healthcheck: false',
+            '  latest-tag: high',
+            '  db-bindmount-no-user:',
+            '    severity: low',
+            '    options:',
+            '      images: [postgres, mysql]',
+            '      puidPgid: false',
+            ''
+        ].join('\n'));
+
+        expect(errors).toEqual([]);
+        expect(config).toEqual({
+            'no-resource-limits': { enabled: false },
+            'missing-healthcheck': { enabled: false },
+            'latest-tag': { severity: 'high' },
+            'db-bindmount-no-user': { severity: 'low', options: { images: ['postgres', 'mysql'], puidPgid: false } }
+        });
+    });
+
+    it('reports invalid entries at their location and keeps the rest', () => {
+        const { config, errors } = parseRuleConfig([
+            'rules:',
+            '  latest-tags: off',
+            '  privileged: urgent',
+            '  no-user:',
+            '    options:',
+            '      puidPgid: "no"',
+            '      images: [plex]',
+            '  missing-restart: off',
+            ''
+        ].join('\n'), 'app/.compoviz.yml');
+
+        expect(config).toEqual({ 'privileged': {}, 'no-user': {}, 'missing-restart': { enabled: false } });
+        expect(errors.map((error) => [error.message, error.location.line])).toEqual([
+            ['Unknown rule "latest-tags"; did you mean "latest-tag"? (app/.compoviz.yml)', 2],
+            ['Invalid severity "urgent" for rule "privileged"; expected off, on or info, low, medium, high, critical (app/.compoviz.yml)', 3],
+            ['Option "puidPgid" of rule "no-user" must be a boolean (app/.compoviz.yml)', 6],
+            ['Unknown option "images" for rule "no-user"; expected puidPgid (app/.compoviz.yml)', 7]
+        ]);
+        expect(errors[0]).toMatchObject({ type: 'rule_config', stage: 'rule-config', location: { file: 'app/.compoviz.yml', column: 3 } });
+    });
+
+    it('reports YAML syntax errors and unknown top-level keys', () => {
+        expect(parseRuleConfig('rules: [\n').errors[0].location).toMatchObject({ file: '.compoviz.yml', line: 2 });
+        expect(parseRuleConfig('rule:\n  privileged: off\n').errors[0].message).toContain('Unknown key "rule"');
+        expect(parseRuleConfig('').errors).toEqual([]);
+    });
+});
+
+describe('resolveRules', () => {
+    it('applies overrides on top of the registry defaults', () => {
+        const { config } = parseRuleConfig('rules:\n  privileged: off\n  latest-tag: high\n  secrets-in-env:\n    options:\n      patterns: [API_KEY]\n');
+        const rules = resolveRules(config);
+
+        expect(rules).toHaveLength(SUGGESTION_RULES.length - 1);
+        expect(rules.find((rule) => rule.id === 'privileged')).toBeUndefined();
+        expect(rules.find((rule) => rule.id === 'latest-tag').severity).toBe('high');
+        expect(rules.find((rule) => rule.id === 'secrets-in-env').options).toEqual({ patterns: ['API_KEY'] });
+        expect(resolveRules(config)).toBe(rules);
+        expect(resolveRules(DEFAULT_RULE_CONFIG)).toEqual(SUGGESTION_RULES);
+    });
+});
+
+describe('findRuleConfigFile', () => {
+    it('prefers the config next to the base file', () => {
+        const paths = ['repo/.compoviz.yml', 'repo/app/.compoviz.yaml', 'repo/app/compose.yml'];
+
+        expect(findRuleConfigFile(paths, 'repo/app/compose.yml')).toBe('repo/app/.compoviz.yaml');
+        expect(findRuleConfigFile(paths, 'repo/other/compose.yml')).toBe('repo/.compoviz.yml');
+        expect(findRuleConfigFile(['repo/compose.yml'], 'repo/compose.yml')).toBeNull();
+    });
+});
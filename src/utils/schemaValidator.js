@@ -0,0 +1,286 @@
+/**
+ * Compose Specification schema validator.
+ * Validates a Compose model against the bundled compose-spec JSON Schema (no network access needed)
+ * and turns schema errors into readable issues with field paths and did-you-mean suggestions.
+ *
+ * `schema/compose-spec.json` is a copy of `schema/compose-spec.json` from
+ * https://github.com/compose-spec/compose-spec (Apache-2.0); replace it to update the spec version.
+ */
+
+import Ajv from 'ajv';
+import composeSpecSchema from './schema/compose-spec.json' with { type: 'json' };
+
+/**
+ * Top-level sections whose entries are named resources, with the issue entity of each.
+ */
+const RESOURCE_ENTITIES = {
+    services: 'service',
+    networks: 'network',
+    volumes: 'volume',
+    secrets: 'secret',
+    configs: 'config'
+};
+
+const COMPOSITE_KEYWORDS = ['oneOf', 'anyOf', 'allOf', 'if', 'not'];
+
+let validator = null;
+
+/**
+ * Compile the schema on first use and reuse it afterwards.
+ * @returns {Function} Ajv validate function
+ */
+function getValidator() {
+    if (!validator) {
+        const ajv = new Ajv({ allErrors: true, verbose: true, strict: false, validateSchema: false });
+        validator = ajv.compile(composeSpecSchema);
+    }
+    return validator;
+}
+
+/**
+ * Levenshtein distance between two strings.
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Number of single-character edits
+ */
+function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+/**
+ * Find the candidate closest to a misspelled value.
+ *
+ * @param {string} value - Value as written
+ * @param {string[]} candidates - Valid values
+ * @returns {string|null} Closest candidate, or null if none is close enough
+ */
+export function findClosestMatch(value, candidates) {
+    if (typeof value !== 'string' || !value) return null;
+
+    const lower = value.toLowerCase();
+    const maxDistance = Math.max(2, Math.floor(value.length / 3));
+    let best = null;
+    let bestDistance = Infinity;
+
+    for (const candidate of candidates) {
+        if (typeof candidate !== 'string') continue;
+        const distance = editDistance(lower, candidate.toLowerCase());
+        if (distance < bestDistance) {
+            best = candidate;
+            bestDistance = distance;
+        }
+    }
+
+    return bestDistance <= maxDistance ? best : null;
+}
+
+/**
+ * Split a JSON pointer (`/services/web/ports/0`) into path segments.
+ * @param {string} pointer - JSON pointer
+ * @returns {string[]} Path segments
+ */
+function pointerToPath(pointer) {
+    if (!pointer) return [];
+    return pointer.slice(1).split('/').map((segment) => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+/**
+ * Describe a node path for messages.
+ * @param {string[]} path - Path segments
+ * @returns {string} Dot path, or "the top level" for the root
+ */
+function describePath(path) {
+    return path.length ? path.join('.') : 'the top level';
+}
+
+/**
+ * Describe where a property sits, for messages.
+ * @param {string[]} path - Path of the containing node
+ * @returns {string} `in services.web`, or `at the top level`
+ */
+function describeParent(path) {
+    return path.length ? `in ${path.join('.')}` : 'at the top level';
+}
+
+/**
+ * List the words of a pattern that is a plain alternation (`always|never|build`).
+ * @param {string} pattern - Regular expression source
+ * @returns {string[]} Literal alternatives
+ */
+function patternAlternatives(pattern) {
+    return String(pattern).replace(/^\^?\(?|\)?\$?$/g, '').split('|').filter((word) => /^[\w-]+$/.test(word));
+}
+
+/**
+ * Format a list of alternatives: `a`, `a or b`, `a, b or c`.
+ * @param {string[]} items - Alternatives
+ * @returns {string} Readable list
+ */
+function formatAlternatives(items) {
+    return items.length > 1 ? `${items.slice(0, -1).join(', ')} or ${items[items.length - 1]}` : items[0];
+}
+
+/**
+ * Describe the JSON type of a value.
+ * @param {any} value - Value
+ * @returns {string} Type name as used by JSON Schema
+ */
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+/**
+ * Drop errors that only explain why other branches of a oneOf/anyOf did not match.
+ * A node whose value matched the shape of one branch (it has errors beyond a type
+ * mismatch at or below it) keeps only those errors; otherwise its type errors are kept.
+ *
+ * @param {Array<Object>} errors - Ajv errors
+ * @returns {Array<Object>} Relevant errors
+ */
+function pruneBranchErrors(errors) {
+    const specific = errors.filter((error) => error.keyword !== 'type' && !COMPOSITE_KEYWORDS.includes(error.keyword));
+    const hasSpecificError = (pointer) => specific.some((error) => (
+        error.instancePath === pointer || error.instancePath.startsWith(`${pointer}/`)
+    ));
+
+    return errors.filter((error) => {
+        if (error.keyword === 'type') return !hasSpecificError(error.instancePath);
+        if (COMPOSITE_KEYWORDS.includes(error.keyword)) {
+            return !errors.some((other) => other !== error && !COMPOSITE_KEYWORDS.includes(other.keyword) && (
+                other.instancePath === error.instancePath || other.instancePath.startsWith(`${error.instancePath}/`)
+            ));
+        }
+        return true;
+    });
+}
+
+/**
+ * Turn the Ajv errors of one node into an issue.
+ *
+ * @param {string[]} path - Node path
+ * @param {Array<Object>} errors - Ajv errors reported at that node
+ * @returns {Array<{path: string[], keyword: string, message: string, suggestion?: string}>} Issues
+ */
+function describeErrors(path, errors) {
+    const issues = [];
+    const types = new Set();
+
+    for (const error of errors) {
+        switch (error.keyword) {
+            case 'additionalProperties': {
+                const property = error.params.additionalProperty;
+                const allowed = Object.keys(error.parentSchema?.properties || {});
+                const suggestion = findClosestMatch(property, allowed);
+                issues.push({
+                    path: [...path, property],
+                    keyword: error.keyword,
+                    message: `Unknown property "${property}" ${describeParent(path)}`
+                        + (suggestion ? `. Did you mean "${suggestion}"?` : ''),
+                    ...(suggestion ? { suggestion } : {})
+                });
+                break;
+            }
+            case 'enum': {
+                const allowed = error.params.allowedValues || [];
+                const suggestion = findClosestMatch(String(error.data), allowed);
+                issues.push({
+                    path,
+                    keyword: error.keyword,
+                    message: `Invalid value "${error.data}" for ${describePath(path)}, expected one of: ${allowed.join(', ')}`
+                        + (suggestion ? `. Did you mean "${suggestion}"?` : ''),
+                    ...(suggestion ? { suggestion } : {})
+                });
+                break;
+            }
+            case 'pattern': {
+                const suggestion = findClosestMatch(String(error.data), patternAlternatives(error.params.pattern));
+                issues.push({
+                    path,
+                    keyword: error.keyword,
+                    message: `Invalid value "${error.data}" for ${describePath(path)}`
+                        + (suggestion ? `. Did you mean "${suggestion}"?` : ` (must match ${error.params.pattern})`),
+                    ...(suggestion ? { suggestion } : {})
+                });
+                break;
+            }
+            case 'type':
+                [].concat(error.params.type).forEach((type) => types.add(type));
+                break;
+            case 'required':
+                issues.push({
+                    path,
+                    keyword: error.keyword,
+                    message: `Missing required property "${error.params.missingProperty}" ${describeParent(path)}`
+                });
+                break;
+            case 'oneOf':
+            case 'anyOf':
+                issues.push({ path, keyword: error.keyword, message: `Invalid value for ${describePath(path)}` });
+                break;
+            default:
+                issues.push({ path, keyword: error.keyword, message: `${describePath(path)} ${error.message}` });
+        }
+    }
+
+    if (types.size > 0) {
+        const data = errors.find((error) => error.keyword === 'type').data;
+        issues.unshift({
+            path,
+            keyword: 'type',
+            message: `${describePath(path)} must be ${formatAlternatives([...types])}, got ${typeOf(data)}`
+        });
+    }
+
+    return issues;
+}
+
+/**
+ * Validate a Compose model against the Compose Specification JSON Schema.
+ *
+ * @param {Object} compose - Compose model (tags stripped, variables interpolated)
+ * @returns {Array<{path: string[], keyword: string, message: string, suggestion?: string, entity?: string, name?: string, field?: string}>}
+ *   Issues; resource issues carry `entity`, `name` and the `field` path inside the resource
+ */
+export function validateComposeSchema(compose) {
+    const validate = getValidator();
+    if (validate(compose)) return [];
+
+    // Group by node, keeping the order Ajv reported them in
+    const byPointer = new Map();
+    for (const error of pruneBranchErrors(validate.errors || [])) {
+        if (!byPointer.has(error.instancePath)) byPointer.set(error.instancePath, []);
+        byPointer.get(error.instancePath).push(error);
+    }
+
+    const seen = new Set();
+    const issues = [];
+    for (const [pointer, errors] of byPointer) {
+        for (const issue of describeErrors(pointerToPath(pointer), errors)) {
+            if (seen.has(issue.message)) continue;
+            seen.add(issue.message);
+
+            const [section, name, ...field] = issue.path;
+            const entity = RESOURCE_ENTITIES[section];
+            issues.push(entity && name !== undefined
+                ? { ...issue, entity, name, ...(field.length ? { field: field.join('.') } : {}) }
+                : issue);
+        }
+    }
+
+    return issues;
+}
@@ -0,0 +1,89 @@
+import { describe, it, expect } from 'vitest';
+import { validateComposeSchema, findClosestMatch } from './schemaValidator';
+
+describe('schemaValidator', () => {
+    describe('validateComposeSchema', () => {
+        it('accepts a valid compose file with extension fields', () => {
+            const compose = {
+                name: 'app',
+                'x-defaults': { restart: 'always' },
+                services: {
+                    web: {
+                        image: 'nginx',
+                        ports: ['80:80', { target: 443, published: '8443' }],
+                        depends_on: { db: { condition: 'service_healthy' } }
+                    },
+                    db: { image: 'postgres', healthcheck: { test: ['CMD', 'pg_isready'], interval: '5s' } }
+                },
+                networks: { back: {} },
+                volumes: { data: null }
+            };
+
+            expect(validateComposeSchema(compose)).toEqual([]);
+        });
+
+        it('reports misspelled properties with a suggestion', () => {
+            const issues = validateComposeSchema({ services: { web: { image: 'nginx', enviroment: { A: '1' } } } });
+
+            expect(issues).toEqual([{
+                path: ['services', 'web', 'enviroment'],
+                keyword: 'additionalProperties',
+                message: 'Unknown property "enviroment" in services.web. Did you mean "environment"?',
+                suggestion: 'environment',
+                entity: 'service',
+                name: 'web',
+                field: 'enviroment'
+            }]);
+        });
+
+        it('reports misspelled top-level keys', () => {
+            const [issue] = validateComposeSchema({ servics: { web: { image: 'nginx' } } });
+
+            expect(issue.message).toBe('Unknown property "servics" at the top level. Did you mean "services"?');
+            expect(issue.entity).toBeUndefined();
+        });
+
+        it('reports wrong types once per node', () => {
+            const issues = validateComposeSchema({ services: { web: { image: 'nginx', environment: 5 } } });
+
+            expect(issues).toHaveLength(1);
+            expect(issues[0].message).toBe('services.web.environment must be object or array, got integer');
+            expect(issues[0].field).toBe('environment');
+        });
+
+        it('reports invalid enum values', () => {
+            const [issue] = validateComposeSchema({
+                services: { web: { image: 'nginx', depends_on: { db: { condition: 'service_healty' } } } }
+            });
+
+            expect(issue.keyword).toBe('enum');
+            expect(issue.field).toBe('depends_on.db.condition');
+            expect(issue.suggestion).toBe('service_healthy');
+        });
+
+        it('explains errors inside the matching branch of a oneOf', () => {
+            const issues = validateComposeSchema({ services: { web: { image: 'nginx', ports: [{ targt: 80 }] } } });
+
+            expect(issues.map(issue => issue.message)).toEqual([
+                'Unknown property "targt" in services.web.ports.0. Did you mean "target"?'
+            ]);
+        });
+
+        it('suggests values of plain pattern alternations', () => {
+            const [issue] = validateComposeSchema({ services: { web: { image: 'nginx', pull_policy: 'alwys' } } });
+
+            expect(issue.message).toBe('Invalid value "alwys" for services.web.pull_policy. Did you mean "always"?');
+        });
+    });
+
+    describe('findClosestMatch', () => {
+        it('returns the closest candidate within reach', () => {
+            expect(findClosestMatch('volums', ['volumes', 'networks'])).toBe('volumes');
+            expect(findClosestMatch('Image', ['image'])).toBe('image');
+        });
+
+        it('returns null when nothing is close', () => {
+            expect(findClosestMatch('foo', ['environment', 'networks'])).toBeNull();
+        });
+    });
+});
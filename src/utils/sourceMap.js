@@ -0,0 +1,182 @@
+/**
+ * Source position tracking for Compose files.
+ * Maps node paths (e.g. `services.api.image`) to the file, line and column they are defined at.
+ */
+
+import { parseAllDocuments, LineCounter, isAlias, isMap, isScalar, isSeq } from 'yaml';
+
+/**
+ * Join path segments into a source map key.
+ * @param {Array<string|number>} segments - Path segments (keys and sequence indexes)
+ * @returns {string} Dot-joined path
+ */
+export function formatSourcePath(segments) {
+    return segments.join('.');
+}
+
+/**
+ * Build a source map of a YAML file from the `yaml` library's AST.
+ * Records every mapping key (block or flow) and sequence item. Keys pulled in by
+ * `<<` merge keys and the contents of aliases point at the anchored node; with several
+ * documents, later documents are merged in like override files.
+ *
+ * @param {string} content - YAML content
+ * @param {string} file - File path recorded in each location
+ * @returns {Object<string, {file: string, line: number, column: number}>} Path → location (1-based)
+ */
+export function buildSourceMap(content, file) {
+    let sourceMap = {};
+    if (typeof content !== 'string') return sourceMap;
+
+    const lineCounter = new LineCounter();
+    for (const document of parseAllDocuments(content, { lineCounter })) {
+        const documentMap = {};
+
+        const record = (path, node) => {
+            const key = formatSourcePath(path);
+            if (!node?.range || documentMap[key]) return;
+            const { line, col } = lineCounter.linePos(node.range[0]);
+            documentMap[key] = { file, line, column: col };
+        };
+
+        const visit = (node, path, anchors) => {
+            if (isAlias(node)) {
+                const target = node.resolve(document);
+                if (target && !anchors.has(target)) visit(target, path, new Set(anchors).add(target));
+            } else if (isMap(node)) {
+                const merges = [];
+                for (const pair of node.items) {
+                    const key = String(isScalar(pair.key) ? pair.key.value : pair.key);
+                    if (key === '<<') {
+                        merges.push(pair.value);
+                        continue;
+                    }
+                    record([...path, key], pair.key);
+                    visit(pair.value, [...path, key], anchors);
+                }
+                // Merged keys come after the mapping's own keys, which take precedence
+                for (const merge of merges) {
+                    for (const source of isSeq(merge) ? merge.items : [merge]) visit(source, path, anchors);
+                }
+            } else if (isSeq(node)) {
+                node.items.forEach((item, index) => {
+                    record([...path, index], item);
+                    visit(item, [...path, index], anchors);
+                });
+            }
+        };
+
+        visit(document.contents, [], new Set());
+        sourceMap = mergeSourceMaps(sourceMap, documentMap);
+    }
+
+    return sourceMap;
+}
+
+/**
+ * Merge the source map of a later file (override, include) into an earlier one.
+ * A node that contains other nodes keeps the file that first defined it; a value
+ * points at the file that last set it.
+ *
+ * @param {Object} base - Source map built so far
+ * @param {Object} next - Source map of the next file
+ * @returns {Object} Merged source map
+ */
+export function mergeSourceMaps(base, next) {
+    const containers = new Set();
+    for (const key of Object.keys(next)) {
+        for (let i = key.indexOf('.'); i !== -1; i = key.indexOf('.', i + 1)) {
+            containers.add(key.slice(0, i));
+        }
+    }
+
+    const result = { ...base };
+    for (const [key, location] of Object.entries(next)) {
+        if (!result[key] || !containers.has(key)) {
+            result[key] = location;
+        }
+    }
+    return result;
+}
+
+/**
+ * Point fields a service inherits through `extends` at the service that defines them.
+ * Fields the service sets itself keep their own locations.
+ *
+ * @param {Object} sourceMap - Source map of the merged model
+ * @param {Object} extendsSources - Inherited field origins (see resolveExtendsWithSources)
+ * @param {Function} getOriginMap - Returns the source map of a file path
+ * @returns {Object} Source map with inherited locations
+ */
+export function inheritExtendsLocations(sourceMap, extendsSources, getOriginMap) {
+    const result = { ...sourceMap };
+    const subtrees = new Map();
+
+    // Locations below `services.<service>.`, relative to the service, scanned once per base service
+    const serviceEntries = (origin) => {
+        const cacheKey = `${origin.file}#${origin.service}`;
+        if (!subtrees.has(cacheKey)) {
+            const prefix = `services.${origin.service}.`;
+            subtrees.set(cacheKey, Object.entries(getOriginMap(origin.file) || {})
+                .filter(([key]) => key.startsWith(prefix))
+                .map(([key, location]) => [key.slice(prefix.length), location]));
+        }
+        return subtrees.get(cacheKey);
+    };
+
+    for (const [name, fields] of Object.entries(extendsSources || {})) {
+        for (const [field, origins] of Object.entries(fields)) {
+            // The first origin is the service the field was originally defined in
+            const origin = origins[0];
+            if (!origin) continue;
+
+            for (const [relative, location] of serviceEntries(origin)) {
+                if (relative !== field && !relative.startsWith(`${field}.`)) continue;
+                const target = `services.${name}.${relative}`;
+                if (!result[target]) result[target] = location;
+            }
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Find the location of a path, falling back to its closest recorded ancestor.
+ *
+ * @param {Object} sourceMap - Source map
+ * @param {Array<string|number>} segments - Path segments
+ * @returns {{file: string, line: number, column: number}|null} Location
+ */
+export function lookupSource(sourceMap, segments) {
+    if (!sourceMap) return null;
+    for (let length = segments.length; length > 0; length--) {
+        const location = sourceMap[formatSourcePath(segments.slice(0, length))];
+        if (location) return location;
+    }
+    return null;
+}
+
+/**
+ * Find the location of an issue about a resource (`{entity, name, field}`).
+ * `field` is a dot path inside the resource, e.g. `depends_on.db`.
+ *
+ * @param {Object} sourceMap - Source map
+ * @param {{entity: string, name: string, field?: string|number}} issue - Issue
+ * @returns {{file: string, line: number, column: number}|null} Location
+ */
+export function locateIssue(sourceMap, issue) {
+    if (!issue?.entity || !issue.name || issue.entity === 'parser') return null;
+
+    const fieldPath = issue.field === undefined || issue.field === null ? [] : String(issue.field).split('.');
+    return lookupSource(sourceMap, [`${issue.entity}s`, issue.name, ...fieldPath]);
+}
+
+/**
+ * Format a location as `file:line`.
+ * @param {{file: string, line: number}} location - Location
+ * @returns {string} Readable location
+ */
+export function formatLocation(location) {
+    return location ? `${location.file}:${location.line}` : '';
+}
@@ -0,0 +1,126 @@
+import { describe, it, expect } from 'vitest';
+import {
+    buildSourceMap,
+    mergeSourceMaps,
+    inheritExtendsLocations,
+    lookupSource,
+    locateIssue,
+    formatLocation
+} from './sourceMap';
+
+describe('sourceMap', () => {
+    describe('buildSourceMap', () => {
+        it('records keys and sequence items with 1-based positions', () => {
+            const map = buildSourceMap(`# comment
+services:
+  api:
+    image: node:20
+    ports:
+      - "80:80"
+      - target: 443
+        published: 8443
+`, 'compose.yml');
+
+            expect(map['services.api']).toEqual({ file: 'compose.yml', line: 3, column: 3 });
+            expect(map['services.api.image']).toEqual({ file: 'compose.yml', line: 4, column: 5 });
+            expect(map['services.api.ports.0']).toEqual({ file: 'compose.yml', line: 6, column: 9 });
+            expect(map['services.api.ports.1.published']).toEqual({ file: 'compose.yml', line: 8, column: 9 });
+        });
+
+        it('supports sequences at the indentation of their key and quoted keys', () => {
+            const map = buildSourceMap('services:\n  web:\n    labels:\n      "traefik.enable": "true"\n    command:\n    - a\n    - b\n', 'f.yml');
+
+            expect(map['services.web.labels.traefik.enable'].line).toBe(4);
+            expect(map['services.web.command.1'].line).toBe(7);
+        });
+
+        it('skips block scalars and records flow collections', () => {
+            const map = buildSourceMap(`services:
+  web:
+    command: |
+      echo "not: a key"
+    environment: {
+      A: 1
+    }
+    networks: [front, back]
+    image: nginx
+`, 'f.yml');
+
+            expect(map['services.web.command']).toBeDefined();
+            expect(map['services.web.command.echo "not']).toBeUndefined();
+            expect(map['services.web.environment.A']).toEqual({ file: 'f.yml', line: 6, column: 7 });
+            expect(map['services.web.networks.1']).toEqual({ file: 'f.yml', line: 8, column: 23 });
+            expect(map['services.web.image'].line).toBe(9);
+        });
+
+        it('points merge keys and aliases at the anchored node', () => {
+            const map = buildSourceMap(`x-base: &base
+  restart: always
+  environment: &env
+    TZ: UTC
+services:
+  web:
+    <<: *base
+    restart: "no"
+    labels: *env
+`, 'f.yml');
+
+            expect(map['services.web.restart'].line).toBe(8);
+            expect(map['services.web.environment.TZ'].line).toBe(4);
+            expect(map['services.web.labels.TZ'].line).toBe(4);
+            expect(map['services.web.<<']).toBeUndefined();
+        });
+
+        it('merges the documents of a multi-document file', () => {
+            const map = buildSourceMap('services:\n  web:\n    image: nginx:1\n---\nservices:\n  web:\n    image: nginx:2\n  db:\n    image: postgres\n', 'f.yml');
+
+            expect(map['services.web'].line).toBe(2);
+            expect(map['services.web.image'].line).toBe(7);
+            expect(map['services.db.image'].line).toBe(9);
+        });
+    });
+
+    describe('mergeSourceMaps', () => {
+        it('keeps the first definition of containers and the last of values', () => {
+            const base = buildSourceMap('services:\n  web:\n    image: nginx:1\n', 'base.yml');
+            const override = buildSourceMap('services:\n  web:\n    image: nginx:2\n', 'override.yml');
+
+            const merged = mergeSourceMaps(base, override);
+
+            expect(merged['services.web'].file).toBe('base.yml');
+            expect(merged['services.web.image'].file).toBe('override.yml');
+        });
+    });
+
+    describe('inheritExtendsLocations', () => {
+        it('points inherited fields at the base service', () => {
+            const map = buildSourceMap('services:\n  app:\n    extends:\n      file: base.yml\n      service: node\n', 'compose.yml');
+            const baseMap = buildSourceMap('services:\n  node:\n    image: node:20\n    environment:\n      A: "1"\n', 'base.yml');
+            const sources = { app: { image: [{ service: 'node', file: 'base.yml' }], environment: [{ service: 'node', file: 'base.yml' }] } };
+
+            const result = inheritExtendsLocations(map, sources, (file) => (file === 'base.yml' ? baseMap : map));
+
+            expect(result['services.app.image']).toEqual({ file: 'base.yml', line: 3, column: 5 });
+            expect(result['services.app.environment.A'].line).toBe(5);
+            expect(result['services.app'].file).toBe('compose.yml');
+        });
+    });
+
+    describe('lookup', () => {
+        const map = buildSourceMap('services:\n  web:\n    depends_on:\n      db:\n        condition: service_started\n', 'compose.yml');
+
+        it('falls back to the closest ancestor', () => {
+            expect(lookupSource(map, ['services', 'web', 'healthcheck']).line).toBe(2);
+            expect(lookupSource(map, ['networks'])).toBeNull();
+        });
+
+        it('locates issues by entity, name and field', () => {
+            expect(locateIssue(map, { entity: 'service', name: 'web', field: 'depends_on.db' }).line).toBe(4);
+            expect(locateIssue(map, { entity: 'parser', name: 'yaml-parsing' })).toBeNull();
+        });
+
+        it('formats locations as file:line', () => {
+            expect(formatLocation({ file: 'services/api.yml', line: 42, column: 3 })).toBe('services/api.yml:42');
+        });
+    });
+});
@@ -0,0 +1,173 @@
+/**
+ * Fixes for suggestions.
+ * Rules attach an `action` to the suggestions they can fix; the actions here turn a state
+ * into the fixed state, replacing only the resources they touch (like composeReducer).
+ */
+
+import { serviceTemplates } from '../data/templates.js';
+
+/**
+ * Get the repository of an image reference, without registry, namespace, tag or digest.
+ * @param {string} image - Image reference, e.g. `docker.io/library/postgres:16`
+ * @returns {string} Repository name, e.g. `postgres`
+ */
+export const getImageRepository = (image) => (
+    String(image || '').split('@')[0].replace(/:[^/:]*$/, '').split('/').pop().toLowerCase()
+);
+
+/**
+ * Find the service template for an image, matched by repository.
+ * @param {string} image - Image reference
+ * @returns {Object|null} Template from data/templates
+ */
+export const findImageTemplate = (image) => {
+    const repository = getImageRepository(image);
+    if (!repository) return null;
+    return Object.values(serviceTemplates).find((template) => (
+        template.config.image && getImageRepository(template.config.image) === repository
+    )) || null;
+};
+
+/**
+ * Get the version the template of an image pins (`16` for `postgres:16-alpine`);
+ * the variant is left out, as it would change more than the version.
+ * @param {string} image - Image reference
+ * @returns {string} Version tag, or '' when none is known
+ */
+export const getTemplateVersion = (image) => {
+    const tag = findImageTemplate(image)?.config.image.split(':')[1] || '';
+    return /^\d+(\.\d+)*/.exec(tag)?.[0] || '';
+};
+
+const setIn = (target, [key, ...rest], value) => {
+    const base = target && typeof target === 'object' && !Array.isArray(target) ? target : {};
+    return { ...base, [key]: rest.length > 0 ? setIn(base[key], rest, value) : value };
+};
+
+const removeIn = (target, [key, ...rest]) => {
+    if (!target || typeof target !== 'object' || !(key in target)) return target;
+    if (rest.length > 0) return { ...target, [key]: removeIn(target[key], rest) };
+    const { [key]: _removed, ...remaining } = target;
+    return remaining;
+};
+
+const updateResource = (state, entity, name, update) => {
+    const section = `${entity}s`;
+    return { ...state, [section]: { ...state[section], [name]: update(state[section]?.[name] || {}) } };
+};
+
+/**
+ * Replace secret-looking environment variables with `<KEY>_FILE` pointing at a secret
+ * read from the variable of the same name (`secrets.<name>.environment`).
+ */
+const moveEnvToSecrets = (state, name, secrets) => {
+    const entries = Object.entries(secrets);
+    const next = updateResource(state, 'service', name, (service) => {
+        const fileVars = entries.map(([key, secret]) => [`${key}_FILE`, `/run/secrets/${secret}`]);
+        const environment = Array.isArray(service.environment)
+            ? [
+                ...service.environment.filter((entry) => !Object.hasOwn(secrets, String(entry).split('=')[0])),
+                ...fileVars.map(([key, value]) => `${key}=${value}`)
+            ]
+            : {
+                ...Object.fromEntries(Object.entries(service.environment || {}).filter(([key]) => !Object.hasOwn(secrets, key))),
+                ...Object.fromEntries(fileVars)
+            };
+        const current = service.secrets || [];
+        const listed = current.map((entry) => (typeof entry === 'string' ? entry : entry?.source));
+        return {
+            ...service,
+            environment,
+            secrets: [...current, ...entries.map(([, secret]) => secret).filter((secret) => !listed.includes(secret))]
+        };
+    });
+
+    return {
+        ...next,
+        secrets: {
+            ...next.secrets,
+            ...Object.fromEntries(entries
+                .filter(([, secret]) => !next.secrets?.[secret])
+                .map(([key, secret]) => [secret, { environment: key }]))
+        }
+    };
+};
+
+/**
+ * Apply a fix action to a state.
+ *
+ * @param {Object} state - Compose state
+ * @param {Object} action - Action of a suggestion
+ * @param {{entity: string, name: string}} target - Resource the suggestion is about; actions may name another one
+ * @param {{tag?: string}} [input] - Values the user supplied (the version for `pin-image`)
+ * @returns {Object} Fixed state
+ */
+export function applyFixAction(state, action, target, input = {}) {
+    const entity = action.entity || target.entity;
+    const name = action.name || target.name;
+
+    switch (action.type) {
+        case 'add-field':
+        case 'set-field':
+            return updateResource(state, entity, name, (resource) => setIn(resource, action.field.split('.'), action.value));
+        case 'remove-field':
+            return updateResource(state, entity, name, (resource) => removeIn(resource, action.field.split('.')));
+        case 'delete-resource': {
+            const { [name]: _removed, ...rest } = state[`${entity}s`] || {};
+            return { ...state, [`${entity}s`]: rest };
+        }
+        case 'pin-image': {
+            const tag = (input.tag ?? action.tag ?? '').trim();
+            if (!tag) return state;
+            return updateResource(state, entity, name, (service) => ({ ...service, image: service.image.replace(/:latest(?=$|@)/, `:${tag}`) }));
+        }
+        case 'move-env-to-secrets':
+            return moveEnvToSecrets(state, name, action.secrets);
+        case 'multiple':
+            return action.actions.reduce((current, step) => applyFixAction(current, step, { entity, name }, input), state);
+        default:
+            return state;
+    }
+}
+
+// Fixes that delete a resource or a value from the file
+const DESTRUCTIVE_FIXES = ['delete-resource', 'move-env-to-secrets'];
+
+/**
+ * Check if a fix action deletes something (a resource, or a value moved out of the file),
+ * so it is only applied when picked explicitly.
+ * @param {Object} action - Action of a suggestion
+ * @returns {boolean} True for destructive fixes
+ */
+export function isDestructiveFix(action) {
+    if (action?.type === 'multiple') return action.actions.some(isDestructiveFix);
+    return DESTRUCTIVE_FIXES.includes(action?.type);
+}
+
+/**
+ * Check if a suggestion can be fixed with the given input.
+ * @param {Object} suggestion - Suggestion
+ * @param {{tag?: string}} [input] - Values the user supplied
+ * @returns {boolean} True when applying the fix changes something
+ */
+export function canApplyFix(suggestion, input = {}) {
+    const action = suggestion?.action;
+    if (!action) return false;
+    return action.type !== 'pin-image' || Boolean((input.tag ?? action.tag ?? '').trim());
+}
+
+/**
+ * Apply the fixes of several suggestions in order; suggestions that cannot be fixed are skipped.
+ *
+ * @param {Object} state - Compose state
+ * @param {Array<Object>} suggestions - Suggestions to fix
+ * @param {Object<string, {tag?: string}>} [inputs] - User input by suggestion id
+ * @returns {Object} Fixed state
+ */
+export function applySuggestionFixes(state, suggestions, inputs = {}) {
+    return suggestions.reduce((current, suggestion) => (
+        canApplyFix(suggestion, inputs[suggestion.id])
+            ? applyFixAction(current, suggestion.action, suggestion, inputs[suggestion.id])
+            : current
+    ), state);
+}
@@ -0,0 +1,102 @@
+import { describe, it, expect } from 'vitest';
+import { applyFixAction, applySuggestionFixes, canApplyFix, findImageTemplate, getImageRepository, getTemplateVersion, isDestructiveFix } from './suggestionFixes.js';
+import { generateSuggestions } from './suggestions.js';
+
+const fixOf = (suggestions, name, rule) => suggestions.find((s) => s.name === name && s.rule === rule);
+
+describe('image templates', () => {
+    it('matches images to templates by repository', () => {
+        expect(getImageRepository('docker.io/library/postgres:16@sha256:abc')).toBe('postgres');
+        expect(findImageTemplate('bitnami/redis:latest').name).toBe('redis');
+        expect(findImageTemplate('example/app')).toBeNull();
+        expect(getTemplateVersion('mysql:latest')).toBe('8');
+        expect(getTemplateVersion('nginx:latest')).toBe('');
+    });
+});
+
+describe('applyFixAction', () => {
+    const state = { services: { web: { image: 'nginx:latest', depends_on: { db: { condition: 'service_started', restart: true } } }, db: { image: 'postgres' } }, volumes: { cache: {} } };
+    const target = { entity: 'service', name: 'web' };
+
+    it('sets, removes and deletes by path without touching other resources', () => {
+        const limited = applyFixAction(state, { type: 'add-field', field: 'deploy.resources.limits', value: { cpus: '1.0' } }, target);
+        expect(limited.services.web.deploy).toEqual({ resources: { limits: { cpus: '1.0' } } });
+        expect(limited.services.db).toBe(state.services.db);
+
+        const removed = applyFixAction(state, { type: 'remove-field', field: 'depends_on.db.restart' }, target);
+        expect(removed.services.web.depends_on).toEqual({ db: { condition: 'service_started' } });
+
+        expect(applyFixAction(state, { type: 'delete-resource', entity: 'volume', name: 'cache' }, target).volumes).toEqual({});
+    });
+
+    it('flags fixes that delete something', () => {
+        expect(isDestructiveFix({ type: 'delete-resource', entity: 'volume', name: 'cache' })).toBe(true);
+        expect(isDestructiveFix({ type: 'move-env-to-secrets', secrets: {} })).toBe(true);
+        expect(isDestructiveFix({ type: 'multiple', actions: [{ type: 'add-field' }, { type: 'set-field' }] })).toBe(false);
+        expect(isDestructiveFix({ type: 'add-field', field: 'restart', value: 'always' })).toBe(false);
+    });
+
+    it('pins the latest tag to the supplied version', () => {
+        const action = { type: 'pin-image', field: 'image', tag: '' };
+
+        expect(applyFixAction(state, action, target, { tag: ' 1.27 ' }).services.web.image).toBe('nginx:1.27');
+        expect(applyFixAction(state, action, target)).toBe(state);
+    });
+});
+
+describe('suggestion fixes', () => {
+    it('resolves the fixed suggestions', () => {
+        const state = {
+            services: {
+                api: {
+                    image: 'node:latest',
+                    restart: 'always',
+                    user: 'node',
+                    environment: { NODE_ENV: 'production', API_KEY: 'abc' },
+                    depends_on: { db: { condition: 'service_started' } }
+                },
+                db: {
+                    image: 'postgres:latest',
+                    restart: 'always',
+                    user: 'postgres',
+                    environment: { POSTGRES_USER: 'app', POSTGRES_PASSWORD: 'changeme', APP_SECRET: 'abc' }
+                }
+            }
+        };
+        const suggestions = generateSuggestions(state);
+        const fixed = applySuggestionFixes(state, suggestions, {
+            [fixOf(suggestions, 'api', 'latest-tag').id]: { tag: '22' }
+        });
+
+        expect(fixed.services.api.image).toBe('node:22');
+        expect(fixed.services.db.image).toBe('postgres:16');
+        expect(fixed.services.db.environment).toEqual({
+            POSTGRES_USER: 'app',
+            APP_SECRET: 'abc',
+            POSTGRES_PASSWORD_FILE: '/run/secrets/db_postgres_password'
+        });
+        expect(fixed.services.db.secrets).toEqual(['db_postgres_password']);
+        expect(fixed.secrets).toEqual({ db_postgres_password: { environment: 'POSTGRES_PASSWORD' } });
+        expect(fixed.services.api.depends_on.db.condition).toBe('service_healthy');
+        expect(fixed.services.db.healthcheck.test).toEqual(['CMD-SHELL', 'pg_isready -U app']);
+        expect(fixed.services.api.deploy.resources.limits).toEqual({ cpus: '1.0', memory: '512M' });
+
+        expect(generateSuggestions(fixed).filter((s) => s.action).map((s) => `${s.name}:${s.rule}`)).toEqual([]);
+    });
+
+    it('moves secrets only for variables the image reads from a file', () => {
+        const suggestions = generateSuggestions({ services: { api: { image: 'node:22', environment: ['API_KEY=abc'] } } });
+
+        expect(fixOf(suggestions, 'api', 'secrets-in-env')).toMatchObject({ action: null });
+    });
+
+    it('needs a version for images without a template', () => {
+        const suggestions = generateSuggestions({ services: { web: { image: 'example/app:latest' } } });
+        const latest = fixOf(suggestions, 'web', 'latest-tag');
+
+        expect(latest.action).toMatchObject({ type: 'pin-image', tag: '' });
+        expect(canApplyFix(latest)).toBe(false);
+        expect(canApplyFix(latest, { tag: '2.1' })).toBe(true);
+        expect(fixOf(suggestions, 'web', 'missing-healthcheck')).toBeUndefined();
+    });
+});
@@ -0,0 +1,360 @@
+/**
+ * Suggestion rule registry.
+ * Every best-practice check is a rule with an id, a category, a default severity,
+ * documentation and options a project can override in `.compoviz.yml` (see ruleConfig.js).
+ */
+
+import { normalizeArray } from './validation.js';
+import { findImageTemplate, getImageRepository, getTemplateVersion } from './suggestionFixes.js';
+
+/**
+ * Suggestion categories
+ */
+export const SuggestionCategory = {
+    SECURITY: 'security',
+    PERFORMANCE: 'performance',
+    ARCHITECTURE: 'architecture',
+    BEST_PRACTICE: 'best-practice',
+    SPEC_COMPLIANCE: 'spec-compliance',
+};
+
+/**
+ * Suggestion severity levels
+ */
+export const SuggestionSeverity = {
+    INFO: 'info',
+    LOW: 'low',
+    MEDIUM: 'medium',
+    HIGH: 'high',
+    CRITICAL: 'critical',
+};
+
+/**
+ * Helper: Check if service has user configuration (user field, or PUID/PGID env vars when accepted)
+ */
+const hasUserConfig = (service, puidPgid = true) => {
+    // Check for explicit user field
+    if (service.user) return true;
+
+    // Check for PUID/PGID environment variables (Linuxserver.io pattern)
+    const env = service.environment;
+    if (!env || !puidPgid) return false;
+
+    // Convert to array of strings for checking
+    const envArray = Array.isArray(env)
+        ? env.map(e => typeof e === 'string' ? e : JSON.stringify(e))
+        : Object.keys(env);
+
+    const envStr = envArray.join('|').toUpperCase();
+    return envStr.includes('PUID') || envStr.includes('PGID') ||
+        envStr.includes('UID') || envStr.includes('GID');
+};
+
+/**
+ * Helper: Check if volume mount is a bind mount (not named volume)
+ */
+const isBindMount = (volumeStr) => {
+    if (typeof volumeStr !== 'string') return false;
+    const source = volumeStr.split(':')[0];
+    // Bind mount = absolute or relative path
+    return source.startsWith('/') || source.startsWith('.') || source.startsWith('~');
+};
+
+/**
+ * Helper: Check if service image matches one of the given patterns
+ */
+const matchesImage = (service, patterns) => {
+    const image = service.image?.toLowerCase() || '';
+    return patterns.some(pattern => image.includes(pattern.toLowerCase()));
+};
+
+/**
+ * Helper: Check if service has any bind mounts
+ */
+const hasBindMount = (service) => {
+    const volumes = service.volumes || [];
+    return volumes.some(vol => isBindMount(vol));
+};
+
+/**
+ * Helper: Check if service is a one-off/batch job
+ */
+const isOneoffService = (service) => {
+    return service.restart === 'no' || (!service.restart && service.command);
+};
+
+/**
+ * Helper: Entries of a long-syntax depends_on
+ */
+const dependencyEntries = (service) => (
+    service.depends_on && typeof service.depends_on === 'object' && !Array.isArray(service.depends_on)
+        ? Object.entries(service.depends_on)
+        : []
+);
+
+/**
+ * Helper: Action adding the health check of the image's template, if it has one
+ */
+const healthcheckAction = (service) => {
+    const template = findImageTemplate(service?.image);
+    return template?.config.healthcheck ? {
+        type: 'add-field',
+        field: 'healthcheck',
+        value: template.config.healthcheck,
+        label: `Add the ${template.name} template health check`,
+    } : null;
+};
+
+/**
+ * Suggestion rules, in the order their findings are reported.
+ * `check(name, resource, state, options)` returns findings (`{field?, message, action?, key?}`);
+ * `key` distinguishes several findings of one rule on the same resource in the suggestion id.
+ * An `action` (see suggestionFixes.js) fixes the finding; its `label` says what the fix does.
+ */
+export const SUGGESTION_RULES = [
+    {
+        id: 'missing-restart',
+        entity: 'service',
+        category: SuggestionCategory.ARCHITECTURE,
+        severity: SuggestionSeverity.CRITICAL,
+        description: 'Service has no restart policy',
+        docs: 'Without `restart`, a container stays down after the Docker daemon restarts or the host reboots. The fix adds `restart: unless-stopped`.',
+        options: {},
+        check: (name, service) => (service.restart ? [] : [{
+            message: 'Missing restart policy. Service will not auto-start after container daemon restarts or system reboots.',
+            action: { type: 'add-field', field: 'restart', value: 'unless-stopped', label: 'Add restart: unless-stopped' },
+        }]),
+    },
+    {
+        id: 'invalid-depends-on-restart',
+        entity: 'service',
+        category: SuggestionCategory.SPEC_COMPLIANCE,
+        severity: SuggestionSeverity.MEDIUM,
+        description: 'depends_on entry has a restart field',
+        docs: 'Some generated files put `restart` inside a `depends_on` entry, where the Compose spec does not define it. The fix removes the field.',
+        options: {},
+        check: (name, service) => dependencyEntries(service)
+            .filter(([, depConfig]) => depConfig && typeof depConfig === 'object' && 'restart' in depConfig)
+            .map(([depName]) => ({
+                field: `depends_on.${depName}.restart`,
+                message: `Invalid field 'restart' in depends_on for "${depName}". This field does not exist in the Compose spec.`,
+                action: { type: 'remove-field', field: `depends_on.${depName}.restart`, label: `Remove depends_on.${depName}.restart` },
+            })),
+    },
+    {
+        id: 'latest-tag',
+        entity: 'service',
+        category: SuggestionCategory.BEST_PRACTICE,
+        severity: SuggestionSeverity.LOW,
+        description: 'Image uses the latest tag',
+        docs: 'The `latest` tag moves with every release, so a redeploy can silently pull a different version. Pin a version tag or digest.',
+        options: {},
+        check: (name, service) => (service.image && service.image.includes(':latest') ? [{
+            field: 'image',
+            message: 'Using "latest" tag can cause unexpected behavior. Consider pinning to a specific version.',
+            // The version is asked for when applying; templates suggest one for known images
+            action: { type: 'pin-image', field: 'image', tag: getTemplateVersion(service.image), label: `Pin ${getImageRepository(service.image)} to a version` },
+        }] : []),
+    },
+    {
+        id: 'missing-healthcheck',
+        entity: 'service',
+        category: SuggestionCategory.PERFORMANCE,
+        severity: SuggestionSeverity.LOW,
+        description: 'Long-running service has no health check',
+        docs: 'A health check lets dependents wait with `condition: service_healthy` and lets Docker report unhealthy containers. One-off services are skipped.',
+        options: {},
+        check: (name, service) => (!service.healthcheck && service.restart && !isOneoffService(service) ? [{
+            message: 'Consider adding a health check to improve dependency management and container orchestration.',
+            action: healthcheckAction(service),
+        }] : []),
+    },
+    {
+        id: 'no-user',
+        entity: 'service',
+        category: SuggestionCategory.SECURITY,
+        severity: SuggestionSeverity.HIGH,
+        description: 'Service runs as the image default user, usually root',
+        docs: 'Set `user` to run the process without root privileges. With `puidPgid`, PUID/PGID environment variables (linuxserver.io images) count as user configuration too.',
+        options: { puidPgid: true },
+        check: (name, service, state, { puidPgid }) => (!hasUserConfig(service, puidPgid) && !service.privileged ? [{
+            message: puidPgid
+                ? 'No user configuration detected. Consider adding "user" field or PUID/PGID environment variables (e.g., PUID=1000, PGID=1000).'
+                : 'No user configuration detected. Consider adding a "user" field to run as a non-root user.',
+        }] : []),
+    },
+    {
+        id: 'privileged',
+        entity: 'service',
+        category: SuggestionCategory.SECURITY,
+        severity: SuggestionSeverity.HIGH,
+        description: 'Service runs in privileged mode',
+        docs: '`privileged: true` gives the container every capability and access to host devices. Grant only the capabilities it needs with `cap_add`.',
+        options: {},
+        check: (name, service) => (service.privileged === true ? [{
+            field: 'privileged',
+            message: 'Running in privileged mode grants extensive permissions. Consider using specific capabilities instead.',
+        }] : []),
+    },
+    {
+        id: 'no-resource-limits',
+        entity: 'service',
+        category: SuggestionCategory.PERFORMANCE,
+        severity: SuggestionSeverity.LOW,
+        description: 'Service has no memory or CPU limits',
+        docs: 'Without `deploy.resources.limits`, one runaway container can starve the others on the host. `cpus` and `memory` are the limits the fix adds.',
+        options: { cpus: '1.0', memory: '512M' },
+        check: (name, service, state, { cpus, memory }) => (service.deploy?.resources?.limits ? [] : [{
+            message: 'Consider adding resource limits (memory/CPU) to prevent resource exhaustion.',
+            action: { type: 'add-field', field: 'deploy.resources.limits', value: { cpus, memory }, label: `Limit to ${cpus} CPUs and ${memory} memory` },
+        }]),
+    },
+    {
+        id: 'weak-depends-condition',
+        entity: 'service',
+        category: SuggestionCategory.ARCHITECTURE,
+        severity: SuggestionSeverity.LOW,
+        description: 'Dependency only waits for the container to start',
+        docs: '`condition: service_started` does not wait until the dependency is ready. Give the dependency a health check and use `service_healthy`.',
+        options: {},
+        check: (name, service, state) => dependencyEntries(service)
+            .filter(([depName, depConfig]) => depConfig?.condition === 'service_started'
+                && state.services?.[depName] && !state.services[depName].healthcheck)
+            .map(([depName]) => {
+                // service_healthy needs a health check on the dependency
+                const healthcheck = healthcheckAction(state.services[depName]);
+                return {
+                    key: depName,
+                    field: `depends_on.${depName}.condition`,
+                    message: `Using "service_started" for "${depName}" only waits for container start, not readiness. Consider adding a healthcheck and using "service_healthy".`,
+                    action: healthcheck ? {
+                        type: 'multiple',
+                        label: `Add a health check to ${depName} and wait for service_healthy`,
+                        actions: [
+                            { ...healthcheck, entity: 'service', name: depName },
+                            { type: 'set-field', field: `depends_on.${depName}.condition`, value: 'service_healthy' },
+                        ],
+                    } : null,
+                };
+            }),
+    },
+    {
+        id: 'secrets-in-env',
+        entity: 'service',
+        category: SuggestionCategory.SECURITY,
+        severity: SuggestionSeverity.MEDIUM,
+        description: 'Environment variable looks like a secret',
+        docs: 'Environment variables show up in `docker inspect` and logs. Move credentials to Compose `secrets`. `patterns` are matched against the variables, case-insensitively. The fix is offered for the variables a known image also reads from `<VAR>_FILE`.',
+        options: { patterns: ['PASSWORD', 'SECRET', 'KEY', 'TOKEN', 'CREDENTIAL'] },
+        check: (name, service, state, { patterns }) => {
+            if (!service.environment) return [];
+            const envArray = Array.isArray(service.environment)
+                ? service.environment
+                : Object.entries(service.environment).map(([k, v]) => `${k}=${v}`);
+
+            const sensitivePatterns = patterns.map(pattern => pattern.toUpperCase());
+            const isSensitive = (text) => sensitivePatterns.some(pattern => text.toUpperCase().includes(pattern));
+            const hasSecret = envArray.some((envVar) => isSensitive(typeof envVar === 'string' ? envVar : JSON.stringify(envVar)));
+            if (!hasSecret) return [];
+
+            // Only variables the image reads from a `<VAR>_FILE` too can move to secrets
+            const fileVariables = findImageTemplate(service.image)?.fileVariables || [];
+            const keys = envArray
+                .map((envVar) => String(envVar).split('=')[0])
+                .filter((key) => isSensitive(key) && fileVariables.includes(key));
+            return [{
+                field: 'environment',
+                message: 'Sensitive data detected in environment variables. Consider using Docker secrets instead.',
+                action: keys.length > 0 ? {
+                    type: 'move-env-to-secrets',
+                    secrets: Object.fromEntries(keys.map((key) => [key, `${name}_${key}`.toLowerCase()])),
+                    label: `Move ${keys.join(', ')} to secrets read from the host environment`,
+                    note: `The value${keys.length === 1 ? ' is' : 's are'} removed from the file: set ${keys.join(', ')} in the environment you run docker compose in.`,
+                } : null,
+            }];
+        },
+    },
+    {
+        id: 'db-bindmount-no-user',
+        entity: 'service',
+        category: SuggestionCategory.BEST_PRACTICE,
+        severity: SuggestionSeverity.MEDIUM,
+        description: 'Database or media service writes to a bind mount without a user',
+        docs: 'Data written as root into a host directory is a common source of permission problems. `images` are the image name patterns treated as databases or media servers.',
+        options: {
+            images: [
+                'postgres', 'mysql', 'mariadb', 'mongo', 'redis', 'elasticsearch',
+                'cassandra', 'influxdb', 'timescale', 'cockroach',
+                // Media/data services
+                'plex', 'jellyfin', 'audiobookshelf', 'calibre', 'photoprism'
+            ],
+            puidPgid: true,
+        },
+        check: (name, service, state, { images, puidPgid }) => (
+            matchesImage(service, images) && hasBindMount(service) && !hasUserConfig(service, puidPgid) ? [{
+                field: 'volumes',
+                message: puidPgid
+                    ? 'Database/media service using bind mounts without user configuration. This commonly causes permission issues. Consider adding PUID/PGID environment variables or using named volumes.'
+                    : 'Database/media service using bind mounts without user configuration. This commonly causes permission issues. Consider setting "user" or using named volumes.',
+            }] : []
+        ),
+    },
+    {
+        id: 'prod-data-bindmount',
+        entity: 'service',
+        category: SuggestionCategory.BEST_PRACTICE,
+        severity: SuggestionSeverity.LOW,
+        description: 'Data directory is a bind mount',
+        docs: 'Named volumes are managed by Docker and easier to back up and move between hosts. `paths` are the container path prefixes treated as data directories.',
+        options: {
+            paths: [
+                '/var/lib/postgresql', '/var/lib/mysql', '/var/lib/mongodb',
+                '/data', '/storage', '/media', '/library'
+            ],
+        },
+        check: (name, service, state, { paths }) => {
+            const prodDataMounts = (service.volumes || []).filter((volumeStr) => {
+                if (!isBindMount(volumeStr)) return false;
+                const target = volumeStr.split(':')[1] || '';
+                return paths.some(path => target.startsWith(path));
+            });
+            return prodDataMounts.length > 0 ? [{
+                field: 'volumes',
+                message: 'Using bind mounts for production data paths. Consider named volumes for better portability, backups, and Docker-managed lifecycle.',
+            }] : [];
+        },
+    },
+    {
+        id: 'unused-volume',
+        entity: 'volume',
+        category: SuggestionCategory.BEST_PRACTICE,
+        severity: SuggestionSeverity.LOW,
+        description: 'Volume is not used by any service',
+        docs: 'A top-level volume no service mounts is usually left over from an earlier version of the file. The fix deletes it.',
+        options: {},
+        check: (name, volume, state) => {
+            const isUsed = Object.values(state.services || {}).some(svc => {
+                const volumes = normalizeArray(svc.volumes);
+                return volumes.some(vol => {
+                    const volName = typeof vol === 'string' ? vol.split(':')[0] : vol.source;
+                    return volName === name;
+                });
+            });
+            return isUsed ? [] : [{
+                message: 'Volume is defined but not used by any service. Consider removing it.',
+                action: { type: 'delete-resource', entity: 'volume', name, label: `Delete volume ${name}` },
+            }];
+        },
+    },
+];
+
+const rulesById = new Map(SUGGESTION_RULES.map((rule) => [rule.id, rule]));
+
+/**
+ * Find a suggestion rule by id.
+ * @param {string} id - Rule id
+ * @returns {Object|undefined} Rule definition
+ */
+export function getSuggestionRule(id) {
+    return rulesById.get(id);
+}
@@ -6,6 +6,8 @@ import {
     SuggestionCategory,
     SuggestionSeverity,
 } from './suggestions';
+import { SUGGESTION_RULES } from './suggestionRules.js';
+import { parseRuleConfig } from './ruleConfig.js';
 
 describe('generateSuggestions', () => {
     describe('Real-world Jellyfin/Tailscale case', () => {
@@ -66,4 +68,60 @@ describe('generateSuggestions', () => {
             expect(highest).toBe(SuggestionSeverity.CRITICAL);
         });
     });
+
+    describe('Rule registry', () => {
+        it('documents every rule', () => {
+            const ids = SUGGESTION_RULES.map((rule) => rule.id);
+
+            expect(new Set(ids).size).toBe(ids.length);
+            SUGGESTION_RULES.forEach((rule) => {
+                expect(Object.values(SuggestionCategory)).toContain(rule.category);
+                expect(Object.values(SuggestionSeverity)).toContain(rule.severity);
+                expect(rule.description).toBeTruthy();
+                expect(rule.docs).toBeTruthy();
+            });
+        });
+
+        it('reports one suggestion per rule and resource', () => {
+            const state = { services: { api: { image: 'node:20', environment: { DB_PASSWORD: 'x', API_TOKEN: 'y' } } } };
+
+            expect(generateSuggestions(state).filter((s) => s.rule === 'secrets-in-env')).toHaveLength(1);
+        });
+
+        it('applies the project rule config', () => {
+            const state = {
+                services: {
+                    db: {
+                        image: 'postgres:16',
+                        environment: ['PUID=1000'],
+                        volumes: ['./pgdata:/var/lib/postgresql/data'],
+                    },
+                    app: { image: 'ghcr.io/acme/app:latest', restart: 'always', user: '1000' },
+                },
+            };
+            const { config } = parseRuleConfig([
+                'rules:',
+                '  no-resource-limits: off',
+                '  latest-tag: high',
+                '  no-user:',
+                '    options:',
+                '      puidPgid: false',
+                '  db-bindmount-no-user:',
+                '    options:',
+                '      puidPgid: false',
+                '  prod-data-bindmount:',
+                '    options:',
+                '      paths: [/srv]',
+            ].join('\n'));
+
+            const defaults = generateSuggestions(state);
+            const configured = generateSuggestions(state, config);
+            const rules = (suggestions, name) => suggestions.filter((s) => s.name === name).map((s) => s.rule);
+
+            expect(rules(defaults, 'db')).toEqual(['missing-restart', 'no-resource-limits', 'prod-data-bindmount']);
+            expect(rules(configured, 'db')).toEqual(['missing-restart', 'no-user', 'db-bindmount-no-user']);
+            expect(configured.find((s) => s.rule === 'no-user').message).not.toContain('PUID');
+            expect(configured.find((s) => s.rule === 'latest-tag').severity).toBe(SuggestionSeverity.HIGH);
+        });
+    });
 });
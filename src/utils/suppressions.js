@@ -0,0 +1,151 @@
+/**
+ * Inline suppression of suggestions.
+ * A `# compoviz-ignore: <rules> -- <reason>` comment inside (or right above) a service or
+ * volume definition, or a `com.compoviz.ignore` label with the same value, silences those
+ * rules on that resource. Suppressed suggestions are kept, with the directive that silenced them.
+ */
+
+import { buildSourceMap, lookupSource } from './sourceMap.js';
+
+/**
+ * Label that suppresses rules on the resource it is set on.
+ */
+export const IGNORE_LABEL = 'com.compoviz.ignore';
+
+/**
+ * Sections whose resources can carry suppressions (the entities suggestions are about).
+ */
+const SUPPRESSIBLE_SECTIONS = { services: 'service', volumes: 'volume' };
+
+const IGNORE_COMMENT = /(?:^|\s)#\s*compoviz-ignore:\s*(.*)$/;
+const COMMENT_ONLY = /^\s*#/;
+
+/**
+ * Parse the value of an ignore comment or label: rule ids, then an optional `-- reason`.
+ * @param {string} text - Directive value, e.g. `no-user, latest-tag -- pinned by renovate`
+ * @returns {{rules: string[], reason: string}} Suppressed rules and justification
+ */
+export function parseIgnoreDirective(text) {
+    const [ruleList, ...reason] = String(text ?? '').split(/\s+--\s+|\s+--$/);
+    return {
+        rules: ruleList.split(/[\s,]+/).filter(Boolean),
+        reason: reason.join(' -- ').trim()
+    };
+}
+
+/**
+ * Find the resource each line of a file belongs to, from the file's own source map.
+ * @returns {Array<{key: string, line: number}|{key: null, line: number}>} Resource and section starts by line
+ */
+const listResourceStarts = (content, file) => {
+    const starts = [];
+    for (const [path, location] of Object.entries(buildSourceMap(content, file))) {
+        if (location.file !== file) continue;
+        const segments = path.split('.');
+        if (segments.length === 1) {
+            starts.push({ key: null, line: location.line });
+        } else if (segments.length === 2 && SUPPRESSIBLE_SECTIONS[segments[0]]) {
+            starts.push({ key: `${SUPPRESSIBLE_SECTIONS[segments[0]]}:${segments[1]}`, line: location.line });
+        }
+    }
+    return starts.sort((a, b) => a.line - b.line);
+};
+
+/**
+ * Collect `# compoviz-ignore:` comments from the source files of a project.
+ * A comment applies to the service or volume whose definition contains it; a block of
+ * comment lines right above a service or volume key applies to that resource.
+ *
+ * @param {Object<string, string>} files - File contents by path
+ * @returns {Map<string, Array<{rules: string[], reason: string, source: 'comment', location: Object}>>}
+ *   Directives by `entity:name`
+ */
+export function findIgnoreComments(files = {}) {
+    const directives = new Map();
+
+    for (const [file, content] of Object.entries(files)) {
+        if (typeof content !== 'string' || !content.includes('compoviz-ignore')) continue;
+        const lines = content.split(/\r?\n/);
+        const starts = listResourceStarts(content, file);
+
+        lines.forEach((text, index) => {
+            const match = IGNORE_COMMENT.exec(text);
+            if (!match) return;
+            const line = index + 1;
+
+            let owner = null;
+            if (COMMENT_ONLY.test(text)) {
+                // Skip the rest of the comment block; a resource key right after it owns the comment
+                let next = index + 1;
+                while (next < lines.length && (COMMENT_ONLY.test(lines[next]) || !lines[next].trim())) next++;
+                owner = starts.find((start) => start.line === next + 1 && start.key) || null;
+            }
+            if (!owner) {
+                owner = starts.filter((start) => start.line <= line).pop() || null;
+            }
+            if (!owner?.key) return;
+
+            if (!directives.has(owner.key)) directives.set(owner.key, []);
+            directives.get(owner.key).push({
+                ...parseIgnoreDirective(match[1]),
+                source: 'comment',
+                location: { file, line, column: text.indexOf('#') + 1 }
+            });
+        });
+    }
+
+    return directives;
+}
+
+/**
+ * Read the `com.compoviz.ignore` label of a resource (list or mapping syntax).
+ * @param {Object} resource - Service or volume
+ * @returns {string|null} Label value
+ */
+const getIgnoreLabel = (resource) => {
+    const labels = resource?.labels;
+    if (Array.isArray(labels)) {
+        const entry = labels.find((label) => typeof label === 'string' && label.startsWith(`${IGNORE_LABEL}=`));
+        return entry ? entry.slice(IGNORE_LABEL.length + 1) : null;
+    }
+    return labels && typeof labels === 'object' && labels[IGNORE_LABEL] !== undefined ? String(labels[IGNORE_LABEL]) : null;
+};
+
+/**
+ * Split suggestions into active and suppressed ones.
+ * Labels are read from the current state, so they follow edits made in the editor.
+ *
+ * @param {Array<Object>} suggestions - Suggestions of the state
+ * @param {Object} state - Compose state
+ * @param {Map<string, Array<Object>>} [comments] - Directives from findIgnoreComments
+ * @param {Object} [sourceMap] - Source map, to locate label directives
+ * @returns {{suggestions: Array<Object>, suppressed: Array<Object>}} Active suggestions, and suppressed
+ *   ones with a `suppression` (`{reason, source, location}`)
+ */
+export function applySuppressions(suggestions, state, comments = new Map(), sourceMap = {}) {
+    const active = [];
+    const suppressed = [];
+
+    for (const suggestion of suggestions) {
+        const key = `${suggestion.entity}:${suggestion.name}`;
+        const label = getIgnoreLabel(state[`${suggestion.entity}s`]?.[suggestion.name]);
+        const directives = [
+            ...(comments.get(key) || []),
+            ...(label !== null ? [{
+                ...parseIgnoreDirective(label),
+                source: 'label',
+                location: lookupSource(sourceMap, [`${suggestion.entity}s`, suggestion.name, 'labels', IGNORE_LABEL])
+            }] : [])
+        ];
+        const directive = directives.find(({ rules }) => rules.includes(suggestion.rule));
+
+        if (directive) {
+            const { reason, source, location } = directive;
+            suppressed.push({ ...suggestion, suppression: { reason, source, location } });
+        } else {
+            active.push(suggestion);
+        }
+    }
+
+    return { suggestions: active, suppressed };
+}
@@ -0,0 +1,85 @@
+import { describe, it, expect } from 'vitest';
+import { parseIgnoreDirective, findIgnoreComments, applySuppressions, IGNORE_LABEL } from './suppressions.js';
+import { generateSuggestions } from './suggestions.js';
+
+const compose = [
+    'services:',
+    '  # Reverse proxy',
+    '  # compoviz-ignore: no-user -- binds port 80',
+    '  web:',
+    '    image: nginx:1.27',
+    '    restart: always',
+    '    # compoviz-ignore: no-resource-limits',
+    '    ports: ["80:80"]',
+    '  api:',
+    '    image: node:latest # compoviz-ignore: latest-tag, missing-restart -- pinned by digest in CI',
+    '    labels:',
+    `      ${IGNORE_LABEL}: "no-user -- node image drops privileges itself"`,
+    'volumes:',
+    '  cache: # compoviz-ignore: unused-volume',
+    ''
+].join('\n');
+
+describe('parseIgnoreDirective', () => {
+    it('splits rules and justification', () => {
+        expect(parseIgnoreDirective('no-user, latest-tag -- pinned -- twice')).toEqual({
+            rules: ['no-user', 'latest-tag'],
+            reason: 'pinned -- twice'
+        });
+        expect(parseIgnoreDirective('privileged')).toEqual({ rules: ['privileged'], reason: '' });
+    });
+});
+
+describe('findIgnoreComments', () => {
+    it('attaches comments to the service or volume they belong to', () => {
+        const comments = findIgnoreComments({ 'app/compose.yml': compose, 'app/.env': 'A=1\n' });
+
+        expect([...comments.keys()]).toEqual(['service:web', 'service:api', 'volume:cache']);
+        expect(comments.get('service:web')).toEqual([
+            { rules: ['no-user'], reason: 'binds port 80', source: 'comment', location: { file: 'app/compose.yml', line: 3, column: 3 } },
+            { rules: ['no-resource-limits'], reason: '', source: 'comment', location: { file: 'app/compose.yml', line: 7, column: 5 } }
+        ]);
+        expect(comments.get('service:api')[0].rules).toEqual(['latest-tag', 'missing-restart']);
+    });
+
+    it('ignores comments outside services and volumes', () => {
+        const comments = findIgnoreComments({ 'compose.yml': '# compoviz-ignore: no-user\nname: app\nservices:\n  web:\n    image: nginx\n' });
+
+        expect(comments.size).toBe(0);
+    });
+});
+
+describe('applySuppressions', () => {
+    it('moves suppressed suggestions aside with their justification', () => {
+        const state = {
+            services: {
+                web: { image: 'nginx:1.27', restart: 'always', ports: ['80:80'] },
+                api: { image: 'node:latest', labels: { [IGNORE_LABEL]: 'no-user -- node image drops privileges itself' } }
+            },
+            volumes: { cache: {} }
+        };
+        const sourceMap = { 'services.api.labels.com.compoviz.ignore': { file: 'compose.yml', line: 12, column: 7 } };
+        const { suggestions, suppressed } = applySuppressions(
+            generateSuggestions(state), state, findIgnoreComments({ 'compose.yml': compose }), sourceMap
+        );
+
+        expect(suppressed.map((s) => `${s.name}:${s.rule}`)).toEqual([
+            'web:no-user', 'web:no-resource-limits', 'api:missing-restart', 'api:latest-tag', 'api:no-user', 'cache:unused-volume'
+        ]);
+        expect(suppressed.find((s) => s.name === 'api' && s.rule === 'no-user').suppression).toEqual({
+            reason: 'node image drops privileges itself',
+            source: 'label',
+            location: { file: 'compose.yml', line: 12, column: 7 }
+        });
+        expect(suggestions.map((s) => `${s.name}:${s.rule}`)).toEqual(['web:missing-healthcheck', 'api:no-resource-limits']);
+    });
+
+    it('reads labels in list syntax from the current state', () => {
+        const state = { services: { web: { image: 'nginx', restart: 'always', user: '101', labels: [`${IGNORE_LABEL}=missing-healthcheck,no-resource-limits`] } } };
+        const { suggestions, suppressed } = applySuppressions(generateSuggestions(state), state);
+
+        expect(suggestions).toEqual([]);
+        expect(suppressed).toHaveLength(2);
+        expect(suppressed[0].suppression).toMatchObject({ reason: '', source: 'label', location: null });
+    });
+});
@@ -0,0 +1,54 @@
+/**
+ * Files of an upload (file picker, folder picker or drop).
+ * Every file is kept so that env files, includes and extends sources are there when the
+ * parser looks them up, like the CLI reading from disk; only VCS and dependency
+ * directories and large files are left out.
+ */
+
+import { RULE_CONFIG_FILES } from './ruleConfig.js';
+import { DEFAULT_COMPOSE_FILES } from './overrideResolver.js';
+
+/**
+ * Largest file kept from an upload, in bytes.
+ */
+export const UPLOAD_SIZE_LIMIT = 1024 * 1024;
+
+const SKIPPED_DIRECTORIES = ['.git', 'node_modules'];
+
+/**
+ * Get the path of an uploaded file (relative to the uploaded folder, else its name).
+ * @param {{name: string, webkitRelativePath?: string}} file - Uploaded file
+ * @returns {string} File path
+ */
+export const getUploadPath = (file) => file.webkitRelativePath || file.name;
+
+/**
+ * Check if a path can be a Compose file (YAML that is not a rule config).
+ * @param {string} path - File path
+ * @returns {boolean} True for Compose file candidates
+ */
+export const isComposeFilePath = (path) => (path.endsWith('.yml') || path.endsWith('.yaml'))
+    && !RULE_CONFIG_FILES.includes(path.split('/').pop());
+
+/**
+ * Pick the files of an upload to load and put the base Compose file first: a default
+ * Compose file name (the shallowest one in a folder), else the first Compose file.
+ *
+ * @param {Array<{name: string, webkitRelativePath?: string, size?: number}>} files - Uploaded files
+ * @returns {Array<Object>} Files for loadFiles, base Compose file first; empty without a Compose file
+ */
+export function prepareUploadFiles(files) {
+    const kept = files.filter((file) => (
+        !getUploadPath(file).split('/').slice(0, -1).some((segment) => SKIPPED_DIRECTORIES.includes(segment))
+        && !(file.size > UPLOAD_SIZE_LIMIT)
+    ));
+    const composeFiles = kept.filter((file) => isComposeFilePath(getUploadPath(file)));
+    const depth = (file) => getUploadPath(file).split('/').length;
+    const primaryFile = composeFiles
+        .filter((file) => DEFAULT_COMPOSE_FILES.includes(file.name))
+        .sort((a, b) => depth(a) - depth(b) || DEFAULT_COMPOSE_FILES.indexOf(a.name) - DEFAULT_COMPOSE_FILES.indexOf(b.name))[0]
+        || composeFiles[0];
+
+    if (!primaryFile) return [];
+    return [primaryFile, ...kept.filter((file) => file !== primaryFile)];
+}
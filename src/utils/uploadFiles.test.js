@@ -0,0 +1,40 @@
+import { describe, it, expect } from 'vitest';
+import { prepareUploadFiles, isComposeFilePath, UPLOAD_SIZE_LIMIT } from './uploadFiles.js';
+
+const file = (path, size = 100) => ({ name: path.split('/').pop(), webkitRelativePath: path.includes('/') ? path : '', size });
+const paths = (files) => files.map((f) => f.webkitRelativePath || f.name);
+
+describe('isComposeFilePath', () => {
+    it('accepts YAML files except rule configs', () => {
+        expect(isComposeFilePath('app/compose.prod.yaml')).toBe(true);
+        expect(isComposeFilePath('app/.compoviz.yml')).toBe(false);
+        expect(isComposeFilePath('app/.env')).toBe(false);
+    });
+});
+
+describe('prepareUploadFiles', () => {
+    it('keeps every file, like the CLI reading from disk, and puts the base Compose file first', () => {
+        const files = ['app/.compoviz.yml', 'app/.env.prod', 'app/config/web.vars', 'app/docker-compose.override.yml', 'app/prod.env', 'app/docker-compose.yml'].map((path) => file(path));
+
+        expect(paths(prepareUploadFiles(files))).toEqual([
+            'app/docker-compose.yml', 'app/.compoviz.yml', 'app/.env.prod', 'app/config/web.vars', 'app/docker-compose.override.yml', 'app/prod.env'
+        ]);
+    });
+
+    it('skips VCS and dependency directories and large files', () => {
+        const files = [file('app/compose.yml'), file('app/.git/config'), file('app/web/node_modules/x/compose.yml'), file('app/dump.sql', UPLOAD_SIZE_LIMIT + 1)];
+
+        expect(paths(prepareUploadFiles(files))).toEqual(['app/compose.yml']);
+    });
+
+    it('prefers the shallowest default Compose file name', () => {
+        const files = ['app/nested/compose.yaml', 'app/docker-compose.yml', 'app/compose.yaml'].map((path) => file(path));
+
+        expect(paths(prepareUploadFiles(files))[0]).toBe('app/compose.yaml');
+        expect(paths(prepareUploadFiles([file('stack.yml'), file('.env')]))).toEqual(['stack.yml', '.env']);
+    });
+
+    it('returns nothing without a Compose file', () => {
+        expect(prepareUploadFiles([file('.env'), file('.compoviz.yml')])).toEqual([]);
+    });
+});
@@ -1,4 +1,5 @@
-import { extractHostPort } from './comparison';
+import { extractHostPort } from './comparison.js';
+import { locateIssue } from './sourceMap.js';
 
 /**
  * Helper to normalize depends_on (can be array or object in Docker Compose).
@@ -24,59 +25,79 @@ export const normalizeArray = (arr) => {
 };
 
 /**
- * Validates the compose state and returns an array of errors/warnings.
+ * Validates a single service against the rest of the state: build source and
+ * references to networks, dependencies and named volumes.
+ * @param {string} name - Service name.
+ * @param {object} svc - Service definition.
  * @param {object} state - The compose state.
- * @returns {Array<{type: string, entity: string, name: string, message: string}>} Array of validation issues.
+ * @returns {Array<{type: string, entity: string, name: string, field?: string, message: string}>} Issues of the service.
  */
-export const validateState = (state) => {
+export const validateService = (name, svc, state) => {
     const errors = [];
+
+    // Check for image or build
+    if (!svc.image && !svc.build) {
+        errors.push({ type: 'error', entity: 'service', name, rule: 'missing-image', message: 'Missing image or build context' });
+    }
+
+    // Check network references
+    normalizeArray(svc.networks).forEach((n, i) => {
+        if (!state.networks || !state.networks[n]) {
+            errors.push({ type: 'warning', entity: 'service', name, rule: 'undefined-network', field: `networks.${i}`, message: `Network "${n}" not defined` });
+        }
+    });
+
+    // Check dependency references
+    normalizeDependsOn(svc.depends_on).forEach((d, i) => {
+        if (!state.services || !state.services[d]) {
+            const field = Array.isArray(svc.depends_on) ? `depends_on.${i}` : `depends_on.${d}`;
+            errors.push({ type: 'error', entity: 'service', name, rule: 'unknown-dependency', field, message: `Dependency "${d}" not found` });
+        }
+    });
+
+    // Check volume references (named volumes only)
+    normalizeArray(svc.volumes).forEach((vol, i) => {
+        const volName = typeof vol === 'string' ? vol.split(':')[0] : '';
+        // Only check if it looks like a named volume (not a path)
+        if (volName && !volName.startsWith('.') && !volName.startsWith('/') && state.volumes && !state.volumes[volName]) {
+            errors.push({ type: 'warning', entity: 'service', name, rule: 'undefined-volume', field: `volumes.${i}`, message: `Volume "${volName}" not defined` });
+        }
+    });
+
+    return errors;
+};
+
+/**
+ * Finds clashes between services: duplicate container names and host port bindings.
+ * The first service to claim a name or binding keeps it; later ones are reported.
+ * @param {object} state - The compose state.
+ * @returns {Map<string, Array<object>>} Issues keyed by service name.
+ */
+export const findServiceConflicts = (state) => {
+    const conflicts = new Map();
     const usedPorts = new Map(); // Track port usage for duplicate detection
     const containerNames = new Set();
+    const report = (name, issue) => {
+        if (!conflicts.has(name)) conflicts.set(name, []);
+        conflicts.get(name).push(issue);
+    };
 
     Object.entries(state.services || {}).forEach(([name, svc]) => {
-        // Check for image or build
-        if (!svc.image && !svc.build) {
-            errors.push({ type: 'error', entity: 'service', name, message: 'Missing image or build context' });
-        }
-
         // Check for duplicate container names
         if (svc.container_name) {
             if (containerNames.has(svc.container_name)) {
-                errors.push({ type: 'error', entity: 'service', name, message: `Duplicate container_name "${svc.container_name}"` });
+                report(name, { type: 'error', entity: 'service', name, rule: 'duplicate-container-name', field: 'container_name', message: `Duplicate container_name "${svc.container_name}"` });
             } else {
                 containerNames.add(svc.container_name);
             }
         }
 
-        // Check network references
-        normalizeArray(svc.networks).forEach(n => {
-            if (!state.networks || !state.networks[n]) {
-                errors.push({ type: 'warning', entity: 'service', name, message: `Network "${n}" not defined` });
-            }
-        });
-
-        // Check dependency references
-        normalizeDependsOn(svc.depends_on).forEach(d => {
-            if (!state.services || !state.services[d]) {
-                errors.push({ type: 'error', entity: 'service', name, message: `Dependency "${d}" not found` });
-            }
-        });
-
-        // Check volume references (named volumes only)
-        normalizeArray(svc.volumes).forEach(vol => {
-            const volName = typeof vol === 'string' ? vol.split(':')[0] : '';
-            // Only check if it looks like a named volume (not a path)
-            if (volName && !volName.startsWith('.') && !volName.startsWith('/') && state.volumes && !state.volumes[volName]) {
-                errors.push({ type: 'warning', entity: 'service', name, message: `Volume "${volName}" not defined` });
-            }
-        });
-
         // Check for port conflicts
-        normalizeArray(svc.ports).forEach(port => {
+        normalizeArray(svc.ports).forEach((port, i) => {
             const hostBinding = extractHostPort(port);
             if (hostBinding) {
                 if (usedPorts.has(hostBinding)) {
-                    errors.push({ type: 'error', entity: 'service', name, message: `Port binding ${hostBinding} already used by "${usedPorts.get(hostBinding)}"` });
+                    report(name, { type: 'error', entity: 'service', name, rule: 'port-conflict', field: `ports.${i}`, message: `Port binding ${hostBinding} already used by "${usedPorts.get(hostBinding)}"` });
                 } else {
                     usedPorts.set(hostBinding, name);
                 }
@@ -84,5 +105,55 @@ export const validateState = (state) => {
         });
     });
 
+    return conflicts;
+};
+
+/**
+ * Validates the compose state and returns an array of errors/warnings.
+ * @param {object} state - The compose state.
+ * @param {(name: string, svc: object, state: object) => Array<object>} [checkService] - Per-service validator,
+ *   replaced by a memoized one for incremental validation.
+ * @returns {Array<{type: string, rule: string, entity: string, name: string, field?: string, message: string}>} Array of validation issues.
+ *   `rule` identifies the check; `field` is the dot path of the offending node inside the resource, used to locate it in the source.
+ */
+export const validateState = (state, checkService = validateService) => {
+    const errors = [];
+    const conflicts = findServiceConflicts(state);
+
+    Object.entries(state.services || {}).forEach(([name, svc]) => {
+        errors.push(...checkService(name, svc, state), ...(conflicts.get(name) || []));
+    });
+
     return errors;
 };
+
+/**
+ * Combines state validation issues with parser errors into one located issue list.
+ * A reference the profile check explains replaces the generic "not found" issue.
+ * @param {Array<object>} stateIssues - Issues from validateState.
+ * @param {Array<object>} parserErrors - Errors from parseCompose.
+ * @param {object} sourceMap - Source map from parseCompose.
+ * @returns {Array<{type: string, entity: string, name: string, field?: string, message: string, location: object|null}>} Issues.
+ */
+export const collectIssues = (stateIssues, parserErrors = [], sourceMap = {}) => {
+    const profileConflicts = new Set((parserErrors || [])
+        .filter((err) => err.type === 'profile')
+        .map((err) => `${err.entity}/${err.name}/${err.field}`));
+    const located = stateIssues
+        .filter((issue) => !profileConflicts.has(`${issue.entity}/${issue.name}/${issue.field}`))
+        .map((issue) => ({
+            ...issue,
+            location: locateIssue(sourceMap, issue)
+        }));
+    const parserIssues = (parserErrors || []).map((err) => ({
+        type: err.type === 'warning' ? 'warning' : 'error',
+        rule: err.stage || 'compose',
+        // Errors about a named resource (e.g. include conflicts) link to that resource
+        entity: err.entity || 'parser',
+        name: err.entity ? err.name : (err.stage || 'compose'),
+        ...(err.field ? { field: err.field } : {}),
+        message: err.message || 'Parser error',
+        location: err.location || null
+    }));
+    return [...located, ...parserIssues];
+};
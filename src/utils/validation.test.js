@@ -67,5 +67,17 @@ describe('validation utils', () => {
             const errors = validateState(state);
             expect(errors.some(e => e.message === 'Dependency "db" not found')).toBe(true);
         });
+
+        it('points issues at the offending field', () => {
+            const state = {
+                services: {
+                    web: { image: 'nginx', depends_on: { db: { condition: 'service_started' } }, ports: ['80:80'] },
+                    api: { image: 'node', ports: ['8080:8080', '80:80'] }
+                }
+            };
+            const errors = validateState(state);
+            expect(errors.find(e => e.message.startsWith('Dependency')).field).toBe('depends_on.db');
+            expect(errors.find(e => e.message.startsWith('Port binding')).field).toBe('ports.1');
+        });
     });
 });
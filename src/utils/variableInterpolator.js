@@ -1,68 +1,135 @@
 /**
  * Docker Compose variable interpolator.
- * Handles ${VAR} syntax with defaults, escaping, and metadata tracking.
+ * Implements the Compose interpolation grammar ($VAR, ${VAR} with default, error and
+ * alternative operators, nested expressions, $$ escaping) with metadata tracking.
  */
 
 // Parsing logic replaced with custom implementation to avoid Node.js 'fs'/'path' dependencies
 // import dotenv from 'dotenv';
 
 /**
- * Variable regex - matches ${VAR} but not $${VAR} (escaped)
- * Uses negative lookbehind to avoid matching escaped variables
+ * Valid env file keys (Compose also accepts dots and dashes).
  */
-const VARIABLE_REGEX = /(?<!\$)\$\{([^}]+)\}/g;
+const ENV_KEY = /^[A-Za-z_][A-Za-z0-9_.-]*$/;
 
 /**
- * Parse .env file content manually (browser-compatible).
- * Handles basic KEY=VALUE format, comments, and quotes.
- * 
+ * Escape sequences of double-quoted env file values. `\$` becomes `$$` so it
+ * survives interpolation as a literal `$`.
+ */
+const DOUBLE_QUOTE_ESCAPES = { n: '\n', r: '\r', t: '\t', '\\': '\\', '"': '"', $: '$$' };
+
+/**
+ * Find the closing quote of a quoted value, skipping backslash-escaped characters.
+ * @param {string} text - Text after the opening quote
+ * @param {string} quote - Quote character
+ * @returns {number} Index of the closing quote, or -1
+ */
+function findClosingQuote(text, quote) {
+    for (let index = 0; index < text.length; index++) {
+        if (text[index] === '\\') index++;
+        else if (text[index] === quote) return index;
+    }
+    return -1;
+}
+
+/**
+ * Parse .env file content with Compose dotenv semantics (browser-compatible).
+ * - `export KEY=value` is accepted; `KEY` alone takes its value from the outer environment
+ * - Unquoted values end at a ` #` comment; single-quoted values are literal
+ * - Double-quoted values support `\n`, `\r`, `\t`, `\\`, `\"` and `\$` escapes
+ * - Quoted values may span lines
+ * - Unquoted and double-quoted values are interpolated against the outer environment,
+ *   then earlier keys of the file
+ *
  * @param {string} content - .env file content
- * @returns {Object} Parsed environment variables
+ * @param {Object} options - Parser options
+ * @param {string} options.format - `raw` takes values verbatim (no quotes, comments or interpolation), like env_file `format: raw`
+ * @param {Object} options.environment - Outer environment used by `${VAR}` expansion
+ * @returns {{values: Object, diagnostics: Array<{line: number, key?: string, message: string}>}}
+ *   Parsed variables and the malformed lines (1-based line numbers)
  */
-export function parseEnvFile(content) {
-    if (!content) return {};
-
-    const env = {};
-    const lines = content.split('\n');
-
-    for (let line of lines) {
-        // Trim whitespace
-        line = line.trim();
-
-        // Skip empty lines and comments
-        if (!line || line.startsWith('#')) continue;
-
-        // Parse KEY=VALUE
-        const match = line.match(/^([^=]+)=(.*)$/);
-        if (match) {
-            const key = match[1].trim();
-            let value = match[2].trim();
-            let wasQuoted = false;
-
-            // Handle double quotes
-            if (value.startsWith('"') && value.endsWith('"')) {
-                wasQuoted = true;
-                value = value.slice(1, -1);
-                // Expand newlines in quoted strings
-                value = value.replace(/\\n/g, '\n');
-            }
-            // Handle single quotes
-            else if (value.startsWith("'") && value.endsWith("'")) {
-                wasQuoted = true;
-                value = value.slice(1, -1);
-            }
+export function parseDotenv(content, options = {}) {
+    const { format, environment = {} } = options;
+    const values = {};
+    const diagnostics = [];
+    if (!content) return { values, diagnostics };
+
+    const lines = content.replace(/\r\n?/g, '\n').split('\n');
+    const expand = (value, key, line) => interpolateString(value, { ...values, ...environment }, {
+        throwOnError: false,
+        onError: (error) => diagnostics.push({ line, key, message: error.message })
+    }).resolved;
+
+    for (let index = 0; index < lines.length; index++) {
+        const line = index + 1;
+        const text = lines[index].trimStart().replace(/^export\s+/, '');
+        if (!text || text.startsWith('#')) continue;
+
+        const separator = text.indexOf('=');
+        const key = (separator === -1 ? text : text.slice(0, separator)).trim();
+        if (!ENV_KEY.test(key)) {
+            diagnostics.push({
+                line,
+                message: separator === -1 ? `Expected KEY=VALUE, got "${text}"` : `Invalid variable name "${key}"`
+            });
+            continue;
+        }
+        if (separator === -1) {
+            const inherited = environment[key];
+            if (inherited !== undefined && inherited !== null) values[key] = String(inherited);
+            continue;
+        }
 
-            // Remove inline comments if not quoted (simplistic approach)
-            // Note: This is a simplified parser; complex shell-like quoting might vary
-            if (!wasQuoted && value.includes(' #')) {
-                value = value.split(' #')[0].trim();
-            }
+        const rest = text.slice(separator + 1);
+        if (format === 'raw') {
+            values[key] = rest.trimEnd();
+            continue;
+        }
 
-            env[key] = value;
+        const value = rest.trimStart();
+        const quote = value[0];
+        if (quote !== '"' && quote !== "'") {
+            // Inline comments must be preceded by whitespace
+            const comment = rest.search(/\s#/);
+            values[key] = expand((comment === -1 ? rest : rest.slice(0, comment)).trim(), key, line);
+            continue;
         }
+
+        let body = value.slice(1);
+        let close = findClosingQuote(body, quote);
+        while (close === -1 && index + 1 < lines.length) {
+            index++;
+            body += `\n${lines[index]}`;
+            close = findClosingQuote(body, quote);
+        }
+        if (close === -1) {
+            diagnostics.push({ line, key, message: `Unterminated ${quote === '"' ? 'double' : 'single'}-quoted value for "${key}"` });
+            continue;
+        }
+
+        const trailing = body.slice(close + 1).trim();
+        if (trailing && !trailing.startsWith('#')) {
+            diagnostics.push({ line: index + 1, key, message: `Unexpected "${trailing}" after the closing quote of "${key}"` });
+        }
+
+        const inner = body.slice(0, close);
+        values[key] = quote === "'"
+            ? inner.replace(/\\'/g, "'")
+            : expand(inner.replace(/\\(.)/g, (match, char) => DOUBLE_QUOTE_ESCAPES[char] ?? char), key, line);
     }
 
-    return env;
+    return { values, diagnostics };
+}
+
+/**
+ * Parse .env file content into variables, ignoring malformed lines (see parseDotenv).
+ *
+ * @param {string} content - .env file content
+ * @param {Object} options - Parser options (see parseDotenv)
+ * @returns {Object} Parsed environment variables
+ */
+export function parseEnvFile(content, options = {}) {
+    return parseDotenv(content, options).values;
 }
 
 /**
@@ -77,78 +144,173 @@ export function mergeEnv(...sources) {
 }
 
 /**
- * Substitute a single variable reference.
- * Supports:
- * - ${VAR} - Simple substitution
- * - ${VAR:-default} - Default if unset or empty
- * - ${VAR-default} - Default if unset only
- * - ${VAR:?error} - Required variable with error message
- * 
- * @param {string} match - The full match (e.g., "${PORT:-8080}")
- * @param {string} expression - The content inside ${} (e.g., "PORT:-8080")
- * @param {Object} env - Environment variables
- * @returns {string} Substituted value
+ * Operators of braced expressions, longest first.
+ * - ${VAR:-default} / ${VAR-default} - Default if unset or empty / unset
+ * - ${VAR:?error} / ${VAR?error} - Error if unset or empty / unset
+ * - ${VAR:+alt} / ${VAR+alt} - Alternative if set and non-empty / set
  */
-function substituteVariable(match, expression, env) {
-    // Parse the expression
-    let varName, defaultValue, errorMessage;
-    let requireSet = false;
-    let requireNonEmpty = false;
-
-    // ${VAR:?error message}
-    if (expression.includes(':?')) {
-        [varName, errorMessage] = expression.split(':?');
-        requireNonEmpty = true;
-    }
-    // ${VAR?error message}
-    else if (expression.includes('?') && !expression.includes(':-') && !expression.includes('-')) {
-        [varName, errorMessage] = expression.split('?');
-        requireSet = true;
-    }
-    // ${VAR:-default}
-    else if (expression.includes(':-')) {
-        [varName, defaultValue] = expression.split(':-');
-        requireNonEmpty = true;
-    }
-    // ${VAR-default}
-    else if (expression.includes('-')) {
-        [varName, defaultValue] = expression.split('-');
-        requireSet = true;
-    }
-    // ${VAR}
-    else {
-        varName = expression;
-    }
+const OPERATORS = [':-', ':?', ':+', '-', '?', '+'];
 
-    const value = env[varName];
-    const isSet = value !== undefined && value !== null;
-    const isEmpty = !isSet || value === '';
+const NAME_START = /[_a-zA-Z]/;
+const NAME_CHAR = /[_a-zA-Z0-9]/;
+
+/**
+ * Read a variable name starting at an index.
+ * @param {string} str - Template
+ * @param {number} index - Start index
+ * @returns {string} Name (empty if there is none)
+ */
+function readName(str, index) {
+    if (!NAME_START.test(str[index] || '')) return '';
+    let end = index + 1;
+    while (end < str.length && NAME_CHAR.test(str[end])) end++;
+    return str.slice(index, end);
+}
+
+/**
+ * Parse an interpolation template into text and variable nodes.
+ * Variables are `$VAR` or `${VAR[op word]}`, where the word is itself a template
+ * (so expressions nest); `$$` is a literal `$`.
+ *
+ * @param {string} str - Template
+ * @param {number} index - Start index
+ * @param {boolean} nested - Parsing the word of a braced expression (stops at its closing brace)
+ * @returns {{nodes: Array<Object>, end: number}} Nodes and the index parsing stopped at
+ * @throws {Error} On invalid syntax (lone `$`, unterminated or unsupported expressions)
+ */
+function parseTemplate(str, index = 0, nested = false) {
+    const nodes = [];
+    let text = '';
+    const flush = () => {
+        if (text) nodes.push({ type: 'text', value: text });
+        text = '';
+    };
 
-    // Handle required variables WITH error messages (these throw)
-    if (errorMessage) {
-        if (requireNonEmpty && isEmpty) {
-            throw new Error(errorMessage);
+    while (index < str.length) {
+        const char = str[index];
+        if (nested && char === '}') {
+            flush();
+            return { nodes, end: index };
         }
-        if (requireSet && !isSet) {
-            throw new Error(errorMessage);
+        if (char !== '$') {
+            text += char;
+            index++;
+            continue;
         }
+
+        const next = str[index + 1];
+        if (next === '$') {
+            text += '$';
+            index += 2;
+        } else if (next === '{') {
+            flush();
+            const name = readName(str, index + 2);
+            let end = index + 2 + name.length;
+            if (!name) {
+                throw new Error(`Invalid interpolation format: "${str}" (expected a variable name after "\${")`);
+            }
+
+            const operator = OPERATORS.find((op) => str.startsWith(op, end));
+            let word = null;
+            if (operator) {
+                const parsed = parseTemplate(str, end + operator.length, true);
+                word = parsed.nodes;
+                end = parsed.end;
+            }
+            if (str[end] !== '}') {
+                throw new Error(end >= str.length
+                    ? `Invalid interpolation format: "${str}" (missing closing brace)`
+                    : `Invalid interpolation format: "${str}" (unsupported expression at "${str.slice(end)}")`);
+            }
+
+            nodes.push({ type: 'variable', name, operator, word, raw: str.slice(index, end + 1) });
+            index = end + 1;
+        } else {
+            const name = readName(str, index + 1);
+            if (!name) {
+                throw new Error(`Invalid interpolation format: "${str}" (use "$$" for a literal "$")`);
+            }
+            flush();
+            nodes.push({ type: 'variable', name, operator: null, word: null, raw: `$${name}` });
+            index += 1 + name.length;
+        }
+    }
+
+    if (nested) {
+        throw new Error(`Invalid interpolation format: "${str}" (missing closing brace)`);
     }
+    flush();
+    return { nodes, end: index };
+}
 
-    // Handle variables with default values (no errors, just return default)
-    if (defaultValue !== undefined) {
-        if (requireNonEmpty && isEmpty) {
-            return defaultValue;
+/**
+ * Collect the names of all variables of a parsed template, including nested ones.
+ * @param {Array<Object>} nodes - Template nodes
+ * @param {string[]} names - Names collected so far
+ * @returns {string[]} Unique variable names in order of appearance
+ */
+function collectVariables(nodes, names = []) {
+    for (const node of nodes) {
+        if (node.type !== 'variable') continue;
+        if (!names.includes(node.name)) names.push(node.name);
+        if (node.word) collectVariables(node.word, names);
+    }
+    return names;
+}
+
+/**
+ * Evaluate parsed template nodes. A word is only evaluated when its operator uses it,
+ * so `${SET:-${MISSING:?err}}` does not fail.
+ *
+ * @param {Array<Object>} nodes - Template nodes
+ * @param {Object} env - Environment variables
+ * @param {Function} handleError - Called with (error, node) when a variable fails; returns its replacement
+ * @returns {string} Resolved string
+ */
+function evaluateTemplate(nodes, env, handleError) {
+    let result = '';
+    for (const node of nodes) {
+        if (node.type === 'text') {
+            result += node.value;
+            continue;
         }
-        if (requireSet && !isSet) {
-            return defaultValue;
+        try {
+            result += substituteVariable(node, env, handleError);
+        } catch (error) {
+            result += handleError(error, node);
         }
     }
-
-    // Simple ${VAR} or value is set
-    return isSet ? String(value) : '';
+    return result;
 }
 
+/**
+ * Substitute a single variable node.
+ *
+ * @param {Object} node - Variable node (`{name, operator, word}`)
+ * @param {Object} env - Environment variables
+ * @param {Function} handleError - Error handler for nested variables
+ * @returns {string} Substituted value
+ * @throws {Error} When a required variable (`?`, `:?`) is missing
+ */
+function substituteVariable(node, env, handleError) {
+    const value = env[node.name];
+    const isSet = value !== undefined && value !== null;
+    const isEmpty = !isSet || value === '';
+    const word = () => evaluateTemplate(node.word || [], env, handleError);
+    const fail = () => {
+        throw new Error(word() || `required variable ${node.name} is missing a value`);
+    };
 
+    switch (node.operator) {
+        case ':-': return isEmpty ? word() : String(value);
+        case '-': return isSet ? String(value) : word();
+        case ':+': return isEmpty ? '' : word();
+        case '+': return isSet ? word() : '';
+        case ':?': return isEmpty ? fail() : String(value);
+        case '?': return isSet ? String(value) : fail();
+        default: return isSet ? String(value) : '';
+    }
+}
 
 /**
  * Interpolate variables in a string value.
@@ -159,46 +321,38 @@ function substituteVariable(match, expression, env) {
  * @returns {{original: string, resolved: string, hasVariable: boolean, variables: string[]}} Interpolation result
  */
 function interpolateString(str, env, options = {}) {
-    if (typeof str !== 'string') {
+    if (typeof str !== 'string' || !str.includes('$')) {
         return { original: str, resolved: str, hasVariable: false, variables: [] };
     }
 
-    const variables = [];
-    let hasVariable = false;
     const { throwOnError = true, onError } = options;
+    const reported = new WeakSet();
+
+    let nodes;
+    try {
+        nodes = parseTemplate(str).nodes;
+    } catch (error) {
+        onError?.(error, { match: str, expression: str, varName: '', path: options.path || [] });
+        if (throwOnError) throw error;
+        return { original: str, resolved: str, hasVariable: false, variables: [] };
+    }
 
-    // First unescape $$ to handle cases like $$${VAR}
-    const preprocessed = str.replace(/\$\$/g, '\x00ESCAPED_DOLLAR\x00');
-
-    // Replace variables
-    const resolved = preprocessed.replace(VARIABLE_REGEX, (match, expression) => {
-        hasVariable = true;
-        // Extract variable name (before :- or -)
-        const varName = expression.split(/[:-?]/)[0];
-        if (!variables.includes(varName)) {
-            variables.push(varName);
+    // Failed expressions are reported once (nested ones are not re-reported by their parent) and kept as written
+    const handleError = (error, node) => {
+        if (reported.has(error)) throw error;
+        onError?.(error, { match: node.raw, expression: node.raw.replace(/^\$\{?|\}$/g, ''), varName: node.name, path: options.path || [] });
+        if (throwOnError) {
+            reported.add(error);
+            throw error;
         }
-        try {
-            return substituteVariable(match, expression, env);
-        } catch (error) {
-            if (onError) {
-                onError(error, { match, expression, varName });
-            }
-            if (throwOnError) {
-                throw error;
-            }
-            return match;
-        }
-    });
-
-    // Restore escaped dollars
-    const ESCAPED_DOLLAR_PLACEHOLDER = '\x00ESCAPED_DOLLAR\x00';
-    const unescaped = resolved.replace(new RegExp(ESCAPED_DOLLAR_PLACEHOLDER, 'g'), '$');
+        return node.raw;
+    };
 
+    const variables = collectVariables(nodes);
     return {
         original: str,
-        resolved: unescaped,
-        hasVariable,
+        resolved: evaluateTemplate(nodes, env, handleError),
+        hasVariable: variables.length > 0,
         variables
     };
 }
@@ -209,6 +363,7 @@ function interpolateString(str, env, options = {}) {
  * @param {any} value - Value to interpolate
  * @param {Object} env - Environment variables
  * @param {boolean} addMetadata - Whether to add _original, _resolved metadata
+ * @param {Object} options - Interpolation options ({throwOnError, onError}); onError also receives the node `path`
  * @returns {any} Interpolated value
  */
 export function interpolate(value, env, addMetadata = true, options = {}) {
@@ -233,14 +388,17 @@ export function interpolate(value, env, addMetadata = true, options = {}) {
         return result.resolved;
     }
 
+    // Track the node path so errors can be located in the source
+    const path = options.path || [];
+
     if (Array.isArray(value)) {
-        return value.map(item => interpolate(item, env, addMetadata, options));
+        return value.map((item, index) => interpolate(item, env, addMetadata, { ...options, path: [...path, index] }));
     }
 
     if (typeof value === 'object') {
         const result = {};
         for (const [key, val] of Object.entries(value)) {
-            result[key] = interpolate(val, env, addMetadata, options);
+            result[key] = interpolate(val, env, addMetadata, { ...options, path: [...path, key] });
         }
         return result;
     }
@@ -259,11 +417,11 @@ export function extractVariables(compose) {
 
     function extract(value) {
         if (typeof value === 'string') {
-            const matches = value.matchAll(VARIABLE_REGEX);
-            for (const match of matches) {
-                const expression = match[1];
-                const varName = expression.split(/[:-?]/)[0]; // Get name before modifiers
-                variables.add(varName);
+            if (!value.includes('$')) return;
+            try {
+                collectVariables(parseTemplate(value).nodes).forEach((name) => variables.add(name));
+            } catch {
+                // Invalid templates are reported during interpolation
             }
         } else if (Array.isArray(value)) {
             value.forEach(extract);
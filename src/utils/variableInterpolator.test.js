@@ -1,6 +1,7 @@
 import { describe, it, expect } from 'vitest';
 import {
     parseEnvFile,
+    parseDotenv,
     mergeEnv,
     interpolate,
     extractVariables,
@@ -39,6 +40,57 @@ describe('variableInterpolator', () => {
         });
     });
 
+    describe('parseDotenv', () => {
+        it('supports export, escapes and multi-line double-quoted values', () => {
+            const content = 'export A=1\nJSON="{\\"k\\": \\"v\\"}"\nCERT="line1\nline2"\nTAB="a\\tb"\nPLAIN=a\\tb';
+
+            expect(parseDotenv(content)).toEqual({
+                values: { A: '1', JSON: '{"k": "v"}', CERT: 'line1\nline2', TAB: 'a\tb', PLAIN: 'a\\tb' },
+                diagnostics: []
+            });
+        });
+
+        it('keeps single-quoted values literal', () => {
+            const { values } = parseDotenv("A=1\nB='$A # not a comment'\nC='it\\'s'");
+
+            expect(values).toEqual({ A: '1', B: '$A # not a comment', C: "it's" });
+        });
+
+        it('only treats " #" as an inline comment of unquoted values', () => {
+            expect(parseDotenv('A=x#y\nB=x # y\nC="x" # y').values).toEqual({ A: 'x#y', B: 'x', C: 'x' });
+        });
+
+        it('expands variables against the outer environment and earlier keys', () => {
+            const content = 'HOST=db\nURL=postgres://${HOST}:${PORT:-5432}/${NAME}\nESCAPED="\\${HOST}"\nINHERITED';
+            const { values } = parseDotenv(content, { environment: { NAME: 'shop', INHERITED: 'yes' } });
+
+            expect(values).toEqual({
+                HOST: 'db',
+                URL: 'postgres://db:5432/shop',
+                ESCAPED: '${HOST}',
+                INHERITED: 'yes'
+            });
+        });
+
+        it('reports malformed lines with line numbers', () => {
+            const content = 'OK=1\nnot a pair\n1BAD=2\nREQ=${MISSING:?set MISSING}\nOPEN="never closed\nMORE=1';
+
+            expect(parseDotenv(content)).toEqual({
+                values: { OK: '1', REQ: '${MISSING:?set MISSING}' },
+                diagnostics: [
+                    { line: 2, message: 'Expected KEY=VALUE, got "not a pair"' },
+                    { line: 3, message: 'Invalid variable name "1BAD"' },
+                    { line: 4, key: 'REQ', message: 'set MISSING' },
+                    { line: 5, key: 'OPEN', message: 'Unterminated double-quoted value for "OPEN"' }
+                ]
+            });
+        });
+
+        it('takes raw values verbatim', () => {
+            expect(parseDotenv('A="$B" # kept', { format: 'raw' }).values).toEqual({ A: '"$B" # kept' });
+        });
+    });
+
     describe('mergeEnv', () => {
         it('merges multiple environment objects', () => {
             const env1 = { A: '1', B: '2' };
@@ -176,6 +228,99 @@ describe('variableInterpolator', () => {
         });
     });
 
+    describe('interpolation grammar', () => {
+        const env = { SET: 'value', EMPTY: '', TAG: '1.2', FOO: 'foo', HOME: '/home/app' };
+
+        // Examples from the Compose Specification (interpolation section) and edge cases of the grammar
+        it.each([
+            ['${SET}', 'value'],
+            ['$SET', 'value'],
+            ['$HOME/data', '/home/app/data'],
+            ['${UNSET}', ''],
+            ['$UNSET-suffix', '-suffix'],
+            ['${SET:-default}', 'value'],
+            ['${EMPTY:-default}', 'default'],
+            ['${UNSET:-default}', 'default'],
+            ['${SET-default}', 'value'],
+            ['${EMPTY-default}', ''],
+            ['${UNSET-default}', 'default'],
+            ['${SET:+replacement}', 'replacement'],
+            ['${EMPTY:+replacement}', ''],
+            ['${UNSET:+replacement}', ''],
+            ['${SET+replacement}', 'replacement'],
+            ['${EMPTY+replacement}', 'replacement'],
+            ['${UNSET+replacement}', ''],
+            ['${IMG:-my-app}', 'my-app'],
+            ['${IMG:-a:b-c}', 'a:b-c'],
+            ['${UNSET:-}', ''],
+            ['app${TAG:+-${TAG}}', 'app-1.2'],
+            ['app${UNSET:+-${TAG}}', 'app'],
+            ['${UNSET:-${FOO}}', 'foo'],
+            ['${UNSET:-${UNSET2:-default}}', 'default'],
+            ['${SET?$FOO}', 'value'],
+            ['${SET:-${MISSING:?never evaluated}}', 'value'],
+            ['$$VAR', '$VAR'],
+            ['$${SET}', '${SET}'],
+            ['$$$SET', '$value'],
+            ['${UNSET:-$$literal}', '$literal'],
+            ['echo "${SET}" $FOO}', 'echo "value" foo}'],
+            ['no variables', 'no variables']
+        ])('%s → %s', (template, expected) => {
+            expect(interpolate(template, env, false)).toBe(expected);
+        });
+
+        it.each([
+            ['${UNSET:?missing}', 'missing'],
+            ['${EMPTY:?empty}', 'empty'],
+            ['${UNSET?unset}', 'unset'],
+            ['${UNSET?$FOO is required}', 'foo is required'],
+            ['${UNSET:?}', 'required variable UNSET is missing a value']
+        ])('%s fails with "%s"', (template, message) => {
+            expect(() => interpolate(template, env, false)).toThrow(message);
+        });
+
+        it('accepts empty values for the unset-only error operator', () => {
+            expect(interpolate('${EMPTY?unset}', env, false)).toBe('');
+        });
+
+        it.each([
+            ['${UNCLOSED'],
+            ['${SET:-${FOO}'],
+            ['${}'],
+            ['${1ABC}'],
+            ['${SET/foo/bar}'],
+            ['costs $5'],
+            ['trailing $']
+        ])('rejects invalid syntax in %s', (template) => {
+            expect(() => interpolate(template, env, false)).toThrow(/Invalid interpolation format/);
+        });
+
+        it('reports failures and keeps the expression when not throwing', () => {
+            const errors = [];
+            const result = interpolate('${SET}-${UNSET:?required}', env, false, {
+                throwOnError: false,
+                onError: (error, context) => errors.push({ message: error.message, varName: context.varName })
+            });
+
+            expect(result).toBe('value-${UNSET:?required}');
+            expect(errors).toEqual([{ message: 'required', varName: 'UNSET' }]);
+        });
+
+        it('reports nested failures once', () => {
+            const errors = [];
+            expect(() => interpolate('${UNSET:-${MISSING:?inner}}', env, false, {
+                onError: (error) => errors.push(error.message)
+            })).toThrow('inner');
+            expect(errors).toEqual(['inner']);
+        });
+
+        it('extracts unbraced and nested variable names', () => {
+            const variables = extractVariables({ image: 'app:${TAG:+-${SUFFIX}}', command: 'cd $HOME && echo $$PATH' });
+
+            expect([...variables]).toEqual(['TAG', 'SUFFIX', 'HOME']);
+        });
+    });
+
     describe('extractVariables', () => {
         it('extracts all variable references', () => {
             const compose = {
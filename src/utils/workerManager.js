@@ -106,3 +106,204 @@ export function createParserWorker() {
         terminate
     };
 }
+
+/**
+ * Create the error a superseded parse is rejected with.
+ * @returns {Error} Cancellation error
+ */
+function createCancelledError() {
+    const error = new Error('Parse superseded by a newer request');
+    error.name = 'ParseCancelledError';
+    return error;
+}
+
+/**
+ * Check if a parse was rejected because a newer request superseded it.
+ * @param {Error} error - Rejection reason
+ * @returns {boolean} True if the parse was cancelled
+ */
+export function isParseCancelled(error) {
+    return error?.name === 'ParseCancelledError';
+}
+
+/**
+ * Serialize a value to JSON with sorted object keys.
+ * @param {any} value - Value to serialize
+ * @returns {string} Stable JSON
+ */
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value) ?? 'null';
+}
+
+/**
+ * Hash the input of a parse (content, file map, environment, profiles and other options).
+ * Uses the 53-bit cyrb53 hash plus the input length.
+ *
+ * @param {string} yamlString - YAML content
+ * @param {Object} options - Parser options
+ * @returns {string} Cache key
+ */
+export function hashParseInput(yamlString, options = {}) {
+    const text = stableStringify({ yamlString, options });
+    let h1 = 0xdeadbeef;
+    let h2 = 0x41c6ce57;
+    for (let i = 0; i < text.length; i++) {
+        const char = text.charCodeAt(i);
+        h1 = Math.imul(h1 ^ char, 2654435761);
+        h2 = Math.imul(h2 ^ char, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    return `${(4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36)}-${text.length.toString(36)}`;
+}
+
+/**
+ * Create a long-lived parse scheduler on top of one parser worker.
+ * - Only the newest request is delivered: requests that are superseded while waiting or
+ *   parsing are rejected with a cancellation error (see isParseCancelled), so results never
+ *   arrive out of order
+ * - Requests arriving while a parse runs are coalesced; once the newest one is due, the worker
+ *   still busy with a superseded parse is terminated and replaced, so it never waits behind it
+ * - Results are cached by a hash of the input (see hashParseInput)
+ *
+ * @param {Object} options - Scheduler options
+ * @param {Function} options.createWorker - Worker factory (default: createParserWorker)
+ * @param {number} options.cacheSize - Number of cached results (default: 20)
+ * @returns {{parse: Function, terminate: Function}} Scheduler; `parse(yamlString, options, {debounce})`
+ *   waits `debounce` ms for newer requests before parsing
+ */
+export function createParseScheduler(options = {}) {
+    const { createWorker = createParserWorker, cacheSize = 20 } = options;
+    const cache = new Map();
+    let worker = null;
+    let running = null;
+    let pending = null;
+    let latest = 0;
+
+    function remember(key, result) {
+        cache.delete(key);
+        cache.set(key, result);
+        if (cache.size > cacheSize) {
+            cache.delete(cache.keys().next().value);
+        }
+    }
+
+    function settle(request, result, error) {
+        if (request.seq !== latest) {
+            request.reject(createCancelledError());
+        } else if (error) {
+            request.reject(error);
+        } else {
+            request.resolve(result);
+        }
+    }
+
+    // A running parse cannot be interrupted, so the worker running a superseded one is replaced
+    function cancelRunning() {
+        const request = running;
+        running = null;
+        worker.terminate();
+        worker = null;
+        request.reject(createCancelledError());
+    }
+
+    function runNext() {
+        if (!pending || pending.timer) return;
+        // Whatever runs now was requested before the pending request, so its result is stale
+        if (running) cancelRunning();
+        const request = pending;
+        pending = null;
+
+        // An identical parse may have finished while this one waited
+        if (cache.has(request.key)) {
+            settle(request, cache.get(request.key));
+            return;
+        }
+
+        if (!worker) worker = createWorker();
+        const parser = worker;
+        running = request;
+        // A worker that fails to start throws; reject the request instead of leaving it waiting
+        new Promise((resolve) => resolve(parser.parseAsync(request.yamlString, request.options)))
+            .then(
+                (result) => {
+                    remember(request.key, result);
+                    if (running === request) settle(request, result);
+                },
+                (error) => {
+                    if (running === request) settle(request, null, error);
+                }
+            )
+            .finally(() => {
+                if (running !== request) return;
+                running = null;
+                runNext();
+            });
+    }
+
+    /**
+     * Parse YAML, resolving with the cached result when the input was parsed before.
+     * @param {string} yamlString - YAML content to parse
+     * @param {Object} parseOptions - Parser options
+     * @param {Object} scheduleOptions - Scheduling options ({debounce} in ms, default 0)
+     * @returns {Promise<Object>} Parsed result; rejected with a cancellation error when superseded
+     */
+    function parse(yamlString, parseOptions = {}, scheduleOptions = {}) {
+        const { debounce = 0 } = scheduleOptions;
+        const key = hashParseInput(yamlString, parseOptions);
+        const seq = ++latest;
+
+        if (pending) {
+            clearTimeout(pending.timer);
+            pending.reject(createCancelledError());
+            pending = null;
+        }
+
+        if (cache.has(key)) {
+            const result = cache.get(key);
+            remember(key, result);
+            return Promise.resolve(result);
+        }
+
+        return new Promise((resolve, reject) => {
+            const request = { key, seq, yamlString, options: parseOptions, resolve, reject, timer: null };
+            request.timer = setTimeout(() => {
+                request.timer = null;
+                runNext();
+            }, debounce);
+            pending = request;
+        });
+    }
+
+    /**
+     * Terminate the worker, cancel waiting requests and clear the cache.
+     */
+    function terminate() {
+        if (pending) {
+            clearTimeout(pending.timer);
+            pending.reject(createCancelledError());
+            pending = null;
+        }
+        latest++;
+        if (running) {
+            running.reject(createCancelledError());
+            running = null;
+        }
+        if (worker) {
+            worker.terminate();
+            worker = null;
+        }
+        cache.clear();
+    }
+
+    return {
+        parse,
+        terminate
+    };
+}
@@ -1,4 +1,5 @@
-import { describe, it, expect } from 'vitest';
+import { describe, it, expect, vi } from 'vitest';
+import { createParseScheduler, hashParseInput, isParseCancelled } from './workerManager.js';
 
 describe('workerManager', () => {
     it('exports createParserWorker function', () => {
@@ -21,4 +22,119 @@ describe('workerManager', () => {
             // expect(manager.terminate).toBeDefined();
         });
     });
+
+    describe('hashParseInput', () => {
+        it('ignores key order and changes with any input', () => {
+            const options = { activeProfiles: ['dev'], environment: { A: '1', B: '2' } };
+
+            expect(hashParseInput('a: 1', options)).toBe(hashParseInput('a: 1', { environment: { B: '2', A: '1' }, activeProfiles: ['dev'] }));
+            expect(hashParseInput('a: 1', options)).not.toBe(hashParseInput('a: 1', { ...options, activeProfiles: [] }));
+            expect(hashParseInput('a: 1', options)).not.toBe(hashParseInput('a: 2', options));
+            expect(hashParseInput('a: 1', { fileMap: { x: '1' } })).not.toBe(hashParseInput('a: 1', { fileMap: { x: '2' } }));
+        });
+    });
+
+    describe('createParseScheduler', () => {
+        const createFakeWorker = (delay = 5) => {
+            const worker = {
+                parseAsync: vi.fn((yamlString, options) => new Promise((resolve) => {
+                    setTimeout(() => resolve({ yamlString, profiles: options.activeProfiles }), delay);
+                })),
+                terminate: vi.fn()
+            };
+            return worker;
+        };
+
+        it('reuses one worker and serves repeated input from the cache', async () => {
+            const worker = createFakeWorker();
+            const createWorker = vi.fn(() => worker);
+            const scheduler = createParseScheduler({ createWorker });
+
+            const first = await scheduler.parse('a: 1', { activeProfiles: ['dev'] });
+            await scheduler.parse('a: 1', { activeProfiles: [] });
+            const cached = await scheduler.parse('a: 1', { activeProfiles: ['dev'] });
+
+            expect(cached).toBe(first);
+            expect(createWorker).toHaveBeenCalledTimes(1);
+            expect(worker.parseAsync).toHaveBeenCalledTimes(2);
+        });
+
+        it('coalesces rapid requests and cancels the superseded ones', async () => {
+            const worker = createFakeWorker();
+            const scheduler = createParseScheduler({ createWorker: () => worker });
+
+            const results = await Promise.allSettled([
+                scheduler.parse('v: 1'),
+                scheduler.parse('v: 2'),
+                scheduler.parse('v: 3')
+            ]);
+
+            expect(results.slice(0, 2).every(result => isParseCancelled(result.reason))).toBe(true);
+            expect(results[2].value.yamlString).toBe('v: 3');
+            expect(worker.parseAsync).toHaveBeenCalledTimes(1);
+        });
+
+        it('never delivers the result of a parse superseded while running', async () => {
+            const worker = createFakeWorker(20);
+            const scheduler = createParseScheduler({ createWorker: () => worker });
+
+            const stale = scheduler.parse('v: 1');
+            await new Promise(resolve => setTimeout(resolve, 5));
+            const fresh = scheduler.parse('v: 2');
+
+            await expect(stale).rejects.toSatisfy(isParseCancelled);
+            expect((await fresh).yamlString).toBe('v: 2');
+            expect(worker.parseAsync).toHaveBeenCalledTimes(2);
+        });
+
+        it('replaces a worker busy with a superseded parse instead of waiting for it', async () => {
+            const workers = [];
+            const createWorker = vi.fn(() => {
+                workers.push(createFakeWorker(workers.length === 0 ? 1000 : 5));
+                return workers[workers.length - 1];
+            });
+            const scheduler = createParseScheduler({ createWorker });
+
+            const stale = scheduler.parse('v: 1');
+            await new Promise(resolve => setTimeout(resolve, 5));
+            const started = Date.now();
+            const fresh = scheduler.parse('v: 2');
+
+            await expect(stale).rejects.toSatisfy(isParseCancelled);
+            expect((await fresh).yamlString).toBe('v: 2');
+            expect(Date.now() - started).toBeLessThan(500);
+            expect(workers[0].terminate).toHaveBeenCalledTimes(1);
+            expect(createWorker).toHaveBeenCalledTimes(2);
+        });
+
+        it('rejects when the worker cannot start', async () => {
+            const scheduler = createParseScheduler({
+                createWorker: () => ({ parseAsync: () => { throw new Error('Web Worker not supported'); }, terminate: vi.fn() })
+            });
+
+            await expect(scheduler.parse('v: 1')).rejects.toThrow('Web Worker not supported');
+        });
+
+        it('waits for the debounce delay before parsing', async () => {
+            const worker = createFakeWorker();
+            const scheduler = createParseScheduler({ createWorker: () => worker });
+
+            const pending = scheduler.parse('v: 1', {}, { debounce: 30 });
+            await new Promise(resolve => setTimeout(resolve, 10));
+            expect(worker.parseAsync).not.toHaveBeenCalled();
+
+            await pending;
+            expect(worker.parseAsync).toHaveBeenCalledTimes(1);
+        });
+
+        it('terminates the worker and cancels waiting requests', async () => {
+            const worker = createFakeWorker();
+            const scheduler = createParseScheduler({ createWorker: () => worker });
+
+            const pending = scheduler.parse('v: 1', {}, { debounce: 50 });
+            scheduler.terminate();
+
+            await expect(pending).rejects.toSatisfy(isParseCancelled);
+        });
+    });
 });
@@ -1,4 +1,7 @@
 import yaml from 'js-yaml';
+import { parseDocument, isMap, isSeq, isScalar } from 'yaml';
+import { loadComposeYaml, stripYamlTags } from './yamlTags.js';
+import { deepEqual } from './objectUtils.js';
 
 /**
  * Recursively cleans an object by removing empty values, arrays, and nested objects.
@@ -19,31 +22,275 @@ export const cleanObject = (obj) => {
     return Object.keys(cleaned).length ? cleaned : undefined;
 };
 
+const RESOURCE_SECTIONS = ['services', 'networks', 'volumes', 'secrets', 'configs'];
+
+/**
+ * Build the exported Compose model of a state: project name, extension fields and other
+ * top-level keys (written back as loaded), and non-empty resource sections.
+ * @param {object} state - The compose state object.
+ * @param {boolean} keepEmptyResources - Keep resources without settings as `{}` (to track deletions).
+ * @returns {object|undefined} The cleaned model.
+ */
+const toComposeModel = (state, keepEmptyResources = false) => {
+    if (!state) return undefined;
+    const output = {};
+
+    // Add name first if present (modern Compose spec)
+    if (state.name) output.name = state.name;
+
+    // Note: version is obsolete per Compose Specification
+    // We intentionally do not output it
+
+    // `x-*` blocks (often anchor targets), `include` and future spec keys
+    for (const [key, value] of Object.entries(state)) {
+        if (key === 'name' || key === 'version' || key.startsWith('_') || RESOURCE_SECTIONS.includes(key)) continue;
+        if (value !== undefined) output[key] = value;
+    }
+
+    for (const section of RESOURCE_SECTIONS) {
+        if (!state[section] || !Object.keys(state[section]).length) continue;
+        const resources = keepEmptyResources
+            ? Object.fromEntries(Object.entries(state[section]).map(([name, resource]) => [name, cleanObject(resource) || {}]))
+            : cleanObject(state[section]);
+        if (resources) output[section] = resources;
+    }
+
+    return keepEmptyResources || Object.keys(output).length ? output : undefined;
+};
+
 /**
  * Generates a YAML string from the compose state.
  * Following the modern Compose Specification:
  * - `version` is obsolete and should not be output
  * - `name` is the project name (optional but recommended)
+ *
+ * When the state was loaded from a file, pass that file as `source`: only the nodes that
+ * changed since loading are rewritten, so comments, anchors, key order and blank lines survive.
+ *
  * @param {object} state - The compose state object.
+ * @param {{document: object, state: object}} [source] - Document from createYamlDocument and the state it was loaded as.
  * @returns {string} The YAML representation.
  */
-export const generateYaml = (state) => {
+export const generateYaml = (state, source) => {
     if (!state) return 'services: {}\n';
-    const output = {};
 
-    // Add name first if present (modern Compose spec)
-    if (state.name) output.name = state.name;
+    if (source?.document) {
+        try {
+            return patchYamlDocument(source.document, toComposeModel(source.state, true), toComposeModel(state, true));
+        } catch (error) {
+            console.warn('Falling back to regenerated YAML:', error);
+        }
+    }
 
-    // Note: version is obsolete per Compose Specification
-    // We intentionally do not output it
+    return yaml.dump(toComposeModel(state) || { services: {} }, { indent: 2, lineWidth: -1, noRefs: true, quotingType: '"' });
+};
+
+/**
+ * Check if a value is a plain object (not null, not an array).
+ * @param {any} value - Value to check.
+ * @returns {boolean} True for plain objects.
+ */
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
 
-    if (state.services && Object.keys(state.services).length) output.services = cleanObject(state.services);
-    if (state.networks && Object.keys(state.networks).length) output.networks = cleanObject(state.networks);
-    if (state.volumes && Object.keys(state.volumes).length) output.volumes = cleanObject(state.volumes);
-    if (state.secrets && Object.keys(state.secrets).length) output.secrets = cleanObject(state.secrets);
-    if (state.configs && Object.keys(state.configs).length) output.configs = cleanObject(state.configs);
+/**
+ * Count the lines two renderings share at the same position.
+ * @param {string[]} a - First lines.
+ * @param {string[]} b - Second lines.
+ * @returns {number} Number of identical lines.
+ */
+const countMatchingLines = (a, b) => a.reduce((count, line, i) => count + (line === b[i] ? 1 : 0), 0);
+
+/**
+ * Parse a compose file into an editable document that keeps comments, anchors and layout.
+ *
+ * @param {string} source - YAML source of the file.
+ * @returns {{document: object, lines: string[], rendered: string[], options: object}|null}
+ *   The document, or null when the source cannot be patched (empty, invalid, not a mapping).
+ */
+export const createYamlDocument = (source) => {
+    if (typeof source !== 'string' || !source.trim()) return null;
 
-    return yaml.dump(cleanObject(output) || { services: {} }, { indent: 2, lineWidth: -1, noRefs: true, quotingType: '"' });
+    const document = parseDocument(source);
+    if (document.errors.length > 0 || !isMap(document.contents)) return null;
+
+    // Re-render with the sequence indentation the file already uses, so rewritten lines fit in
+    const lines = source.split('\n');
+    const [best] = [true, false]
+        .map((indentSeq) => {
+            const options = { lineWidth: 0, indentSeq };
+            const rendered = document.toString(options).split('\n');
+            return { options, rendered, score: countMatchingLines(rendered, lines) };
+        })
+        .sort((a, b) => b.score - a.score);
+
+    return { document, lines, rendered: best.rendered, options: best.options };
+};
+
+/**
+ * Apply the difference between two values to a document node.
+ * Maps are patched key by key, sequences by their changed range, and scalars in place
+ * (keeping their quoting style).
+ *
+ * @param {object} document - YAML document.
+ * @param {Array<string|number>} path - Node path.
+ * @param {any} before - Value the document was loaded as.
+ * @param {any} after - New value.
+ */
+const patchNode = (document, path, before, after) => {
+    if (deepEqual(before, after)) return;
+
+    if (after === undefined) {
+        if (document.hasIn(path)) document.deleteIn(path);
+        return;
+    }
+
+    const node = document.getIn(path, true);
+
+    // Mappings the model dropped as empty (e.g. `networks: {}`) are still patched key by key
+    if (isPlainObject(after) && (isMap(node) || (node === undefined && isPlainObject(before)))) {
+        const previous = isPlainObject(before) ? before : {};
+        for (const key of Object.keys(previous)) {
+            if (!(key in after) && document.hasIn([...path, key])) document.deleteIn([...path, key]);
+        }
+        for (const [key, value] of Object.entries(after)) {
+            patchNode(document, [...path, key], previous[key], value);
+        }
+        return;
+    }
+
+    // Only splice sequences the file defines in full (not merged from elsewhere)
+    if (Array.isArray(before) && Array.isArray(after) && isSeq(node) && node.items.length === before.length) {
+        let start = 0;
+        while (start < before.length && start < after.length && deepEqual(before[start], after[start])) start++;
+        let end = 0;
+        while (end < before.length - start && end < after.length - start
+            && deepEqual(before[before.length - 1 - end], after[after.length - 1 - end])) end++;
+
+        const removed = before.length - start - end;
+        const added = after.length - start - end;
+        if (removed === added) {
+            for (let i = start; i < start + removed; i++) patchNode(document, [...path, i], before[i], after[i]);
+        } else {
+            node.items.splice(start, removed, ...after.slice(start, start + added).map((value) => document.createNode(value)));
+        }
+        return;
+    }
+
+    if (isScalar(node) && (after === null || typeof after !== 'object')) {
+        node.value = after;
+        return;
+    }
+
+    if (path.length === 1 && path[0] === 'name' && node === undefined) {
+        // The project name goes first, like in generated files
+        document.contents.items.unshift(document.createPair('name', after));
+        return;
+    }
+
+    document.setIn(path, document.createNode(after));
+};
+
+/**
+ * Diff two line lists (Myers algorithm).
+ *
+ * @param {string[]} a - Old lines.
+ * @param {string[]} b - New lines.
+ * @param {number} maxEdits - Give up beyond this many edits.
+ * @returns {Array<{type: 'equal'|'delete'|'insert', a?: number, b?: number}>|null} Edit script, or null if too large.
+ */
+const diffLines = (a, b, maxEdits = 2000) => {
+    const n = a.length;
+    const m = b.length;
+    const offset = n + m + 1;
+    const v = new Array(2 * offset + 1).fill(0);
+    const trace = [];
+
+    for (let d = 0; d <= Math.min(n + m, maxEdits); d++) {
+        for (let k = -d; k <= d; k += 2) {
+            let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+                ? v[offset + k + 1]
+                : v[offset + k - 1] + 1;
+            let y = x - k;
+            while (x < n && y < m && a[x] === b[y]) {
+                x++;
+                y++;
+            }
+            v[offset + k] = x;
+
+            if (x >= n && y >= m) {
+                return backtrackDiff(trace, d, n, m);
+            }
+        }
+        trace.push(v.slice(offset - d, offset + d + 1));
+    }
+
+    return null;
+};
+
+/**
+ * Rebuild the edit script from the Myers trace.
+ * @param {number[][]} trace - Furthest x per diagonal, for each edit count.
+ * @param {number} edits - Edit count of the solution.
+ * @param {number} n - Old line count.
+ * @param {number} m - New line count.
+ * @returns {Array<{type: string, a?: number, b?: number}>} Edit script.
+ */
+const backtrackDiff = (trace, edits, n, m) => {
+    const ops = [];
+    let x = n;
+    let y = m;
+
+    for (let d = edits; d > 0; d--) {
+        const previous = trace[d - 1];
+        const at = (k) => previous[k + d - 1];
+        const k = x - y;
+        const previousK = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1;
+        const previousX = at(previousK);
+        const previousY = previousX - previousK;
+
+        while (x > previousX && y > previousY) {
+            ops.push({ type: 'equal', a: --x, b: --y });
+        }
+        if (x === previousX) {
+            ops.push({ type: 'insert', b: --y });
+        } else {
+            ops.push({ type: 'delete', a: --x });
+        }
+    }
+    while (x > 0 && y > 0) {
+        ops.push({ type: 'equal', a: --x, b: --y });
+    }
+
+    return ops.reverse();
+};
+
+/**
+ * Apply a state change to a loaded document and return the file with minimal edits.
+ * The patched document is rendered, diffed against the rendering of the untouched document,
+ * and only the changed lines are written over the original text.
+ *
+ * @param {{document: object, lines: string[], rendered: string[], options: object}} source - Document from createYamlDocument.
+ * @param {object} before - Model the document was loaded as.
+ * @param {object} after - New model.
+ * @returns {string} Updated YAML source.
+ */
+const patchYamlDocument = (source, before, after) => {
+    if (deepEqual(before, after)) return source.lines.join('\n');
+
+    const document = source.document.clone();
+    patchNode(document, [], before, after);
+    const patched = document.toString(source.options).split('\n');
+
+    // The rendering must line up with the original text to carry its formatting over
+    const ops = source.rendered.length === source.lines.length ? diffLines(source.rendered, patched) : null;
+    if (!ops) return patched.join('\n');
+
+    const output = [];
+    for (const op of ops) {
+        if (op.type === 'equal') output.push(source.lines[op.a]);
+        else if (op.type === 'insert') output.push(patched[op.b]);
+    }
+    return output.join('\n');
 };
 
 /**
@@ -52,5 +299,56 @@ export const generateYaml = (state) => {
  * @returns {object} The parsed object.
  */
 export const parseYaml = (yamlString) => {
-    return yaml.load(yamlString);
+    return stripYamlTags(loadComposeYaml(yamlString));
+};
+
+/**
+ * Diff two YAML texts into unified-diff hunks, for previewing an edit before it is applied.
+ *
+ * @param {string} before - Current text.
+ * @param {string} after - Text after the edit.
+ * @param {number} [context] - Unchanged lines shown around each change.
+ * @returns {Array<{oldStart: number, newStart: number, lines: Array<{type: 'equal'|'delete'|'insert', text: string}>}>}
+ *   Hunks with 1-based start lines; empty when the texts are equal.
+ */
+export const diffYaml = (before, after, context = 3) => {
+    const a = before.split('\n');
+    const b = after.split('\n');
+    // Too many edits for the Myers search: show the whole file replaced
+    const ops = diffLines(a, b) || [
+        ...a.map((_, i) => ({ type: 'delete', a: i })),
+        ...b.map((_, i) => ({ type: 'insert', b: i }))
+    ];
+
+    // Line numbers before each op, for the hunk headers
+    const positions = [];
+    let oldLine = 1;
+    let newLine = 1;
+    for (const op of ops) {
+        positions.push({ oldLine, newLine });
+        if (op.type !== 'insert') oldLine++;
+        if (op.type !== 'delete') newLine++;
+    }
+
+    // Changes closer than twice the context share a hunk
+    const groups = [];
+    ops.forEach((op, index) => {
+        if (op.type === 'equal') return;
+        const group = groups[groups.length - 1];
+        if (group && index - group.last <= context * 2 + 1) group.last = index;
+        else groups.push({ first: index, last: index });
+    });
+
+    return groups.map(({ first, last }) => {
+        const start = Math.max(0, first - context);
+        const end = Math.min(ops.length - 1, last + context);
+        return {
+            oldStart: positions[start].oldLine,
+            newStart: positions[start].newLine,
+            lines: ops.slice(start, end + 1).map((op) => ({
+                type: op.type,
+                text: op.type === 'insert' ? b[op.b] : a[op.a]
+            }))
+        };
+    });
 };
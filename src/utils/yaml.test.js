@@ -1,5 +1,5 @@
 import { describe, it, expect } from 'vitest';
-import { cleanObject, generateYaml, parseYaml } from './yaml';
+import { cleanObject, createYamlDocument, diffYaml, generateYaml, parseYaml } from './yaml';
 
 describe('yaml utils', () => {
     describe('cleanObject', () => {
@@ -67,6 +67,100 @@ describe('yaml utils', () => {
             const output = generateYaml(state);
             expect(output).toContain('name: my-project');
         });
+
+        it('writes extension fields and unknown top-level keys back out', () => {
+            const state = {
+                name: 'app',
+                version: '3.8',
+                'x-logging': { driver: 'json-file', options: { 'max-size': '10m' } },
+                include: ['./db.yml'],
+                services: { web: { image: 'nginx' } },
+                networks: {}
+            };
+            const output = generateYaml(state);
+            expect(parseYaml(output)).toEqual({
+                name: 'app',
+                'x-logging': { driver: 'json-file', options: { 'max-size': '10m' } },
+                include: ['./db.yml'],
+                services: { web: { image: 'nginx' } }
+            });
+            expect(output.indexOf('x-logging:')).toBeLessThan(output.indexOf('services:'));
+        });
+    });
+
+    describe('generateYaml with a source document', () => {
+        const source = [
+            '# Production stack',
+            'services:',
+            '  web:',
+            "    image: 'nginx:1.27' # pinned",
+            '    ports:',
+            '      - "80:80"',
+            '',
+            '  db:',
+            '    image: postgres:16',
+            'networks:',
+            '  back: {}',
+            ''
+        ].join('\n');
+
+        const withSource = (state) => {
+            const loaded = parseYaml(source);
+            return generateYaml(state(structuredClone(loaded)), { document: createYamlDocument(source), state: loaded });
+        };
+
+        it('returns the source unchanged when nothing was edited', () => {
+            expect(withSource((state) => state)).toBe(source);
+        });
+
+        it('rewrites only the edited line', () => {
+            const output = withSource((state) => {
+                state.services.web.ports[0] = '8080:80';
+                return state;
+            });
+
+            expect(output).toBe(source.replace('"80:80"', '"8080:80"'));
+        });
+
+        it('keeps comments and quoting around added and removed keys', () => {
+            const output = withSource((state) => {
+                delete state.services.db;
+                state.networks.front = {};
+                state.services.web.image = 'nginx:1.28';
+                return state;
+            });
+
+            expect(output).toContain('# Production stack');
+            expect(output).toContain("image: 'nginx:1.28' # pinned");
+            expect(output).toContain('  back: {}');
+            expect(output).toContain('  front: {}');
+            expect(output).not.toContain('postgres');
+            expect(parseYaml(output).services).toEqual({ web: { image: 'nginx:1.28', ports: ['80:80'] } });
+        });
+
+        it('keeps anchors and merge keys of extension fields', () => {
+            const anchored = [
+                'x-defaults: &defaults',
+                '  restart: always',
+                'services:',
+                '  web:',
+                '    <<: *defaults',
+                '    image: nginx',
+                ''
+            ].join('\n');
+            const loaded = parseYaml(anchored);
+            const edited = { ...loaded, services: { web: { ...loaded.services.web, image: 'caddy' } } };
+
+            const output = generateYaml(edited, { document: createYamlDocument(anchored), state: loaded });
+
+            expect(output).toBe(anchored.replace('nginx', 'caddy'));
+            expect(parseYaml(output).services.web).toEqual({ restart: 'always', image: 'caddy' });
+        });
+
+        it('regenerates the file when the source cannot be patched', () => {
+            const output = generateYaml({ services: { web: { image: 'nginx' } } }, { document: createYamlDocument('- not a map'), state: {} });
+            expect(output).toBe('services:\n  web:\n    image: nginx\n');
+        });
     });
 
     describe('parseYaml', () => {
@@ -76,4 +170,32 @@ describe('yaml utils', () => {
             expect(result.services.web.image).toBe('nginx');
         });
     });
+
+    describe('diffYaml', () => {
+        it('groups changes into hunks with context', () => {
+            const before = ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h', 'i', 'j'].join('\n');
+            const after = ['a', 'B', 'c', 'd', 'e', 'f', 'g', 'h', 'i', 'j', 'k'].join('\n');
+
+            expect(diffYaml(before, after, 1)).toEqual([
+                {
+                    oldStart: 1,
+                    newStart: 1,
+                    lines: [
+                        { type: 'equal', text: 'a' },
+                        { type: 'delete', text: 'b' },
+                        { type: 'insert', text: 'B' },
+                        { type: 'equal', text: 'c' }
+                    ]
+                },
+                {
+                    oldStart: 10,
+                    newStart: 10,
+                    lines: [{ type: 'equal', text: 'j' }, { type: 'insert', text: 'k' }]
+                }
+            ]);
+            expect(diffYaml(before, after)).toHaveLength(2);
+            expect(diffYaml(before, after, 4)).toHaveLength(1);
+            expect(diffYaml(before, before)).toEqual([]);
+        });
+    });
 });
@@ -0,0 +1,106 @@
+/**
+ * Docker Compose YAML tags.
+ * Implements the `!reset` and `!override` merge tags from the Compose specification.
+ */
+
+import yaml from 'js-yaml';
+
+/**
+ * Marker for a value carrying a Compose merge tag.
+ * Only lives between YAML loading and the end of the merge stages.
+ */
+class ComposeTag {
+    constructor(tag, value) {
+        this.tag = tag;
+        this.value = value;
+    }
+}
+
+const RESET_TAG = '!reset';
+const OVERRIDE_TAG = '!override';
+
+/**
+ * Create js-yaml types for a tag in every node kind (scalar, sequence, mapping).
+ * @param {string} tag - Tag name
+ * @returns {yaml.Type[]} Types for the tag
+ */
+function createTagTypes(tag) {
+    return ['scalar', 'sequence', 'mapping'].map(kind => new yaml.Type(tag, {
+        kind,
+        construct: (data) => new ComposeTag(tag, data)
+    }));
+}
+
+/**
+ * js-yaml schema that understands the Compose `!reset` and `!override` tags.
+ */
+export const COMPOSE_SCHEMA = yaml.DEFAULT_SCHEMA.extend([
+    ...createTagTypes(RESET_TAG),
+    ...createTagTypes(OVERRIDE_TAG)
+]);
+
+/**
+ * Load a Compose YAML document with the Compose tag schema.
+ * @param {string} content - YAML content
+ * @returns {any} Parsed document (may contain tag markers until stripped)
+ */
+export function loadComposeYaml(content) {
+    return yaml.load(content, { schema: COMPOSE_SCHEMA });
+}
+
+/**
+ * Check if a value was tagged with `!reset`.
+ * @param {any} value - Value to check
+ * @returns {boolean} True for `!reset` values
+ */
+export function isResetTag(value) {
+    return value instanceof ComposeTag && value.tag === RESET_TAG;
+}
+
+/**
+ * Check if a value was tagged with `!override`.
+ * @param {any} value - Value to check
+ * @returns {boolean} True for `!override` values
+ */
+export function isOverrideTag(value) {
+    return value instanceof ComposeTag && value.tag === OVERRIDE_TAG;
+}
+
+/**
+ * Resolve a tagged value as a merge base: `!reset` becomes undefined, `!override` its content.
+ * @param {any} value - Possibly tagged value
+ * @returns {any} Plain value
+ */
+export function resolveTagValue(value) {
+    if (isResetTag(value)) return undefined;
+    if (isOverrideTag(value)) return stripYamlTags(value.value);
+    return value;
+}
+
+/**
+ * Recursively remove tag markers left after merging.
+ * `!reset` entries are dropped and `!override` values are unwrapped.
+ *
+ * @param {any} value - Value to clean
+ * @returns {any} Value without tag markers
+ */
+export function stripYamlTags(value) {
+    if (isResetTag(value)) return undefined;
+    if (isOverrideTag(value)) return stripYamlTags(value.value);
+
+    if (Array.isArray(value)) {
+        return value.filter(item => !isResetTag(item)).map(stripYamlTags);
+    }
+
+    // Only plain mappings: keep Date and other constructed values intact
+    if (value && Object.getPrototypeOf(value) === Object.prototype) {
+        const result = {};
+        for (const [key, val] of Object.entries(value)) {
+            if (isResetTag(val)) continue;
+            result[key] = stripYamlTags(val);
+        }
+        return result;
+    }
+
+    return value;
+}
@@ -0,0 +1,113 @@
+import { describe, it, expect } from 'vitest';
+import { loadComposeYaml, isResetTag, isOverrideTag, stripYamlTags } from './yamlTags';
+import { mergeServiceConfigs } from './extendsResolver';
+import { parseCompose } from './composeParser';
+
+describe('yamlTags', () => {
+    describe('loadComposeYaml', () => {
+        it('loads !reset and !override on every node kind', () => {
+            const doc = loadComposeYaml(`
+ports: !reset []
+command: !reset
+environment: !override
+  A: "1"
+image: !override nginx
+`);
+
+            expect(isResetTag(doc.ports)).toBe(true);
+            expect(isResetTag(doc.command)).toBe(true);
+            expect(isOverrideTag(doc.environment)).toBe(true);
+            expect(doc.environment.value).toEqual({ A: '1' });
+            expect(isOverrideTag(doc.image)).toBe(true);
+        });
+
+        it('still loads untagged documents', () => {
+            expect(loadComposeYaml('services:\n  web:\n    image: nginx\n')).toEqual({
+                services: { web: { image: 'nginx' } }
+            });
+        });
+    });
+
+    describe('stripYamlTags', () => {
+        it('drops reset values and unwraps override values', () => {
+            const doc = loadComposeYaml('a: !reset null\nb: !override [1, 2]\nc:\n  - !reset x\n  - y\n');
+            expect(stripYamlTags(doc)).toEqual({ b: [1, 2], c: ['y'] });
+        });
+
+        it('keeps constructed values such as dates intact', () => {
+            const doc = loadComposeYaml('created: 2024-01-01\n');
+            expect(stripYamlTags(doc).created).toBeInstanceOf(Date);
+        });
+    });
+
+    describe('merging', () => {
+        it('!reset drops an inherited sequence', () => {
+            const base = { image: 'app', ports: ['80:80'] };
+            const override = loadComposeYaml('ports: !reset []\n');
+
+            const result = mergeServiceConfigs(base, override);
+
+            expect(result).toEqual({ image: 'app' });
+        });
+
+        it('!override replaces a mapping instead of merging it', () => {
+            const base = { environment: { A: '1', B: '2' } };
+            const override = loadComposeYaml('environment: !override\n  C: "3"\n');
+
+            const result = mergeServiceConfigs(base, override);
+
+            expect(result.environment).toEqual({ C: '3' });
+        });
+
+        it('!reset drops a single nested key', () => {
+            const base = { environment: { A: '1', B: '2' } };
+            const override = loadComposeYaml('environment:\n  B: !reset null\n');
+
+            const result = mergeServiceConfigs(base, override);
+
+            expect(result.environment).toEqual({ A: '1' });
+        });
+    });
+
+    describe('parseCompose', () => {
+        it('applies tags in override files', () => {
+            const result = parseCompose('services:\n  web:\n    image: nginx\n    ports:\n      - "80:80"\n', {
+                fileMap: { 'dev.yml': 'services:\n  web:\n    ports: !reset []\n' },
+                overrideFiles: ['dev.yml']
+            });
+
+            expect(result.errors).toHaveLength(0);
+            expect(result.compose.services.web).toEqual({ image: 'nginx' });
+        });
+
+        it('applies tags in extends', () => {
+            const result = parseCompose(`
+services:
+  base:
+    image: app
+    ports:
+      - "80:80"
+  worker:
+    extends: base
+    ports: !override
+      - "9000:9000"
+`);
+
+            expect(result.compose.services.worker.ports).toEqual(['9000:9000']);
+        });
+
+        it('applies tags over included files', () => {
+            const result = parseCompose('include:\n  - ./base.yml\nnetworks: !override\n  edge: {}\n', {
+                basePath: 'docker-compose.yml',
+                fileMap: { 'base.yml': 'networks:\n  internal: {}\n' }
+            });
+
+            expect(result.compose.networks).toEqual({ edge: {} });
+        });
+
+        it('removes tags that have nothing to merge with', () => {
+            const result = parseCompose('services:\n  web:\n    image: !override nginx\n    command: !reset null\n');
+            expect(result.compose.services.web).toEqual({ image: 'nginx' });
+        });
+    });
+});